@@ -1,9 +1,13 @@
-import React, { useState } from 'react';
+import React from 'react';
+import { Routes, Route, Navigate, useLocation, useNavigate } from 'react-router-dom';
 import './App.css';
 import Dashboard from './components/Dashboard/Dashboard';
 import FreakFinder from './components/MetricExplorer/FreakFinder';
+import MetricBuilder from './components/MetricBuilder/MetricBuilder';
 import VideoAnalysis from './components/VideoAnalysis/VideoAnalysis';
+import DataManagement from './components/DataManagement/DataManagement';
 import Settings from './components/Settings/Settings';
+import WorkspaceManager from './components/Workspaces/WorkspaceManager';
 
 // Reusable ForgedGlyph component for header
 const ForgedGlyph = ({ size = '1rem', color = '#60a5fa' }) => {
@@ -37,20 +41,30 @@ const ForgedGlyph = ({ size = '1rem', color = '#60a5fa' }) => {
   );
 };
 
+// One route per tab; the query string carries the shared analysis state across tabs
+const TABS = ['Selection', 'Metric Explorer', 'Metric Builder', 'Charts', 'Video Analysis', 'Data Management', 'Settings']
+  .map(label => ({ label, path: label.toLowerCase().replace(' ', '-') }));
+
 function App() {
-  const [activeTab, setActiveTab] = useState('selection');
+  const location = useLocation();
+  const navigate = useNavigate();
+  const activeTab = location.pathname.split('/')[1] || 'selection';
 
   return (
     <div className="app-container">
       <header style={{
         background: '#1e293b',
         padding: '1rem 2rem',
-        borderBottom: '2px solid #334155'
+        borderBottom: '2px solid #334155',
+        display: 'flex',
+        justifyContent: 'space-between',
+        alignItems: 'center'
       }}>
         <h1 style={{fontSize: '1.5rem', color: '#60a5fa', fontWeight: 'bold', display: 'flex', alignItems: 'center'}}>
           <ForgedGlyph size="1.5rem" color="#60a5fa" />
           FreakForge
         </h1>
+        <WorkspaceManager />
       </header>
 
       <nav style={{
@@ -60,21 +74,21 @@ function App() {
         padding: '0 2rem',
         borderBottom: '1px solid #334155'
       }}>
-        {['Selection', 'Metric Explorer', 'Charts', 'Video Analysis', 'Data Management', 'Settings'].map(tab => (
+        {TABS.map(tab => (
           <button
-            key={tab}
-            onClick={() => setActiveTab(tab.toLowerCase().replace(' ', '-'))}
+            key={tab.path}
+            onClick={() => navigate({ pathname: `/${tab.path}`, search: location.search })}
             style={{
               padding: '0.75rem 1.5rem',
               background: 'none',
               border: 'none',
-              color: activeTab === tab.toLowerCase().replace(' ', '-') ? '#60a5fa' : '#94a3b8',
+              color: activeTab === tab.path ? '#60a5fa' : '#94a3b8',
               cursor: 'pointer',
-              borderBottom: activeTab === tab.toLowerCase().replace(' ', '-') ? '2px solid #60a5fa' : '2px solid transparent',
+              borderBottom: activeTab === tab.path ? '2px solid #60a5fa' : '2px solid transparent',
               transition: 'all 0.2s'
             }}
           >
-            {tab}
+            {tab.label}
           </button>
         ))}
       </nav>
@@ -83,32 +97,45 @@ function App() {
         flex: 1,
         overflow: 'auto'
       }}>
-        {/* Selection tab - athlete list only, no charts */}
-        {activeTab === 'selection' && <Dashboard mode="selection" />}
+        <Routes>
+          <Route path="/" element={<Navigate to={{ pathname: '/selection', search: location.search }} replace />} />
+
+          {/* Selection tab - athlete list only, no charts */}
+          <Route path="/selection" element={<Dashboard mode="selection" />} />
+
+          {/* Metric Explorer - bell curve analysis */}
+          <Route path="/metric-explorer" element={<FreakFinder />} />
+
+          {/* Metric Builder - custom forged formulas */}
+          <Route path="/metric-builder" element={<MetricBuilder />} />
 
-        {/* Metric Explorer - bell curve analysis */}
-        {activeTab === 'metric-explorer' && <FreakFinder />}
+          {/* Charts tab - graphs only, no data cards */}
+          <Route path="/charts" element={<Dashboard mode="charts" />} />
 
-        {/* Charts tab - graphs only, no data cards */}
-        {activeTab === 'charts' && <Dashboard mode="charts" />}
+          {/* Video Analysis renders outside the routes below so its state survives tab switches */}
+          <Route path="/video-analysis" element={null} />
+
+          {/* Data Management - CSV/XLSX import */}
+          <Route path="/data-management" element={<DataManagement />} />
+
+          <Route path="/settings" element={<Settings />} />
+
+          <Route path="*" element={
+            <div style={{ padding: '2rem' }}>
+              <h2 style={{marginBottom: '2rem', fontSize: '1.5rem'}}>
+                {activeTab.split('-').map(w => w.charAt(0).toUpperCase() + w.slice(1)).join(' ')}
+              </h2>
+              <p style={{color: '#94a3b8'}}>
+                Component for {activeTab} coming soon...
+              </p>
+            </div>
+          } />
+        </Routes>
 
         {/* Video Analysis tab - always mounted, hidden when not active to preserve state */}
         <div style={{ display: activeTab === 'video-analysis' ? 'block' : 'none', height: '100%' }}>
           <VideoAnalysis />
         </div>
-
-        {activeTab === 'settings' && <Settings />}
-
-        {!['selection', 'metric-explorer', 'charts', 'video-analysis', 'settings'].includes(activeTab) && (
-          <div style={{ padding: '2rem' }}>
-            <h2 style={{marginBottom: '2rem', fontSize: '1.5rem'}}>
-              {activeTab.split('-').map(w => w.charAt(0).toUpperCase() + w.slice(1)).join(' ')}
-            </h2>
-            <p style={{color: '#94a3b8'}}>
-              Component for {activeTab} coming soon...
-            </p>
-          </div>
-        )}
       </main>
     </div>
   );
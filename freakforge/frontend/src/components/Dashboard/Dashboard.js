@@ -1,9 +1,20 @@
 import React, { useState, useEffect, useRef, useCallback } from 'react';
 import { Chart, registerables } from 'chart.js';
 import dataService from '../../utils/dataService';
+import { formatPercentile } from '../../utils/statistics';
+import {
+  getAvailableMetrics,
+  getMetricLabel,
+  getMetricUnit
+} from '../../utils/metricRegistry';
+import { evaluateFormula, getForgedUnit } from '../../utils/forgedFormula';
+import { reportChartPlugin } from '../../utils/pdfExport';
+import { annotateComparison, exportComparison } from '../../utils/comparisonExport';
 import { useAppContext } from '../../context/AppContext';
+import CohortSelector from '../common/CohortSelector';
+import { COHORT_DIMENSIONS } from '../../utils/cohorts';
 
-Chart.register(...registerables);
+Chart.register(...registerables, reportChartPlugin);
 
 const ATHLETE_COLORS = [
   { bg: 'rgba(239, 68, 68, 0.2)', border: 'rgba(239, 68, 68, 1)', point: 'rgba(239, 68, 68, 1)', name: 'Red' },
@@ -13,17 +24,6 @@ const ATHLETE_COLORS = [
   { bg: 'rgba(139, 92, 246, 0.2)', border: 'rgba(139, 92, 246, 1)', point: 'rgba(139, 92, 246, 1)', name: 'Purple' },
 ];
 
-// Mapping from display names to athlete object keys
-const METRIC_NAME_TO_KEY = {
-  '40-Yard Dash': 'dash40',
-  'Vertical Jump': 'verticalJump',
-  'Broad Jump': 'broadJump',
-  'Pro Agility': 'proAgility',
-  'L-Drill': 'lDrill',
-  'Height': 'height',
-  'Weight': 'weight'
-};
-
 // Reusable ForgedGlyph component
 const ForgedGlyph = ({ size = '1rem', color = '#ef4444' }) => {
   const fontSize = typeof size === 'string' ? `calc(${size} * 1.2)` : `${size * 1.2}px`;
@@ -208,8 +208,7 @@ function Dashboard({ mode = 'selection' }) {
     setStatisticFilter,
     filterPaneCollapsed,
     setFilterPaneCollapsed,
-    recalcStatsFromFilters,
-    setRecalcStatsFromFilters,
+    cohort,
     confirmDialog,
     showConfirmDialog
   } = useAppContext();
@@ -219,6 +218,11 @@ function Dashboard({ mode = 'selection' }) {
       setAthletes(data.athletes);
       setStatistics(data.statistics);
     });
+    // Pick up imports and athlete edits without a reload
+    return dataService.subscribe(() => {
+      setAthletes(dataService.getAthletes());
+      setStatistics(dataService.getStatistics());
+    });
   }, []);
 
   const getUniqueValues = (field) => {
@@ -228,15 +232,21 @@ function Dashboard({ mode = 'selection' }) {
 
   // Calculate all z-scores for an athlete
   const getAthleteZScores = (athlete) => {
-    const metrics = ['dash40', 'verticalJump', 'broadJump', 'proAgility', 'lDrill', 'height', 'weight'];
+    const metrics = getAvailableMetrics(athletes).map(m => m.key);
     const zScores = [];
     metrics.forEach(key => {
       const value = athlete[key];
       if (value) {
-        const sigma = dataService.calculateSigma(key, value);
+        // The statistic filter defines the filtered population, so it can't also be scored against it
+        const sigma = dataService.calculateAthleteSigma(athlete, key, cohort.mode === 'cohort' ? cohort : undefined);
         zScores.push({ key, sigma });
       }
     });
+    // Forged axes are filter targets too
+    forgedAxes.forEach(axis => {
+      const sigma = dataService.calculateFormulaSigma(athlete, axis.formula, cohort.mode === 'cohort' ? cohort : undefined);
+      if (sigma !== null) zScores.push({ key: axis.formula, sigma });
+    });
     return zScores;
   };
 
@@ -345,18 +355,15 @@ function Dashboard({ mode = 'selection' }) {
     if (hasActiveFilters() && selectedAthletes.length > 0 && athletes.length > 0) {
       checkFilterConflicts();
     }
-  }, [filters, statisticFilter]);
-
-  const calculateFilteredSigma = (metricKey, value) => {
-    const filteredPop = getFilteredPopulation();
-    const values = filteredPop.map(a => a[metricKey]).filter(v => v !== null && v !== undefined);
-    if (values.length < 2) return dataService.calculateSigma(metricKey, value);
-    const mean = values.reduce((a, b) => a + b, 0) / values.length;
-    const variance = values.reduce((sum, val) => sum + Math.pow(val - mean, 2), 0) / values.length;
-    const std = Math.sqrt(variance);
-    if (std === 0) return 0;
-    return (value - mean) / std;
-  };
+  }, [filters, statisticFilter, forgedAxes]);
+
+  // Population for the 'filtered' baseline (null when no filters are active)
+  const getBaselinePopulation = () =>
+    (cohort.mode === 'filtered' && hasActiveFilters() ? getFilteredPopulation() : null);
+
+  // Sigma against the selected baseline (all athletes, cohort or filtered pop)
+  const getAthleteSigma = (athlete, metricKey) =>
+    dataService.calculateAthleteSigma(athlete, metricKey, cohort, getBaselinePopulation());
 
   const selectedAthleteObjects = athletes.filter(a => selectedAthletes.includes(a.id));
 
@@ -398,60 +405,34 @@ function Dashboard({ mode = 'selection' }) {
     if (metric.isPlaceholder) return 0;
 
     if (type === 'forged') {
-      const parts = metric.key.split(' / ');
-      if (parts.length !== 2) return 0;
-      const numKey = METRIC_NAME_TO_KEY[parts[0].trim()];
-      const denKey = METRIC_NAME_TO_KEY[parts[1].trim()];
-      if (!numKey || !denKey) return 0;
-      const numerator = athlete[numKey];
-      const denominator = athlete[denKey];
-      if (!numerator || !denominator) return 0;
-      const ratio = numerator / denominator;
-      const allRatios = athletes.map(a => {
-        const n = a[numKey], d = a[denKey];
-        return (n && d && d !== 0) ? n / d : null;
-      }).filter(r => r !== null).sort((a, b) => a - b);
-      if (allRatios.length === 0) return 0;
-      const rank = allRatios.filter(r => r < ratio).length;
-      return Math.round((rank / allRatios.length) * 100);
+      const percentile = dataService.calculateFormulaPercentile(athlete, metric.key, cohort, getBaselinePopulation());
+      return percentile === null ? 0 : percentile;
     }
 
     const value = athlete[metric.key];
     if (!value) return 0;
-    return dataService.calculatePercentile(metric.key, value);
+    return dataService.calculateAthletePercentile(athlete, metric.key, cohort, getBaselinePopulation());
   };
 
+  // Radar axes from the metric registry, limited to metrics present in the data
+  const getRadarMetrics = (type) =>
+    getAvailableMetrics(athletes, type).map(m => ({ key: m.key, label: getMetricLabel(m.key) }));
+
   // Stacked charts update
-  // Metric units for tooltips
-  const METRIC_UNITS = {
-    'dash40': 'sec',
-    'verticalJump': 'in',
-    'broadJump': 'in',
-    'proAgility': 'sec',
-    'lDrill': 'sec',
-    'height': 'in',
-    'weight': 'lbs'
-  };
 
   const updateAthleteChart = useCallback(() => {
     if (!chartRef.current || selectedAthletes.length === 0) return;
     const ctx = chartRef.current.getContext('2d');
     if (chartInstance.current) chartInstance.current.destroy();
 
-    let metrics = [
-      { key: 'dash40', label: '40-Yard Dash (sec)' },
-      { key: 'verticalJump', label: 'Vertical Jump (in)' },
-      { key: 'broadJump', label: 'Broad Jump (in)' },
-      { key: 'proAgility', label: 'Pro Agility (sec)' },
-      { key: 'lDrill', label: 'L-Drill (sec)' }
-    ];
+    let metrics = getRadarMetrics('athletic');
     metrics = arrangeForPentagon(metrics);
 
     const athletesToDisplay = athletes.filter(a => selectedAthletes.includes(a.id));
     const datasets = athletesToDisplay.map((athlete, index) => {
       const data = metrics.map(metric => calculateMetricData(athlete, metric, 'standard'));
       const rawValues = metrics.map(metric => metric.isPlaceholder ? null : athlete[metric.key]);
-      const units = metrics.map(metric => metric.isPlaceholder ? '' : (METRIC_UNITS[metric.key] || ''));
+      const units = metrics.map(metric => metric.isPlaceholder ? '' : getMetricUnit(metric.key));
       const colorIndex = index % ATHLETE_COLORS.length;
       const colors = ATHLETE_COLORS[colorIndex];
       const initials = `${athlete.firstName.charAt(0)}${athlete.lastName.charAt(0)}`;
@@ -489,6 +470,7 @@ function Dashboard({ mode = 'selection' }) {
         },
         plugins: {
           legend: { display: false },
+          reportChart: { id: 'standard', athleteIds: athletesToDisplay.map(a => a.id) },
           tooltip: {
             callbacks: {
               label: (ctx) => {
@@ -496,7 +478,7 @@ function Dashboard({ mode = 'selection' }) {
                 const rawValue = dataset.rawValues?.[ctx.dataIndex];
                 const unit = dataset.units?.[ctx.dataIndex] || '';
                 const initials = dataset.initials || '';
-                const percentile = Math.round(ctx.parsed.r);
+                const percentile = formatPercentile(ctx.parsed.r);
                 if (rawValue === null || rawValue === undefined) return '';
                 const valueStr = typeof rawValue === 'number' ? rawValue.toFixed(2) : rawValue;
                 return `${initials} | ${valueStr} ${unit} | %:${percentile}`;
@@ -506,21 +488,21 @@ function Dashboard({ mode = 'selection' }) {
         }
       }
     });
-  }, [athletes, selectedAthletes, statistics]);
+  }, [athletes, selectedAthletes, statistics, cohort, filters, statisticFilter]);
 
   const updatePhysicalChart = useCallback(() => {
     if (!physicalChartRef.current || selectedAthletes.length === 0) return;
     const ctx = physicalChartRef.current.getContext('2d');
     if (physicalChartInstance.current) physicalChartInstance.current.destroy();
 
-    let metrics = [{ key: 'height', label: 'Height (in)' }, { key: 'weight', label: 'Weight (lbs)' }];
+    let metrics = getRadarMetrics('personal');
     metrics = arrangeForPentagon(ensureMinimumAxes(metrics, 5));
 
     const athletesToDisplay = athletes.filter(a => selectedAthletes.includes(a.id));
     const datasets = athletesToDisplay.map((athlete, index) => {
       const data = metrics.map(metric => calculateMetricData(athlete, metric, 'attribute'));
       const rawValues = metrics.map(metric => metric.isPlaceholder ? null : athlete[metric.key]);
-      const units = metrics.map(metric => metric.isPlaceholder ? '' : (METRIC_UNITS[metric.key] || ''));
+      const units = metrics.map(metric => metric.isPlaceholder ? '' : getMetricUnit(metric.key));
       const colorIndex = index % ATHLETE_COLORS.length;
       const colors = ATHLETE_COLORS[colorIndex];
       const initials = `${athlete.firstName.charAt(0)}${athlete.lastName.charAt(0)}`;
@@ -558,6 +540,7 @@ function Dashboard({ mode = 'selection' }) {
         },
         plugins: {
           legend: { display: false },
+          reportChart: { id: 'attribute', athleteIds: athletesToDisplay.map(a => a.id) },
           tooltip: {
             callbacks: {
               label: (ctx) => {
@@ -565,7 +548,7 @@ function Dashboard({ mode = 'selection' }) {
                 const rawValue = dataset.rawValues?.[ctx.dataIndex];
                 const unit = dataset.units?.[ctx.dataIndex] || '';
                 const initials = dataset.initials || '';
-                const percentile = Math.round(ctx.parsed.r);
+                const percentile = formatPercentile(ctx.parsed.r);
                 if (rawValue === null || rawValue === undefined) return '';
                 const valueStr = typeof rawValue === 'number' ? rawValue.toFixed(2) : rawValue;
                 return `${initials} | ${valueStr} ${unit} | %:${percentile}`;
@@ -575,7 +558,7 @@ function Dashboard({ mode = 'selection' }) {
         }
       }
     });
-  }, [athletes, selectedAthletes, statistics]);
+  }, [athletes, selectedAthletes, statistics, cohort, filters, statisticFilter]);
 
   const updateForgedChart = useCallback(() => {
     if (!forgedChartRef.current || forgedAxes.length === 0) {
@@ -591,33 +574,6 @@ function Dashboard({ mode = 'selection' }) {
     let metrics = forgedAxes.map(axis => ({ key: axis.formula, label: axis.label }));
     metrics = arrangeForPentagon(ensureMinimumAxes(metrics, 5));
 
-    // Helper to calculate forged ratio value
-    const getForgedRawValue = (athlete, metricKey) => {
-      if (!metricKey || metricKey.startsWith('placeholder_')) return null;
-      const parts = metricKey.split(' / ');
-      if (parts.length !== 2) return null;
-      const numKey = METRIC_NAME_TO_KEY[parts[0].trim()];
-      const denKey = METRIC_NAME_TO_KEY[parts[1].trim()];
-      if (!numKey || !denKey) return null;
-      const numerator = athlete[numKey];
-      const denominator = athlete[denKey];
-      if (!numerator || !denominator || denominator === 0) return null;
-      return numerator / denominator;
-    };
-
-    // Helper to get forged unit string
-    const getForgedUnit = (metricKey) => {
-      if (!metricKey || metricKey.startsWith('placeholder_')) return '';
-      const parts = metricKey.split(' / ');
-      if (parts.length !== 2) return '';
-      const numKey = METRIC_NAME_TO_KEY[parts[0].trim()];
-      const denKey = METRIC_NAME_TO_KEY[parts[1].trim()];
-      const numUnit = METRIC_UNITS[numKey] || '';
-      const denUnit = METRIC_UNITS[denKey] || '';
-      if (numUnit && denUnit) return `${numUnit}/${denUnit}`;
-      return '';
-    };
-
     // Add units to labels
     metrics = metrics.map(m => {
       if (m.isPlaceholder) return m;
@@ -627,7 +583,7 @@ function Dashboard({ mode = 'selection' }) {
 
     const datasets = athletesToDisplay.map((athlete, index) => {
       const data = metrics.map(metric => calculateMetricData(athlete, metric, 'forged'));
-      const rawValues = metrics.map(metric => metric.isPlaceholder ? null : getForgedRawValue(athlete, metric.key));
+      const rawValues = metrics.map(metric => metric.isPlaceholder ? null : evaluateFormula(metric.key, athlete));
       const units = metrics.map(metric => metric.isPlaceholder ? '' : getForgedUnit(metric.key));
       const colorIndex = index % ATHLETE_COLORS.length;
       const colors = ATHLETE_COLORS[colorIndex];
@@ -674,6 +630,7 @@ function Dashboard({ mode = 'selection' }) {
         },
         plugins: {
           legend: { display: false },
+          reportChart: { id: 'forged', athleteIds: athletesToDisplay.map(a => a.id) },
           tooltip: {
             callbacks: {
               label: (ctx) => {
@@ -681,7 +638,7 @@ function Dashboard({ mode = 'selection' }) {
                 const rawValue = dataset.rawValues?.[ctx.dataIndex];
                 const unit = dataset.units?.[ctx.dataIndex] || '';
                 const initials = dataset.initials || '';
-                const percentile = Math.round(ctx.parsed.r);
+                const percentile = formatPercentile(ctx.parsed.r);
                 if (rawValue === null || rawValue === undefined) return '';
                 const valueStr = typeof rawValue === 'number' ? rawValue.toFixed(3) : rawValue;
                 return `${initials} | ${valueStr} ${unit} | %:${percentile}`;
@@ -691,7 +648,7 @@ function Dashboard({ mode = 'selection' }) {
         }
       }
     });
-  }, [athletes, selectedAthletes, forgedAxes]);
+  }, [athletes, selectedAthletes, forgedAxes, cohort, filters, statisticFilter]);
 
   // Update stacked charts
   useEffect(() => {
@@ -710,35 +667,13 @@ function Dashboard({ mode = 'selection' }) {
     if (athletesToDisplay.length === 0) return;
 
     // Prepare metrics with units
-    const standardMetrics = arrangeForPentagon([
-      { key: 'dash40', label: '40-Yard Dash (sec)' },
-      { key: 'verticalJump', label: 'Vertical Jump (in)' },
-      { key: 'broadJump', label: 'Broad Jump (in)' },
-      { key: 'proAgility', label: 'Pro Agility (sec)' },
-      { key: 'lDrill', label: 'L-Drill (sec)' }
-    ]);
-
-    const attributeMetrics = arrangeForPentagon(ensureMinimumAxes([
-      { key: 'height', label: 'Height (in)' },
-      { key: 'weight', label: 'Weight (lbs)' }
-    ], 5));
-
-    // Helper to get forged unit string for iso charts
-    const getForgedUnitForLabel = (metricKey) => {
-      if (!metricKey || metricKey.startsWith('placeholder_')) return '';
-      const parts = metricKey.split(' / ');
-      if (parts.length !== 2) return '';
-      const numKey = METRIC_NAME_TO_KEY[parts[0].trim()];
-      const denKey = METRIC_NAME_TO_KEY[parts[1].trim()];
-      const numUnit = METRIC_UNITS[numKey] || '';
-      const denUnit = METRIC_UNITS[denKey] || '';
-      if (numUnit && denUnit) return `${numUnit}/${denUnit}`;
-      return '';
-    };
+    const standardMetrics = arrangeForPentagon(getRadarMetrics('athletic'));
+
+    const attributeMetrics = arrangeForPentagon(ensureMinimumAxes(getRadarMetrics('personal'), 5));
 
     const forgedMetrics = arrangeForPentagon(ensureMinimumAxes(
       forgedAxes.map(axis => {
-        const unit = getForgedUnitForLabel(axis.formula);
+        const unit = getForgedUnit(axis.formula);
         return { key: axis.formula, label: unit ? `${axis.label} (${unit})` : axis.label };
       }),
       5
@@ -766,34 +701,11 @@ function Dashboard({ mode = 'selection' }) {
       // Calculate raw values based on type
       let rawValues, units;
       if (type === 'forged') {
-        const getForgedRawValue = (metricKey) => {
-          if (!metricKey || metricKey.startsWith('placeholder_')) return null;
-          const parts = metricKey.split(' / ');
-          if (parts.length !== 2) return null;
-          const numKey = METRIC_NAME_TO_KEY[parts[0].trim()];
-          const denKey = METRIC_NAME_TO_KEY[parts[1].trim()];
-          if (!numKey || !denKey) return null;
-          const numerator = athlete[numKey];
-          const denominator = athlete[denKey];
-          if (!numerator || !denominator || denominator === 0) return null;
-          return numerator / denominator;
-        };
-        const getForgedUnit = (metricKey) => {
-          if (!metricKey || metricKey.startsWith('placeholder_')) return '';
-          const parts = metricKey.split(' / ');
-          if (parts.length !== 2) return '';
-          const numKey = METRIC_NAME_TO_KEY[parts[0].trim()];
-          const denKey = METRIC_NAME_TO_KEY[parts[1].trim()];
-          const numUnit = METRIC_UNITS[numKey] || '';
-          const denUnit = METRIC_UNITS[denKey] || '';
-          if (numUnit && denUnit) return `${numUnit}/${denUnit}`;
-          return '';
-        };
-        rawValues = metrics.map(metric => metric.isPlaceholder ? null : getForgedRawValue(metric.key));
+        rawValues = metrics.map(metric => metric.isPlaceholder ? null : evaluateFormula(metric.key, athlete));
         units = metrics.map(metric => metric.isPlaceholder ? '' : getForgedUnit(metric.key));
       } else {
         rawValues = metrics.map(metric => metric.isPlaceholder ? null : athlete[metric.key]);
-        units = metrics.map(metric => metric.isPlaceholder ? '' : (METRIC_UNITS[metric.key] || ''));
+        units = metrics.map(metric => metric.isPlaceholder ? '' : getMetricUnit(metric.key));
       }
 
       isoChartInstances.current[key] = new Chart(ctx, {
@@ -831,6 +743,7 @@ function Dashboard({ mode = 'selection' }) {
           },
           plugins: {
             legend: { display: false },
+            reportChart: { id: key, athleteIds: [athlete.id] },
             tooltip: {
               callbacks: {
                 label: (ctx) => {
@@ -838,7 +751,7 @@ function Dashboard({ mode = 'selection' }) {
                   const rawValue = dataset.rawValues?.[ctx.dataIndex];
                   const unit = dataset.units?.[ctx.dataIndex] || '';
                   const initials = dataset.initials || '';
-                  const percentile = Math.round(ctx.parsed.r);
+                  const percentile = formatPercentile(ctx.parsed.r);
                   if (rawValue === null || rawValue === undefined) return '';
                   const decimals = type === 'forged' ? 3 : 2;
                   const valueStr = typeof rawValue === 'number' ? rawValue.toFixed(decimals) : rawValue;
@@ -874,7 +787,7 @@ function Dashboard({ mode = 'selection' }) {
       });
       isoChartInstances.current = {};
     };
-  }, [mode, selectedAthletes, athletes, standardViewMode, attributeViewMode, forgedViewMode, forgedAxes]);
+  }, [mode, selectedAthletes, athletes, standardViewMode, attributeViewMode, forgedViewMode, forgedAxes, cohort, filters, statisticFilter]);
 
   const filteredAthletes = searchQuery ? dataService.searchAthletes(searchQuery) : athletes;
 
@@ -885,13 +798,19 @@ function Dashboard({ mode = 'selection' }) {
     : filteredAthletes;
   const unselectedAthletes = displayAthletes.filter(a => !selectedAthletes.includes(a.id));
 
+  const baselineCaption = cohort.mode === 'cohort'
+    ? `Each Athlete's Cohort (${cohort.dimensions.length > 0 ? COHORT_DIMENSIONS.filter(d => cohort.dimensions.includes(d.key)).map(d => d.label).join(' + ') : 'none selected'})`
+    : cohort.mode === 'filtered' && hasActiveFilters()
+      ? `${filteredPopulation.length} Filtered Athletes`
+      : `${athletes.length} Athletes`;
+
   const calculateSigmaBands = (athlete) => {
-    const metrics = [{ key: 'dash40' }, { key: 'verticalJump' }, { key: 'broadJump' }, { key: 'proAgility' }, { key: 'lDrill' }, { key: 'height' }, { key: 'weight' }];
+    const metrics = getAvailableMetrics(athletes);
     const bands = { minus3: 0, minus2: 0, minus1: 0, zero: 0, plus1: 0, plus2: 0, plus3: 0 };
     metrics.forEach(m => {
       const value = athlete[m.key];
       if (!value) return;
-      const sigma = dataService.calculateSigma(m.key, value);
+      const sigma = getAthleteSigma(athlete, m.key);
       if (sigma < -3) bands.minus3++;
       else if (sigma < -2) bands.minus2++;
       else if (sigma < -1) bands.minus1++;
@@ -1126,18 +1045,10 @@ function Dashboard({ mode = 'selection' }) {
               </span>
             </label>
 
-            {/* Recalc stats toggle */}
-            <label style={{ display: 'flex', alignItems: 'center', gap: '0.4rem', cursor: 'pointer', fontSize: '0.7rem', marginTop: '0.5rem', paddingTop: '0.5rem', borderTop: '1px solid #374151' }}>
-              <input
-                type="checkbox"
-                checked={recalcStatsFromFilters}
-                onChange={() => setRecalcStatsFromFilters(!recalcStatsFromFilters)}
-                style={{ cursor: 'pointer', accentColor: '#fbbf24' }}
-              />
-              <span style={{ color: recalcStatsFromFilters ? '#22c55e' : '#9ca3af' }}>
-                Recalc σ from filtered pop
-              </span>
-            </label>
+            {/* #4: Sigma baseline (replaces the old recalc-from-filters toggle) */}
+            <div style={{ marginTop: '0.5rem', paddingTop: '0.5rem', borderTop: '1px solid #374151' }}>
+              <CohortSelector filtersActive={hasActiveFilters()} />
+            </div>
           </div>
         </div>
 
@@ -1248,35 +1159,98 @@ function Dashboard({ mode = 'selection' }) {
     </div>
   );
 
+  // Comparison sections shared by the table and its exports
+  const buildComparisonSections = () => {
+    const toRow = (m) => ({ key: m.key, label: m.name, unit: m.unit, format: m.format });
+    const sections = [
+      { id: 'attribute', title: 'Attribute Data', metrics: getAvailableMetrics(athletes, 'personal').map(toRow) },
+      { id: 'standard', title: 'Standard Data', metrics: getAvailableMetrics(athletes, 'athletic').map(toRow) },
+      { id: 'forged', title: 'Forged Data', metrics: forgedAxes.map(axis => ({ key: axis.formula, label: axis.label, unit: getForgedUnit(axis.formula), isForged: true })) }
+    ];
+
+    return sections.map(section => ({
+      id: section.id,
+      title: section.title,
+      rows: section.metrics.map(metric => ({
+        key: metric.key,
+        label: metric.label,
+        unit: metric.unit,
+        cells: selectedAthleteObjects.map(athlete => {
+          const value = metric.isForged ? evaluateFormula(metric.key, athlete) : athlete[metric.key];
+          const sigma = !value ? null : metric.isForged
+            ? dataService.calculateFormulaSigma(athlete, metric.key, cohort, getBaselinePopulation())
+            : getAthleteSigma(athlete, metric.key);
+          return {
+            athleteId: athlete.id,
+            value: value || null,
+            display: value ? (metric.format ? metric.format(value) : formatValue(value, metric.unit)) : 'N/A',
+            sigma
+          };
+        })
+      }))
+    }));
+  };
+
+  const handleExportComparison = (format) => {
+    const toRadar = (title, metrics, type) => ({
+      title,
+      labels: metrics.map(m => m.label),
+      datasets: selectedAthleteObjects.map(athlete => ({
+        athleteId: athlete.id,
+        data: metrics.map(metric => calculateMetricData(athlete, metric, type))
+      }))
+    });
+    const forgedMetrics = forgedAxes.map(axis => {
+      const unit = getForgedUnit(axis.formula);
+      return { key: axis.formula, label: unit ? `${axis.label} (${unit})` : axis.label };
+    });
+
+    exportComparison({
+      athletes: selectedAthleteObjects.map((athlete, index) => ({
+        id: athlete.id,
+        name: `${athlete.firstName} ${athlete.lastName}`,
+        position: athlete.position,
+        state: athlete.state,
+        gradYear: athlete.gradYear,
+        color: ATHLETE_COLORS[index % ATHLETE_COLORS.length]
+      })),
+      baselineLabel: baselineCaption,
+      sections: buildComparisonSections(),
+      radars: [
+        toRadar('Standard Radar', arrangeForPentagon(getRadarMetrics('athletic')), 'standard'),
+        toRadar('Attribute Radar', arrangeForPentagon(ensureMinimumAxes(getRadarMetrics('personal'), 5)), 'attribute'),
+        ...(forgedMetrics.length > 0 ? [toRadar('Forged Radar', arrangeForPentagon(ensureMinimumAxes(forgedMetrics, 5)), 'forged')] : [])
+      ]
+    }, format);
+  };
+
   const renderComparisonTable = () => {
     if (selectedAthleteObjects.length < 1) return null;
 
-    const attributeMetrics = [
-      { key: 'height', label: 'Height', unit: 'in', format: (v) => `${Math.floor(v / 12)}'${v % 12}"` },
-      { key: 'weight', label: 'Weight', unit: 'lbs' }
-    ];
-
-    const standardMetrics = [
-      { key: 'dash40', label: '40-Yard Dash', unit: 'sec' },
-      { key: 'verticalJump', label: 'Vertical Jump', unit: 'in' },
-      { key: 'broadJump', label: 'Broad Jump', unit: 'in' },
-      { key: 'proAgility', label: 'Pro Agility', unit: 'sec' },
-      { key: 'lDrill', label: 'L-Drill', unit: 'sec' }
-    ];
+    const { sections } = annotateComparison({ sections: buildComparisonSections() });
+    const sectionHeadings = {
+      attribute: '▲ Attribute Data',
+      standard: '● Standard Data',
+      forged: <><ForgedGlyph size="0.85rem" color="#fbbf24" /> Forged Data</>
+    };
 
-    const renderMetricRow = (metric, format) => (
-      <tr key={metric.key} style={{ borderBottom: '1px solid #374151' }}>
-        <td style={{ padding: '0.5rem', color: '#fbbf24' }}>{metric.label}</td>
-        {selectedAthleteObjects.map((athlete) => {
-          const value = athlete[metric.key];
-          const displayValue = value ? (format ? format(value) : formatValue(value, metric.unit)) : 'N/A';
-          const sigma = value ? (hasActiveFilters() ? calculateFilteredSigma(metric.key, value) : dataService.calculateSigma(metric.key, value)) : null;
+    const renderMetricRow = (row) => (
+      <tr key={row.key} style={{ borderBottom: '1px solid #374151' }}>
+        <td style={{ padding: '0.5rem', color: '#fbbf24' }}>{row.label}</td>
+        {row.cells.map(cell => {
+          const { sigma } = cell;
+          const isBest = row.bestAthleteId === cell.athleteId;
           return (
-            <td key={athlete.id} style={{ padding: '0.5rem', textAlign: 'center' }}>
+            <td
+              key={cell.athleteId}
+              title={isBest ? 'Best in group' : cell.delta !== null ? `${cell.delta > 0 ? '+' : ''}${cell.delta.toFixed(2)}σ vs. best` : ''}
+              style={{ padding: '0.5rem', textAlign: 'center', background: isBest ? 'rgba(16, 185, 129, 0.12)' : 'transparent' }}
+            >
               <div style={{ display: 'flex', justifyContent: 'center', alignItems: 'center', gap: '0.5rem' }}>
-                <span style={{ color: '#fbbf24', minWidth: '50px', textAlign: 'right' }}>{displayValue}</span>
+                <span style={{ color: '#fbbf24', minWidth: '50px', textAlign: 'right' }}>{cell.display}</span>
                 <span style={{ color: sigma !== null ? (sigma > 0 ? '#10b981' : '#ef4444') : '#6b7280', fontSize: '0.85rem', minWidth: '60px', textAlign: 'left', fontFamily: 'monospace' }}>
                   {sigma !== null ? `(${sigma > 0 ? '+' : ''}${sigma.toFixed(1)}σ)` : ''}
+                  {isBest && <span style={{ color: '#fbbf24' }}> ★</span>}
                 </span>
               </div>
             </td>
@@ -1285,9 +1259,19 @@ function Dashboard({ mode = 'selection' }) {
       </tr>
     );
 
+    const exportButtonStyle = { padding: '0.3rem 0.6rem', background: '#7c2d12', border: '1px solid #ea580c', borderRadius: '0.25rem', color: '#fbbf24', fontSize: '0.75rem', fontWeight: '600', cursor: 'pointer' };
+
     return (
       <div style={{ background: '#1e293b', padding: '1rem', borderRadius: '0.5rem', marginBottom: '1rem', borderLeft: '4px solid #fbbf24' }}>
-        <h3 style={{ marginBottom: '1rem', fontSize: '1rem', color: '#fb923c' }}> Athlete Comparison</h3>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '1rem' }}>
+          <h3 style={{ fontSize: '1rem', color: '#fb923c' }}> Athlete Comparison</h3>
+          <div style={{ display: 'flex', gap: '0.4rem', alignItems: 'center' }}>
+            <span style={{ color: '#64748b', fontSize: '0.7rem' }}>★ best in group · Export:</span>
+            <button onClick={() => handleExportComparison('pdf')} style={exportButtonStyle}>PDF</button>
+            <button onClick={() => handleExportComparison('csv')} style={exportButtonStyle}>CSV</button>
+            <button onClick={() => handleExportComparison('html')} style={exportButtonStyle}>HTML</button>
+          </div>
+        </div>
         <div style={{ overflowX: 'auto' }}>
           <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.85rem' }}>
             <thead>
@@ -1295,17 +1279,27 @@ function Dashboard({ mode = 'selection' }) {
                 <th style={{ padding: '0.5rem', textAlign: 'left', color: '#a16207', width: '140px' }}>Metric</th>
                 {selectedAthleteObjects.map((athlete, index) => {
                   const colors = ATHLETE_COLORS[index % ATHLETE_COLORS.length];
-                  return (<th key={athlete.id} style={{ padding: '0.5rem', textAlign: 'center', color: colors.border, minWidth: '120px' }}>{athlete.firstName} {athlete.lastName.charAt(0)}.</th>);
+                  const baseline = dataService.getBaseline(athlete, cohort, getBaselinePopulation());
+                  return (
+                    <th key={athlete.id} style={{ padding: '0.5rem', textAlign: 'center', color: colors.border, minWidth: '120px' }}>
+                      {athlete.firstName} {athlete.lastName.charAt(0)}.
+                      <div style={{ fontSize: '0.65rem', fontWeight: '400', color: baseline.isFallback ? '#ef4444' : '#64748b' }} title={baseline.isFallback ? 'Cohort too small - using all athletes' : ''}>
+                        σ vs. {baseline.label}
+                      </div>
+                    </th>
+                  );
                 })}
               </tr>
             </thead>
             <tbody>
-              <tr><td colSpan={selectedAthleteObjects.length + 1} style={{ padding: '0.75rem 0.5rem 0.25rem', color: '#fbbf24', fontWeight: '700', fontSize: '0.85rem' }}>▲ Attribute Data</td></tr>
-              {attributeMetrics.map(m => renderMetricRow(m, m.format))}
-              <tr><td colSpan={selectedAthleteObjects.length + 1} style={{ padding: '0.75rem 0.5rem 0.25rem', color: '#fbbf24', fontWeight: '700', fontSize: '0.85rem' }}>● Standard Data</td></tr>
-              {standardMetrics.map(m => renderMetricRow(m))}
-              <tr><td colSpan={selectedAthleteObjects.length + 1} style={{ padding: '0.75rem 0.5rem 0.25rem', color: '#fbbf24', fontWeight: '700', fontSize: '0.85rem', display: 'flex', alignItems: 'center', gap: '0.25rem' }}><ForgedGlyph size="0.85rem" color="#fbbf24" /> Forged Data</td></tr>
-              <tr><td colSpan={selectedAthleteObjects.length + 1} style={{ padding: '0.5rem', color: '#64748b', fontSize: '0.8rem' }}>Select metrics in Metric Explorer to add forged ratios</td></tr>
+              {sections.map(section => (
+                <React.Fragment key={section.id}>
+                  <tr><td colSpan={selectedAthleteObjects.length + 1} style={{ padding: '0.75rem 0.5rem 0.25rem', color: '#fbbf24', fontWeight: '700', fontSize: '0.85rem', ...(section.id === 'forged' ? { display: 'flex', alignItems: 'center', gap: '0.25rem' } : {}) }}>{sectionHeadings[section.id]}</td></tr>
+                  {section.rows.length > 0 || section.id !== 'forged'
+                    ? section.rows.map(renderMetricRow)
+                    : <tr><td colSpan={selectedAthleteObjects.length + 1} style={{ padding: '0.5rem', color: '#64748b', fontSize: '0.8rem' }}>Select metrics in Metric Explorer to add forged ratios</td></tr>}
+                </React.Fragment>
+              ))}
             </tbody>
           </table>
         </div>
@@ -1416,6 +1410,11 @@ function Dashboard({ mode = 'selection' }) {
       <div style={{ flex: 1, padding: '1rem', overflowY: 'auto' }}>
         {selectedAthleteObjects.length > 0 ? (
           <>
+            {/* #4: Sigma baseline */}
+            <div style={{ background: '#1e293b', padding: '0.75rem 1rem', borderRadius: '0.5rem', marginBottom: '1rem', maxWidth: '420px' }}>
+              <CohortSelector filtersActive={hasActiveFilters()} />
+            </div>
+
             {/* Standard Radar pane */}
             <div style={{ background: '#1e293b', padding: '1rem', borderRadius: '0.5rem', marginBottom: '1rem', borderLeft: '4px solid #fbbf24' }}>
               <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '0.5rem' }}>
@@ -1430,7 +1429,7 @@ function Dashboard({ mode = 'selection' }) {
                       <canvas ref={chartRef} style={{ maxWidth: '100%', maxHeight: '100%' }}></canvas>
                     </div>
                   </div>
-                  <div style={{ marginTop: '0.5rem', fontSize: '0.75rem', color: '#a16207', textAlign: 'center' }}>Percentile vs. {athletes.length} Athletes</div>
+                  <div style={{ marginTop: '0.5rem', fontSize: '0.75rem', color: '#a16207', textAlign: 'center' }}>Percentile vs. {baselineCaption}</div>
                 </>
               ) : (
                 renderIsoCharts('standard', athletesToDisplay)
@@ -1451,7 +1450,7 @@ function Dashboard({ mode = 'selection' }) {
                       <canvas ref={physicalChartRef} style={{ maxWidth: '100%', maxHeight: '100%' }}></canvas>
                     </div>
                   </div>
-                  <div style={{ marginTop: '0.5rem', fontSize: '0.75rem', color: '#a16207', textAlign: 'center' }}>Percentile vs. {athletes.length} Athletes</div>
+                  <div style={{ marginTop: '0.5rem', fontSize: '0.75rem', color: '#a16207', textAlign: 'center' }}>Percentile vs. {baselineCaption}</div>
                 </>
               ) : (
                 renderIsoCharts('attribute', athletesToDisplay)
@@ -1486,7 +1485,7 @@ function Dashboard({ mode = 'selection' }) {
                         <canvas ref={forgedChartRef} style={{ maxWidth: '100%', maxHeight: '100%' }}></canvas>
                       </div>
                     </div>
-                    <div style={{ marginTop: '0.5rem', fontSize: '0.75rem', color: '#a16207', textAlign: 'center' }}>Percentile vs. {athletes.length} Athletes</div>
+                    <div style={{ marginTop: '0.5rem', fontSize: '0.75rem', color: '#a16207', textAlign: 'center' }}>Percentile vs. {baselineCaption}</div>
                   </>
                 ) : (
                   renderIsoCharts('forged', athletesToDisplay)
@@ -0,0 +1,469 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { useAppContext } from '../../context/AppContext';
+import dataService from '../../utils/dataService';
+import {
+  ATHLETE_FIELDS,
+  readImportFile,
+  guessColumnMapping,
+  transformRows,
+  calculateMetricStatistics,
+  assignAthleteIds
+} from '../../utils/dataImport';
+
+const PREVIEW_ROW_LIMIT = 10;
+const ERROR_ROW_LIMIT = 100;
+
+const sectionStyle = {
+  background: '#1e293b',
+  padding: '1.5rem',
+  borderRadius: '0.5rem',
+  marginBottom: '1.5rem',
+  borderLeft: '4px solid #78350f'
+};
+
+const headingStyle = { fontSize: '1.2rem', marginBottom: '1rem', color: '#fb923c' };
+
+const cellStyle = { padding: '0.4rem 0.6rem', borderBottom: '1px solid #334155', fontSize: '0.8rem' };
+
+const formatCell = (value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (typeof value === 'number') return Number.isInteger(value) ? value : value.toFixed(2);
+  return value;
+};
+
+function DataManagement() {
+  const { setSelectedAthletes } = useAppContext();
+
+  const [fileInfo, setFileInfo] = useState(null);
+  const [columns, setColumns] = useState([]);
+  const [rawRows, setRawRows] = useState([]);
+  const [mapping, setMapping] = useState({});
+  const [readError, setReadError] = useState(null);
+  const [isReading, setIsReading] = useState(false);
+  const [skipErrorRows, setSkipErrorRows] = useState(false);
+  const [importMode, setImportMode] = useState('replace');
+  const [lastImport, setLastImport] = useState(null);
+  const [dataset, setDataset] = useState({ count: 0, source: null });
+
+  useEffect(() => {
+    const syncDataset = () => {
+      setDataset({ count: dataService.getAthletes().length, source: dataService.getSource() });
+    };
+    dataService.loadData().then(syncDataset);
+    return dataService.subscribe(syncDataset);
+  }, []);
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    setIsReading(true);
+    setReadError(null);
+    setLastImport(null);
+
+    try {
+      const { columns: cols, rows, sheetName } = await readImportFile(file);
+      setColumns(cols);
+      setRawRows(rows);
+      setMapping(guessColumnMapping(cols));
+      setFileInfo({ name: file.name, sheetName, size: file.size });
+    } catch (err) {
+      console.error('Error reading import file:', err);
+      setReadError(err.message);
+      setColumns([]);
+      setRawRows([]);
+      setFileInfo(null);
+    } finally {
+      setIsReading(false);
+      e.target.value = '';
+    }
+  };
+
+  // Re-parse whenever the mapping changes so errors preview live
+  const parsed = useMemo(() => {
+    if (rawRows.length === 0) return null;
+    return transformRows(rawRows, mapping);
+  }, [rawRows, mapping]);
+
+  const summary = useMemo(() => {
+    if (!parsed) return null;
+    const kept = parsed.rowResults.filter(r => !r.skipped);
+    return {
+      total: parsed.rowResults.length,
+      kept: kept.length,
+      withErrors: kept.filter(r => r.errors.length > 0).length,
+      skipped: parsed.rowResults.length - kept.length
+    };
+  }, [parsed]);
+
+  const importableAthletes = useMemo(() => {
+    if (!parsed) return [];
+    return parsed.rowResults
+      .filter(r => !r.skipped && !(skipErrorRows && r.errors.length > 0))
+      .map(r => r.athlete);
+  }, [parsed, skipErrorRows]);
+
+  const missingRequired = ATHLETE_FIELDS.filter(f => f.required && !mapping[f.key]);
+
+  const loadIntoApp = async () => {
+    const existing = importMode === 'append' ? dataService.getAthletes() : [];
+    const startId = existing.reduce((max, a) => Math.max(max, a.id), 0) + 1;
+    const athletes = [...existing, ...assignAthleteIds(importableAthletes, startId)];
+    const statistics = calculateMetricStatistics(athletes);
+
+    await dataService.setData(athletes, statistics, {
+      name: fileInfo.name,
+      importedAt: new Date().toISOString()
+    }, { append: importMode === 'append' });
+
+    // Ids are reassigned on replace, so old selections no longer point at the same athletes
+    if (importMode === 'replace') {
+      setSelectedAthletes([]);
+    }
+
+    setLastImport({ count: importableAthletes.length, total: athletes.length, statistics });
+  };
+
+  const handleLoad = () => {
+    if (importMode === 'replace' &&
+        !window.confirm(`Replace the current ${dataset.count} athletes with ${importableAthletes.length} imported athletes? Selected athletes will be cleared.`)) {
+      return;
+    }
+    loadIntoApp();
+  };
+
+  const handleRestoreSample = async () => {
+    if (!window.confirm('Discard the stored dataset and saved performance history, and reload the sample athletes?')) {
+      return;
+    }
+    await dataService.resetData();
+    setSelectedAthletes([]);
+    setLastImport(null);
+  };
+
+  const handleMappingChange = (fieldKey, column) => {
+    setMapping(prev => ({ ...prev, [fieldKey]: column }));
+  };
+
+  const errorRows = parsed ? parsed.rowResults.filter(r => !r.skipped && r.errors.length > 0) : [];
+  const mappedFields = ATHLETE_FIELDS.filter(f => mapping[f.key]);
+
+  return (
+    <div style={{
+      height: '100%',
+      overflowY: 'auto',
+      padding: '2rem',
+      maxWidth: '1400px',
+      margin: '0 auto'
+    }}>
+      <h2 style={{ fontSize: '1.8rem', marginBottom: '0.5rem', color: '#fb923c' }}>
+        Data Management
+      </h2>
+      <p style={{ color: '#a16207', marginBottom: '1.5rem' }}>
+        Import combine results from CSV or Excel. Map source columns onto the athlete schema, review parse errors, then load the data into the app.
+      </p>
+
+      {/* Current dataset */}
+      <div style={sectionStyle}>
+        <h3 style={headingStyle}>Current Dataset</h3>
+        <div style={{ color: '#fbbf24', fontSize: '0.9rem' }}>
+          {dataset.count} athletes
+          {dataset.source && (
+            <span style={{ color: '#a16207' }}>
+              {' '}• {dataset.source.name}
+              {dataset.source.importedAt && ` • imported ${new Date(dataset.source.importedAt).toLocaleString()}`}
+            </span>
+          )}
+        </div>
+        <div style={{ color: '#a16207', fontSize: '0.8rem', marginTop: '0.35rem' }}>
+          {dataService.persistent
+            ? 'Stored in this browser (IndexedDB) — edits and saved video analyses survive reloads.'
+            : 'Browser storage unavailable — changes last until the page is reloaded.'}
+        </div>
+        <button
+          onClick={handleRestoreSample}
+          style={{
+            marginTop: '1rem',
+            padding: '0.6rem 1.2rem',
+            background: '#7c2d12',
+            border: '2px solid #dc2626',
+            borderRadius: '0.5rem',
+            color: '#fbbf24',
+            fontSize: '0.9rem',
+            fontWeight: '600',
+            cursor: 'pointer'
+          }}
+        >
+          Restore Sample Data
+        </button>
+      </div>
+
+      {/* File upload */}
+      <div style={sectionStyle}>
+        <h3 style={headingStyle}>1. Choose File</h3>
+        <label style={{
+          display: 'inline-block',
+          padding: '0.6rem 1.2rem',
+          background: '#422006',
+          border: '2px solid #78350f',
+          borderRadius: '0.5rem',
+          color: '#fbbf24',
+          fontSize: '0.9rem',
+          fontWeight: '600',
+          cursor: 'pointer'
+        }}>
+          {isReading ? 'Reading...' : 'Upload CSV / XLSX'}
+          <input
+            type="file"
+            accept=".csv,.xlsx,.xls,text/csv,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet,application/vnd.ms-excel"
+            onChange={handleFileChange}
+            disabled={isReading}
+            style={{ display: 'none' }}
+          />
+        </label>
+
+        {fileInfo && (
+          <span style={{ marginLeft: '1rem', color: '#a16207', fontSize: '0.85rem' }}>
+            {fileInfo.name} • sheet "{fileInfo.sheetName}" • {rawRows.length} rows • {columns.length} columns
+          </span>
+        )}
+
+        {readError && (
+          <div style={{ marginTop: '1rem', color: '#ef4444', fontSize: '0.85rem' }}>
+            Could not read file: {readError}
+          </div>
+        )}
+      </div>
+
+      {/* Column mapping */}
+      {columns.length > 0 && (
+        <div style={sectionStyle}>
+          <h3 style={headingStyle}>2. Map Columns</h3>
+          <div style={{
+            display: 'grid',
+            gridTemplateColumns: 'repeat(auto-fill, minmax(280px, 1fr))',
+            gap: '0.5rem 1.5rem'
+          }}>
+            {ATHLETE_FIELDS.map(field => (
+              <label key={field.key} style={{
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'space-between',
+                gap: '0.5rem',
+                fontSize: '0.85rem',
+                color: mapping[field.key] ? '#fbbf24' : '#64748b'
+              }}>
+                <span>
+                  {field.label}
+                  {field.required && <span style={{ color: '#ef4444' }}> *</span>}
+                </span>
+                <select
+                  value={mapping[field.key] || ''}
+                  onChange={(e) => handleMappingChange(field.key, e.target.value)}
+                  style={{
+                    width: '150px',
+                    padding: '0.3rem',
+                    background: '#0f172a',
+                    border: '1px solid #78350f',
+                    borderRadius: '0.25rem',
+                    color: '#fbbf24',
+                    fontSize: '0.8rem'
+                  }}
+                >
+                  <option value="">— not mapped —</option>
+                  {columns.map(col => (
+                    <option key={col} value={col}>{col}</option>
+                  ))}
+                </select>
+              </label>
+            ))}
+          </div>
+          <div style={{ marginTop: '0.75rem', fontSize: '0.75rem', color: '#a16207' }}>
+            Heights and wingspans accept formats like 6' 0, 5' 11, 6'2", 6-2 or plain inches.
+          </div>
+        </div>
+      )}
+
+      {/* Preview */}
+      {parsed && summary && (
+        <div style={sectionStyle}>
+          <h3 style={headingStyle}>3. Preview</h3>
+
+          <div style={{ display: 'flex', gap: '1.5rem', flexWrap: 'wrap', marginBottom: '1rem', fontSize: '0.9rem' }}>
+            <span style={{ color: '#10b981' }}>{summary.kept - summary.withErrors} clean rows</span>
+            <span style={{ color: summary.withErrors > 0 ? '#ef4444' : '#64748b' }}>{summary.withErrors} rows with errors</span>
+            <span style={{ color: '#64748b' }}>{summary.skipped} rows skipped (no metrics)</span>
+          </div>
+
+          {/* Parsed rows */}
+          <div style={{ overflowX: 'auto', marginBottom: '1rem' }}>
+            <table style={{ width: '100%', borderCollapse: 'collapse', color: '#fbbf24' }}>
+              <thead>
+                <tr style={{ background: '#0f172a' }}>
+                  <th style={{ ...cellStyle, textAlign: 'left', color: '#a16207' }}>Row</th>
+                  {mappedFields.map(f => (
+                    <th key={f.key} style={{ ...cellStyle, textAlign: 'left', color: '#a16207', whiteSpace: 'nowrap' }}>{f.label}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {parsed.rowResults.slice(0, PREVIEW_ROW_LIMIT).map(r => (
+                  <tr key={r.rowNumber} style={{
+                    background: r.errors.length > 0 ? 'rgba(239, 68, 68, 0.1)' : 'transparent',
+                    opacity: r.skipped ? 0.4 : 1
+                  }}>
+                    <td style={cellStyle}>{r.rowNumber}</td>
+                    {mappedFields.map(f => (
+                      <td key={f.key} style={cellStyle}>{formatCell(r.athlete[f.key])}</td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {parsed.rowResults.length > PREVIEW_ROW_LIMIT && (
+              <div style={{ fontSize: '0.75rem', color: '#64748b', marginTop: '0.5rem' }}>
+                Showing first {PREVIEW_ROW_LIMIT} of {parsed.rowResults.length} rows
+              </div>
+            )}
+          </div>
+
+          {/* Per-row parse errors */}
+          {errorRows.length > 0 && (
+            <div style={{
+              background: '#0f172a',
+              border: '1px solid #7f1d1d',
+              borderRadius: '0.375rem',
+              padding: '0.75rem',
+              maxHeight: '240px',
+              overflowY: 'auto'
+            }}>
+              <div style={{ color: '#ef4444', fontWeight: '600', fontSize: '0.85rem', marginBottom: '0.5rem' }}>
+                Parse Errors
+              </div>
+              {errorRows.slice(0, ERROR_ROW_LIMIT).map(r => (
+                <div key={r.rowNumber} style={{ fontSize: '0.8rem', color: '#fca5a5', marginBottom: '0.25rem' }}>
+                  <span style={{ color: '#fbbf24' }}>Row {r.rowNumber}</span>
+                  {(r.athlete.firstName || r.athlete.lastName) && (
+                    <span style={{ color: '#a16207' }}> ({r.athlete.firstName} {r.athlete.lastName})</span>
+                  )}
+                  : {r.errors.join('; ')}
+                </div>
+              ))}
+              {errorRows.length > ERROR_ROW_LIMIT && (
+                <div style={{ fontSize: '0.75rem', color: '#64748b' }}>
+                  ...and {errorRows.length - ERROR_ROW_LIMIT} more rows with errors
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Load */}
+      {parsed && (
+        <div style={sectionStyle}>
+          <h3 style={headingStyle}>4. Load</h3>
+
+          <div style={{ display: 'flex', gap: '1.5rem', flexWrap: 'wrap', alignItems: 'center', marginBottom: '1rem' }}>
+            {[
+              { id: 'replace', label: 'Replace current data' },
+              { id: 'append', label: 'Append to current data' }
+            ].map(mode => (
+              <label key={mode.id} style={{
+                display: 'flex',
+                alignItems: 'center',
+                gap: '0.4rem',
+                cursor: 'pointer',
+                color: importMode === mode.id ? '#fbbf24' : '#64748b',
+                fontSize: '0.85rem'
+              }}>
+                <input
+                  type="radio"
+                  name="import-mode"
+                  checked={importMode === mode.id}
+                  onChange={() => setImportMode(mode.id)}
+                  style={{ cursor: 'pointer', accentColor: '#ea580c' }}
+                />
+                {mode.label}
+              </label>
+            ))}
+
+            <label style={{
+              display: 'flex',
+              alignItems: 'center',
+              gap: '0.4rem',
+              cursor: 'pointer',
+              color: skipErrorRows ? '#fbbf24' : '#64748b',
+              fontSize: '0.85rem'
+            }}>
+              <input
+                type="checkbox"
+                checked={skipErrorRows}
+                onChange={(e) => setSkipErrorRows(e.target.checked)}
+                style={{ cursor: 'pointer', accentColor: '#ea580c' }}
+              />
+              Skip rows with errors (otherwise bad cells are left empty)
+            </label>
+          </div>
+
+          {missingRequired.length > 0 && (
+            <div style={{ color: '#ef4444', fontSize: '0.85rem', marginBottom: '1rem' }}>
+              Map required fields before loading: {missingRequired.map(f => f.label).join(', ')}
+            </div>
+          )}
+
+          <button
+            onClick={handleLoad}
+            disabled={missingRequired.length > 0 || importableAthletes.length === 0}
+            style={{
+              padding: '0.6rem 1.2rem',
+              background: missingRequired.length > 0 || importableAthletes.length === 0 ? '#334155' : '#ea580c',
+              border: 'none',
+              borderRadius: '0.5rem',
+              color: '#fff',
+              fontSize: '0.9rem',
+              fontWeight: '600',
+              cursor: missingRequired.length > 0 || importableAthletes.length === 0 ? 'not-allowed' : 'pointer'
+            }}
+          >
+            Load {importableAthletes.length} Athletes
+          </button>
+
+          {lastImport && (
+            <div style={{ marginTop: '1.5rem' }}>
+              <div style={{ color: '#10b981', fontSize: '0.9rem', marginBottom: '0.75rem' }}>
+                Loaded {lastImport.count} athletes ({lastImport.total} total). Metric statistics recomputed:
+              </div>
+              <table style={{ borderCollapse: 'collapse', color: '#fbbf24' }}>
+                <thead>
+                  <tr style={{ background: '#0f172a' }}>
+                    {['Metric', 'Mean', 'Std', 'Min', 'Max', 'Count'].map(h => (
+                      <th key={h} style={{ ...cellStyle, textAlign: 'left', color: '#a16207' }}>{h}</th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {Object.entries(lastImport.statistics).map(([key, s]) => (
+                    <tr key={key}>
+                      <td style={cellStyle}>{ATHLETE_FIELDS.find(f => f.key === key)?.label || key}</td>
+                      <td style={cellStyle}>{formatCell(s.mean)}</td>
+                      <td style={cellStyle}>{formatCell(s.std)}</td>
+                      <td style={cellStyle}>{formatCell(s.min)}</td>
+                      <td style={cellStyle}>{formatCell(s.max)}</td>
+                      <td style={cellStyle}>{s.count}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Spacing */}
+      <div style={{ height: '2rem' }}></div>
+    </div>
+  );
+}
+
+export default DataManagement;
@@ -0,0 +1,468 @@
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import { Chart, registerables } from 'chart.js';
+import { useAppContext, MAX_FORGED_AXES } from '../../context/AppContext';
+import dataService from '../../utils/dataService';
+import { getAvailableMetrics, getMetricLabel } from '../../utils/metricRegistry';
+import { FORMULA_FUNCTIONS, FORMULA_CONSTANTS, validateFormula, evaluateFormula, getFormulaValues } from '../../utils/forgedFormula';
+import { calculatePercentile, describeSample, formatPercentile } from '../../utils/statistics';
+import { getPercentileMethod } from '../../utils/settingsUtils';
+import { getCustomMetrics, saveCustomMetric, deleteCustomMetric } from '../../utils/customMetrics';
+
+Chart.register(...registerables);
+
+const HISTOGRAM_BINS = 20;
+const TOP_ATHLETE_COUNT = 10;
+
+const OPERATORS = ['+', '-', '*', '/', '^', '(', ')'];
+
+const sectionStyle = {
+  background: '#1e293b',
+  padding: '1rem',
+  borderRadius: '0.5rem',
+  marginBottom: '1rem',
+  borderLeft: '4px solid #78350f'
+};
+
+const headingStyle = { fontSize: '1rem', marginBottom: '0.75rem', color: '#fb923c' };
+
+const cellStyle = { padding: '0.35rem 0.5rem', borderBottom: '1px solid #334155', fontSize: '0.8rem' };
+
+const inputStyle = {
+  width: '100%',
+  padding: '0.4rem 0.6rem',
+  background: '#0f172a',
+  border: '1px solid #374151',
+  borderRadius: '0.25rem',
+  color: '#fef3c7',
+  fontSize: '0.85rem'
+};
+
+const EMPTY_DRAFT = { id: null, name: '', description: '', formula: '', lowerIsBetter: false };
+
+// Draggable palette chip; click also inserts
+const PaletteChip = ({ token, label, title, onInsert, colors }) => (
+  <button
+    draggable
+    onDragStart={(e) => e.dataTransfer.setData('text/plain', token)}
+    onClick={() => onInsert(token)}
+    title={title}
+    style={{
+      padding: '0.25rem 0.5rem',
+      background: colors.bg,
+      border: `1px solid ${colors.border}`,
+      borderRadius: '0.25rem',
+      color: colors.text,
+      fontSize: '0.75rem',
+      cursor: 'grab',
+      fontFamily: colors.mono ? 'monospace' : 'inherit'
+    }}
+  >
+    {label}
+  </button>
+);
+
+const CHIP_COLORS = {
+  personal: { bg: '#5b21b6', border: '#a78bfa', text: '#c4b5fd' },
+  athletic: { bg: '#374151', border: '#4b5563', text: '#e5e7eb' },
+  operator: { bg: '#7c2d12', border: '#ea580c', text: '#fbbf24', mono: true },
+  function: { bg: '#422006', border: '#a16207', text: '#fbbf24', mono: true }
+};
+
+function MetricBuilder() {
+  const { forgedAxes, addForgedAxis, removeForgedAxis } = useAppContext();
+
+  const [athletes, setAthletes] = useState([]);
+  const [draft, setDraft] = useState(EMPTY_DRAFT);
+  const [savedMetrics, setSavedMetrics] = useState(getCustomMetrics());
+  const [message, setMessage] = useState(null);
+
+  const formulaRef = useRef(null);
+  const histogramRef = useRef(null);
+  const histogramInstance = useRef(null);
+
+  useEffect(() => {
+    dataService.loadData().then(data => setAthletes(data.athletes));
+    return dataService.subscribe(() => setAthletes(dataService.getAthletes()));
+  }, []);
+
+  useEffect(() => {
+    if (message) {
+      const timer = setTimeout(() => setMessage(null), 3000);
+      return () => clearTimeout(timer);
+    }
+  }, [message]);
+
+  const validation = useMemo(
+    () => (draft.formula.trim() ? validateFormula(draft.formula) : null),
+    [draft.formula]
+  );
+  const isValid = !!(validation && validation.valid);
+
+  // Population values, stats and ranking for the current formula
+  const distribution = useMemo(() => {
+    if (!isValid) return null;
+    const values = getFormulaValues(validation.expression, athletes);
+    if (values.length === 0) return { values, stats: describeSample(values), ranked: [] };
+
+    const stats = describeSample(values);
+    const method = getPercentileMethod(validation.expression);
+    const direction = draft.lowerIsBetter ? -1 : 1;
+
+    const ranked = athletes
+      .map(athlete => ({ athlete, value: evaluateFormula(validation.expression, athlete) }))
+      .filter(r => r.value !== null)
+      .sort((a, b) => direction * (b.value - a.value))
+      .slice(0, TOP_ATHLETE_COUNT)
+      .map(r => ({
+        ...r,
+        sigma: stats.std ? direction * (r.value - stats.mean) / stats.std : 0,
+        percentile: calculatePercentile({ value: r.value, method, values, lowerIsBetter: draft.lowerIsBetter })
+      }));
+
+    return { values, stats, ranked };
+  }, [isValid, validation, athletes, draft.lowerIsBetter]);
+
+  // Live histogram
+  useEffect(() => {
+    if (histogramInstance.current) {
+      histogramInstance.current.destroy();
+      histogramInstance.current = null;
+    }
+    if (!histogramRef.current || !distribution || distribution.values.length < 2) return;
+
+    const { values, stats } = distribution;
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    const width = (max - min) / HISTOGRAM_BINS || 1;
+    const counts = new Array(HISTOGRAM_BINS).fill(0);
+    values.forEach(v => {
+      counts[Math.min(HISTOGRAM_BINS - 1, Math.floor((v - min) / width))]++;
+    });
+    const labels = counts.map((_, i) => (min + (i + 0.5) * width).toPrecision(3));
+
+    // Highlight bins within one sigma of the mean
+    const colors = counts.map((_, i) => {
+      const center = min + (i + 0.5) * width;
+      return Math.abs(center - stats.mean) <= stats.std ? '#ea580c' : '#78350f';
+    });
+
+    histogramInstance.current = new Chart(histogramRef.current.getContext('2d'), {
+      type: 'bar',
+      data: { labels, datasets: [{ data: counts, backgroundColor: colors, borderWidth: 0, barPercentage: 1, categoryPercentage: 1 }] },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        plugins: {
+          legend: { display: false },
+          tooltip: { callbacks: { title: (items) => `≈ ${items[0].label}`, label: (item) => `${item.raw} athletes` } }
+        },
+        scales: {
+          x: { ticks: { color: '#a16207', maxRotation: 0, autoSkip: true, maxTicksLimit: 8 }, grid: { display: false } },
+          y: { ticks: { color: '#a16207', precision: 0 }, grid: { color: '#334155' } }
+        }
+      }
+    });
+
+    return () => {
+      if (histogramInstance.current) {
+        histogramInstance.current.destroy();
+        histogramInstance.current = null;
+      }
+    };
+  }, [distribution]);
+
+  const updateDraft = (field, value) => setDraft(prev => ({ ...prev, [field]: value }));
+
+  // Insert a palette token at the caret, padding operators with spaces
+  const insertToken = (token) => {
+    const input = formulaRef.current;
+    const text = draft.formula;
+    const start = input ? input.selectionStart : text.length;
+    const end = input ? input.selectionEnd : text.length;
+    const before = text.slice(0, start);
+    const after = text.slice(end);
+    const padded = OPERATORS.includes(token) && token !== '(' && token !== ')' ? ` ${token} ` : token;
+    const next = `${before}${padded}${after}`.replace(/\s{2,}/g, ' ');
+    updateDraft('formula', next);
+
+    // Restore the caret after React re-renders the textarea
+    const caret = Math.min(next.length, before.length + padded.length);
+    requestAnimationFrame(() => {
+      if (formulaRef.current) {
+        formulaRef.current.focus();
+        formulaRef.current.setSelectionRange(caret, caret);
+      }
+    });
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    const token = e.dataTransfer.getData('text/plain');
+    if (token) insertToken(token);
+  };
+
+  const isOnRadar = (formula) => forgedAxes.some(axis => axis.formula === formula);
+
+  const addToRadar = (formula, label) => {
+    if (isOnRadar(formula)) return true;
+    if (forgedAxes.length >= MAX_FORGED_AXES) {
+      setMessage({ type: 'error', text: `Maximum ${MAX_FORGED_AXES} forged axes selected` });
+      return false;
+    }
+    addForgedAxis(formula, label);
+    return true;
+  };
+
+  const handleSave = () => {
+    if (!isValid || !draft.name.trim()) return;
+
+    const previous = draft.id ? savedMetrics.find(m => m.id === draft.id) : null;
+    const saved = saveCustomMetric({
+      ...draft,
+      name: draft.name.trim(),
+      description: draft.description.trim(),
+      formula: validation.expression
+    });
+
+    // Keep the radar in step with an edited formula or name
+    let added = true;
+    if (previous && isOnRadar(previous.formula)) {
+      removeForgedAxis(previous.formula);
+      addForgedAxis(saved.formula, saved.name);
+    } else {
+      added = addToRadar(saved.formula, saved.name);
+    }
+
+    setSavedMetrics(getCustomMetrics());
+    dataService.notifyCustomMetricsChanged();
+    setDraft({ ...EMPTY_DRAFT, ...saved });
+    if (added) setMessage({ type: 'success', text: `Saved "${saved.name}" and added it to the forged axes` });
+  };
+
+  const handleEdit = (metric) => {
+    setDraft({ ...EMPTY_DRAFT, ...metric });
+  };
+
+  const handleDelete = (metric) => {
+    if (!window.confirm(`Delete custom metric "${metric.name}"?`)) return;
+    deleteCustomMetric(metric.id);
+    if (isOnRadar(metric.formula)) removeForgedAxis(metric.formula);
+    setSavedMetrics(getCustomMetrics());
+    dataService.notifyCustomMetricsChanged();
+    if (draft.id === metric.id) setDraft(EMPTY_DRAFT);
+  };
+
+  const toggleRadar = (metric) => {
+    if (isOnRadar(metric.formula)) removeForgedAxis(metric.formula);
+    else addToRadar(metric.formula, metric.name);
+  };
+
+  const personalMetrics = getAvailableMetrics(athletes, 'personal');
+  const athleticMetrics = getAvailableMetrics(athletes, 'athletic');
+  const unit = isValid ? validation.unit : '';
+  const formatResult = (value) => `${value.toFixed(2)}${unit ? ` ${unit}` : ''}`;
+
+  return (
+    <div style={{ display: 'flex', gap: '1rem', padding: '1rem', height: '100%', overflow: 'hidden' }}>
+      {/* Palette */}
+      <div style={{ width: '240px', flexShrink: 0, overflowY: 'auto' }}>
+        <div style={sectionStyle}>
+          <h3 style={headingStyle}>Palette</h3>
+          <p style={{ color: '#64748b', fontSize: '0.7rem', marginBottom: '0.75rem' }}>Drag onto the formula or click to insert</p>
+
+          <div style={{ color: '#c4b5fd', fontSize: '0.75rem', fontWeight: '600', marginBottom: '0.4rem' }}>▲ Attributes</div>
+          <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.3rem', marginBottom: '0.75rem' }}>
+            {personalMetrics.map(m => (
+              <PaletteChip key={m.key} token={m.key} label={m.name} title={getMetricLabel(m.key)} onInsert={insertToken} colors={CHIP_COLORS.personal} />
+            ))}
+          </div>
+
+          <div style={{ color: '#e5e7eb', fontSize: '0.75rem', fontWeight: '600', marginBottom: '0.4rem' }}>● Standard</div>
+          <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.3rem', marginBottom: '0.75rem' }}>
+            {athleticMetrics.map(m => (
+              <PaletteChip key={m.key} token={m.key} label={m.name} title={getMetricLabel(m.key)} onInsert={insertToken} colors={CHIP_COLORS.athletic} />
+            ))}
+          </div>
+
+          <div style={{ color: '#fbbf24', fontSize: '0.75rem', fontWeight: '600', marginBottom: '0.4rem' }}>Operators</div>
+          <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.3rem', marginBottom: '0.75rem' }}>
+            {OPERATORS.map(op => (
+              <PaletteChip key={op} token={op} label={op} onInsert={insertToken} colors={CHIP_COLORS.operator} />
+            ))}
+            {Object.keys(FORMULA_CONSTANTS).map(name => (
+              <PaletteChip key={name} token={name} label={name} title={String(FORMULA_CONSTANTS[name])} onInsert={insertToken} colors={CHIP_COLORS.operator} />
+            ))}
+          </div>
+
+          <div style={{ color: '#fbbf24', fontSize: '0.75rem', fontWeight: '600', marginBottom: '0.4rem' }}>Functions</div>
+          <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.3rem' }}>
+            {Object.entries(FORMULA_FUNCTIONS).map(([name, fn]) => (
+              <PaletteChip key={name} token={`${name}(`} label={`${name}()`} title={fn.description} onInsert={insertToken} colors={CHIP_COLORS.function} />
+            ))}
+          </div>
+        </div>
+      </div>
+
+      {/* Editor, distribution and top athletes */}
+      <div style={{ flex: 1, overflowY: 'auto' }}>
+        <div style={sectionStyle}>
+          <h3 style={headingStyle}>{draft.id ? 'Edit Metric' : 'New Metric'}</h3>
+
+          <label style={{ display: 'block', color: '#a16207', fontSize: '0.75rem', marginBottom: '0.25rem' }}>Formula</label>
+          <textarea
+            ref={formulaRef}
+            value={draft.formula}
+            onChange={(e) => updateDraft('formula', e.target.value)}
+            onDragOver={(e) => e.preventDefault()}
+            onDrop={handleDrop}
+            rows={2}
+            placeholder="Drop metrics here, e.g. weight * verticalJump ^ 2 / dash40"
+            style={{ ...inputStyle, fontFamily: 'monospace', resize: 'vertical', border: `1px dashed ${validation && !validation.valid ? '#ef4444' : '#ea580c'}` }}
+          />
+          <div style={{ minHeight: '1.2rem', marginTop: '0.25rem', fontSize: '0.75rem' }}>
+            {validation && !validation.valid && <span style={{ color: '#ef4444' }}>{validation.error}</span>}
+            {isValid && (
+              <span style={{ color: '#64748b' }}>
+                <span style={{ color: '#10b981' }}>✓</span> {validation.expression}
+                {unit && <span style={{ color: '#a16207' }}> [{unit}]</span>}
+              </span>
+            )}
+            {isValid && validation.warnings.map(w => <div key={w} style={{ color: '#fbbf24' }}>⚠ {w}</div>)}
+          </div>
+
+          <div style={{ display: 'flex', gap: '1rem', marginTop: '0.75rem' }}>
+            <div style={{ flex: 1 }}>
+              <label style={{ display: 'block', color: '#a16207', fontSize: '0.75rem', marginBottom: '0.25rem' }}>Name</label>
+              <input type="text" value={draft.name} onChange={(e) => updateDraft('name', e.target.value)} placeholder="e.g. Explosive Mass Index" style={inputStyle} />
+            </div>
+            <label style={{ display: 'flex', alignItems: 'flex-end', gap: '0.4rem', cursor: 'pointer', fontSize: '0.8rem', color: '#fbbf24', paddingBottom: '0.4rem' }}>
+              <input type="checkbox" checked={draft.lowerIsBetter} onChange={() => updateDraft('lowerIsBetter', !draft.lowerIsBetter)} style={{ cursor: 'pointer', accentColor: '#ea580c' }} />
+              Lower is better
+            </label>
+          </div>
+
+          <label style={{ display: 'block', color: '#a16207', fontSize: '0.75rem', margin: '0.75rem 0 0.25rem' }}>Description</label>
+          <textarea value={draft.description} onChange={(e) => updateDraft('description', e.target.value)} rows={2} placeholder="What this metric captures" style={{ ...inputStyle, resize: 'vertical' }} />
+
+          <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center', marginTop: '0.75rem' }}>
+            <button
+              onClick={handleSave}
+              disabled={!isValid || !draft.name.trim()}
+              style={{ padding: '0.5rem 1rem', background: '#ea580c', border: 'none', borderRadius: '0.375rem', color: '#fef3c7', fontWeight: '600', cursor: 'pointer', opacity: !isValid || !draft.name.trim() ? 0.5 : 1 }}
+            >
+              {draft.id ? 'Update & Add to Axes' : 'Save & Add to Axes'}
+            </button>
+            <button
+              onClick={() => setDraft(EMPTY_DRAFT)}
+              style={{ padding: '0.5rem 1rem', background: '#374151', border: 'none', borderRadius: '0.375rem', color: '#e5e7eb', cursor: 'pointer' }}
+            >
+              New
+            </button>
+            <span style={{ color: '#fbbf24', fontSize: '0.75rem', marginLeft: 'auto' }}>Forged axes: {forgedAxes.length}/{MAX_FORGED_AXES}</span>
+          </div>
+          {message && (
+            <div style={{ marginTop: '0.5rem', fontSize: '0.8rem', color: message.type === 'error' ? '#ef4444' : '#22c55e' }}>{message.text}</div>
+          )}
+        </div>
+
+        <div style={{ display: 'flex', gap: '1rem', alignItems: 'flex-start' }}>
+          <div style={{ ...sectionStyle, flex: 1 }}>
+            <h3 style={headingStyle}>Population Distribution</h3>
+            {distribution && distribution.values.length > 1 ? (
+              <>
+                <div style={{ position: 'relative', height: '220px' }}>
+                  <canvas ref={histogramRef}></canvas>
+                </div>
+                <div style={{ display: 'flex', gap: '1rem', marginTop: '0.5rem', fontSize: '0.75rem', color: '#94a3b8', flexWrap: 'wrap' }}>
+                  <span>n = <strong style={{ color: '#fbbf24' }}>{distribution.values.length}</strong></span>
+                  <span>mean = <strong style={{ color: '#fbbf24' }}>{formatResult(distribution.stats.mean)}</strong></span>
+                  <span>σ = <strong style={{ color: '#fbbf24' }}>{distribution.stats.std !== null ? formatResult(distribution.stats.std) : 'N/A'}</strong></span>
+                  <span>min = <strong style={{ color: '#fbbf24' }}>{formatResult(Math.min(...distribution.values))}</strong></span>
+                  <span>max = <strong style={{ color: '#fbbf24' }}>{formatResult(Math.max(...distribution.values))}</strong></span>
+                </div>
+              </>
+            ) : (
+              <p style={{ color: '#64748b', fontSize: '0.85rem' }}>
+                {isValid ? 'Not enough athletes have data for this formula' : 'Enter a valid formula to see its distribution'}
+              </p>
+            )}
+          </div>
+
+          <div style={{ ...sectionStyle, flex: 1 }}>
+            <h3 style={headingStyle}>Top {TOP_ATHLETE_COUNT} Athletes</h3>
+            {distribution && distribution.ranked.length > 0 ? (
+              <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+                <thead>
+                  <tr style={{ color: '#a16207', textAlign: 'left' }}>
+                    <th style={cellStyle}>#</th>
+                    <th style={cellStyle}>Athlete</th>
+                    <th style={cellStyle}>Pos</th>
+                    <th style={{ ...cellStyle, textAlign: 'right' }}>Value</th>
+                    <th style={{ ...cellStyle, textAlign: 'right' }}>σ</th>
+                    <th style={{ ...cellStyle, textAlign: 'right' }}>Pct</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {distribution.ranked.map((r, i) => (
+                    <tr key={r.athlete.id}>
+                      <td style={{ ...cellStyle, color: '#64748b' }}>{i + 1}</td>
+                      <td style={{ ...cellStyle, color: '#fef3c7' }}>{r.athlete.firstName} {r.athlete.lastName}</td>
+                      <td style={{ ...cellStyle, color: '#94a3b8' }}>{r.athlete.position}</td>
+                      <td style={{ ...cellStyle, color: '#fbbf24', textAlign: 'right', fontFamily: 'monospace' }}>{formatResult(r.value)}</td>
+                      <td style={{ ...cellStyle, color: r.sigma > 0 ? '#10b981' : '#ef4444', textAlign: 'right', fontFamily: 'monospace' }}>{r.sigma > 0 ? '+' : ''}{r.sigma.toFixed(2)}</td>
+                      <td style={{ ...cellStyle, color: '#94a3b8', textAlign: 'right' }}>{formatPercentile(r.percentile)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            ) : (
+              <p style={{ color: '#64748b', fontSize: '0.85rem' }}>No athletes to rank yet</p>
+            )}
+          </div>
+        </div>
+
+        <div style={sectionStyle}>
+          <h3 style={headingStyle}>Saved Metrics</h3>
+          {savedMetrics.length === 0 ? (
+            <p style={{ color: '#64748b', fontSize: '0.85rem' }}>No custom metrics saved yet</p>
+          ) : (
+            <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+              <tbody>
+                {savedMetrics.map(metric => {
+                  const onRadar = isOnRadar(metric.formula);
+                  const metricValidation = validateFormula(metric.formula);
+                  return (
+                    <tr key={metric.id} style={{ background: draft.id === metric.id ? '#422006' : 'transparent' }}>
+                      <td style={cellStyle}>
+                        <div style={{ color: '#fef3c7', fontWeight: '600' }}>{metric.name}</div>
+                        {metric.description && <div style={{ color: '#94a3b8', fontSize: '0.75rem' }}>{metric.description}</div>}
+                      </td>
+                      <td style={{ ...cellStyle, fontFamily: 'monospace', color: metricValidation.valid ? '#fbbf24' : '#ef4444' }}>
+                        {metric.formula}
+                        {metricValidation.unit && <span style={{ color: '#a16207' }}> [{metricValidation.unit}]</span>}
+                        {!metricValidation.valid && <div style={{ fontSize: '0.7rem' }}>{metricValidation.error}</div>}
+                      </td>
+                      <td style={{ ...cellStyle, textAlign: 'right', whiteSpace: 'nowrap' }}>
+                        <button
+                          onClick={() => toggleRadar(metric)}
+                          disabled={!metricValidation.valid}
+                          style={{ padding: '0.25rem 0.6rem', marginRight: '0.3rem', background: onRadar ? '#10b981' : '#374151', border: 'none', borderRadius: '0.25rem', color: '#fff', fontSize: '0.75rem', cursor: 'pointer' }}
+                        >
+                          {onRadar ? '✓ On Axes' : 'Add to Axes'}
+                        </button>
+                        <button onClick={() => handleEdit(metric)} style={{ padding: '0.25rem 0.6rem', marginRight: '0.3rem', background: '#7c2d12', border: 'none', borderRadius: '0.25rem', color: '#fbbf24', fontSize: '0.75rem', cursor: 'pointer' }}>Edit</button>
+                        <button onClick={() => handleDelete(metric)} style={{ padding: '0.25rem 0.6rem', background: 'transparent', border: '1px solid #ef4444', borderRadius: '0.25rem', color: '#ef4444', fontSize: '0.75rem', cursor: 'pointer' }}>Delete</button>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default MetricBuilder;
@@ -1,7 +1,18 @@
 import React, { useState, useEffect, useRef, useMemo } from 'react';
 import dataService from '../../utils/dataService';
+import { formatPercentile } from '../../utils/statistics';
+import {
+  PERSONAL_METRICS,
+  ATHLETIC_METRICS,
+  METRIC_NAME_TO_KEY,
+  getAvailableMetrics,
+  isLowerBetter,
+  parseRatioFormula
+} from '../../utils/metricRegistry';
+import { compileFormula, evaluateFormula, getForgedUnit, validateFormula } from '../../utils/forgedFormula';
 import { exportAthleteToPDF } from '../../utils/pdfExport';
-import { useAppContext } from '../../context/AppContext';
+import { useAppContext, MAX_FORGED_AXES } from '../../context/AppContext';
+import CohortSelector from '../common/CohortSelector';
 
 // Color palette for multi-athlete comparison
 const ATHLETE_COLORS = [
@@ -12,12 +23,6 @@ const ATHLETE_COLORS = [
   { fill: 'rgba(139, 92, 246, 1)', stroke: '#ffffff', name: 'Purple' },
 ];
 
-// Metric type classification
-const PERSONAL_METRICS = ['height', 'weight', 'age', 'handWidth', 'gpa', 'armLength', 'wingspan'];
-const ATHLETIC_METRICS = ['dash40', 'verticalJump', 'broadJump', 'proAgility', 'lDrill', 'bench225', 'maxBench', 'squat', 'powerClean'];
-
-const MAX_FORGED_AXES = 8;
-
 // Graph layout constants
 const GRAPH_START_PERCENT = 12.5;
 const GRAPH_END_PERCENT = 87.5;
@@ -62,6 +67,7 @@ function FreakFinder() {
   const [hoveredCardMetric, setHoveredCardMetric] = useState(null);
   const [hoveredAthleteColor, setHoveredAthleteColor] = useState(null);
   const [maxAxesMessage, setMaxAxesMessage] = useState(false);
+  const [customFormula, setCustomFormula] = useState('');
 
   const [showPersonal, setShowPersonal] = useState(false);
   const [showAthletic, setShowAthletic] = useState(true);
@@ -89,6 +95,8 @@ function FreakFinder() {
     hasActiveFilters,
     // Statistic filter
     statisticFilter,
+    // #4: Sigma baseline
+    cohort,
     // ME slider state from context
     meZScoreFilterLow,
     setMeZScoreFilterLow,
@@ -102,6 +110,10 @@ function FreakFinder() {
     dataService.loadData().then(data => {
       setAthletes(data.athletes);
     });
+    // Pick up imports and athlete edits without a reload
+    return dataService.subscribe(() => {
+      setAthletes(dataService.getAthletes());
+    });
   }, []);
 
   // Sync selectedMetrics with forgedAxes when component mounts or forgedAxes changes
@@ -145,17 +157,7 @@ function FreakFinder() {
     return true;
   };
 
-  const getMetricUnits = (formula) => {
-    const parts = formula.split(' / ');
-    if (parts.length !== 2) {
-      const unitMap = { '40-Yard Dash': 'sec', 'Vertical Jump': 'in', 'Broad Jump': 'in', 'Pro Agility': 'sec', 'L-Drill': 'sec', 'Height': 'in', 'Weight': 'lbs' };
-      return unitMap[formula] || '';
-    }
-    const numeratorUnits = { '40-Yard Dash': 'sec', 'Vertical Jump': 'in', 'Broad Jump': 'in', 'Pro Agility': 'sec', 'L-Drill': 'sec', 'Height': 'in', 'Weight': 'lbs' };
-    const num = numeratorUnits[parts[0]] || '';
-    const den = numeratorUnits[parts[1]] || '';
-    return num && den ? `${num}/${den}` : '';
-  };
+  const getMetricUnits = (formula) => getForgedUnit(formula);
 
   const isReciprocal = (m1, m2) => {
     const p1 = m1.formula.split(' / ');
@@ -165,11 +167,11 @@ function FreakFinder() {
   };
 
   const getPreferredMetric = (m1, m2) => {
-    const time = ['40-Yard Dash', 'Pro Agility', 'L-Drill'];
+    const isTime = (name) => isLowerBetter(METRIC_NAME_TO_KEY[name]);
     const p1 = m1.formula.split(' / ');
     const p2 = m2.formula.split(' / ');
-    if (time.includes(p1[1]) && !time.includes(p2[1])) return [m1, m2];
-    if (time.includes(p2[1]) && !time.includes(p1[1])) return [m2, m1];
+    if (isTime(p1[1]) && !isTime(p2[1])) return [m1, m2];
+    if (isTime(p2[1]) && !isTime(p1[1])) return [m2, m1];
     if (p1[1] === 'Weight' && p2[1] !== 'Weight') return [m1, m2];
     if (p2[1] === 'Weight' && p1[1] !== 'Weight') return [m2, m1];
     return [m1, m2];
@@ -177,15 +179,21 @@ function FreakFinder() {
 
   // Calculate all z-scores for an athlete (for statistic filter)
   const getAthleteZScores = (athlete) => {
-    const metrics = ['dash40', 'verticalJump', 'broadJump', 'proAgility', 'lDrill', 'height', 'weight'];
+    const metrics = getAvailableMetrics(athletes).map(m => m.key);
     const zScores = [];
     metrics.forEach(key => {
       const value = athlete[key];
       if (value) {
-        const sigma = dataService.calculateSigma(key, value);
+        // Filtered mode would be circular here, so only a cohort baseline applies
+        const sigma = dataService.calculateAthleteSigma(athlete, key, cohort.mode === 'cohort' ? cohort : undefined);
         zScores.push({ key, sigma });
       }
     });
+    // Forged axes are filter targets too
+    forgedAxes.forEach(axis => {
+      const sigma = dataService.calculateFormulaSigma(athlete, axis.formula, cohort.mode === 'cohort' ? cohort : undefined);
+      if (sigma !== null) zScores.push({ key: axis.formula, sigma });
+    });
     return zScores;
   };
 
@@ -237,16 +245,24 @@ function FreakFinder() {
   };
 
   const calculateMetricsForAthlete = (athlete) => {
-    const metrics = [
-      { key: 'dash40', name: '40-Yard Dash' },
-      { key: 'verticalJump', name: 'Vertical Jump' },
-      { key: 'broadJump', name: 'Broad Jump' },
-      { key: 'proAgility', name: 'Pro Agility' },
-      { key: 'lDrill', name: 'L-Drill' },
-      { key: 'height', name: 'Height' },
-      { key: 'weight', name: 'Weight' }
-    ];
+    const metrics = getAvailableMetrics(athletes);
     const calculated = [];
+    const filteredPopulation = cohort.mode === 'filtered' && hasActiveFilters() ? getFilteredPopulation() : null;
+
+    const pushForged = (formula, extra) => {
+      const sigma = dataService.calculateFormulaSigma(athlete, formula, cohort, filteredPopulation);
+      if (sigma === null) return;
+      calculated.push({
+        formula,
+        value: evaluateFormula(formula, athlete),
+        sigma,
+        percentile: dataService.calculateFormulaPercentile(athlete, formula, cohort, filteredPopulation),
+        isStandard: false,
+        athleteId: athlete.id,
+        jitter: getJitter(athlete.id, formula),
+        ...extra
+      });
+    };
 
     metrics.forEach(metric => {
       const value = athlete[metric.key];
@@ -254,7 +270,8 @@ function FreakFinder() {
         calculated.push({
           formula: metric.name,
           value,
-          sigma: dataService.calculateSigma(metric.key, value),
+          sigma: dataService.calculateAthleteSigma(athlete, metric.key, cohort, filteredPopulation),
+          percentile: dataService.calculateAthletePercentile(athlete, metric.key, cohort, filteredPopulation),
           isStandard: true,
           metricKey: metric.key,
           athleteId: athlete.id,
@@ -267,35 +284,15 @@ function FreakFinder() {
       for (let j = 0; j < metrics.length; j++) {
         if (i === j) continue;
         const num = metrics[i], den = metrics[j];
-        const nv = athlete[num.key], dv = athlete[den.key];
-        if (nv && dv && dv !== 0) {
-          const ratio = nv / dv;
-          const allRatios = athletes.map(a => {
-            const n = a[num.key], d = a[den.key];
-            return (n && d && d !== 0) ? n / d : null;
-          }).filter(r => r !== null);
-
-          if (allRatios.length > 1) {
-            const mean = allRatios.reduce((a, b) => a + b, 0) / allRatios.length;
-            const variance = allRatios.reduce((sum, val) => sum + Math.pow(val - mean, 2), 0) / allRatios.length;
-            const std = Math.sqrt(variance);
-            if (std > 0) {
-              const formula = `${num.name} / ${den.name}`;
-              calculated.push({
-                formula,
-                value: ratio,
-                sigma: (ratio - mean) / std,
-                isStandard: false,
-                numeratorKey: num.key,
-                denominatorKey: den.key,
-                athleteId: athlete.id,
-                jitter: getJitter(athlete.id, formula)
-              });
-            }
-          }
-        }
+        pushForged(`${num.name} / ${den.name}`, { numeratorKey: num.key, denominatorKey: den.key });
       }
     }
+
+    // Custom expressions added as forged axes (plain ratios are already covered above)
+    forgedAxes.forEach(axis => {
+      if (parseRatioFormula(axis.formula) || !compileFormula(axis.formula).valid) return;
+      pushForged(axis.formula, { isCustom: true });
+    });
     return calculated;
   };
 
@@ -309,7 +306,7 @@ function FreakFinder() {
       colorIndex: index % ATHLETE_COLORS.length,
       metrics: calculateMetricsForAthlete(athlete)
     }));
-  }, [selectedAthletes, athletes]);
+  }, [selectedAthletes, athletes, cohort, filters, statisticFilter, forgedAxes]);
 
   const mergeReciprocals = (metrics) => {
     const processed = [];
@@ -575,6 +572,16 @@ function FreakFinder() {
     }
   };
 
+  // Forge an axis from a typed expression, e.g. "weight * verticalJump ^ 2 / dash40"
+  const addCustomFormula = () => {
+    const validation = validateFormula(customFormula);
+    if (!validation.valid) return;
+    if (forgedAxes.some(axis => axis.formula === validation.expression)) { setCustomFormula(''); return; }
+    if (forgedAxes.length >= MAX_FORGED_AXES) { setMaxAxesMessage(true); return; }
+    addForgedAxis(validation.expression, customFormula.trim());
+    setCustomFormula('');
+  };
+
   const handleCanvasHover = (e) => {
     const canvas = canvasRef.current;
     const rect = canvas.getBoundingClientRect();
@@ -753,9 +760,46 @@ function FreakFinder() {
         <div style={{ padding: '0.75rem', borderBottom: '1px solid #78350f' }}>
           {allAthletesMetrics.length === 1 && (
             <div style={{ marginBottom: '0.5rem', display: 'flex', justifyContent: 'flex-end' }}>
-              <button onClick={() => exportAthleteToPDF(allAthletesMetrics[0].athlete, allAthletesMetrics[0].metrics, dataService.getStatistics())} style={{ padding: '0.4rem 0.8rem', background: '#ea580c', border: 'none', borderRadius: '0.375rem', color: '#fef3c7', fontSize: '0.8rem', fontWeight: '600', cursor: 'pointer' }}>Export PDF</button>
+              <button onClick={() => exportAthleteToPDF(allAthletesMetrics[0].athlete, allAthletesMetrics[0].metrics, dataService.getStatistics(), { bellCurveCanvas: canvasRef.current })} style={{ padding: '0.4rem 0.8rem', background: '#ea580c', border: 'none', borderRadius: '0.375rem', color: '#fef3c7', fontSize: '0.8rem', fontWeight: '600', cursor: 'pointer' }}>Export PDF</button>
             </div>
           )}
+          <div style={{ marginBottom: '0.5rem', display: 'flex', gap: '1rem', alignItems: 'flex-start' }}>
+            {/* #4: Sigma baseline */}
+            <div style={{ flex: 1, maxWidth: '420px' }}>
+              <CohortSelector filtersActive={hasActiveFilters()} />
+            </div>
+            {/* Custom forged formula */}
+            <div style={{ flex: 1, fontSize: '0.7rem' }}>
+              <div style={{ color: '#9ca3af', marginBottom: '0.25rem' }}>Forge Formula</div>
+              <div style={{ display: 'flex', gap: '0.25rem' }}>
+                <input
+                  type="text"
+                  value={customFormula}
+                  onChange={(e) => setCustomFormula(e.target.value)}
+                  onKeyDown={(e) => { if (e.key === 'Enter') addCustomFormula(); }}
+                  placeholder="e.g. weight * verticalJump ^ 2 / dash40"
+                  style={{ flex: 1, padding: '0.3rem 0.5rem', background: '#0f172a', border: '1px solid #374151', borderRadius: '0.25rem', color: '#fef3c7', fontSize: '0.75rem', fontFamily: 'monospace' }}
+                />
+                <button
+                  onClick={addCustomFormula}
+                  disabled={!customFormula.trim() || !validateFormula(customFormula).valid}
+                  style={{ padding: '0.3rem 0.6rem', background: '#ea580c', border: 'none', borderRadius: '0.25rem', color: '#fef3c7', fontSize: '0.7rem', fontWeight: '600', cursor: 'pointer', opacity: !customFormula.trim() || !validateFormula(customFormula).valid ? 0.5 : 1 }}
+                >
+                  Forge
+                </button>
+              </div>
+              {customFormula.trim() && (() => {
+                const validation = validateFormula(customFormula);
+                if (!validation.valid) return <div style={{ color: '#ef4444', marginTop: '0.25rem' }}>{validation.error}</div>;
+                return (
+                  <div style={{ color: '#64748b', marginTop: '0.25rem' }}>
+                    <span style={{ color: '#10b981' }}>✓</span> {validation.expression}{validation.unit && <span style={{ color: '#a16207' }}> [{validation.unit}]</span>}
+                    {validation.warnings.map(w => <div key={w} style={{ color: '#fbbf24' }}>⚠ {w}</div>)}
+                  </div>
+                );
+              })()}
+            </div>
+          </div>
           {maxAxesMessage && (<div style={{ marginBottom: '0.5rem', padding: '0.4rem 0.6rem', background: '#7c2d12', border: '1px solid #dc2626', borderRadius: '0.375rem', color: '#fbbf24', fontSize: '0.8rem' }}> Maximum {MAX_FORGED_AXES} axes selected</div>)}
           <div style={{ background: '#1e293b', padding: '0.5rem', borderRadius: '0.5rem', borderLeft: '4px solid #ea580c' }}>
             <canvas ref={canvasRef} onClick={handleCanvasClick} onMouseMove={handleCanvasHover} style={{ width: '100%', height: '280px', borderRadius: '0.375rem' }} />
@@ -840,6 +884,7 @@ function MetricCard({ metricData, isSelected, onClick, onMouseEnter, onMouseLeav
               <span style={{ color: '#fbbf24' }}>{athlete.firstName.charAt(0)}{athlete.lastName.charAt(0)}</span>
               <span style={{ color: '#fbbf24', marginLeft: '0.2rem' }}>{metric.value.toFixed(2)}</span>
               <span style={{ color: sigmaColor, marginLeft: '0.2rem', fontWeight: '600' }}>({metric.sigma > 0 ? '+' : ''}{metric.sigma.toFixed(1)}σ)</span>
+              <span style={{ color: '#a16207', marginLeft: '0.2rem' }}>{formatPercentile(metric.percentile)}%</span>
             </div>
           );
         })}
@@ -1,33 +1,43 @@
 import React, { useState, useEffect } from 'react';
-
-// Metric type classification (matching FreakFinder)
-const PERSONAL_METRICS = ['height', 'weight', 'age', 'handWidth', 'gpa', 'armLength', 'wingspan'];
-const ATHLETIC_METRICS = ['dash40', 'verticalJump', 'broadJump', 'proAgility', 'lDrill', 'bench225', 'maxBench', 'squat', 'powerClean'];
+import { PERCENTILE_METHODS } from '../../utils/statistics';
+import dataService from '../../utils/dataService';
+import {
+  getMetricsByType,
+  getAvailableMetrics,
+  getDefaultMetricFlips,
+  isLowerBetter
+} from '../../utils/metricRegistry';
 
 function Settings() {
   // Default: time-based metrics are flipped so favorable (faster) times show as positive sigma
   const [settings, setSettings] = useState({
     greenIsGood: false,
-    metricFlips: {
-      // Standard Athletic
-      dash40: true,
-      proAgility: true,
-      lDrill: true,
-      verticalJump: false,
-      broadJump: false,
-      // Attributes
-      height: false,
-      weight: false,
-      // All Forged ratios - default to false
-    }
+    // Standard and attribute defaults come from the metric registry; all Forged ratios default to false
+    metricFlips: getDefaultMetricFlips(),
+    percentileMethods: {}
   });
 
   const [activeSection, setActiveSection] = useState('attribute');
+  const [athletes, setAthletes] = useState([]);
+
+  useEffect(() => {
+    dataService.loadData().then(data => {
+      setAthletes(data.athletes);
+    });
+    return dataService.subscribe(() => {
+      setAthletes(dataService.getAthletes());
+    });
+  }, []);
 
   useEffect(() => {
     const saved = localStorage.getItem('freakforgeSettings');
     if (saved) {
-      setSettings(JSON.parse(saved));
+      const parsed = JSON.parse(saved);
+      // Metrics added to the registry after settings were saved get their defaults
+      setSettings({
+        ...parsed,
+        metricFlips: { ...getDefaultMetricFlips(), ...parsed.metricFlips }
+      });
     }
   }, []);
 
@@ -47,35 +57,32 @@ function Settings() {
     saveSettings(newSettings);
   };
 
+  // Percentile method per metric - forged ratios default to empirical rank
+  const getPercentileMethodSetting = (metricKey) =>
+    (settings.percentileMethods && settings.percentileMethods[metricKey]) ||
+    (metricKey.includes('/') ? 'empirical' : 'normal');
+
+  const handlePercentileMethod = (metricKey, method) => {
+    saveSettings({
+      ...settings,
+      percentileMethods: {
+        ...(settings.percentileMethods || {}),
+        [metricKey]: method
+      }
+    });
+  };
+
   // Standard Athletic Metrics
-  const standardMetrics = [
-    { key: 'dash40', name: '40-Yard Dash', unit: 'sec', lowerIsBetter: true, description: 'Linear speed and acceleration' },
-    { key: 'proAgility', name: 'Pro Agility', unit: 'sec', lowerIsBetter: true, description: 'Lateral quickness' },
-    { key: 'lDrill', name: 'L-Drill', unit: 'sec', lowerIsBetter: true, description: 'Change of direction' },
-    { key: 'verticalJump', name: 'Vertical Jump', unit: 'in', lowerIsBetter: false, description: 'Explosive leg power' },
-    { key: 'broadJump', name: 'Broad Jump', unit: 'in', lowerIsBetter: false, description: 'Horizontal power' }
-  ];
+  const standardMetrics = getMetricsByType('athletic');
 
   // Attribute Metrics
-  const attributeMetrics = [
-    { key: 'height', name: 'Height', unit: 'in', lowerIsBetter: false, description: 'Physical stature' },
-    { key: 'weight', name: 'Weight', unit: 'lbs', lowerIsBetter: false, description: 'Body mass' }
-  ];
-
-  // Generate ALL Forged (calculated ratio) combinations
-  const baseMetrics = [
-    { key: 'dash40', name: '40-Yard Dash', unit: 'sec' },
-    { key: 'verticalJump', name: 'Vertical Jump', unit: 'in' },
-    { key: 'broadJump', name: 'Broad Jump', unit: 'in' },
-    { key: 'proAgility', name: 'Pro Agility', unit: 'sec' },
-    { key: 'lDrill', name: 'L-Drill', unit: 'sec' },
-    { key: 'height', name: 'Height', unit: 'in' },
-    { key: 'weight', name: 'Weight', unit: 'lbs' }
-  ];
+  const attributeMetrics = getMetricsByType('personal');
+
+  // Generate ALL Forged (calculated ratio) combinations from metrics present in the data
+  const baseMetrics = getAvailableMetrics(athletes);
 
   const generateForgedMetrics = () => {
     const forged = [];
-    const timeMetrics = ['dash40', 'proAgility', 'lDrill'];
 
     for (let i = 0; i < baseMetrics.length; i++) {
       for (let j = 0; j < baseMetrics.length; j++) {
@@ -92,11 +99,11 @@ function Settings() {
         let lowerIsBetter = false;
         let description = '';
 
-        if (timeMetrics.includes(num.key) && !timeMetrics.includes(den.key)) {
+        if (isLowerBetter(num.key) && !isLowerBetter(den.key)) {
           // Time / Non-time: lower time per unit = better, so lower ratio is better
           lowerIsBetter = true;
           description = 'Speed efficiency ratio';
-        } else if (!timeMetrics.includes(num.key) && timeMetrics.includes(den.key)) {
+        } else if (!isLowerBetter(num.key) && isLowerBetter(den.key)) {
           // Non-time / Time: more distance per second = higher is better
           lowerIsBetter = false;
           description = 'Power-speed ratio';
@@ -280,6 +287,36 @@ function Settings() {
             Flip
           </label>
         </div>
+
+        {/* Percentile method */}
+        <div style={{
+          display: 'flex',
+          alignItems: 'center',
+          gap: '0.5rem',
+          marginTop: '0.5rem',
+          fontSize: '0.8rem',
+          color: '#a16207'
+        }}>
+          Percentile:
+          <select
+            value={getPercentileMethodSetting(metric.key)}
+            onChange={(e) => handlePercentileMethod(metric.key, e.target.value)}
+            title={PERCENTILE_METHODS[getPercentileMethodSetting(metric.key)].description}
+            style={{
+              padding: '0.2rem 0.4rem',
+              background: '#0f172a',
+              border: '1px solid #78350f',
+              borderRadius: '0.25rem',
+              color: '#fbbf24',
+              fontSize: '0.8rem',
+              cursor: 'pointer'
+            }}
+          >
+            {Object.values(PERCENTILE_METHODS).map(m => (
+              <option key={m.id} value={m.id}>{m.label}</option>
+            ))}
+          </select>
+        </div>
       </div>
     );
   };
@@ -1,21 +1,32 @@
-import React, { useState, useEffect, useRef, useCallback } from 'react';
+import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
 import { Chart, registerables } from 'chart.js';
 import dataService from '../../utils/dataService';
 import { useAppContext } from '../../context/AppContext';
 import {
   initializePoseDetector,
+  initializeMultiPoseDetector,
   isDetectorReady,
+  getDetectorInfo,
   processVideo as processVideoWithAI,
+  processVideoMultiPerson,
   applyManualAdjustment,
   detectMovementDirection,
   disposeDetector
 } from '../../utils/poseDetection';
 import {
-  calculatePhysics,
+  calculateProfilePhysics,
+  calculateForceVelocityProfile,
   calculateBiomechanicsTimeSeries,
   detectMovementStart,
-  detectMovementEnd
+  detectMovementEnd,
+  calculateReactionTime
 } from '../../utils/videoPhysics';
+import { createLineCalibration, createGridCalibration, createConeCalibration, createCourse, courseLine, fieldToPixel } from '../../utils/fieldCalibration';
+import { getMetricLabel } from '../../utils/metricRegistry';
+import { FILTER_METHODS, DEFAULT_KINEMATICS_FILTER, describeFilter } from '../../utils/kinematicsFilter';
+import { probeFrameTimestamps, estimateFrameRate, frameIndexAtTime } from '../../utils/videoTiming';
+import { decodeAudioTrack, detectStartSignal } from '../../utils/startSignal';
+import { supportsVideoExport, hudStateAt, drawHud, renderAnnotatedVideo } from '../../utils/videoExport';
 import {
   TRACKING_PROFILES,
   SKELETON_CONNECTIONS,
@@ -110,7 +121,8 @@ const DRILL_TEMPLATES = {
     distance: 40,
     unit: 'yards',
     markers: ['Start Line', 'Finish Line'],
-    calibrationType: 'line'
+    calibrationType: 'line',
+    timingLines: true // markers are the start and finish lines, so crossings give electronic splits
   },
   '10-yard': {
     name: '10-Yard Fly',
@@ -118,7 +130,8 @@ const DRILL_TEMPLATES = {
     distance: 10,
     unit: 'yards',
     markers: ['Start Line', 'Finish Line'],
-    calibrationType: 'line'
+    calibrationType: 'line',
+    timingLines: true
   },
   '60-yard': {
     name: '60-Yard Dash',
@@ -126,7 +139,8 @@ const DRILL_TEMPLATES = {
     distance: 60,
     unit: 'yards',
     markers: ['Start Line', 'Finish Line'],
-    calibrationType: 'line'
+    calibrationType: 'line',
+    timingLines: true
   },
   '100-meter': {
     name: '100 Meter',
@@ -134,7 +148,8 @@ const DRILL_TEMPLATES = {
     distance: 109.36, // Convert to yards for internal calculations
     unit: 'meters',
     markers: ['Start Line', 'Finish Line'],
-    calibrationType: 'line'
+    calibrationType: 'line',
+    timingLines: true
   },
   '5-10-5': {
     name: '5-10-5 Pro Agility',
@@ -152,14 +167,95 @@ const DRILL_TEMPLATES = {
     markers: ['Start Cone', 'Middle Cone', 'End Cone'],
     calibrationType: 'l-drill'
   },
+  'vertical-jump': {
+    name: 'Vertical Jump',
+    description: 'Floor and top of an upright reference (e.g. a yardstick) beside the athlete',
+    distance: 1,
+    unit: 'yards',
+    markers: ['Floor', 'Top of Reference'],
+    calibrationType: 'line'
+  },
+  'broad-jump': {
+    name: 'Broad Jump',
+    description: 'Takeoff line and a measured mark along the landing area',
+    distance: 3,
+    unit: 'yards',
+    markers: ['Takeoff Line', 'Measured Mark'],
+    calibrationType: 'line'
+  },
   'grid': {
     name: '4-Point Grid',
     description: 'Perspective calibration using 4 points',
     markers: ['Top-Left', 'Top-Right', 'Bottom-Right', 'Bottom-Left'],
-    calibrationType: 'grid'
+    calibrationType: 'grid',
+    timingLines: true // left and right edges are the start and finish lines, mapped through the perspective
   }
 };
 
+// Results tab to open after an analysis: drill breakdowns take priority over the summary
+const defaultResultTab = (physics) => {
+  if (physics?.agility) return 'agility';
+  if (physics?.lDrill) return 'l-drill';
+  if (physics?.verticalJump || physics?.broadJump) return 'jump';
+  return 'summary';
+};
+
+// Confidence colors for detected line crossings
+const CROSSING_RATING_COLORS = { high: '#10b981', medium: '#fbbf24', low: '#ef4444' };
+
+// Second box of the summary tab: splits for sprints, legs for agility drills, key numbers for jumps
+const getSummaryBreakdown = (results) => {
+  const seconds = (value) => (value !== null && value !== undefined ? `${value.toFixed(2)}s` : '-');
+  if (results?.agility) {
+    return { title: 'Segments', items: results.agility.segments.map((segment, i) => ({ label: `${i + 1}. ${segment.label}`, value: seconds(segment.time) })) };
+  }
+  if (results?.lDrill) {
+    return { title: 'Legs', items: results.lDrill.legs.map((leg, i) => ({ label: `${i + 1}. ${leg.label}`, value: seconds(leg.time) })) };
+  }
+  if (results?.verticalJump) {
+    const jump = results.verticalJump;
+    return {
+      title: 'Jump',
+      items: [
+        { label: 'Height', value: `${jump.jumpHeight.toFixed(1)}in` },
+        { label: 'Flight', value: jump.flightTime !== null ? `${jump.flightTime.toFixed(3)}s` : '-' },
+        { label: 'Dip', value: `${jump.countermovement.depth.toFixed(1)}in` }
+      ]
+    };
+  }
+  if (results?.broadJump) {
+    const jump = results.broadJump;
+    return {
+      title: 'Jump',
+      items: [
+        { label: 'Distance', value: jump.distance !== null ? `${jump.distance.toFixed(1)}in` : '-' },
+        { label: 'Flight', value: jump.flightTime !== null ? `${jump.flightTime.toFixed(3)}s` : '-' },
+        { label: 'Angle', value: jump.takeoffAngle !== null ? `${jump.takeoffAngle.toFixed(0)}°` : '-' }
+      ]
+    };
+  }
+  const crossings = results?.crossings;
+  if (crossings && crossings.lines[0].time !== null) {
+    // Electronic splits; a typed-in field time for a split still takes its place
+    const lineAt = (yard) => crossings.lines.find(line => line.distance === yard);
+    const items = [10, 20, 30, 40].map(yard => {
+      const line = lineAt(yard);
+      const overridden = results.hasTimeOverrides && line && results.summary.splits[yard] !== line.elapsed;
+      return {
+        label: `${yard}yd`,
+        value: seconds(results.summary.splits[yard] ?? null),
+        color: line?.rating && !overridden ? CROSSING_RATING_COLORS[line.rating] : null
+      };
+    });
+    const finish = crossings.lines[crossings.lines.length - 1];
+    if (![10, 20, 30, 40].includes(finish.distance)) {
+      items.push({ label: 'Finish', value: seconds(finish.elapsed), color: finish.rating ? CROSSING_RATING_COLORS[finish.rating] : null });
+    }
+    return { title: 'Electronic Splits', items };
+  }
+  return { title: 'Splits', items: [10, 20, 30, 40].map(yard => ({ label: `${yard}yd`, value: seconds(results?.summary.splits[yard] || null) })) };
+};
+
 // Drill types for recording
 const DRILL_TYPES = [
   '40-Yard Dash',
@@ -223,6 +319,12 @@ function VideoAnalysis() {
   const [currentFrame, setCurrentFrame] = useState(0);
   const [totalFrames, setTotalFrames] = useState(0);
   const [fps, setFps] = useState(30);
+  // Measured frame timing: { fps, isVariable, droppedFrames } (null until measured)
+  const [frameTiming, setFrameTiming] = useState(null);
+  const [frameTimingWarning, setFrameTimingWarning] = useState(null);
+  // Position filter applied before speed/acceleration are differentiated
+  const [kinematicsFilter, setKinematicsFilter] = useState(DEFAULT_KINEMATICS_FILTER);
+  const [showRawKinematics, setShowRawKinematics] = useState(true);
 
   // File info state
   const [fileInfo, setFileInfo] = useState({
@@ -294,13 +396,15 @@ function VideoAnalysis() {
   const [activeMarkerIndex, setActiveMarkerIndex] = useState(null);
   const [isDragging, setIsDragging] = useState(false);
   const [calibrationDistance, setCalibrationDistance] = useState('');
+  const [calibrationDepth, setCalibrationDepth] = useState(''); // grid only: yards across the field
   const [isCalibrated, setIsCalibrated] = useState(false);
-  const [pixelsPerYard, setPixelsPerYard] = useState(null);
+  const [calibration, setCalibration] = useState(null); // see utils/fieldCalibration
   const [isSettingCalibration, setIsSettingCalibration] = useState(false); // true when user is placing points
 
   // AI Pose Detection state
   const [poseDetectorReady, setPoseDetectorReady] = useState(false);
   const [poseDetectorLoading, setPoseDetectorLoading] = useState(false);
+  const [poseDetectorInfo, setPoseDetectorInfo] = useState(null); // { model, backend, inWorker }
   const [poseDetectorError, setPoseDetectorError] = useState(null);
 
   // Tracking Profile state
@@ -311,8 +415,13 @@ function VideoAnalysis() {
   const [trackingData, setTrackingData] = useState([]);
   const [isProcessing, setIsProcessing] = useState(false);
   const [processingProgress, setProcessingProgress] = useState(0);
+  const [processingStage, setProcessingStage] = useState('tracking'); // 'timing' | 'tracking'
   const [processingCancelled, setProcessingCancelled] = useState(false);
 
+  // Annotated video export state
+  const [isExporting, setIsExporting] = useState(false);
+  const [exportProgress, setExportProgress] = useState(0);
+
   // Manual keyframe adjustment state
   const [selectedKeypoint, setSelectedKeypoint] = useState(null);
   const [isDraggingKeypoint, setIsDraggingKeypoint] = useState(false);
@@ -330,6 +439,12 @@ function VideoAnalysis() {
   const [athleteSelectionMode, setAthleteSelectionMode] = useState(false);
   const [selectedAthleteBox, setSelectedAthleteBox] = useState(null);
 
+  // Multi-athlete heats: one track per athlete, each assignable to an athlete record
+  const [multiAthleteMode, setMultiAthleteMode] = useState(false);
+  const [maxAthletes, setMaxAthletes] = useState(3);
+  const [athleteTracks, setAthleteTracks] = useState([]);
+  const [activeTrackId, setActiveTrackId] = useState(null);
+
   // Manual tracking fallback mode
   const [manualTrackingMode, setManualTrackingMode] = useState(false);
   const [manualCOMPoints, setManualCOMPoints] = useState([]);
@@ -337,14 +452,19 @@ function VideoAnalysis() {
   // Confidence threshold setting
   const [confidenceThreshold, setConfidenceThreshold] = useState(0.3);
 
-  // Time override state
+  // Time override state; signalTime is the start signal in video time, once accepted as the start
   const [timeOverrides, setTimeOverrides] = useState({
     startTime: null,
     endTime: null,
+    signalTime: null,
     splits: { 10: null, 20: null, 30: null, 40: null }
   });
   const [showTimeOverrides, setShowTimeOverrides] = useState(false);
 
+  // Start signal found in the audio track (see utils/startSignal)
+  const [startSignal, setStartSignal] = useState(null);
+  const [isDetectingSignal, setIsDetectingSignal] = useState(false);
+
   // Results state
   const [analysisResults, setAnalysisResults] = useState(null);
   const [biomechanicsResults, setBiomechanicsResults] = useState(null);
@@ -364,14 +484,23 @@ function VideoAnalysis() {
   const powerChartRef = useRef(null);
   const spineAngleChartRef = useRef(null);
   const shinAngleChartRef = useRef(null);
+  const lDrillPathChartRef = useRef(null);
+  const forceVelocityChartRef = useRef(null);
+  const gaitChartRef = useRef(null);
   const speedChartInstance = useRef(null);
   const accelChartInstance = useRef(null);
   const powerChartInstance = useRef(null);
   const spineAngleChartInstance = useRef(null);
   const shinAngleChartInstance = useRef(null);
+  const lDrillPathChartInstance = useRef(null);
+  const forceVelocityChartInstance = useRef(null);
+  const gaitChartInstance = useRef(null);
   const fileInputRef = useRef(null);
   const trimSliderRef = useRef(null);
   const cancelProcessingRef = useRef(false);
+  // Load-time frame rate probe, so processing can stop it before driving the video itself
+  const frameRateProbeRef = useRef(null);
+  const cancelExportRef = useRef(false);
   const isSteppingRef = useRef(false); // Track if we're manually stepping frames
 
   // Context
@@ -387,11 +516,14 @@ function VideoAnalysis() {
     hasActiveFilters
   } = useAppContext();
 
-  // Load athletes
+  // Load athletes and follow edits made elsewhere
   useEffect(() => {
     dataService.loadData().then(data => {
       setAthletes(data.athletes);
     });
+    return dataService.subscribe(() => {
+      setAthletes(dataService.getAthletes());
+    });
   }, []);
 
   // Initialize pose detector on mount
@@ -402,6 +534,7 @@ function VideoAnalysis() {
       try {
         await initializePoseDetector();
         setPoseDetectorReady(true);
+        setPoseDetectorInfo(getDetectorInfo());
       } catch (error) {
         console.error('Failed to initialize pose detector:', error);
         setPoseDetectorError(error.message);
@@ -438,16 +571,38 @@ function VideoAnalysis() {
 
   // Get selected athlete object
   const selectedAthleteObjects = athletes.filter(a => selectedAthletes.includes(a.id));
-  const primaryAthlete = selectedAthleteObjects.length > 0 ? selectedAthleteObjects[0] : null;
 
-  // Get effective weight for power calculations
-  const getEffectiveWeight = () => {
+  // In a heat, results belong to whoever is assigned to the track being viewed
+  const activeTrack = athleteTracks.find(track => track.id === activeTrackId) || null;
+  const getTrackAthlete = (track) => (track?.athleteId ? athletes.find(a => a.id === track.athleteId) || null : null);
+  const primaryAthlete = getTrackAthlete(activeTrack) || (selectedAthleteObjects.length > 0 ? selectedAthleteObjects[0] : null);
+
+  // Weight for power calculations: override, then the athlete record, then the manual entry
+  const getAthleteWeight = (athlete) => {
     if (weightOverride) return parseFloat(weightOverride);
-    if (primaryAthlete) return primaryAthlete.weight;
+    if (athlete) return athlete.weight;
     if (manualAthlete.weight) return parseFloat(manualAthlete.weight);
     return null;
   };
 
+  // Get effective weight for power calculations
+  const getEffectiveWeight = () => getAthleteWeight(primaryAthlete);
+
+  // Height (inches) for the air resistance term of the force-velocity profile
+  const getAthleteHeight = (athlete) => {
+    if (athlete?.height) return athlete.height;
+    if (!athlete && manualAthlete.height) return parseFloat(manualAthlete.height);
+    return null;
+  };
+
+  // Sprint force-velocity profile; only linear sprints carry a filtered speed curve to fit
+  const effectiveWeight = getEffectiveWeight();
+  const effectiveHeight = getAthleteHeight(primaryAthlete);
+  const forceVelocity = useMemo(() => {
+    if (!analysisResults?.filter) return null;
+    return calculateForceVelocityProfile(analysisResults.frames, { weightLbs: effectiveWeight, heightIn: effectiveHeight });
+  }, [analysisResults, effectiveWeight, effectiveHeight]);
+
   // Get current frame's tracking data
   const getCurrentFrameData = () => {
     if (!trackingData || trackingData.length === 0) return null;
@@ -647,17 +802,21 @@ function VideoAnalysis() {
     setCalibrationMarkers([]);
     setPlayerMarker(null);
     setTrackingData([]);
+    setAthleteTracks([]);
+    setActiveTrackId(null);
     setAnalysisResults(null);
     setBiomechanicsResults(null);
     setIsCalibrated(false);
-    setPixelsPerYard(null);
+    setCalibration(null);
     setCurrentFrame(0);
     setManualKeyframes([]);
     setTimeOverrides({
       startTime: null,
       endTime: null,
+      signalTime: null,
       splits: { 10: null, 20: null, 30: null, 40: null }
     });
+    setStartSignal(null);
     // Reset quality tracking
     setTrackingQuality(null);
     setFrameConfidences([]);
@@ -799,8 +958,10 @@ function VideoAnalysis() {
     // Reset calibration since pixel coordinates will change
     setCalibrationMarkers([]);
     setIsCalibrated(false);
-    setPixelsPerYard(null);
+    setCalibration(null);
     setTrackingData([]);
+    setAthleteTracks([]);
+    setActiveTrackId(null);
     setAnalysisResults(null);
   };
 
@@ -813,8 +974,10 @@ function VideoAnalysis() {
     // Reset calibration since coordinates changed
     setCalibrationMarkers([]);
     setIsCalibrated(false);
-    setPixelsPerYard(null);
+    setCalibration(null);
     setTrackingData([]);
+    setAthleteTracks([]);
+    setActiveTrackId(null);
     setAnalysisResults(null);
   };
 
@@ -948,9 +1111,60 @@ function VideoAnalysis() {
 
       // Calculate video render dimensions after a brief delay to ensure layout is complete
       setTimeout(updateVideoRenderDims, 50);
+
+      measureFrameRate(videoRef.current);
     }
   };
 
+  // Replace the assumed 30 fps with the file's real frame rate where the browser reports frames
+  const measureFrameRate = (video) => {
+    if (frameRateProbeRef.current) frameRateProbeRef.current.cancelled = true;
+    setFrameTiming(null);
+    setFrameTimingWarning(null);
+
+    const probe = { cancelled: false };
+    probe.promise = (async () => {
+      try {
+        const estimate = await estimateFrameRate(video, { onCancel: () => probe.cancelled });
+        if (!estimate || probe.cancelled || video !== videoRef.current) return;
+        setFrameTimingWarning(estimate.displayLimited);
+        const { timing } = estimate;
+        if (!timing) return;
+        setFps(timing.fps);
+        setTotalFrames(Math.floor(video.duration * timing.fps));
+        setFileInfo(prev => ({ ...prev, fps: timing.fps }));
+        setFrameTiming({ fps: timing.fps, isVariable: timing.isVariable, droppedFrames: 0 });
+      } catch (error) {
+        console.warn('Could not measure frame rate, assuming', fps, 'fps:', error);
+      } finally {
+        if (frameRateProbeRef.current === probe) frameRateProbeRef.current = null;
+      }
+    })();
+    frameRateProbeRef.current = probe;
+  };
+
+  // Stop the load-time probe and wait for it to hand the video back
+  const stopFrameRateProbe = async () => {
+    const probe = frameRateProbeRef.current;
+    if (!probe) return;
+    probe.cancelled = true;
+    await probe.promise;
+  };
+
+  // Video time of a frame: its real timestamp once tracked, else the fps grid
+  const frameToTime = (frame) => {
+    const tracked = trackingData[frame]?.time;
+    if (tracked !== undefined && tracked !== null) return tracked;
+    return (isTrimApplied ? effectiveStartTime : 0) + frame / fps;
+  };
+
+  // Seek target that lands on the frame: the middle of its display interval
+  const frameSeekTime = (frame) => {
+    const time = frameToTime(frame);
+    const next = trackingData[frame + 1]?.time;
+    return next > time ? (time + next) / 2 : time;
+  };
+
   // Apply trim to video
   const applyTrim = () => {
     if (!videoRef.current) return;
@@ -998,7 +1212,7 @@ function VideoAnalysis() {
       if (isTrimApplied) {
         const relativeTime = actualTime - effectiveStartTime;
         setCurrentTime(relativeTime);
-        setCurrentFrame(Math.floor(relativeTime * fps));
+        setCurrentFrame(trackingData.length > 0 ? frameIndexAtTime(trackingData.map(f => f.time), actualTime) : Math.floor(relativeTime * fps));
 
         // Stop at end of trimmed region
         const endTime = effectiveStartTime + effectiveDuration;
@@ -1009,7 +1223,7 @@ function VideoAnalysis() {
         }
       } else {
         setCurrentTime(actualTime);
-        setCurrentFrame(Math.floor(actualTime * fps));
+        setCurrentFrame(trackingData.length > 0 ? frameIndexAtTime(trackingData.map(f => f.time), actualTime) : Math.floor(actualTime * fps));
       }
     }
   };
@@ -1020,10 +1234,9 @@ function VideoAnalysis() {
       videoRef.current.pause();
 
       // Calculate actual time based on trim
-      const relativeTime = frame / fps;
-      const actualTime = isTrimApplied ? effectiveStartTime + relativeTime : relativeTime;
+      const relativeTime = frameToTime(frame) - (isTrimApplied ? effectiveStartTime : 0);
 
-      videoRef.current.currentTime = actualTime;
+      videoRef.current.currentTime = frameSeekTime(frame);
       setCurrentFrame(frame);
       setCurrentTime(relativeTime);
       setIsPlaying(false);
@@ -1043,13 +1256,10 @@ function VideoAnalysis() {
     // Calculate new frame (clamped to trim range)
     const maxFrame = totalFrames - 1;
     const newFrame = Math.max(0, Math.min(maxFrame, currentFrame + delta));
-    const relativeTime = newFrame / fps;
-
-    // Calculate actual video time
-    const actualTime = isTrimApplied ? effectiveStartTime + relativeTime : relativeTime;
+    const relativeTime = frameToTime(newFrame) - (isTrimApplied ? effectiveStartTime : 0);
 
     // Update video and state
-    videoRef.current.currentTime = actualTime;
+    videoRef.current.currentTime = frameSeekTime(newFrame);
     setCurrentFrame(newFrame);
     setCurrentTime(relativeTime);
 
@@ -1130,6 +1340,11 @@ function VideoAnalysis() {
 
   // ============ CALIBRATION ============
 
+  // Markers needed before Calibrate is enabled (the grid and L-drill need every point)
+  const requiredMarkerCount = calibrationMode === 'grid' ? 4 : calibrationMode === 'l-drill' ? 3 : 2;
+  const canCalibrate = calibrationMarkers.length >= requiredMarkerCount && !!calibrationDistance &&
+    (calibrationMode !== 'grid' || !!calibrationDepth);
+
   const handleDrillSelect = (drillKey) => {
     setSelectedDrill(drillKey);
     const drill = DRILL_TEMPLATES[drillKey];
@@ -1138,8 +1353,10 @@ function VideoAnalysis() {
     setIsCalibrated(false);
     setIsSettingCalibration(false);
 
-    if (drill.distance) {
-      setCalibrationDistance(drill.distance.toString());
+    // Cone drills calibrate on the first gap (e.g. 5 yards Left -> Center for the 5-10-5)
+    const defaultDistance = drill.distance || drill.distances?.[0];
+    if (defaultDistance) {
+      setCalibrationDistance(defaultDistance.toString());
     } else {
       setCalibrationDistance('');
     }
@@ -1342,36 +1559,63 @@ function VideoAnalysis() {
   };
 
   const calculateCalibration = () => {
-    if (!calibrationDistance || calibrationMarkers.length < 2) return;
+    if (!calibrationDistance || calibrationMarkers.length < requiredMarkerCount) return;
 
     const distance = parseFloat(calibrationDistance);
     if (isNaN(distance) || distance <= 0) return;
 
-    const dx = calibrationMarkers[1].x - calibrationMarkers[0].x;
-    const dy = calibrationMarkers[1].y - calibrationMarkers[0].y;
-    const pixelDistance = Math.sqrt(dx * dx + dy * dy);
+    // Grid: homography from the four clicked corners, so angled cameras get correct distances
+    let newCalibration;
+    if (calibrationMode === 'grid') {
+      const depth = parseFloat(calibrationDepth);
+      if (isNaN(depth) || depth <= 0) return;
+      try {
+        newCalibration = createGridCalibration(calibrationMarkers, distance, depth);
+        if (newCalibration && DRILL_TEMPLATES[selectedDrill]?.timingLines) {
+          newCalibration.course = createCourse(calibrationMarkers, distance, newCalibration);
+        }
+      } catch (error) {
+        setVideoError(error.message);
+        return;
+      }
+    } else if (calibrationMode === 'l-drill') {
+      // Cones at Start (0, 0), Middle (first leg, 0) and End (first leg, second leg)
+      const secondLeg = DRILL_TEMPLATES[selectedDrill]?.distances?.[1] || distance;
+      newCalibration = createConeCalibration(calibrationMarkers, [
+        { x: 0, y: 0 },
+        { x: distance, y: 0 },
+        { x: distance, y: secondLeg }
+      ]);
+      if (!newCalibration) {
+        setVideoError('Cones are in a straight line - click the Start, Middle and End cones of the L');
+        return;
+      }
+    } else {
+      newCalibration = createLineCalibration(calibrationMarkers, distance);
+      if (newCalibration && DRILL_TEMPLATES[selectedDrill]?.timingLines) {
+        newCalibration.course = createCourse(calibrationMarkers, distance);
+      }
+    }
+    if (!newCalibration) return;
 
     // Debug info
     console.log('Calibration Debug:', {
-      marker1: calibrationMarkers[0],
-      marker2: calibrationMarkers[1],
-      dx, dy,
-      pixelDistance,
+      markers: calibrationMarkers,
       distance,
-      pixelsPerYard: pixelDistance / distance,
+      calibration: newCalibration,
       videoWidth: videoRef.current?.videoWidth,
       videoHeight: videoRef.current?.videoHeight
     });
 
     // Sanity check - if pixels per yard is suspiciously low, warn user
-    const calculatedPxPerYard = pixelDistance / distance;
+    const calculatedPxPerYard = newCalibration.pixelsPerYard;
     if (calculatedPxPerYard < 5) {
       setVideoError(`Warning: Calibration seems off (${calculatedPxPerYard.toFixed(1)} px/yd). Try placing markers further apart.`);
     } else {
       setVideoError('');
     }
 
-    setPixelsPerYard(calculatedPxPerYard);
+    setCalibration(newCalibration);
     setIsCalibrated(true);
   };
 
@@ -1402,23 +1646,80 @@ function VideoAnalysis() {
       // Get crop region if applied
       const cropRegion = isCropApplied ? getCroppedDimensions() : null;
 
-      // Process video with AI pose detection
-      const frameData = await processVideoWithAI(
-        videoRef.current,
-        {
-          fps,
-          profileId: activeProfile,
-          enableBiomechanics,
-          movementDirection,
-          confidenceThreshold,
-          athleteRegion: selectedAthleteBox,
-          startTime,
-          endTime,
-          cropRegion // Pass crop bounds for frame extraction
-        },
-        (progress) => setProcessingProgress(progress),
-        () => cancelProcessingRef.current
-      );
+      // Read the real presentation timestamps for the range so each frame is sampled
+      // where it actually is (phone footage is often variable frame rate). Clips too fast
+      // to probe on this display keep the current frame rate grid.
+      setProcessingStage('timing');
+      await stopFrameRateProbe();
+      const timingProbe = await probeFrameTimestamps(videoRef.current, {
+        startTime,
+        endTime,
+        onProgress: (progress) => setProcessingProgress(progress),
+        onCancel: () => cancelProcessingRef.current
+      });
+
+      if (cancelProcessingRef.current) {
+        setProcessingCancelled(true);
+        setIsProcessing(false);
+        return;
+      }
+
+      const rangeTiming = timingProbe?.timing || null;
+      const processingFps = rangeTiming?.fps || fps;
+      if (rangeTiming) {
+        setFps(rangeTiming.fps);
+        setFrameTiming({ fps: rangeTiming.fps, isVariable: rangeTiming.isVariable, droppedFrames: timingProbe.droppedFrames });
+      }
+      setFrameTimingWarning(timingProbe?.displayLimited || null);
+      setProcessingStage('tracking');
+      setProcessingProgress(0);
+
+      const processingOptions = {
+        fps: processingFps,
+        frameTimes: timingProbe?.timestamps || null,
+        profileId: activeProfile,
+        enableBiomechanics,
+        movementDirection,
+        confidenceThreshold,
+        athleteRegion: selectedAthleteBox,
+        startTime,
+        endTime,
+        cropRegion // Pass crop bounds for frame extraction
+      };
+
+      // Process video with AI pose detection; heats track every athlete and view the first
+      let frameData;
+      let trackAthlete = selectedAthleteObjects[0] || null;
+      if (multiAthleteMode) {
+        await initializeMultiPoseDetector();
+        const tracks = await processVideoMultiPerson(
+          videoRef.current,
+          { ...processingOptions, maxAthletes },
+          (progress) => setProcessingProgress(progress),
+          () => cancelProcessingRef.current
+        );
+        if (!cancelProcessingRef.current && tracks.length === 0) {
+          throw new Error('No athletes detected in the clip');
+        }
+
+        // Selected athletes are assigned to tracks in order (the seeded track first)
+        const assigned = tracks.map((track, k) => ({ ...track, athleteId: selectedAthleteObjects[k]?.id ?? null }));
+        setAthleteTracks(assigned);
+        setActiveTrackId(assigned[0]?.id ?? null);
+        frameData = assigned[0]?.frameData || [];
+        trackAthlete = getTrackAthlete(assigned[0]) || trackAthlete;
+      } else {
+        setAthleteTracks([]);
+        setActiveTrackId(null);
+        frameData = await processVideoWithAI(
+          videoRef.current,
+          processingOptions,
+          (progress) => setProcessingProgress(progress),
+          () => cancelProcessingRef.current
+        );
+        // A worker that failed mid-clip leaves detection on the main thread
+        setPoseDetectorInfo(getDetectorInfo());
+      }
 
       if (cancelProcessingRef.current) {
         setProcessingCancelled(true);
@@ -1456,13 +1757,18 @@ function VideoAnalysis() {
       setTrackingData(frameData);
 
       // Calculate physics
-      const weight = getEffectiveWeight();
-      const physics = calculatePhysics(
+      if (TRACKING_PROFILES[activeProfile]?.requiresCones && !calibration?.cones) {
+        setVideoError(`${TRACKING_PROFILES[activeProfile].name} needs the cone calibration - select the ${DRILL_TEMPLATES[TRACKING_PROFILES[activeProfile].drillTemplate].name} template and click each cone`);
+      }
+      const weight = getAthleteWeight(trackAthlete);
+      const physics = calculateProfilePhysics(
+        activeProfile,
         frameData,
-        pixelsPerYard,
-        fps,
+        calibration,
+        processingFps,
         timeOverrides,
-        weight
+        weight,
+        kinematicsFilter
       );
 
       setAnalysisResults(physics);
@@ -1473,7 +1779,7 @@ function VideoAnalysis() {
         setBiomechanicsResults(bioData);
       }
 
-      setActiveResultTab('summary');
+      setActiveResultTab(defaultResultTab(physics));
     } catch (error) {
       console.error('Video processing error:', error);
       setVideoError(`Processing failed: ${error.message}`);
@@ -1486,9 +1792,41 @@ function VideoAnalysis() {
     cancelProcessingRef.current = true;
   };
 
+  // Switch the results, overlay and timeline to another athlete in the heat
+  const viewTrack = (trackId, tracks = athleteTracks) => {
+    const track = tracks.find(t => t.id === trackId);
+    if (!track) return;
+
+    setActiveTrackId(trackId);
+    setTrackingData(track.frameData);
+    setFrameConfidences(track.frameData.map(f => f.confidence || 0));
+
+    const physics = calculateProfilePhysics(
+      activeProfile,
+      track.frameData,
+      calibration,
+      fps,
+      timeOverrides,
+      getAthleteWeight(getTrackAthlete(track)),
+      kinematicsFilter
+    );
+    setAnalysisResults(physics);
+
+    if (enableBiomechanics) {
+      setBiomechanicsResults(calculateBiomechanicsTimeSeries(track.frameData));
+    }
+  };
+
+  // Assign an athlete record to a track; the viewed track's power figures follow the new weight
+  const assignTrackAthlete = (trackId, athleteId) => {
+    const updated = athleteTracks.map(track => (track.id === trackId ? { ...track, athleteId } : track));
+    setAthleteTracks(updated);
+    if (trackId === activeTrackId) viewTrack(trackId, updated);
+  };
+
   // Process manual COM tracking data
   const processManualTracking = () => {
-    if (manualCOMPoints.length < 2 || !pixelsPerYard) {
+    if (manualCOMPoints.length < 2 || !calibration) {
       setVideoError('Need at least 2 manual points and calibration to analyze');
       return;
     }
@@ -1506,7 +1844,7 @@ function VideoAnalysis() {
         const t = (frame - start.frame) / (end.frame - start.frame);
         interpolatedData.push({
           frame,
-          time: frame / fps,
+          time: frameToTime(frame),
           centerOfMass: {
             x: start.x + t * (end.x - start.x),
             y: start.y + t * (end.y - start.y),
@@ -1532,33 +1870,37 @@ function VideoAnalysis() {
 
     // Calculate physics
     const weight = getEffectiveWeight();
-    const physics = calculatePhysics(
+    const physics = calculateProfilePhysics(
+      activeProfile,
       interpolatedData,
-      pixelsPerYard,
+      calibration,
       fps,
       timeOverrides,
-      weight
+      weight,
+      kinematicsFilter
     );
 
     setAnalysisResults(physics);
-    setActiveResultTab('summary');
+    setActiveResultTab(defaultResultTab(physics));
   };
 
   // Recalculate physics when time overrides change
   const recalculateWithOverrides = useCallback(() => {
-    if (!trackingData || trackingData.length === 0 || !pixelsPerYard) return;
+    if (!trackingData || trackingData.length === 0 || !calibration) return;
 
     const weight = getEffectiveWeight();
-    const physics = calculatePhysics(
+    const physics = calculateProfilePhysics(
+      activeProfile,
       trackingData,
-      pixelsPerYard,
+      calibration,
       fps,
       timeOverrides,
-      weight
+      weight,
+      kinematicsFilter
     );
 
     setAnalysisResults(physics);
-  }, [trackingData, pixelsPerYard, fps, timeOverrides, weightOverride, primaryAthlete, manualAthlete.weight]);
+  }, [activeProfile, trackingData, calibration, fps, timeOverrides, weightOverride, primaryAthlete, manualAthlete.weight, kinematicsFilter]);
 
   // Update time override
   const updateTimeOverride = (field, value) => {
@@ -1575,17 +1917,64 @@ function VideoAnalysis() {
     }
   };
 
-  // Apply time overrides
+  // Find the clap, whistle or beep in the audio of the processing range
+  const detectSignal = async () => {
+    if (!videoSource) return;
+    setIsDetectingSignal(true);
+    try {
+      const audio = await decodeAudioTrack(videoSource);
+      const startTime = isTrimApplied ? effectiveStartTime : (trimStart * duration);
+      const endTime = isTrimApplied ? (effectiveStartTime + effectiveDuration) : (trimEnd * duration);
+      // Once tracked, the athlete's first movement bounds where the signal can be
+      const movementIndex = trackingData.length > 0
+        ? detectMovementStart(trackingData, calibration, 0.5, TRACKING_PROFILES[activeProfile]?.movementAxis)
+        : 0;
+      const movementTime = movementIndex > 0 ? trackingData[movementIndex].time : null;
+      const signal = detectStartSignal(audio, { startTime, endTime, movementTime });
+      setStartSignal(signal);
+      if (!signal) {
+        setVideoError('No start signal found in the audio - it needs a sharp clap, whistle or beep above the background noise');
+      }
+    } catch (error) {
+      console.error('Start signal detection error:', error);
+      setVideoError(`Start signal detection failed: ${error.message}`);
+    } finally {
+      setIsDetectingSignal(false);
+    }
+  };
+
+  // Reaction time from the detected signal to the first movement of the tracked athlete
+  const reaction = startSignal && trackingData.length > 0
+    ? calculateReactionTime(trackingData, calibration, startSignal.time, TRACKING_PROFILES[activeProfile]?.movementAxis)
+    : null;
+
+  // Only profiles timed by calculatePhysics honor the manual times and the signal start;
+  // the others still get the signal's reaction time
+  const usesManualTiming = Boolean(TRACKING_PROFILES[activeProfile]?.manualTiming);
+
+  // Apply time overrides, and re-run the physics model when the profile or filter changes
   useEffect(() => {
     if (analysisResults && trackingData.length > 0) {
       recalculateWithOverrides();
     }
-  }, [timeOverrides]);
+  }, [timeOverrides, activeProfile, kinematicsFilter]);
+
+  // Profiles tied to a drill bring their calibration template along
+  const handleProfileSelect = (profileId) => {
+    setActiveProfile(profileId);
+    const { drillTemplate } = TRACKING_PROFILES[profileId];
+    if (drillTemplate && drillTemplate !== selectedDrill) {
+      handleDrillSelect(drillTemplate);
+    }
+  };
 
   // ============ SKELETON OVERLAY DRAWING ============
 
-  const drawOverlay = useCallback(() => {
-    const canvas = canvasRef.current;
+  // Draws onto the on-screen canvas at the current frame, or onto target.canvas at
+  // target.frame (used by the annotated export), leaving out the interactive prompts
+  const drawOverlay = useCallback((target = null) => {
+    const canvas = target ? target.canvas : canvasRef.current;
+    const frame = target ? target.frame : currentFrame;
     const video = videoRef.current;
     if (!canvas || !video) return;
 
@@ -1613,7 +2002,7 @@ function VideoAnalysis() {
     ctx.clearRect(0, 0, canvas.width, canvas.height);
 
     // Draw mode indicators BEFORE translate (in canvas/cropped coords)
-    if (athleteSelectionMode) {
+    if (athleteSelectionMode && !target) {
       ctx.fillStyle = 'rgba(251, 191, 36, 0.2)';
       ctx.fillRect(0, 0, canvas.width, canvas.height);
       ctx.font = 'bold 16px sans-serif';
@@ -1623,7 +2012,7 @@ function VideoAnalysis() {
       ctx.textAlign = 'left';
     }
 
-    if (manualTrackingMode) {
+    if (manualTrackingMode && !target) {
       ctx.fillStyle = 'rgba(139, 92, 246, 0.1)';
       ctx.fillRect(0, 0, canvas.width, canvas.height);
       ctx.font = 'bold 14px sans-serif';
@@ -1675,7 +2064,7 @@ function VideoAnalysis() {
 
       // Draw points
       manualCOMPoints.forEach((point, i) => {
-        const isCurrentFrame = point.frame === currentFrame;
+        const isCurrentFrame = point.frame === frame;
 
         ctx.beginPath();
         ctx.arc(point.x, point.y, isCurrentFrame ? 10 : 6, 0, Math.PI * 2);
@@ -1692,7 +2081,7 @@ function VideoAnalysis() {
       });
 
       // Highlight current frame point if exists
-      const currentPoint = manualCOMPoints.find(p => p.frame === currentFrame);
+      const currentPoint = manualCOMPoints.find(p => p.frame === frame);
       if (currentPoint) {
         ctx.beginPath();
         ctx.arc(currentPoint.x, currentPoint.y, 14, 0, Math.PI * 2);
@@ -1702,6 +2091,45 @@ function VideoAnalysis() {
       }
     }
 
+    // Draw perspective yard lines across the calibrated grid
+    if (isCalibrated && calibration?.type === 'homography') {
+      const step = calibration.width > 10 ? 5 : 1;
+      ctx.strokeStyle = 'rgba(251, 191, 36, 0.45)';
+      ctx.lineWidth = 1;
+      for (let yard = 0; yard <= calibration.width + 1e-6; yard += step) {
+        const top = fieldToPixel(calibration, { x: yard, y: 0 });
+        const bottom = fieldToPixel(calibration, { x: yard, y: calibration.depth });
+        if (!top || !bottom) continue;
+        ctx.beginPath();
+        ctx.moveTo(top.x, top.y);
+        ctx.lineTo(bottom.x, bottom.y);
+        ctx.stroke();
+      }
+    }
+
+    // Draw the start, split and finish timing lines across the course
+    if (isCalibrated && calibration?.course) {
+      // Once analyzed, draw the course the way the athlete ran it
+      const course = analysisResults?.crossings?.course || calibration.course;
+      const reach = Math.max(canvas.width, canvas.height);
+      const yards = [];
+      for (let yard = 0; yard < course.distance - 1e-6; yard += 10) yards.push(yard);
+      yards.push(course.distance);
+
+      ctx.strokeStyle = 'rgba(16, 185, 129, 0.5)';
+      ctx.lineWidth = 1;
+      ctx.setLineDash([8, 6]);
+      yards.forEach(yard => {
+        const [from, to] = courseLine(course, yard, reach);
+        if (!from || !to) return;
+        ctx.beginPath();
+        ctx.moveTo(from.x, from.y);
+        ctx.lineTo(to.x, to.y);
+        ctx.stroke();
+      });
+      ctx.setLineDash([]);
+    }
+
     // Draw calibration markers
     if (calibrationMarkers.length > 0) {
       ctx.strokeStyle = '#10b981';
@@ -1742,7 +2170,7 @@ function VideoAnalysis() {
     }
 
     // Draw skeleton overlay if we have tracking data
-    const frameData = getCurrentFrameData();
+    const frameData = trackingData.find(f => f.frame === frame) || null;
     if (frameData && frameData.keypoints) {
       const profile = TRACKING_PROFILES[activeProfile];
       const connections = SKELETON_CONNECTIONS[activeProfile] || [];
@@ -1822,7 +2250,7 @@ function VideoAnalysis() {
       }
 
       // Draw manual keyframe indicator
-      if (manualKeyframes.includes(currentFrame)) {
+      if (manualKeyframes.includes(frame)) {
         ctx.font = 'bold 12px sans-serif';
         ctx.fillStyle = '#fbbf24';
         ctx.fillText('* KEYFRAME', 10, 20);
@@ -1849,7 +2277,53 @@ function VideoAnalysis() {
         }
       }
     }
-  }, [calibrationMarkers, calibrationMode, currentFrame, trackingData, selectedKeypoint, manualKeyframes, enableBiomechanics, activeProfile, athleteSelectionMode, selectedAthleteBox, manualTrackingMode, manualCOMPoints, confidenceThreshold, isCropApplied, cropMode, cropBounds]);
+
+    // Other athletes in the heat: a colored COM marker and track label each
+    athleteTracks.forEach((track, index) => {
+      const com = track.frameData[frame]?.centerOfMass;
+      if (!com || track.frameData[frame].isMissing) return;
+      const color = ATHLETE_COLORS[index % ATHLETE_COLORS.length];
+      const isActive = track.id === activeTrackId;
+      ctx.beginPath();
+      ctx.arc(com.x, com.y, isActive ? 12 : 8, 0, Math.PI * 2);
+      ctx.strokeStyle = color.border;
+      ctx.lineWidth = 3;
+      ctx.stroke();
+      if (!isActive) {
+        ctx.fillStyle = color.bg;
+        ctx.fill();
+      }
+      ctx.font = 'bold 11px sans-serif';
+      ctx.fillStyle = color.point;
+      ctx.fillText(`Track ${index + 1}`, com.x + 14, com.y - 10);
+    });
+
+    // Broad jump measurement: takeoff toe to rearmost landing heel
+    const broadJump = analysisResults?.broadJump;
+    if (broadJump?.takeoffToe && broadJump?.landingHeel && broadJump.distance !== null) {
+      const toe = broadJump.takeoffToe.pixel;
+      const heel = broadJump.landingHeel.pixel;
+      ctx.strokeStyle = '#10b981';
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      [toe, heel].forEach(point => {
+        ctx.moveTo(point.x, point.y - 25);
+        ctx.lineTo(point.x, point.y + 5);
+      });
+      ctx.stroke();
+      ctx.setLineDash([6, 4]);
+      ctx.beginPath();
+      ctx.moveTo(toe.x, toe.y);
+      ctx.lineTo(heel.x, heel.y);
+      ctx.stroke();
+      ctx.setLineDash([]);
+      ctx.font = 'bold 13px sans-serif';
+      ctx.fillStyle = '#10b981';
+      ctx.textAlign = 'center';
+      ctx.fillText(`${broadJump.distance.toFixed(1)} in`, (toe.x + heel.x) / 2, Math.min(toe.y, heel.y) - 30);
+      ctx.textAlign = 'left';
+    }
+  }, [calibrationMarkers, calibrationMode, calibration, isCalibrated, currentFrame, trackingData, selectedKeypoint, manualKeyframes, enableBiomechanics, activeProfile, athleteSelectionMode, selectedAthleteBox, manualTrackingMode, manualCOMPoints, confidenceThreshold, isCropApplied, cropMode, cropBounds, analysisResults, athleteTracks, activeTrackId]);
 
   // Update overlay when frame changes
   useEffect(() => {
@@ -1868,6 +2342,51 @@ function VideoAnalysis() {
     }
   }, [videoRenderDims]);
 
+  // ============ ANNOTATED EXPORT ============
+
+  // Render every tracked frame with the overlay and a speed/distance/time HUD to a WebM download
+  const exportAnnotatedVideo = async () => {
+    const video = videoRef.current;
+    if (!video || !analysisResults || trackingData.length === 0) return;
+
+    const overlay = document.createElement('canvas');
+    const splits = analysisResults.summary?.splits || {};
+    cancelExportRef.current = false;
+    setIsExporting(true);
+    setExportProgress(0);
+    setIsPlaying(false);
+
+    try {
+      const blob = await renderAnnotatedVideo(video, {
+        schedule: trackingData.map((_, i) => ({ time: frameToTime(i), seekTime: frameSeekTime(i) })),
+        cropRegion: isCropApplied ? getCroppedDimensions() : null,
+        drawFrame: (ctx, i) => {
+          drawOverlay({ canvas: overlay, frame: i });
+          ctx.drawImage(overlay, 0, 0);
+          drawHud(ctx, hudStateAt(analysisResults.frames, i, { splits, signalTime: analysisResults.clockOrigin ?? null }));
+        },
+        onProgress: setExportProgress,
+        onCancel: () => cancelExportRef.current
+      });
+      if (blob) {
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `${(fileInfo.name || generateFilename()).replace(/\.[^.]+$/, '')}_annotated.webm`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+      }
+    } catch (error) {
+      console.error('Video export error:', error);
+      setVideoError(`Video export failed: ${error.message}`);
+    } finally {
+      setIsExporting(false);
+      drawOverlay();
+    }
+  };
+
   // ============ CHARTS ============
 
   // Helper to handle chart click for video scrubbing
@@ -1894,25 +2413,35 @@ function VideoAnalysis() {
     }
 
     const ctx = speedChartRef.current.getContext('2d');
+    const frames = analysisResults.frames.filter((_, i) => i % 2 === 0);
+    const showRaw = showRawKinematics && analysisResults.filter && analysisResults.filter.method !== 'none';
     speedChartInstance.current = new Chart(ctx, {
       type: 'line',
       data: {
-        labels: analysisResults.frames.filter((_, i) => i % 2 === 0).map(f => f.time.toFixed(2)),
+        labels: frames.map(f => f.time.toFixed(2)),
         datasets: [{
-          label: 'Speed (MPH)',
-          data: analysisResults.frames.filter((_, i) => i % 2 === 0).map(f => f.velocityMph),
+          label: analysisResults.filter ? `Speed (MPH) - ${describeFilter(analysisResults.filter)}` : 'Speed (MPH)',
+          data: frames.map(f => f.velocityMph),
           borderColor: '#ea580c',
           backgroundColor: 'rgba(59, 130, 246, 0.1)',
           fill: true,
           tension: 0.4,
           pointRadius: 0
-        }]
+        }, ...(showRaw ? [{
+          label: 'Raw',
+          data: frames.map(f => f.rawVelocityMph),
+          borderColor: 'rgba(161, 98, 7, 0.6)',
+          borderWidth: 1,
+          fill: false,
+          tension: 0,
+          pointRadius: 0
+        }] : [])]
       },
       options: {
         responsive: true,
         maintainAspectRatio: false,
         plugins: {
-          legend: { display: false },
+          legend: { display: showRaw, labels: { color: '#a16207', boxWidth: 12, font: { size: 10 } } },
           timeIndicator: {
             currentTime: currentTime,
             duration: effectiveDuration
@@ -1934,7 +2463,7 @@ function VideoAnalysis() {
         onClick: (event, elements, chart) => handleChartClick(chart, event.native)
       }
     });
-  }, [analysisResults, activeResultTab]);
+  }, [analysisResults, activeResultTab, showRawKinematics]);
 
   useEffect(() => {
     if (!analysisResults || activeResultTab !== 'acceleration' || !accelChartRef.current) return;
@@ -1944,25 +2473,35 @@ function VideoAnalysis() {
     }
 
     const ctx = accelChartRef.current.getContext('2d');
+    const frames = analysisResults.frames.filter((_, i) => i % 2 === 0);
+    const showRaw = showRawKinematics && analysisResults.filter && analysisResults.filter.method !== 'none';
     accelChartInstance.current = new Chart(ctx, {
       type: 'line',
       data: {
-        labels: analysisResults.frames.filter((_, i) => i % 2 === 0).map(f => f.time.toFixed(2)),
+        labels: frames.map(f => f.time.toFixed(2)),
         datasets: [{
-          label: 'Acceleration (g)',
-          data: analysisResults.frames.filter((_, i) => i % 2 === 0).map(f => f.accelerationG),
+          label: analysisResults.filter ? `Acceleration (g) - ${describeFilter(analysisResults.filter)}` : 'Acceleration (g)',
+          data: frames.map(f => f.accelerationG),
           borderColor: '#fbbf24',
           backgroundColor: 'rgba(245, 158, 11, 0.1)',
           fill: true,
           tension: 0.4,
           pointRadius: 0
-        }]
+        }, ...(showRaw ? [{
+          label: 'Raw',
+          data: frames.map(f => f.rawAccelerationG),
+          borderColor: 'rgba(161, 98, 7, 0.6)',
+          borderWidth: 1,
+          fill: false,
+          tension: 0,
+          pointRadius: 0
+        }] : [])]
       },
       options: {
         responsive: true,
         maintainAspectRatio: false,
         plugins: {
-          legend: { display: false },
+          legend: { display: showRaw, labels: { color: '#a16207', boxWidth: 12, font: { size: 10 } } },
           timeIndicator: {
             currentTime: currentTime,
             duration: effectiveDuration
@@ -1983,7 +2522,7 @@ function VideoAnalysis() {
         onClick: (event, elements, chart) => handleChartClick(chart, event.native)
       }
     });
-  }, [analysisResults, activeResultTab]);
+  }, [analysisResults, activeResultTab, showRawKinematics]);
 
   useEffect(() => {
     if (!analysisResults || activeResultTab !== 'power' || !powerChartRef.current || !getEffectiveWeight()) return;
@@ -2035,6 +2574,148 @@ function VideoAnalysis() {
     });
   }, [analysisResults, activeResultTab]);
 
+  // Measured sprint speed with the fitted mono-exponential curve
+  useEffect(() => {
+    if (!forceVelocity || activeResultTab !== 'force-velocity' || !forceVelocityChartRef.current) return;
+
+    if (forceVelocityChartInstance.current) {
+      forceVelocityChartInstance.current.destroy();
+    }
+
+    const ctx = forceVelocityChartRef.current.getContext('2d');
+    const points = forceVelocity.curve.filter((_, i) => i % 2 === 0);
+    forceVelocityChartInstance.current = new Chart(ctx, {
+      type: 'line',
+      data: {
+        labels: points.map(p => p.time.toFixed(2)),
+        datasets: [
+          {
+            label: 'Measured (m/s)',
+            data: points.map(p => p.measured),
+            borderColor: '#ea580c',
+            backgroundColor: 'rgba(234, 88, 12, 0.1)',
+            fill: true,
+            tension: 0.4,
+            pointRadius: 0
+          },
+          {
+            label: `Fitted (vmax ${forceVelocity.vmax.toFixed(2)} m/s, τ ${forceVelocity.tau.toFixed(2)} s)`,
+            data: points.map(p => p.fitted),
+            borderColor: '#fbbf24',
+            borderDash: [6, 4],
+            borderWidth: 2,
+            fill: false,
+            tension: 0,
+            pointRadius: 0
+          }
+        ]
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        plugins: {
+          legend: { display: true, labels: { color: '#a16207', boxWidth: 12, font: { size: 10 } } },
+          timeIndicator: {
+            currentTime: currentTime,
+            duration: effectiveDuration
+          }
+        },
+        scales: {
+          x: {
+            title: { display: true, text: 'Time (s)', color: '#a16207' },
+            ticks: { color: '#a16207' },
+            grid: { color: '#78350f' }
+          },
+          y: {
+            title: { display: true, text: 'Speed (m/s)', color: '#a16207' },
+            ticks: { color: '#a16207' },
+            grid: { color: '#78350f' },
+            beginAtZero: true
+          }
+        },
+        onClick: (event, elements, chart) => handleChartClick(chart, event.native)
+      }
+    });
+  }, [forceVelocity, activeResultTab]);
+
+  // Step length and ground/air times step by step over the run
+  useEffect(() => {
+    const gait = analysisResults?.gait;
+    if (!gait?.summary || activeResultTab !== 'gait' || !gaitChartRef.current) return;
+
+    if (gaitChartInstance.current) {
+      gaitChartInstance.current.destroy();
+    }
+
+    const ctx = gaitChartRef.current.getContext('2d');
+    const toMs = (value) => (value === null ? null : value * 1000);
+    gaitChartInstance.current = new Chart(ctx, {
+      type: 'line',
+      data: {
+        labels: gait.steps.map(step => `${step.number}${step.side === 'left' ? 'L' : 'R'}`),
+        datasets: [
+          {
+            label: 'Step Length (yd)',
+            data: gait.steps.map(step => step.stepLength),
+            borderColor: '#ea580c',
+            backgroundColor: gait.steps.map(step => (step.side === 'left' ? '#ea580c' : '#fbbf24')),
+            pointRadius: 4,
+            tension: 0.2,
+            yAxisID: 'y'
+          },
+          {
+            label: 'Contact (ms)',
+            data: gait.steps.map(step => toMs(step.contactTime)),
+            borderColor: '#10b981',
+            borderDash: [4, 4],
+            pointRadius: 2,
+            tension: 0.2,
+            yAxisID: 'y1'
+          },
+          {
+            label: 'Flight (ms)',
+            data: gait.steps.map(step => toMs(step.flightTime)),
+            borderColor: '#fb923c',
+            borderDash: [2, 3],
+            pointRadius: 2,
+            tension: 0.2,
+            yAxisID: 'y1'
+          }
+        ]
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        plugins: {
+          legend: { display: true, labels: { color: '#a16207', boxWidth: 12, font: { size: 10 } } }
+        },
+        scales: {
+          x: {
+            title: { display: true, text: 'Step', color: '#a16207' },
+            ticks: { color: '#a16207' },
+            grid: { color: '#78350f' }
+          },
+          y: {
+            title: { display: true, text: 'Yards', color: '#a16207' },
+            ticks: { color: '#a16207' },
+            grid: { color: '#78350f' },
+            beginAtZero: true
+          },
+          y1: {
+            position: 'right',
+            title: { display: true, text: 'ms', color: '#a16207' },
+            ticks: { color: '#a16207' },
+            grid: { drawOnChartArea: false },
+            beginAtZero: true
+          }
+        },
+        onClick: (event, elements) => {
+          if (elements.length > 0) seekToFrame(gait.steps[elements[0].index].strikeFrame);
+        }
+      }
+    });
+  }, [analysisResults, activeResultTab]);
+
   // Biomechanics charts
   useEffect(() => {
     if (!biomechanicsResults || activeResultTab !== 'biomechanics' || !spineAngleChartRef.current) return;
@@ -2137,6 +2818,70 @@ function VideoAnalysis() {
     });
   }, [biomechanicsResults, activeResultTab]);
 
+  // L-drill path: tracked center of mass against the ideal route through the cones
+  useEffect(() => {
+    const lDrill = analysisResults?.lDrill;
+    if (!lDrill || activeResultTab !== 'l-drill' || !lDrillPathChartRef.current) return;
+
+    if (lDrillPathChartInstance.current) {
+      lDrillPathChartInstance.current.destroy();
+    }
+
+    const [start, middle, end] = lDrill.cones;
+    const idealRoute = [start, middle, start, middle, end, middle, start];
+
+    const ctx = lDrillPathChartRef.current.getContext('2d');
+    lDrillPathChartInstance.current = new Chart(ctx, {
+      type: 'scatter',
+      data: {
+        datasets: [
+          {
+            label: 'Ideal Route',
+            data: idealRoute.map(({ x, y }) => ({ x, y })),
+            showLine: true,
+            borderColor: '#78350f',
+            borderDash: [4, 4],
+            pointRadius: 0
+          },
+          {
+            label: 'Athlete Path',
+            data: lDrill.path.filter((_, i) => i % 2 === 0),
+            showLine: true,
+            borderColor: '#ea580c',
+            pointRadius: 0,
+            tension: 0.2
+          },
+          {
+            label: 'Cones',
+            data: lDrill.cones.map(({ x, y }) => ({ x, y })),
+            backgroundColor: '#fbbf24',
+            pointRadius: 6,
+            pointStyle: 'triangle'
+          }
+        ]
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        plugins: {
+          legend: { display: true, labels: { color: '#a16207' } }
+        },
+        scales: {
+          x: {
+            title: { display: true, text: 'Yards', color: '#a16207' },
+            ticks: { color: '#a16207' },
+            grid: { color: '#78350f' }
+          },
+          y: {
+            title: { display: true, text: 'Yards', color: '#a16207' },
+            ticks: { color: '#a16207' },
+            grid: { color: '#78350f' }
+          }
+        }
+      }
+    });
+  }, [analysisResults, activeResultTab]);
+
   // Update time indicator on charts when video time changes
   useEffect(() => {
     const updateTimeIndicator = (chartInstance) => {
@@ -2154,32 +2899,113 @@ function VideoAnalysis() {
       updateTimeIndicator(accelChartInstance.current);
     } else if (activeResultTab === 'power') {
       updateTimeIndicator(powerChartInstance.current);
+    } else if (activeResultTab === 'force-velocity') {
+      updateTimeIndicator(forceVelocityChartInstance.current);
     }
   }, [currentTime, effectiveDuration, activeResultTab]);
 
   // ============ SAVE TO ATHLETE ============
 
-  const saveToAthlete = async () => {
-    if (!primaryAthlete || !analysisResults) return;
-
+  // Performance history entry for one set of physics results; pass a force-velocity
+  // profile already computed for these results to skip fitting it again
+  const buildPerformanceEntry = (results, athlete, forceVelocityProfile = undefined) => {
     const drill = DRILL_TEMPLATES[selectedDrill];
     const performanceEntry = {
       date: new Date().toISOString().split('T')[0],
       drill: drill?.name || 'Custom Analysis',
-      maxSpeedMph: analysisResults.summary.maxVelocityMph,
-      maxAccelerationG: analysisResults.summary.maxAccelerationG,
-      maxPower: analysisResults.summary.maxPower,
-      splits: analysisResults.summary.splits,
-      hasTimeOverrides: analysisResults.hasTimeOverrides
+      maxSpeedMph: results.summary.maxVelocityMph,
+      maxAccelerationG: results.summary.maxAccelerationG,
+      maxPower: results.summary.maxPower,
+      splits: results.summary.splits,
+      hasTimeOverrides: results.hasTimeOverrides
     };
 
-    const updatedAthlete = {
-      ...primaryAthlete,
-      performanceHistory: [...(primaryAthlete.performanceHistory || []), performanceEntry]
-    };
+    let profile = forceVelocityProfile ?? null;
+    if (forceVelocityProfile === undefined && results.filter) {
+      profile = calculateForceVelocityProfile(results.frames, { weightLbs: getAthleteWeight(athlete), heightIn: getAthleteHeight(athlete) });
+    }
+    if (profile) {
+      performanceEntry.f0 = profile.f0;
+      performanceEntry.v0 = profile.v0;
+      performanceEntry.pmax = profile.pmax;
+      performanceEntry.rfMax = profile.rfMax;
+      performanceEntry.drf = profile.drf;
+    }
+
+    if (results.gait?.summary) {
+      const { stepLength, stepFrequency, contactTime, flightTime } = results.gait.summary;
+      performanceEntry.stepLength = stepLength.mean;
+      performanceEntry.stepFrequency = stepFrequency.mean;
+      performanceEntry.groundContactTime = contactTime.mean;
+      performanceEntry.stepFlightTime = flightTime.mean;
+      performanceEntry.stepLengthAsymmetry = stepLength.asymmetry;
+    }
 
-    await dataService.updateAthlete(updatedAthlete);
-    setAthletes(prev => prev.map(a => a.id === primaryAthlete.id ? updatedAthlete : a));
+    if (results.agility) {
+      const { totalTime, segments, turns } = results.agility;
+      performanceEntry.proAgility = totalTime;
+      performanceEntry.segments = segments.map(seg => ({ label: seg.label, time: seg.time }));
+      performanceEntry.turns = turns.map(turn => ({ duration: turn.duration, decelPeakG: turn.decelPeakG }));
+    }
+
+    if (results.lDrill) {
+      const { totalTime, legs, corners, efficiency } = results.lDrill;
+      performanceEntry.lDrill = totalTime;
+      performanceEntry.pathEfficiency = efficiency;
+      performanceEntry.segments = legs.map(leg => ({ label: leg.label, time: leg.time }));
+      performanceEntry.corners = corners.map(corner => ({ cone: corner.cone, minSpeedMph: corner.minSpeedMph, avgSpeedMph: corner.avgSpeedMph }));
+    }
+
+    if (results.verticalJump) {
+      const { jumpHeight, heightFromCom, flightTime, countermovement } = results.verticalJump;
+      performanceEntry.verticalJump = jumpHeight;
+      performanceEntry.verticalJumpCom = heightFromCom;
+      performanceEntry.flightTime = flightTime;
+      performanceEntry.countermovementDepth = countermovement.depth;
+    }
+
+    if (results.broadJump) {
+      const { distance, flightTime, takeoffAngle, peakHeight } = results.broadJump;
+      performanceEntry.broadJump = distance;
+      performanceEntry.flightTime = flightTime;
+      performanceEntry.takeoffAngle = takeoffAngle;
+      performanceEntry.peakHeight = peakHeight;
+    }
+
+    return performanceEntry;
+  };
+
+  const saveToAthlete = async () => {
+    if (!primaryAthlete || !analysisResults) return;
+    await dataService.addPerformanceEntry(primaryAthlete.id, buildPerformanceEntry(analysisResults, primaryAthlete, forceVelocity));
+  };
+
+  // Save every assigned track in the heat to its athlete, each with its own physics
+  const saveAllTracks = async () => {
+    const assigned = athleteTracks.filter(track => getTrackAthlete(track));
+    for (const track of assigned) {
+      const athlete = getTrackAthlete(track);
+      const physics = calculateProfilePhysics(
+        activeProfile,
+        track.frameData,
+        calibration,
+        fps,
+        timeOverrides,
+        getAthleteWeight(athlete),
+        kinematicsFilter
+      );
+      await dataService.addPerformanceEntry(athlete.id, buildPerformanceEntry(physics, athlete));
+    }
+  };
+
+  // Write a drill result (e.g. the 5-10-5 total) onto the athlete's record
+  const saveResultToAthleteField = async (field, value) => {
+    if (!primaryAthlete || value === null || value === undefined) return;
+    const rounded = Math.round(value * 100) / 100;
+    const current = primaryAthlete[field];
+    const label = getMetricLabel(field);
+    if (!window.confirm(`Set ${primaryAthlete.firstName} ${primaryAthlete.lastName}'s ${label} to ${rounded}${current ? ` (currently ${current})` : ''}?`)) return;
+    await dataService.updateAthlete({ id: primaryAthlete.id, [field]: rounded });
   };
 
   // ============ RENDER ============
@@ -2248,7 +3074,25 @@ function VideoAnalysis() {
                 <span style={{ color: '#78350f' }}>|</span>
                 <span>{getResolutionLabel(fileInfo.width, fileInfo.height)}</span>
                 <span style={{ color: '#78350f' }}>|</span>
-                <span>{fileInfo.fps} fps</span>
+                <span title={frameTiming ? 'Measured from the video frames' : (frameTimingWarning || 'Assumed - this browser does not report video frames')}>
+                  {fileInfo.fps} fps{frameTiming ? '' : ' (assumed)'}
+                </span>
+                {frameTimingWarning && (
+                  <span
+                    title={frameTimingWarning}
+                    style={{ fontSize: '0.65rem', background: '#fbbf24', color: '#000', padding: '0.15rem 0.35rem', borderRadius: '0.2rem' }}
+                  >
+                    Frame Timing Unavailable
+                  </span>
+                )}
+                {frameTiming?.isVariable && (
+                  <span
+                    title="Frame intervals vary through this clip. Tracking uses the timestamp the browser reports for each frame, but speeds from variable frame rate footage are less reliable - record at a fixed frame rate where possible."
+                    style={{ fontSize: '0.65rem', background: '#fbbf24', color: '#000', padding: '0.15rem 0.35rem', borderRadius: '0.2rem' }}
+                  >
+                    Variable Frame Rate
+                  </span>
+                )}
               </div>
               <button
                 onClick={() => { setVideoSource(null); resetAnalysis(); setFileInfo({ name: '', path: '', size: 0, width: 0, height: 0, fps: 30 }); }}
@@ -2270,6 +3114,14 @@ function VideoAnalysis() {
               <>
                 <div style={{ width: 8, height: 8, borderRadius: '50%', background: '#fbbf24' }} />
                 <span style={{ fontSize: '0.8rem', color: '#fbbf24' }}>AI Ready</span>
+                {poseDetectorInfo && (
+                  <span
+                    title={poseDetectorInfo.inWorker ? 'Pose estimation runs in a background worker; frames are still decoded on the page' : 'Pose detection runs on the page; the tab is busy while processing'}
+                    style={{ fontSize: '0.65rem', color: '#a16207' }}
+                  >
+                    {poseDetectorInfo.backend}{poseDetectorInfo.inWorker ? ' worker' : ''}
+                  </span>
+                )}
               </>
             ) : (
               <>
@@ -2883,7 +3735,7 @@ function VideoAnalysis() {
                 <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '0.5rem' }}>
                   <select
                     value={activeProfile}
-                    onChange={(e) => setActiveProfile(e.target.value)}
+                    onChange={(e) => handleProfileSelect(e.target.value)}
                     style={{ width: '100%', padding: '0.35rem', background: '#0f172a', border: '1px solid #78350f', borderRadius: '0.25rem', color: '#fef3c7', fontSize: '0.75rem' }}
                   >
                     {Object.entries(TRACKING_PROFILES).map(([key, profile]) => (
@@ -2926,6 +3778,25 @@ function VideoAnalysis() {
                         Clear
                       </button>
                     )}
+                    <button
+                      onClick={() => setMultiAthleteMode(!multiAthleteMode)}
+                      title="Track several athletes in one heat; the selected athlete becomes Track 1"
+                      style={{ padding: '0.25rem 0.5rem', background: multiAthleteMode ? '#fbbf24' : '#7c2d12', border: '1px solid #dc2626', borderRadius: '0.25rem', color: multiAthleteMode ? '#000' : '#fef3c7', cursor: 'pointer', fontSize: '0.7rem', alignSelf: 'flex-start' }}
+                    >
+                      Heat
+                    </button>
+                    {multiAthleteMode && (
+                      <select
+                        value={maxAthletes}
+                        onChange={(e) => setMaxAthletes(parseInt(e.target.value))}
+                        title="Most athletes to track"
+                        style={{ padding: '0.2rem', background: '#0f172a', border: '1px solid #78350f', borderRadius: '0.25rem', color: '#fef3c7', fontSize: '0.7rem' }}
+                      >
+                        {ATHLETE_COLORS.map((color, i) => (
+                          <option key={color.name} value={i + 1}>{i + 1}</option>
+                        ))}
+                      </select>
+                    )}
                   </div>
                   <div style={{ display: 'flex', alignItems: 'center', gap: '0.35rem' }}>
                     <input
@@ -2954,7 +3825,19 @@ function VideoAnalysis() {
                   style={{ width: '50px', padding: '0.3rem', background: '#0f172a', border: '1px solid #78350f', borderRadius: '0.25rem', color: '#fef3c7', fontSize: '0.75rem' }}
                   placeholder="10"
                 />
-                <span style={{ fontSize: '0.7rem', color: '#fbbf24' }}>yards</span>
+                <span style={{ fontSize: '0.7rem', color: '#fbbf24' }}>{calibrationMode === 'grid' ? 'yd wide' : 'yards'}</span>
+                {calibrationMode === 'grid' && (
+                  <>
+                    <input
+                      type="number"
+                      value={calibrationDepth}
+                      onChange={(e) => setCalibrationDepth(e.target.value)}
+                      style={{ width: '50px', padding: '0.3rem', background: '#0f172a', border: '1px solid #78350f', borderRadius: '0.25rem', color: '#fef3c7', fontSize: '0.75rem' }}
+                      placeholder="5"
+                    />
+                    <span style={{ fontSize: '0.7rem', color: '#fbbf24' }}>yd deep</span>
+                  </>
+                )}
 
                 {!isSettingCalibration && !isCalibrated ? (
                   <button
@@ -2966,13 +3849,15 @@ function VideoAnalysis() {
                 ) : !isCalibrated ? (
                   <button
                     onClick={() => { calculateCalibration(); setIsSettingCalibration(false); }}
-                    disabled={calibrationMarkers.length < 2 || !calibrationDistance}
-                    style={{ padding: '0.25rem 0.5rem', background: calibrationMarkers.length >= 2 && calibrationDistance ? '#10b981' : '#78350f', border: 'none', borderRadius: '0.25rem', color: '#fef3c7', cursor: calibrationMarkers.length >= 2 && calibrationDistance ? 'pointer' : 'not-allowed', fontSize: '0.7rem' }}
+                    disabled={!canCalibrate}
+                    style={{ padding: '0.25rem 0.5rem', background: canCalibrate ? '#10b981' : '#78350f', border: 'none', borderRadius: '0.25rem', color: '#fef3c7', cursor: canCalibrate ? 'pointer' : 'not-allowed', fontSize: '0.7rem' }}
                   >
                     Calibrate
                   </button>
                 ) : (
-                  <span style={{ fontSize: '0.7rem', color: '#fbbf24' }}>{pixelsPerYard?.toFixed(0)} px/yd</span>
+                  <span style={{ fontSize: '0.7rem', color: '#fbbf24' }} title={calibration?.type === 'homography' ? 'Perspective-corrected; average scale along the running direction' : ''}>
+                    {calibration?.type === 'homography' ? '~' : ''}{calibration?.pixelsPerYard.toFixed(0)} px/yd{calibration?.type === 'homography' ? ' (perspective)' : calibration?.type === 'cones' ? ' (cones)' : ''}
+                  </span>
                 )}
 
                 {(isSettingCalibration || isCalibrated) && (
@@ -2986,7 +3871,7 @@ function VideoAnalysis() {
               </div>
               {isSettingCalibration && !isCalibrated && (
                 <div style={{ fontSize: '0.65rem', color: '#fbbf24', marginTop: '0.25rem' }}>
-                  Click video to place points ({calibrationMarkers.length}/2)
+                  Click video to place points ({calibrationMarkers.length}/{requiredMarkerCount}){calibrationMode === 'grid' && calibrationMarkers.length < 4 ? ` - next: ${DRILL_TEMPLATES.grid.markers[calibrationMarkers.length]}` : ''}
                 </div>
               )}
             </div>
@@ -3016,7 +3901,7 @@ function VideoAnalysis() {
                   <div style={{ height: '100%', width: `${processingProgress}%`, background: '#ea580c', transition: 'width 0.1s' }} />
                 </div>
                 <div style={{ fontSize: '0.8rem', color: '#fbbf24', marginTop: '0.5rem', textAlign: 'center' }}>
-                  AI tracking: {processingProgress}% complete
+                  {processingStage === 'timing' ? 'Reading frame timing' : 'AI tracking'}: {processingProgress}% complete
                 </div>
               </div>
             )}
@@ -3083,69 +3968,132 @@ function VideoAnalysis() {
                 )}
               </div>
 
-              {/* Manual Timing Section - only show when tracking data exists */}
+              {/* Manual Timing Section - only show when tracking data exists; profiles that
+                  time themselves get the start signal's reaction time only */}
               {trackingData.length > 0 && (
                 <div>
                   <div
                     onClick={() => setShowTimeOverrides(!showTimeOverrides)}
                     style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', cursor: 'pointer' }}
                   >
-                    <h3 style={{ fontSize: '0.85rem', color: '#fbbf24' }}>Manual Timing</h3>
+                    <h3 style={{ fontSize: '0.85rem', color: '#fbbf24' }}>{usesManualTiming ? 'Manual Timing' : 'Start Signal'}</h3>
                     <span style={{ color: '#78350f' }}>{showTimeOverrides ? '−' : '+'}</span>
                   </div>
 
                   {showTimeOverrides && (
                     <div style={{ marginTop: '0.5rem' }}>
-                      <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '0.5rem' }}>
-                        <div>
-                          <label style={{ fontSize: '0.7rem', color: '#a16207' }}>Start (s)</label>
-                          <input
-                            type="number"
-                            step="0.01"
-                            value={timeOverrides.startTime ?? ''}
-                            onChange={(e) => updateTimeOverride('startTime', e.target.value)}
-                            placeholder="Auto"
-                            style={{ width: '100%', padding: '0.35rem', background: '#0f172a', border: '1px solid #78350f', borderRadius: '0.25rem', color: '#fef3c7', fontSize: '0.8rem' }}
-                          />
-                        </div>
-                        <div>
-                          <label style={{ fontSize: '0.7rem', color: '#a16207' }}>End (s)</label>
-                          <input
-                            type="number"
-                            step="0.01"
-                            value={timeOverrides.endTime ?? ''}
-                            onChange={(e) => updateTimeOverride('endTime', e.target.value)}
-                            placeholder="Auto"
-                            style={{ width: '100%', padding: '0.35rem', background: '#0f172a', border: '1px solid #78350f', borderRadius: '0.25rem', color: '#fef3c7', fontSize: '0.8rem' }}
-                          />
+                      <div style={{ marginBottom: '0.5rem', padding: '0.35rem', background: '#0f172a', borderRadius: '0.25rem' }}>
+                        <div style={{ display: 'flex', alignItems: 'center', gap: '0.35rem', flexWrap: 'wrap' }}>
+                          <label style={{ fontSize: '0.7rem', color: '#a16207' }}>Start Signal</label>
+                          <button
+                            onClick={detectSignal}
+                            disabled={isDetectingSignal}
+                            style={{ padding: '0.2rem 0.45rem', background: '#78350f', border: 'none', borderRadius: '0.25rem', color: '#fef3c7', cursor: isDetectingSignal ? 'wait' : 'pointer', fontSize: '0.65rem' }}
+                          >
+                            {isDetectingSignal ? 'Listening...' : startSignal ? 'Detect Again' : 'Detect from Audio'}
+                          </button>
+                          {startSignal && (
+                            <>
+                              <span
+                                onClick={() => { if (videoRef.current) videoRef.current.currentTime = startSignal.time; }}
+                                style={{ fontSize: '0.7rem', color: '#fbbf24', cursor: 'pointer' }}
+                                title="Jump to the signal"
+                              >
+                                {startSignal.kind} at {startSignal.time.toFixed(3)}s (+{startSignal.strength.toFixed(0)} dB)
+                              </span>
+                              {usesManualTiming && (timeOverrides.signalTime === startSignal.time ? (
+                                <button
+                                  onClick={() => setTimeOverrides(prev => ({ ...prev, signalTime: null }))}
+                                  style={{ padding: '0.2rem 0.45rem', background: '#5b21b6', border: 'none', borderRadius: '0.25rem', color: '#c4b5fd', cursor: 'pointer', fontSize: '0.65rem' }}
+                                >
+                                  Timing from Signal ✓
+                                </button>
+                              ) : (
+                                <button
+                                  onClick={() => setTimeOverrides(prev => ({ ...prev, signalTime: startSignal.time }))}
+                                  style={{ padding: '0.2rem 0.45rem', background: '#fbbf24', border: 'none', borderRadius: '0.25rem', color: '#000000', cursor: 'pointer', fontWeight: '600', fontSize: '0.65rem' }}
+                                >
+                                  Use as Start
+                                </button>
+                              ))}
+                            </>
+                          )}
                         </div>
+                        {startSignal?.candidates.length > 1 && (
+                          <div style={{ display: 'flex', gap: '0.25rem', marginTop: '0.25rem', flexWrap: 'wrap' }}>
+                            <span style={{ fontSize: '0.6rem', color: '#78350f' }}>Other sounds:</span>
+                            {startSignal.candidates.filter(candidate => candidate.time !== startSignal.time).map(candidate => (
+                              <button
+                                key={candidate.time}
+                                onClick={() => setStartSignal({ ...candidate, candidates: startSignal.candidates })}
+                                style={{ padding: '0.1rem 0.35rem', background: '#1e293b', border: '1px solid #78350f', borderRadius: '0.25rem', color: '#a16207', cursor: 'pointer', fontSize: '0.6rem' }}
+                              >
+                                {candidate.kind} {candidate.time.toFixed(2)}s
+                              </button>
+                            ))}
+                          </div>
+                        )}
+                        {reaction && (
+                          <div style={{ fontSize: '0.65rem', marginTop: '0.25rem', color: reaction.falseStart ? '#ef4444' : '#10b981' }}>
+                            Reaction {reaction.reactionTime.toFixed(3)}s to first movement{reaction.falseStart ? ' - false start' : ''}
+                          </div>
+                        )}
                       </div>
 
-                      <div style={{ marginTop: '0.5rem' }}>
-                        <label style={{ fontSize: '0.7rem', color: '#a16207' }}>Split Times</label>
-                        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(4, 1fr)', gap: '0.35rem', marginTop: '0.25rem' }}>
-                          {[10, 20, 30, 40].map(dist => (
-                            <div key={dist}>
-                              <label style={{ fontSize: '0.6rem', color: '#78350f' }}>{dist}yd</label>
+                      {usesManualTiming && (
+                        <>
+                          <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '0.5rem' }}>
+                            <div>
+                              <label style={{ fontSize: '0.7rem', color: '#a16207' }}>Start (s)</label>
                               <input
                                 type="number"
                                 step="0.01"
-                                value={timeOverrides.splits[dist] ?? ''}
-                                onChange={(e) => updateTimeOverride(`split-${dist}`, e.target.value)}
+                                value={timeOverrides.startTime ?? ''}
+                                onChange={(e) => updateTimeOverride('startTime', e.target.value)}
                                 placeholder="Auto"
-                                style={{ width: '100%', padding: '0.25rem', background: '#0f172a', border: '1px solid #78350f', borderRadius: '0.25rem', color: '#fef3c7', fontSize: '0.75rem' }}
+                                style={{ width: '100%', padding: '0.35rem', background: '#0f172a', border: '1px solid #78350f', borderRadius: '0.25rem', color: '#fef3c7', fontSize: '0.8rem' }}
                               />
                             </div>
-                          ))}
-                        </div>
-                      </div>
-
-                      <button
-                        onClick={recalculateWithOverrides}
-                        style={{ marginTop: '0.5rem', padding: '0.35rem 0.75rem', background: '#fbbf24', border: 'none', borderRadius: '0.25rem', color: '#000000', cursor: 'pointer', fontWeight: '600', fontSize: '0.75rem' }}
-                      >
-                        Apply
-                      </button>
+                            <div>
+                              <label style={{ fontSize: '0.7rem', color: '#a16207' }}>End (s)</label>
+                              <input
+                                type="number"
+                                step="0.01"
+                                value={timeOverrides.endTime ?? ''}
+                                onChange={(e) => updateTimeOverride('endTime', e.target.value)}
+                                placeholder="Auto"
+                                style={{ width: '100%', padding: '0.35rem', background: '#0f172a', border: '1px solid #78350f', borderRadius: '0.25rem', color: '#fef3c7', fontSize: '0.8rem' }}
+                              />
+                            </div>
+                          </div>
+
+                          <div style={{ marginTop: '0.5rem' }}>
+                            <label style={{ fontSize: '0.7rem', color: '#a16207' }}>Split Times</label>
+                            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(4, 1fr)', gap: '0.35rem', marginTop: '0.25rem' }}>
+                              {[10, 20, 30, 40].map(dist => (
+                                <div key={dist}>
+                                  <label style={{ fontSize: '0.6rem', color: '#78350f' }}>{dist}yd</label>
+                                  <input
+                                    type="number"
+                                    step="0.01"
+                                    value={timeOverrides.splits[dist] ?? ''}
+                                    onChange={(e) => updateTimeOverride(`split-${dist}`, e.target.value)}
+                                    placeholder="Auto"
+                                    style={{ width: '100%', padding: '0.25rem', background: '#0f172a', border: '1px solid #78350f', borderRadius: '0.25rem', color: '#fef3c7', fontSize: '0.75rem' }}
+                                  />
+                                </div>
+                              ))}
+                            </div>
+                          </div>
+
+                          <button
+                            onClick={recalculateWithOverrides}
+                            style={{ marginTop: '0.5rem', padding: '0.35rem 0.75rem', background: '#fbbf24', border: 'none', borderRadius: '0.25rem', color: '#000000', cursor: 'pointer', fontWeight: '600', fontSize: '0.75rem' }}
+                          >
+                            Apply
+                          </button>
+                        </>
+                      )}
                     </div>
                   )}
                 </div>
@@ -3160,7 +4108,7 @@ function VideoAnalysis() {
         {/* Results label + Tabs + Save button on same row */}
         <div style={{ display: 'flex', gap: '0.35rem', marginBottom: '0.35rem', flexWrap: 'wrap', alignItems: 'center' }}>
           <span style={{ fontSize: '0.85rem', color: analysisResults ? '#fb923c' : '#78350f', fontWeight: '600', marginRight: '0.25rem' }}>Results</span>
-          {['summary', 'speed', 'acceleration', 'power', ...(enableBiomechanics && biomechanicsResults ? ['biomechanics'] : []), 'data'].map(tab => (
+          {['summary', ...(analysisResults?.agility ? ['agility'] : []), ...(analysisResults?.lDrill ? ['l-drill'] : []), ...(analysisResults?.verticalJump || analysisResults?.broadJump ? ['jump'] : []), 'speed', 'acceleration', 'power', ...(forceVelocity ? ['force-velocity'] : []), ...(analysisResults?.gait?.summary ? ['gait'] : []), ...(enableBiomechanics && biomechanicsResults ? ['biomechanics'] : []), 'data'].map(tab => (
             <button
               key={tab}
               onClick={() => setActiveResultTab(tab)}
@@ -3187,6 +4135,28 @@ function VideoAnalysis() {
               Field Times
             </span>
           )}
+          {analysisResults && usesManualTiming && timeOverrides.signalTime !== null && (
+            <span style={{ fontSize: '0.65rem', background: '#fbbf24', color: '#000', padding: '0.15rem 0.35rem', borderRadius: '0.2rem' }} title="Splits are timed from the start signal">
+              Signal Start
+            </span>
+          )}
+          {analysisResults && frameTiming?.isVariable && (
+            <span
+              title={`Variable frame rate footage - results use each frame's reported timestamp${frameTiming.droppedFrames > 0 ? `, except ${frameTiming.droppedFrames} frames the browser skipped while reading timing, which are spaced evenly between their neighbours` : ''}`}
+              style={{ fontSize: '0.65rem', background: '#fbbf24', color: '#000', padding: '0.15rem 0.35rem', borderRadius: '0.2rem' }}
+            >
+              VFR
+            </span>
+          )}
+          {analysisResults && trackingData.length > 0 && supportsVideoExport() && (
+            <button
+              onClick={isExporting ? () => { cancelExportRef.current = true; } : exportAnnotatedVideo}
+              title="Download the analyzed range as a WebM video with the overlay and a speed, distance and time HUD. Keep this tab open in view - the export pauses while it is in the background"
+              style={{ padding: '0.25rem 0.5rem', background: isExporting ? '#7c2d12' : '#78350f', border: isExporting ? '1px solid #dc2626' : 'none', borderRadius: '0.25rem', color: '#fef3c7', cursor: 'pointer', fontWeight: '500', fontSize: '0.65rem' }}
+            >
+              {isExporting ? `Cancel Export (${exportProgress}%)` : 'Export Video'}
+            </button>
+          )}
           {primaryAthlete && analysisResults && (
             <button
               onClick={saveToAthlete}
@@ -3195,8 +4165,56 @@ function VideoAnalysis() {
               Save to {primaryAthlete.lastName}_{primaryAthlete.firstName}
             </button>
           )}
+          {primaryAthlete && dataService.getPerformanceHistory(primaryAthlete.id).length > 0 && (
+            <span style={{ fontSize: '0.6rem', color: '#a16207' }}>
+              {dataService.getPerformanceHistory(primaryAthlete.id).length} saved
+            </span>
+          )}
         </div>
 
+        {/* Heat tracks: view each athlete's results and assign them to athlete records */}
+        {athleteTracks.length > 1 && (
+          <div style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap', alignItems: 'center', marginBottom: '0.5rem', paddingBottom: '0.5rem', borderBottom: '1px solid #78350f' }}>
+            {athleteTracks.map((track, index) => {
+              const color = ATHLETE_COLORS[index % ATHLETE_COLORS.length];
+              const isActive = track.id === activeTrackId;
+              return (
+                <div
+                  key={track.id}
+                  style={{ display: 'flex', alignItems: 'center', gap: '0.35rem', padding: '0.25rem 0.4rem', background: isActive ? color.bg : '#0f172a', border: `1px solid ${color.border}`, borderRadius: '0.25rem' }}
+                >
+                  <button
+                    onClick={() => viewTrack(track.id)}
+                    title={`${(track.coverage * 100).toFixed(0)}% of frames detected${track.seeded ? ' - selected athlete' : ''}`}
+                    style={{ padding: '0.15rem 0.35rem', background: 'none', border: 'none', color: color.point, cursor: 'pointer', fontSize: '0.7rem', fontWeight: isActive ? '700' : '500' }}
+                  >
+                    Track {index + 1}{track.seeded ? ' *' : ''}
+                  </button>
+                  <select
+                    value={track.athleteId || ''}
+                    onChange={(e) => assignTrackAthlete(track.id, e.target.value ? parseInt(e.target.value) : null)}
+                    style={{ padding: '0.15rem', background: '#0f172a', border: '1px solid #78350f', borderRadius: '0.25rem', color: '#fef3c7', fontSize: '0.65rem' }}
+                  >
+                    <option value="">Unassigned</option>
+                    {athletes.map(athlete => (
+                      <option key={athlete.id} value={athlete.id}>{athlete.lastName}, {athlete.firstName}</option>
+                    ))}
+                  </select>
+                </div>
+              );
+            })}
+            <div style={{ flex: 1 }} />
+            {athleteTracks.some(track => getTrackAthlete(track)) && (
+              <button
+                onClick={saveAllTracks}
+                style={{ padding: '0.25rem 0.5rem', background: '#10b981', border: 'none', borderRadius: '0.25rem', color: '#fef3c7', cursor: 'pointer', fontWeight: '500', fontSize: '0.65rem' }}
+              >
+                Save All Tracks
+              </button>
+            )}
+          </div>
+        )}
+
         {/* Summary Tab */}
         {activeResultTab === 'summary' && (
           <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(80px, 1fr))', gap: '0.5rem' }}>
@@ -3232,24 +4250,499 @@ function VideoAnalysis() {
               <div style={{ fontSize: '0.55rem', color: '#78350f' }}>sec</div>
             </div>
 
-            {/* Split Times */}
-            <div style={{ gridColumn: 'span 2', background: '#0f172a', padding: '0.4rem', borderRadius: '0.25rem' }}>
-              <div style={{ fontSize: '0.6rem', color: '#10b981', marginBottom: '0.25rem' }}>Splits</div>
-              <div style={{ display: 'flex', justifyContent: 'space-around', flexWrap: 'wrap', gap: '0.25rem' }}>
-                {[10, 20, 30, 40].map(yard => (
-                  <div key={yard} style={{ textAlign: 'center', minWidth: '40px' }}>
-                    <div style={{ fontSize: '0.55rem', color: '#78350f' }}>{yard}yd</div>
-                    <div style={{ fontSize: '0.9rem', fontWeight: '600', color: analysisResults ? '#fbbf24' : '#78350f' }}>
-                      {analysisResults?.summary.splits[yard] ? `${analysisResults.summary.splits[yard].toFixed(2)}s` : '-'}
+            {reaction && (
+              <div style={{ background: '#0f172a', padding: '0.4rem', borderRadius: '0.25rem', textAlign: 'center' }}>
+                <div style={{ fontSize: '0.6rem', color: reaction.falseStart ? '#ef4444' : '#10b981' }}>Reaction</div>
+                <div style={{ fontSize: '1.25rem', fontWeight: 'bold', color: reaction.falseStart ? '#ef4444' : '#fbbf24' }}>
+                  {reaction.reactionTime.toFixed(3)}
+                </div>
+                <div style={{ fontSize: '0.55rem', color: '#78350f' }}>{reaction.falseStart ? 'false start' : `sec after ${startSignal.kind}`}</div>
+              </div>
+            )}
+
+            {/* Split Times (segment times for agility drills, key numbers for jumps) */}
+            {(() => {
+              const breakdown = getSummaryBreakdown(analysisResults);
+              return (
+                <div style={{ gridColumn: 'span 2', background: '#0f172a', padding: '0.4rem', borderRadius: '0.25rem' }}>
+                  <div style={{ fontSize: '0.6rem', color: '#10b981', marginBottom: '0.25rem' }}>{breakdown.title}</div>
+                  <div style={{ display: 'flex', justifyContent: 'space-around', flexWrap: 'wrap', gap: '0.25rem' }}>
+                    {breakdown.items.map(item => (
+                      <div key={item.label} style={{ textAlign: 'center', minWidth: '40px' }}>
+                        <div style={{ fontSize: '0.55rem', color: '#78350f' }}>{item.label}</div>
+                        <div style={{ fontSize: '0.9rem', fontWeight: '600', color: item.color || (analysisResults ? '#fbbf24' : '#78350f') }}>{item.value}</div>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              );
+            })()}
+
+            {analysisResults?.crossings && (
+              <div style={{ gridColumn: '1 / -1', background: '#0f172a', padding: '0.4rem', borderRadius: '0.25rem' }}>
+                <div style={{ fontSize: '0.6rem', color: '#10b981', marginBottom: '0.25rem' }}>Line Crossings (torso)</div>
+                <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.35rem' }}>
+                  {analysisResults.crossings.lines.map(line => (
+                    <button
+                      key={line.label}
+                      onClick={() => line.frame !== null && seekToFrame(line.frame)}
+                      disabled={line.frame === null}
+                      title={line.time !== null ? `Crossed at ${line.time.toFixed(3)}s in the video - ${line.rating} confidence (${(line.confidence * 100).toFixed(0)}%)` : 'Not crossed in the clip'}
+                      style={{ display: 'flex', alignItems: 'center', gap: '0.3rem', padding: '0.2rem 0.4rem', background: '#1e293b', border: '1px solid #78350f', borderRadius: '0.25rem', color: '#fef3c7', cursor: line.frame !== null ? 'pointer' : 'default', fontSize: '0.65rem' }}
+                    >
+                      <span style={{ width: 7, height: 7, borderRadius: '50%', background: line.rating ? CROSSING_RATING_COLORS[line.rating] : '#78350f' }} />
+                      <span style={{ color: '#a16207' }}>{line.label}</span>
+                      <span style={{ fontWeight: '600', color: '#fbbf24' }}>{line.elapsed !== null ? `${line.elapsed.toFixed(2)}s` : '-'}</span>
+                    </button>
+                  ))}
+                </div>
+                {analysisResults.crossings.warnings.map((warning, i) => (
+                  <div key={i} style={{ fontSize: '0.6rem', color: '#fbbf24', marginTop: '0.25rem' }}>⚠ {warning}</div>
+                ))}
+              </div>
+            )}
+
+            {analysisResults?.gait?.summary && (() => {
+              const { summary } = analysisResults.gait;
+              const ms = (value) => (value === null ? '-' : (value * 1000).toFixed(0));
+              const items = [
+                { label: 'Steps', value: summary.stepCount },
+                { label: 'Length yd', value: summary.stepLength.mean.toFixed(2) },
+                { label: 'Freq Hz', value: summary.stepFrequency.mean === null ? '-' : summary.stepFrequency.mean.toFixed(2) },
+                { label: 'Contact ms', value: ms(summary.contactTime.mean) },
+                { label: 'Flight ms', value: ms(summary.flightTime.mean) },
+                { label: 'L/R Length', value: summary.stepLength.asymmetry === null ? '-' : `${summary.stepLength.asymmetry.toFixed(0)}%` }
+              ];
+              return (
+                <div style={{ gridColumn: 'span 2', background: '#0f172a', padding: '0.4rem', borderRadius: '0.25rem', cursor: 'pointer' }} onClick={() => setActiveResultTab('gait')}>
+                  <div style={{ fontSize: '0.6rem', color: '#10b981', marginBottom: '0.25rem' }}>Gait</div>
+                  <div style={{ display: 'flex', justifyContent: 'space-around', flexWrap: 'wrap', gap: '0.25rem' }}>
+                    {items.map(item => (
+                      <div key={item.label} style={{ textAlign: 'center', minWidth: '40px' }}>
+                        <div style={{ fontSize: '0.55rem', color: '#78350f' }}>{item.label}</div>
+                        <div style={{ fontSize: '0.9rem', fontWeight: '600', color: '#fbbf24' }}>{item.value}</div>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              );
+            })()}
+          </div>
+        )}
+
+        {/* Pro Agility breakdown */}
+        {activeResultTab === 'agility' && analysisResults?.agility && (() => {
+          const { agility } = analysisResults;
+          const fieldKey = TRACKING_PROFILES[activeProfile]?.athleteField || 'proAgility';
+          const recorded = primaryAthlete?.[fieldKey];
+          const cellStyle = { padding: '0.25rem 0.4rem', textAlign: 'right', color: '#fbbf24' };
+          const headStyle = { padding: '0.25rem 0.4rem', textAlign: 'right', color: '#a16207', borderBottom: '1px solid #78350f', fontWeight: '500' };
+          return (
+            <div style={{ display: 'grid', gridTemplateColumns: '160px 1fr 1fr', gap: '0.5rem', alignItems: 'start' }}>
+              <div style={{ background: '#0f172a', padding: '0.5rem', borderRadius: '0.25rem', textAlign: 'center' }}>
+                <div style={{ fontSize: '0.6rem', color: '#10b981' }}>5-10-5 Total</div>
+                <div style={{ fontSize: '1.5rem', fontWeight: 'bold', color: '#fbbf24' }}>{agility.totalTime.toFixed(2)}</div>
+                <div style={{ fontSize: '0.55rem', color: '#78350f' }}>sec{agility.finishDetected ? '' : ' (no finish crossing)'}</div>
+                {recorded ? (
+                  <div style={{ fontSize: '0.65rem', marginTop: '0.25rem', color: agility.totalTime <= recorded ? '#10b981' : '#ef4444' }}>
+                    {agility.totalTime - recorded > 0 ? '+' : ''}{(agility.totalTime - recorded).toFixed(2)}s vs. recorded {recorded}
+                  </div>
+                ) : null}
+                {primaryAthlete && (
+                  <button
+                    onClick={() => saveResultToAthleteField(fieldKey, agility.totalTime)}
+                    style={{ marginTop: '0.4rem', padding: '0.2rem 0.4rem', background: '#10b981', border: 'none', borderRadius: '0.25rem', color: '#fef3c7', cursor: 'pointer', fontSize: '0.6rem' }}
+                  >
+                    Set as {getMetricLabel(fieldKey)}
+                  </button>
+                )}
+              </div>
+
+              <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.7rem', background: '#0f172a', borderRadius: '0.25rem' }}>
+                <thead>
+                  <tr>
+                    <th style={{ ...headStyle, textAlign: 'left' }}>Segment</th>
+                    <th style={headStyle}>Time</th>
+                    <th style={headStyle}>Dist (yd)</th>
+                    <th style={headStyle}>Peak MPH</th>
+                    <th style={headStyle}>Avg MPH</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {agility.segments.map((segment, i) => (
+                    <tr key={i}>
+                      <td style={{ ...cellStyle, textAlign: 'left', color: '#ea580c' }}>{segment.label}</td>
+                      <td style={cellStyle}>{segment.time.toFixed(2)}s</td>
+                      <td style={cellStyle}>{segment.distance.toFixed(1)}</td>
+                      <td style={cellStyle}>{segment.peakSpeedMph.toFixed(1)}</td>
+                      <td style={cellStyle}>{segment.avgSpeedMph.toFixed(1)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+
+              <div>
+                <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.7rem', background: '#0f172a', borderRadius: '0.25rem' }}>
+                  <thead>
+                    <tr>
+                      <th style={{ ...headStyle, textAlign: 'left' }}>Turn</th>
+                      <th style={headStyle}>At</th>
+                      <th style={headStyle}>Duration</th>
+                      <th style={headStyle}>Decel Peak</th>
+                      <th style={headStyle}>Re-accel</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {agility.turns.map(turn => (
+                      <tr key={turn.number} onClick={() => seekToFrame(turn.frame)} style={{ cursor: 'pointer' }} title="Jump to turn">
+                        <td style={{ ...cellStyle, textAlign: 'left', color: '#ea580c' }}>#{turn.number}</td>
+                        <td style={cellStyle}>{turn.time.toFixed(2)}s</td>
+                        <td style={cellStyle}>{turn.duration.toFixed(2)}s</td>
+                        <td style={{ ...cellStyle, color: '#ef4444' }}>{turn.decelPeakG.toFixed(2)}g</td>
+                        <td style={{ ...cellStyle, color: '#10b981' }}>{turn.reaccelPeakG.toFixed(2)}g</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                {agility.warnings.map((warning, i) => (
+                  <div key={i} style={{ fontSize: '0.6rem', color: '#fbbf24', marginTop: '0.25rem' }}>⚠ {warning}</div>
+                ))}
+              </div>
+            </div>
+          );
+        })()}
+
+        {/* L-Drill breakdown */}
+        {activeResultTab === 'l-drill' && analysisResults?.lDrill && (() => {
+          const { lDrill } = analysisResults;
+          const fieldKey = TRACKING_PROFILES[activeProfile]?.athleteField || 'lDrill';
+          const recorded = primaryAthlete?.[fieldKey];
+          const cellStyle = { padding: '0.25rem 0.4rem', textAlign: 'right', color: '#fbbf24' };
+          const headStyle = { padding: '0.25rem 0.4rem', textAlign: 'right', color: '#a16207', borderBottom: '1px solid #78350f', fontWeight: '500' };
+          const percent = (value) => (value === null ? '-' : `${(value * 100).toFixed(0)}%`);
+          return (
+            <div style={{ display: 'grid', gridTemplateColumns: '160px 1fr 1fr', gap: '0.5rem', alignItems: 'start' }}>
+              <div style={{ display: 'flex', flexDirection: 'column', gap: '0.5rem' }}>
+                <div style={{ background: '#0f172a', padding: '0.5rem', borderRadius: '0.25rem', textAlign: 'center' }}>
+                  <div style={{ fontSize: '0.6rem', color: '#10b981' }}>L-Drill Total</div>
+                  <div style={{ fontSize: '1.5rem', fontWeight: 'bold', color: '#fbbf24' }}>{lDrill.totalTime.toFixed(2)}</div>
+                  <div style={{ fontSize: '0.55rem', color: '#78350f' }}>sec{lDrill.finishDetected ? '' : ' (no finish crossing)'}</div>
+                  {recorded ? (
+                    <div style={{ fontSize: '0.65rem', marginTop: '0.25rem', color: lDrill.totalTime <= recorded ? '#10b981' : '#ef4444' }}>
+                      {lDrill.totalTime - recorded > 0 ? '+' : ''}{(lDrill.totalTime - recorded).toFixed(2)}s vs. recorded {recorded}
                     </div>
+                  ) : null}
+                  {primaryAthlete && (
+                    <button
+                      onClick={() => saveResultToAthleteField(fieldKey, lDrill.totalTime)}
+                      style={{ marginTop: '0.4rem', padding: '0.2rem 0.4rem', background: '#10b981', border: 'none', borderRadius: '0.25rem', color: '#fef3c7', cursor: 'pointer', fontSize: '0.6rem' }}
+                    >
+                      Set as {getMetricLabel(fieldKey)}
+                    </button>
+                  )}
+                </div>
+                <div style={{ background: '#0f172a', padding: '0.5rem', borderRadius: '0.25rem', textAlign: 'center' }}>
+                  <div style={{ fontSize: '0.6rem', color: '#10b981' }}>Path Efficiency</div>
+                  <div style={{ fontSize: '1.25rem', fontWeight: 'bold', color: '#fbbf24' }}>{percent(lDrill.efficiency)}</div>
+                  <div style={{ fontSize: '0.55rem', color: '#78350f' }}>{lDrill.pathLength.toFixed(1)} yd run / {lDrill.idealLength.toFixed(0)} yd ideal</div>
+                </div>
+              </div>
+
+              <div>
+                <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.7rem', background: '#0f172a', borderRadius: '0.25rem', marginBottom: '0.5rem' }}>
+                  <thead>
+                    <tr>
+                      <th style={{ ...headStyle, textAlign: 'left' }}>Leg</th>
+                      <th style={headStyle}>Time</th>
+                      <th style={headStyle}>Path (yd)</th>
+                      <th style={headStyle}>Efficiency</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {lDrill.legs.map((leg, i) => (
+                      <tr key={i}>
+                        <td style={{ ...cellStyle, textAlign: 'left', color: '#ea580c' }}>{leg.label}</td>
+                        <td style={cellStyle}>{leg.time.toFixed(2)}s</td>
+                        <td style={cellStyle}>{leg.pathLength.toFixed(1)}</td>
+                        <td style={cellStyle}>{percent(leg.efficiency)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+
+                <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.7rem', background: '#0f172a', borderRadius: '0.25rem' }}>
+                  <thead>
+                    <tr>
+                      <th style={{ ...headStyle, textAlign: 'left' }}>Corner</th>
+                      <th style={headStyle}>At</th>
+                      <th style={headStyle}>Entry MPH</th>
+                      <th style={headStyle}>Min MPH</th>
+                      <th style={headStyle}>Avg MPH</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {lDrill.corners.map(corner => (
+                      <tr key={corner.number} onClick={() => seekToFrame(corner.frame)} style={{ cursor: 'pointer' }} title="Jump to corner">
+                        <td style={{ ...cellStyle, textAlign: 'left', color: '#ea580c' }}>#{corner.number} {corner.cone.replace(' Cone', '')} ({corner.type})</td>
+                        <td style={cellStyle}>{corner.time.toFixed(2)}s</td>
+                        <td style={cellStyle}>{corner.entrySpeedMph.toFixed(1)}</td>
+                        <td style={{ ...cellStyle, color: '#ef4444' }}>{corner.minSpeedMph.toFixed(1)}</td>
+                        <td style={{ ...cellStyle, color: '#10b981' }}>{corner.avgSpeedMph.toFixed(1)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                {lDrill.warnings.map((warning, i) => (
+                  <div key={i} style={{ fontSize: '0.6rem', color: '#fbbf24', marginTop: '0.25rem' }}>⚠ {warning}</div>
+                ))}
+              </div>
+
+              <div style={{ height: '240px', background: '#0f172a', borderRadius: '0.25rem', padding: '0.25rem' }}>
+                <canvas ref={lDrillPathChartRef} />
+              </div>
+            </div>
+          );
+        })()}
+
+        {/* Vertical Jump breakdown */}
+        {activeResultTab === 'jump' && analysisResults?.verticalJump && (() => {
+          const jump = analysisResults.verticalJump;
+          const fieldKey = TRACKING_PROFILES[activeProfile]?.athleteField || 'verticalJump';
+          const recorded = primaryAthlete?.[fieldKey];
+          const cellStyle = { padding: '0.25rem 0.4rem', textAlign: 'right', color: '#fbbf24' };
+          const headStyle = { padding: '0.25rem 0.4rem', textAlign: 'right', color: '#a16207', borderBottom: '1px solid #78350f', fontWeight: '500' };
+          const degrees = (value) => (value !== null ? `${value.toFixed(0)}°` : '-');
+          const heightCard = (title, height, note) => (
+            <div style={{ background: '#0f172a', padding: '0.5rem', borderRadius: '0.25rem', textAlign: 'center' }}>
+              <div style={{ fontSize: '0.6rem', color: '#10b981' }}>{title}</div>
+              <div style={{ fontSize: '1.5rem', fontWeight: 'bold', color: height !== null ? '#fbbf24' : '#78350f' }}>{height !== null ? height.toFixed(1) : '-'}</div>
+              <div style={{ fontSize: '0.55rem', color: '#78350f' }}>in · {note}</div>
+              {recorded && height !== null ? (
+                <div style={{ fontSize: '0.65rem', marginTop: '0.25rem', color: height >= recorded ? '#10b981' : '#ef4444' }}>
+                  {height - recorded > 0 ? '+' : ''}{(height - recorded).toFixed(1)}in vs. recorded {recorded}
+                </div>
+              ) : null}
+              {primaryAthlete && height !== null && (
+                <button
+                  onClick={() => saveResultToAthleteField(fieldKey, height)}
+                  style={{ marginTop: '0.4rem', padding: '0.2rem 0.4rem', background: '#10b981', border: 'none', borderRadius: '0.25rem', color: '#fef3c7', cursor: 'pointer', fontSize: '0.6rem' }}
+                >
+                  Set as {getMetricLabel(fieldKey)}
+                </button>
+              )}
+            </div>
+          );
+          const events = [
+            { label: 'Bottom of dip', time: jump.countermovement.bottomTime, frame: jump.countermovement.bottomFrame },
+            { label: 'Takeoff', time: jump.takeoffTime, frame: jump.takeoffFrame },
+            { label: 'Peak', time: jump.peakTime, frame: jump.peakFrame },
+            { label: 'Landing', time: jump.landingTime, frame: jump.landingFrame }
+          ].filter(event => event.time !== null);
+          return (
+            <div style={{ display: 'grid', gridTemplateColumns: '160px 160px 1fr 1fr', gap: '0.5rem', alignItems: 'start' }}>
+              {heightCard('Height (flight time)', jump.heightFromFlight, jump.flightTime !== null ? `${jump.flightTime.toFixed(3)}s in the air` : 'no flight found')}
+              {heightCard('Height (center of mass)', jump.heightFromCom, 'peak rise over standing')}
+
+              <div>
+                <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.7rem', background: '#0f172a', borderRadius: '0.25rem', marginBottom: '0.5rem' }}>
+                  <thead>
+                    <tr>
+                      <th style={{ ...headStyle, textAlign: 'left' }}>Position</th>
+                      <th style={headStyle}>Knee</th>
+                      <th style={headStyle}>Hip</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    <tr>
+                      <td style={{ ...cellStyle, textAlign: 'left', color: '#ea580c' }}>Bottom of dip</td>
+                      <td style={cellStyle}>{degrees(jump.countermovement.kneeAngle)}</td>
+                      <td style={cellStyle}>{degrees(jump.countermovement.hipAngle)}</td>
+                    </tr>
+                    <tr>
+                      <td style={{ ...cellStyle, textAlign: 'left', color: '#ea580c' }}>Takeoff</td>
+                      <td style={cellStyle}>{degrees(jump.takeoff.kneeAngle)}</td>
+                      <td style={cellStyle}>{degrees(jump.takeoff.hipAngle)}</td>
+                    </tr>
+                  </tbody>
+                </table>
+                <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '0.25rem', fontSize: '0.65rem', color: '#a16207' }}>
+                  <div>Dip depth <span style={{ color: '#fbbf24' }}>{jump.countermovement.depth.toFixed(1)}in</span></div>
+                  <div>Dip to takeoff <span style={{ color: '#fbbf24' }}>{jump.countermovement.duration !== null ? `${jump.countermovement.duration.toFixed(2)}s` : '-'}</span></div>
+                  <div>Takeoff speed <span style={{ color: '#fbbf24' }}>{jump.takeoffVelocityMph.toFixed(1)} MPH</span></div>
+                  <div>Peak power <span style={{ color: '#fbbf24' }}>{jump.peakPower !== null ? `${jump.peakPower.toFixed(0)} W` : '-'}</span></div>
+                </div>
+              </div>
+
+              <div>
+                <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.7rem', background: '#0f172a', borderRadius: '0.25rem' }}>
+                  <thead>
+                    <tr>
+                      <th style={{ ...headStyle, textAlign: 'left' }}>Event</th>
+                      <th style={headStyle}>At</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {events.map(event => (
+                      <tr key={event.label} onClick={() => seekToFrame(event.frame)} style={{ cursor: 'pointer' }} title="Jump to frame">
+                        <td style={{ ...cellStyle, textAlign: 'left', color: '#ea580c' }}>{event.label}</td>
+                        <td style={cellStyle}>{event.time.toFixed(3)}s</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                {jump.peakPower !== null && (
+                  <div style={{ fontSize: '0.55rem', color: '#78350f', marginTop: '0.25rem' }}>Peak power estimated with the Sayers equation</div>
+                )}
+                {jump.warnings.map((warning, i) => (
+                  <div key={i} style={{ fontSize: '0.6rem', color: '#fbbf24', marginTop: '0.25rem' }}>⚠ {warning}</div>
+                ))}
+              </div>
+            </div>
+          );
+        })()}
+
+        {/* Broad Jump breakdown */}
+        {activeResultTab === 'jump' && analysisResults?.broadJump && (() => {
+          const jump = analysisResults.broadJump;
+          const fieldKey = TRACKING_PROFILES[activeProfile]?.athleteField || 'broadJump';
+          const recorded = primaryAthlete?.[fieldKey];
+          const cellStyle = { padding: '0.25rem 0.4rem', textAlign: 'right', color: '#fbbf24' };
+          const headStyle = { padding: '0.25rem 0.4rem', textAlign: 'right', color: '#a16207', borderBottom: '1px solid #78350f', fontWeight: '500' };
+          const events = [
+            { label: 'Takeoff', time: jump.takeoffTime, frame: jump.takeoffFrame },
+            { label: 'Peak', time: jump.peakTime, frame: jump.peakFrame },
+            { label: 'Landing', time: jump.landingTime, frame: jump.landingFrame },
+            { label: `Heel mark (${jump.landingHeel?.side} heel)`, time: jump.landingHeel?.time, frame: jump.landingHeel?.frame }
+          ].filter(event => event.time !== null && event.time !== undefined);
+          return (
+            <div style={{ display: 'grid', gridTemplateColumns: '160px 1fr 1fr', gap: '0.5rem', alignItems: 'start' }}>
+              <div style={{ background: '#0f172a', padding: '0.5rem', borderRadius: '0.25rem', textAlign: 'center' }}>
+                <div style={{ fontSize: '0.6rem', color: '#10b981' }}>Broad Jump</div>
+                <div style={{ fontSize: '1.5rem', fontWeight: 'bold', color: jump.distance !== null ? '#fbbf24' : '#78350f' }}>{jump.distance !== null ? jump.distance.toFixed(1) : '-'}</div>
+                <div style={{ fontSize: '0.55rem', color: '#78350f' }}>in{jump.distance !== null ? ` (${Math.floor(jump.distance / 12)}' ${(jump.distance % 12).toFixed(1)}")` : ''}</div>
+                {recorded && jump.distance !== null ? (
+                  <div style={{ fontSize: '0.65rem', marginTop: '0.25rem', color: jump.distance >= recorded ? '#10b981' : '#ef4444' }}>
+                    {jump.distance - recorded > 0 ? '+' : ''}{(jump.distance - recorded).toFixed(1)}in vs. recorded {recorded}
                   </div>
+                ) : null}
+                {primaryAthlete && jump.distance !== null && (
+                  <button
+                    onClick={() => saveResultToAthleteField(fieldKey, jump.distance)}
+                    style={{ marginTop: '0.4rem', padding: '0.2rem 0.4rem', background: '#10b981', border: 'none', borderRadius: '0.25rem', color: '#fef3c7', cursor: 'pointer', fontSize: '0.6rem' }}
+                  >
+                    Set as {getMetricLabel(fieldKey)}
+                  </button>
+                )}
+              </div>
+
+              <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '0.5rem' }}>
+                {[
+                  ['Takeoff Angle', jump.takeoffAngle !== null ? jump.takeoffAngle.toFixed(0) : '-', 'deg'],
+                  ['Takeoff Speed', jump.takeoffVelocityMph !== null ? jump.takeoffVelocityMph.toFixed(1) : '-', 'MPH'],
+                  ['Peak Height', jump.peakHeight !== null ? jump.peakHeight.toFixed(1) : '-', 'in (COM rise)'],
+                  ['Flight Time', jump.flightTime !== null ? jump.flightTime.toFixed(3) : '-', 'sec']
+                ].map(([label, value, unit]) => (
+                  <div key={label} style={{ background: '#0f172a', padding: '0.4rem', borderRadius: '0.25rem', textAlign: 'center' }}>
+                    <div style={{ fontSize: '0.6rem', color: '#ea580c' }}>{label}</div>
+                    <div style={{ fontSize: '1.1rem', fontWeight: 'bold', color: '#fbbf24' }}>{value}</div>
+                    <div style={{ fontSize: '0.55rem', color: '#78350f' }}>{unit}</div>
+                  </div>
+                ))}
+              </div>
+
+              <div>
+                <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.7rem', background: '#0f172a', borderRadius: '0.25rem' }}>
+                  <thead>
+                    <tr>
+                      <th style={{ ...headStyle, textAlign: 'left' }}>Event</th>
+                      <th style={headStyle}>At</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {events.map(event => (
+                      <tr key={event.label} onClick={() => seekToFrame(event.frame)} style={{ cursor: 'pointer' }} title="Jump to frame">
+                        <td style={{ ...cellStyle, textAlign: 'left', color: '#ea580c' }}>{event.label}</td>
+                        <td style={cellStyle}>{event.time.toFixed(3)}s</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                {jump.warnings.map((warning, i) => (
+                  <div key={i} style={{ fontSize: '0.6rem', color: '#fbbf24', marginTop: '0.25rem' }}>⚠ {warning}</div>
                 ))}
               </div>
             </div>
+          );
+        })()}
+
+        {/* Speed Chart */}
+        {/* Kinematics filter: applied to position before speed and acceleration are derived */}
+        {(activeResultTab === 'speed' || activeResultTab === 'acceleration') && analysisResults?.filter && (
+          <div style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap', alignItems: 'center', marginBottom: '0.5rem', fontSize: '0.7rem', color: '#a16207' }}>
+            <span>Filter</span>
+            <select
+              value={kinematicsFilter.method}
+              onChange={(e) => setKinematicsFilter(prev => ({ ...prev, method: e.target.value }))}
+              style={{ padding: '0.2rem', background: '#0f172a', border: '1px solid #78350f', borderRadius: '0.25rem', color: '#fef3c7', fontSize: '0.7rem' }}
+            >
+              {Object.entries(FILTER_METHODS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+            {kinematicsFilter.method === 'butterworth' && (
+              <>
+                <span>Cutoff</span>
+                <input
+                  type="number"
+                  min="1"
+                  max={Math.floor(fps / 2)}
+                  step="0.5"
+                  value={kinematicsFilter.cutoffHz}
+                  onChange={(e) => {
+                    const cutoffHz = parseFloat(e.target.value);
+                    if (cutoffHz > 0) setKinematicsFilter(prev => ({ ...prev, cutoffHz }));
+                  }}
+                  title={`Must stay below half the frame rate (${(fps / 2).toFixed(1)} Hz)`}
+                  style={{ width: '50px', padding: '0.2rem', background: '#0f172a', border: '1px solid #78350f', borderRadius: '0.25rem', color: '#fef3c7', fontSize: '0.7rem' }}
+                />
+                <span>Hz</span>
+              </>
+            )}
+            {kinematicsFilter.method === 'savitzkyGolay' && (
+              <>
+                <span>Window</span>
+                <select
+                  value={kinematicsFilter.window}
+                  onChange={(e) => setKinematicsFilter(prev => ({ ...prev, window: parseInt(e.target.value) }))}
+                  style={{ padding: '0.2rem', background: '#0f172a', border: '1px solid #78350f', borderRadius: '0.25rem', color: '#fef3c7', fontSize: '0.7rem' }}
+                >
+                  {[5, 7, 9, 11, 15, 21, 31].map(size => (
+                    <option key={size} value={size}>{size} frames</option>
+                  ))}
+                </select>
+                <span>Order</span>
+                <select
+                  value={kinematicsFilter.polyOrder}
+                  onChange={(e) => setKinematicsFilter(prev => ({ ...prev, polyOrder: parseInt(e.target.value) }))}
+                  style={{ padding: '0.2rem', background: '#0f172a', border: '1px solid #78350f', borderRadius: '0.25rem', color: '#fef3c7', fontSize: '0.7rem' }}
+                >
+                  {[2, 3, 4].map(order => (
+                    <option key={order} value={order}>{order}</option>
+                  ))}
+                </select>
+              </>
+            )}
+            {kinematicsFilter.method !== 'none' && (
+              <button
+                onClick={() => setShowRawKinematics(!showRawKinematics)}
+                style={{ padding: '0.2rem 0.45rem', background: showRawKinematics ? '#5b21b6' : '#78350f', border: 'none', borderRadius: '0.25rem', color: showRawKinematics ? '#c4b5fd' : '#9ca3af', cursor: 'pointer', fontSize: '0.65rem' }}
+              >
+                Raw Overlay
+              </button>
+            )}
           </div>
         )}
 
-        {/* Speed Chart */}
         {activeResultTab === 'speed' && (
           <div style={{ height: '200px' }}>
             {analysisResults ? (
@@ -3288,6 +4781,125 @@ function VideoAnalysis() {
           </div>
         )}
 
+        {/* Sprint Force-Velocity Profile */}
+        {activeResultTab === 'force-velocity' && forceVelocity && (() => {
+          const cardStyle = { background: '#0f172a', padding: '0.4rem', borderRadius: '0.25rem', textAlign: 'center' };
+          const labelStyle = { fontSize: '0.6rem', color: '#10b981' };
+          const valueStyle = { fontSize: '1.1rem', fontWeight: 'bold', color: '#fbbf24' };
+          const unitStyle = { fontSize: '0.55rem', color: '#78350f' };
+          const metrics = [
+            { label: 'F0', value: forceVelocity.f0.toFixed(2), unit: forceVelocity.f0Absolute ? `N/kg · ${Math.round(forceVelocity.f0Absolute)} N` : 'N/kg' },
+            { label: 'V0', value: forceVelocity.v0.toFixed(2), unit: 'm/s' },
+            { label: 'Pmax', value: forceVelocity.pmax.toFixed(1), unit: forceVelocity.pmaxAbsolute ? `W/kg · ${Math.round(forceVelocity.pmaxAbsolute)} W` : 'W/kg' },
+            { label: 'F-V Slope', value: forceVelocity.slope.toFixed(2), unit: 'N/kg per m/s' },
+            { label: 'RF max', value: forceVelocity.rfMax === null ? '-' : forceVelocity.rfMax.toFixed(1), unit: '%' },
+            { label: 'DRF', value: forceVelocity.drf === null ? '-' : forceVelocity.drf.toFixed(2), unit: '% per m/s' },
+            { label: 'vmax', value: forceVelocity.vmax.toFixed(2), unit: `m/s · τ ${forceVelocity.tau.toFixed(2)} s` },
+            { label: 'Fit R²', value: forceVelocity.r2.toFixed(3), unit: `start ${forceVelocity.startTime.toFixed(2)}s` }
+          ];
+          return (
+            <div style={{ display: 'grid', gridTemplateColumns: '280px 1fr', gap: '0.5rem', alignItems: 'start' }}>
+              <div>
+                <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '0.35rem' }}>
+                  {metrics.map(metric => (
+                    <div key={metric.label} style={cardStyle}>
+                      <div style={labelStyle}>{metric.label}</div>
+                      <div style={valueStyle}>{metric.value}</div>
+                      <div style={unitStyle}>{metric.unit}</div>
+                    </div>
+                  ))}
+                </div>
+                {forceVelocity.warnings.map((warning, i) => (
+                  <div key={i} style={{ fontSize: '0.6rem', color: '#fbbf24', marginTop: '0.25rem' }}>⚠ {warning}</div>
+                ))}
+              </div>
+              <div style={{ height: '240px', background: '#0f172a', borderRadius: '0.25rem', padding: '0.25rem' }}>
+                <canvas ref={forceVelocityChartRef} style={{ cursor: 'pointer' }} />
+              </div>
+            </div>
+          );
+        })()}
+
+        {/* Stride-by-stride gait */}
+        {activeResultTab === 'gait' && analysisResults?.gait?.summary && (() => {
+          const { steps, summary, warnings } = analysisResults.gait;
+          const cellStyle = { padding: '0.25rem 0.4rem', textAlign: 'right', color: '#fbbf24' };
+          const headStyle = { padding: '0.25rem 0.4rem', textAlign: 'right', color: '#a16207', borderBottom: '1px solid #78350f', fontWeight: '500', position: 'sticky', top: 0, background: '#0f172a' };
+          const fixed = (value, digits) => (value === null ? '-' : value.toFixed(digits));
+          const ms = (value) => (value === null ? '-' : (value * 1000).toFixed(0));
+          const percent = (value) => (value === null ? '-' : `${value > 0 ? '+' : ''}${value.toFixed(0)}%`);
+          const rows = [
+            { label: 'Step Length (yd)', metric: summary.stepLength, format: (v) => fixed(v, 2) },
+            { label: 'Frequency (Hz)', metric: summary.stepFrequency, format: (v) => fixed(v, 2) },
+            { label: 'Contact (ms)', metric: summary.contactTime, format: ms },
+            { label: 'Flight (ms)', metric: summary.flightTime, format: ms }
+          ];
+          return (
+            <div style={{ display: 'grid', gridTemplateColumns: '230px 1fr 1fr', gap: '0.5rem', alignItems: 'start' }}>
+              <div>
+                <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.7rem', background: '#0f172a', borderRadius: '0.25rem' }}>
+                  <thead>
+                    <tr>
+                      <th style={{ ...headStyle, textAlign: 'left' }}>{summary.stepCount} Steps</th>
+                      <th style={headStyle}>Left</th>
+                      <th style={headStyle}>Right</th>
+                      <th style={headStyle}>L/R</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {rows.map(({ label, metric, format }) => (
+                      <tr key={label}>
+                        <td style={{ ...cellStyle, textAlign: 'left', color: '#ea580c' }}>{label}</td>
+                        <td style={cellStyle}>{format(metric.left)}</td>
+                        <td style={cellStyle}>{format(metric.right)}</td>
+                        <td style={{ ...cellStyle, color: Math.abs(metric.asymmetry ?? 0) > 10 ? '#ef4444' : '#10b981' }}>{percent(metric.asymmetry)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                {warnings.map((warning, i) => (
+                  <div key={i} style={{ fontSize: '0.6rem', color: '#fbbf24', marginTop: '0.25rem' }}>⚠ {warning}</div>
+                ))}
+              </div>
+
+              <div style={{ maxHeight: '240px', overflowY: 'auto' }}>
+                <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.7rem', background: '#0f172a', borderRadius: '0.25rem' }}>
+                  <thead>
+                    <tr>
+                      <th style={{ ...headStyle, textAlign: 'left' }}>Step</th>
+                      <th style={headStyle}>At</th>
+                      <th style={headStyle}>Length</th>
+                      <th style={headStyle}>Hz</th>
+                      <th style={headStyle}>Contact</th>
+                      <th style={headStyle}>Flight</th>
+                      <th style={headStyle}>Asym</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {steps.map(step => (
+                      <tr key={step.number} onClick={() => seekToFrame(step.strikeFrame)} style={{ cursor: 'pointer' }} title="Jump to foot-strike">
+                        <td style={{ ...cellStyle, textAlign: 'left', color: step.side === 'left' ? '#ea580c' : '#fb923c' }}>
+                          #{step.number} {step.side === 'left' ? 'L' : 'R'}{step.alternates ? '' : ' ⚠'}
+                        </td>
+                        <td style={cellStyle}>{step.strikeTime.toFixed(2)}s</td>
+                        <td style={cellStyle}>{step.stepLength.toFixed(2)}</td>
+                        <td style={cellStyle}>{fixed(step.stepFrequency, 2)}</td>
+                        <td style={cellStyle}>{ms(step.contactTime)}</td>
+                        <td style={cellStyle}>{ms(step.flightTime)}</td>
+                        <td style={cellStyle}>{percent(step.stepLengthAsymmetry)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              <div style={{ height: '240px', background: '#0f172a', borderRadius: '0.25rem', padding: '0.25rem' }}>
+                <canvas ref={gaitChartRef} style={{ cursor: 'pointer' }} />
+              </div>
+            </div>
+          );
+        })()}
+
         {/* Biomechanics Charts */}
         {activeResultTab === 'biomechanics' && (
           <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '0.5rem' }}>
@@ -0,0 +1,207 @@
+import React, { useState, useRef } from 'react';
+import { useAppContext } from '../../context/AppContext';
+import {
+  getWorkspaces,
+  saveWorkspace,
+  duplicateWorkspace,
+  deleteWorkspace,
+  exportWorkspaces,
+  importWorkspaces
+} from '../../utils/workspaces';
+
+const buttonStyle = {
+  padding: '0.3rem 0.6rem',
+  background: '#7c2d12',
+  border: '1px solid #ea580c',
+  borderRadius: '0.25rem',
+  color: '#fbbf24',
+  fontSize: '0.75rem',
+  fontWeight: '600',
+  cursor: 'pointer'
+};
+
+const smallButtonStyle = {
+  padding: '0.15rem 0.4rem',
+  background: '#374151',
+  border: '1px solid #4b5563',
+  borderRadius: '0.25rem',
+  color: '#e2e8f0',
+  fontSize: '0.7rem',
+  cursor: 'pointer'
+};
+
+// One-line description of what a workspace holds
+const summarize = (state) => {
+  const { filters } = state;
+  const filterCount = filters.positions.length + filters.states.length + filters.gradYears.length +
+    [filters.heightRange.min, filters.heightRange.max, filters.weightRange.min, filters.weightRange.max].filter(v => v !== null).length +
+    (state.statisticFilter.enabled ? 1 : 0);
+  const parts = [
+    `${state.selectedAthletes.length} athlete${state.selectedAthletes.length === 1 ? '' : 's'}`,
+    `${state.forgedAxes.length} forged ax${state.forgedAxes.length === 1 ? 'is' : 'es'}`,
+    `${filterCount} filter${filterCount === 1 ? '' : 's'}`
+  ];
+  if (state.meZScoreFilterLow !== 0 || state.meZScoreFilterHigh !== 0) {
+    parts.push(`σ ${state.meZScoreFilterLow} to ${state.meZScoreFilterHigh}`);
+  }
+  if (state.cohort.mode !== 'global') parts.push(`${state.cohort.mode} baseline`);
+  return parts.join(' · ');
+};
+
+function WorkspaceManager() {
+  const { getAnalysisState, applyAnalysisState } = useAppContext();
+
+  const [open, setOpen] = useState(false);
+  const [workspaces, setWorkspaces] = useState(getWorkspaces);
+  const [name, setName] = useState('');
+  const [activeId, setActiveId] = useState(null);
+  const [message, setMessage] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const refresh = () => setWorkspaces(getWorkspaces());
+
+  const activeWorkspace = workspaces.find(w => w.id === activeId);
+
+  const handleSave = () => {
+    const trimmed = name.trim();
+    if (!trimmed) return;
+    const existing = workspaces.find(w => w.name.toLowerCase() === trimmed.toLowerCase());
+    if (existing && !window.confirm(`Overwrite workspace "${existing.name}" with the current analysis?`)) return;
+
+    const saved = saveWorkspace(trimmed, getAnalysisState());
+    setActiveId(saved.id);
+    setName('');
+    setMessage({ type: 'success', text: `Saved "${saved.name}"` });
+    refresh();
+  };
+
+  const handleLoad = (workspace) => {
+    applyAnalysisState(workspace.state);
+    setActiveId(workspace.id);
+    setMessage({ type: 'success', text: `Loaded "${workspace.name}"` });
+    setOpen(false);
+  };
+
+  const handleDuplicate = (workspace) => {
+    const copy = duplicateWorkspace(workspace.id);
+    if (copy) setMessage({ type: 'success', text: `Created "${copy.name}"` });
+    refresh();
+  };
+
+  const handleDelete = (workspace) => {
+    if (!window.confirm(`Delete workspace "${workspace.name}"? This cannot be undone.`)) return;
+    deleteWorkspace(workspace.id);
+    if (workspace.id === activeId) setActiveId(null);
+    refresh();
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    try {
+      const { imported, skipped } = await importWorkspaces(file);
+      const skippedText = skipped.length > 0
+        ? ` - skipped ${skipped.map(entry => `${entry.name} (${entry.reason})`).join(', ')}`
+        : '';
+      setMessage({
+        type: imported.length > 0 ? 'success' : 'error',
+        text: `Imported ${imported.length} workspace${imported.length === 1 ? '' : 's'}${skippedText}`
+      });
+      refresh();
+    } catch (err) {
+      console.error('Error importing workspaces:', err);
+      setMessage({ type: 'error', text: err.message });
+    } finally {
+      e.target.value = '';
+    }
+  };
+
+  return (
+    <div style={{ position: 'relative' }}>
+      <button
+        onClick={() => { setOpen(prev => !prev); setMessage(null); refresh(); }}
+        style={{ ...buttonStyle, padding: '0.4rem 0.8rem', fontSize: '0.8rem' }}
+      >
+        Workspaces{activeWorkspace ? `: ${activeWorkspace.name}` : ''} ▾
+      </button>
+
+      {open && (
+        <div style={{
+          position: 'absolute',
+          right: 0,
+          top: 'calc(100% + 0.5rem)',
+          width: '420px',
+          maxHeight: '70vh',
+          overflowY: 'auto',
+          background: '#1e293b',
+          border: '1px solid #78350f',
+          borderLeft: '4px solid #fbbf24',
+          borderRadius: '0.5rem',
+          padding: '1rem',
+          zIndex: 1000,
+          boxShadow: '0 10px 25px rgba(0, 0, 0, 0.5)'
+        }}>
+          <h3 style={{ fontSize: '1rem', color: '#fb923c', marginBottom: '0.75rem' }}>Saved Workspaces</h3>
+
+          <div style={{ display: 'flex', gap: '0.4rem', marginBottom: '0.75rem' }}>
+            <input
+              type="text"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              onKeyDown={(e) => { if (e.key === 'Enter') handleSave(); }}
+              placeholder='Name, e.g. "2025 GA WR board"'
+              style={{ flex: 1, padding: '0.35rem 0.5rem', fontSize: '0.8rem', background: '#0f172a', border: '1px solid #4b5563', borderRadius: '0.25rem', color: '#fbbf24' }}
+            />
+            <button onClick={handleSave} disabled={!name.trim()} style={{ ...buttonStyle, opacity: name.trim() ? 1 : 0.5, cursor: name.trim() ? 'pointer' : 'not-allowed' }}>
+              Save Current
+            </button>
+          </div>
+
+          <div style={{ display: 'flex', gap: '0.4rem', marginBottom: '0.75rem' }}>
+            <button onClick={() => fileInputRef.current && fileInputRef.current.click()} style={smallButtonStyle}>Import JSON</button>
+            <button onClick={() => exportWorkspaces(workspaces)} disabled={workspaces.length === 0} style={{ ...smallButtonStyle, opacity: workspaces.length ? 1 : 0.5 }}>Export All</button>
+            <input ref={fileInputRef} type="file" accept=".json,application/json" onChange={handleImport} style={{ display: 'none' }} />
+          </div>
+
+          {message && (
+            <div style={{ fontSize: '0.75rem', marginBottom: '0.75rem', color: message.type === 'error' ? '#ef4444' : '#10b981' }}>
+              {message.text}
+            </div>
+          )}
+
+          {workspaces.length === 0 ? (
+            <div style={{ color: '#64748b', fontSize: '0.8rem' }}>
+              No saved workspaces. Save the current selection, filters, forged axes and sliders to come back to them later.
+            </div>
+          ) : (
+            workspaces.map(workspace => (
+              <div key={workspace.id} style={{
+                padding: '0.5rem',
+                marginBottom: '0.4rem',
+                background: workspace.id === activeId ? '#422006' : '#0f172a',
+                border: `1px solid ${workspace.id === activeId ? '#ea580c' : '#334155'}`,
+                borderRadius: '0.25rem'
+              }}>
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'baseline', gap: '0.5rem' }}>
+                  <span style={{ color: '#fbbf24', fontWeight: '600', fontSize: '0.85rem' }}>{workspace.name}</span>
+                  <span style={{ color: '#64748b', fontSize: '0.65rem', whiteSpace: 'nowrap' }}>
+                    {new Date(workspace.updatedAt).toLocaleDateString()}
+                  </span>
+                </div>
+                <div style={{ color: '#94a3b8', fontSize: '0.7rem', margin: '0.2rem 0 0.4rem' }}>{summarize(workspace.state)}</div>
+                <div style={{ display: 'flex', gap: '0.3rem' }}>
+                  <button onClick={() => handleLoad(workspace)} style={{ ...smallButtonStyle, background: '#7c2d12', borderColor: '#ea580c', color: '#fbbf24' }}>Load</button>
+                  <button onClick={() => handleDuplicate(workspace)} style={smallButtonStyle}>Duplicate</button>
+                  <button onClick={() => exportWorkspaces([workspace])} style={smallButtonStyle}>Export</button>
+                  <button onClick={() => handleDelete(workspace)} style={{ ...smallButtonStyle, color: '#ef4444' }}>Delete</button>
+                </div>
+              </div>
+            ))
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default WorkspaceManager;
@@ -0,0 +1,86 @@
+import React from 'react';
+import { useAppContext } from '../../context/AppContext';
+import { BASELINE_MODES, COHORT_DIMENSIONS, MIN_COHORT_SIZE } from '../../utils/cohorts';
+
+// Sigma baseline selector shared by Dashboard and FreakFinder
+function CohortSelector({ filtersActive = false }) {
+  const { cohort, setCohort } = useAppContext();
+
+  const setMode = (mode) => setCohort(prev => ({ ...prev, mode }));
+
+  const toggleDimension = (dim) => {
+    setCohort(prev => {
+      const dimensions = prev.dimensions.includes(dim)
+        ? prev.dimensions.filter(d => d !== dim)
+        : [...prev.dimensions, dim];
+      // Keep registry order so cohort keys stay stable
+      return {
+        ...prev,
+        dimensions: COHORT_DIMENSIONS.map(d => d.key).filter(k => dimensions.includes(k))
+      };
+    });
+  };
+
+  return (
+    <div style={{ fontSize: '0.7rem' }}>
+      <div style={{ color: '#9ca3af', marginBottom: '0.25rem' }}>σ Baseline</div>
+      <div style={{ display: 'flex', gap: '0.25rem', background: '#0f172a', padding: '0.2rem', borderRadius: '0.25rem', marginBottom: '0.4rem' }}>
+        {Object.values(BASELINE_MODES).map(mode => (
+          <button
+            key={mode.id}
+            onClick={() => setMode(mode.id)}
+            style={{
+              flex: 1,
+              padding: '0.2rem 0.4rem',
+              fontSize: '0.65rem',
+              background: cohort.mode === mode.id ? '#ea580c' : 'transparent',
+              border: 'none',
+              borderRadius: '0.2rem',
+              color: cohort.mode === mode.id ? '#fef3c7' : '#94a3b8',
+              cursor: 'pointer',
+              fontWeight: cohort.mode === mode.id ? '600' : '400',
+              whiteSpace: 'nowrap'
+            }}
+          >
+            {mode.label}
+          </button>
+        ))}
+      </div>
+
+      {cohort.mode === 'cohort' && (
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.25rem' }}>
+          {COHORT_DIMENSIONS.map(dim => {
+            const active = cohort.dimensions.includes(dim.key);
+            return (
+              <button
+                key={dim.key}
+                onClick={() => toggleDimension(dim.key)}
+                style={{
+                  padding: '0.2rem 0.4rem',
+                  fontSize: '0.65rem',
+                  background: active ? '#5b21b6' : '#374151',
+                  border: `1px solid ${active ? '#a78bfa' : '#4b5563'}`,
+                  borderRadius: '0.25rem',
+                  color: active ? '#c4b5fd' : '#9ca3af',
+                  cursor: 'pointer'
+                }}
+              >
+                {dim.label}
+              </button>
+            );
+          })}
+        </div>
+      )}
+
+      <div style={{ color: '#64748b', marginTop: '0.3rem' }}>
+        {cohort.mode === 'global' && 'σ vs. every loaded athlete'}
+        {cohort.mode === 'cohort' && (cohort.dimensions.length > 0
+          ? `σ vs. athletes sharing ${cohort.dimensions.map(d => COHORT_DIMENSIONS.find(x => x.key === d).label.toLowerCase()).join(' + ')} (min ${MIN_COHORT_SIZE}, else all)`
+          : 'Pick at least one cohort dimension')}
+        {cohort.mode === 'filtered' && (filtersActive ? 'σ vs. the filtered population' : 'No filters active - using all athletes')}
+      </div>
+    </div>
+  );
+}
+
+export default CohortSelector;
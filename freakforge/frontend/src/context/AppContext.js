@@ -1,38 +1,98 @@
-import React, { createContext, useContext, useState } from 'react';
+import React, { createContext, useCallback, useContext, useEffect, useRef, useState } from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
+import { DEFAULT_FILTERS, DEFAULT_STATISTIC_FILTER, parseAppState, serializeAppState } from '../utils/urlState';
+import dataService from '../utils/dataService';
 
 const AppContext = createContext();
 
+// Most forged axes a radar can hold
+export const MAX_FORGED_AXES = 8;
+
+// Quiet period before a state change becomes a history entry (keeps slider drags to one entry)
+const URL_SYNC_DELAY = 400;
+
 export function AppProvider({ children }) {
+  const location = useLocation();
+  const navigate = useNavigate();
+
+  // Shared analysis state starts from the URL so links reproduce the exact view
+  const [initialState] = useState(() => parseAppState(location.search));
+
   // Athlete selection state
-  const [selectedAthletes, setSelectedAthletes] = useState([]);
+  const [selectedAthletes, setSelectedAthletes] = useState(initialState.selectedAthletes);
 
   // Forged axes state
-  const [forgedAxes, setForgedAxes] = useState([]);
+  const [forgedAxes, setForgedAxes] = useState(initialState.forgedAxes);
 
   // #8: Shared sidebar filter state across all tabs
   const [searchQuery, setSearchQuery] = useState('');
-  const [filters, setFilters] = useState({
-    positions: [],
-    states: [],
-    gradYears: [],
-    heightRange: { min: null, max: null },
-    weightRange: { min: null, max: null }
-  });
+  const [filters, setFilters] = useState(initialState.filters);
 
   // #3: ME bell curve slider state - persists across tab switches
-  const [meZScoreFilterLow, setMeZScoreFilterLow] = useState(0);
-  const [meZScoreFilterHigh, setMeZScoreFilterHigh] = useState(0);
+  const [meZScoreFilterLow, setMeZScoreFilterLow] = useState(initialState.meZScoreFilterLow);
+  const [meZScoreFilterHigh, setMeZScoreFilterHigh] = useState(initialState.meZScoreFilterHigh);
 
   // #1: Statistic filter state for Selection tab
-  const [statisticFilter, setStatisticFilter] = useState({
-    enabled: false,
-    low: -3,
-    high: 1.5,
-    keepOutside: true // true = keep outside (remove players with no z-scores >= cutoff), false = keep inside
-  });
+  // keepOutside: true = keep outside (remove players with no z-scores >= cutoff), false = keep inside
+  const [statisticFilter, setStatisticFilter] = useState(initialState.statisticFilter);
+
+  // #4: Sigma baseline - all athletes, the athlete's cohort (position/grad year/state), or the filtered population
+  const [cohort, setCohort] = useState(initialState.cohort);
+
+  // URL sync: the query string last written or applied, and any pending write
+  const syncedSearch = useRef(serializeAppState(initialState));
+  const pendingSync = useRef(null);
+  const currentPathname = useRef(location.pathname);
+  currentPathname.current = location.pathname;
 
-  // #4: Recalculate statistics based on filtered population
-  const [recalcStatsFromFilters, setRecalcStatsFromFilters] = useState(false);
+  // Snapshot of the shareable analysis state (URL and saved workspaces)
+  const getAnalysisState = useCallback(() => ({
+    selectedAthletes,
+    forgedAxes,
+    filters,
+    statisticFilter,
+    cohort,
+    meZScoreFilterLow,
+    meZScoreFilterHigh
+  }), [selectedAthletes, forgedAxes, filters, statisticFilter, cohort, meZScoreFilterLow, meZScoreFilterHigh]);
+
+  const applyAnalysisState = useCallback((state) => {
+    setSelectedAthletes(state.selectedAthletes);
+    setForgedAxes(state.forgedAxes);
+    setFilters(state.filters);
+    setStatisticFilter(state.statisticFilter);
+    setMeZScoreFilterLow(state.meZScoreFilterLow);
+    setMeZScoreFilterHigh(state.meZScoreFilterHigh);
+    setCohort(state.cohort);
+  }, []);
+
+  // URL -> state (pasted links, browser back/forward)
+  useEffect(() => {
+    if (location.search === syncedSearch.current) return;
+    clearTimeout(pendingSync.current);
+
+    const parsed = parseAppState(location.search);
+    applyAnalysisState(parsed);
+
+    // Normalize hand-edited links without adding a history entry
+    syncedSearch.current = serializeAppState(parsed);
+    if (syncedSearch.current !== location.search) {
+      navigate({ search: syncedSearch.current }, { replace: true });
+    }
+  }, [location.search, navigate, applyAnalysisState]);
+
+  // State -> URL, one history entry per settled change
+  useEffect(() => {
+    const search = serializeAppState(getAnalysisState());
+    if (search === syncedSearch.current) return;
+
+    pendingSync.current = setTimeout(() => {
+      syncedSearch.current = search;
+      // The tab may have changed while the write was pending
+      navigate({ pathname: currentPathname.current, search });
+    }, URL_SYNC_DELAY);
+    return () => clearTimeout(pendingSync.current);
+  }, [getAnalysisState, navigate]);
 
   // #6: Filter pane collapsed state
   const [filterPaneCollapsed, setFilterPaneCollapsed] = useState(false);
@@ -68,6 +128,12 @@ export function AppProvider({ children }) {
     setConfirmDialog(prev => ({ ...prev, open: false }));
   };
 
+  // Drop deleted athletes from the selection so comparison views don't keep dangling ids
+  useEffect(() => dataService.subscribe(({ type, athleteId }) => {
+    if (type !== 'athleteDeleted') return;
+    setSelectedAthletes(prev => (prev.includes(athleteId) ? prev.filter(id => id !== athleteId) : prev));
+  }), []);
+
   const toggleAthleteSelection = (athleteId) => {
     setSelectedAthletes(prev =>
       prev.includes(athleteId)
@@ -111,19 +177,8 @@ export function AppProvider({ children }) {
   };
 
   const clearAllFilters = () => {
-    setFilters({
-      positions: [],
-      states: [],
-      gradYears: [],
-      heightRange: { min: null, max: null },
-      weightRange: { min: null, max: null }
-    });
-    setStatisticFilter({
-      enabled: false,
-      low: -3,
-      high: 1.5,
-      keepOutside: true
-    });
+    setFilters(DEFAULT_FILTERS);
+    setStatisticFilter(DEFAULT_STATISTIC_FILTER);
   };
 
   const hasActiveFilters = () => {
@@ -163,9 +218,12 @@ export function AppProvider({ children }) {
     // #1: Statistic filter
     statisticFilter,
     setStatisticFilter,
-    // #4: Recalc stats from filters
-    recalcStatsFromFilters,
-    setRecalcStatsFromFilters,
+    // #4: Cohort baseline
+    cohort,
+    setCohort,
+    // Saved workspaces
+    getAnalysisState,
+    applyAnalysisState,
     // #6: Filter pane collapsed
     filterPaneCollapsed,
     setFilterPaneCollapsed,
@@ -0,0 +1,149 @@
+/**
+ * Athlete Store
+ * Thin promise wrapper around IndexedDB for durable athlete data
+ */
+
+const DB_NAME = 'freakforge';
+const DB_VERSION = 1;
+
+export const STORES = {
+  athletes: 'athletes',
+  performanceHistory: 'performanceHistory',
+  meta: 'meta'
+};
+
+let dbPromise = null;
+
+/**
+ * Check whether IndexedDB can be used in this environment
+ */
+export const isStoreAvailable = () => typeof window !== 'undefined' && !!window.indexedDB;
+
+/**
+ * Wrap an IDBRequest in a promise
+ */
+const promisifyRequest = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/**
+ * Open (and upgrade) the database once per session
+ * @returns {Promise<IDBDatabase>}
+ */
+const openDatabase = () => {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(STORES.athletes)) {
+        db.createObjectStore(STORES.athletes, { keyPath: 'id' });
+      }
+      if (!db.objectStoreNames.contains(STORES.performanceHistory)) {
+        const history = db.createObjectStore(STORES.performanceHistory, { keyPath: 'id', autoIncrement: true });
+        history.createIndex('athleteId', 'athleteId', { unique: false });
+      }
+      if (!db.objectStoreNames.contains(STORES.meta)) {
+        db.createObjectStore(STORES.meta, { keyPath: 'key' });
+      }
+    };
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      dbPromise = null;
+      reject(request.error);
+    };
+  });
+
+  return dbPromise;
+};
+
+/**
+ * Run a callback inside a transaction and resolve when it commits
+ * @param {string[]} storeNames - Stores to include
+ * @param {string} mode - 'readonly' | 'readwrite'
+ * @param {Function} callback - Receives the transaction; may return a value or request
+ */
+const withTransaction = async (storeNames, mode, callback) => {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeNames, mode);
+    let result;
+
+    Promise.resolve(callback(tx)).then(value => {
+      result = value;
+    }).catch(reject);
+
+    tx.oncomplete = () => resolve(result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+};
+
+export const getAll = (storeName) =>
+  withTransaction([storeName], 'readonly', tx => promisifyRequest(tx.objectStore(storeName).getAll()));
+
+export const get = (storeName, key) =>
+  withTransaction([storeName], 'readonly', tx => promisifyRequest(tx.objectStore(storeName).get(key)));
+
+/**
+ * Insert or replace a record
+ * @returns {Promise<IDBValidKey>} Key of the stored record
+ */
+export const put = (storeName, record) =>
+  withTransaction([storeName], 'readwrite', tx => promisifyRequest(tx.objectStore(storeName).put(record)));
+
+export const remove = (storeName, key) =>
+  withTransaction([storeName], 'readwrite', tx => {
+    tx.objectStore(storeName).delete(key);
+  });
+
+/**
+ * Delete every record in an index matching a value (e.g. all history for an athlete)
+ */
+export const removeByIndex = (storeName, indexName, value) =>
+  withTransaction([storeName], 'readwrite', tx => {
+    const store = tx.objectStore(storeName);
+    const request = store.index(indexName).openKeyCursor(IDBKeyRange.only(value));
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (cursor) {
+        store.delete(cursor.primaryKey);
+        cursor.continue();
+      }
+    };
+  });
+
+/**
+ * Clear a store and write a full set of records in one transaction
+ */
+export const replaceAll = (storeName, records) =>
+  withTransaction([storeName], 'readwrite', tx => {
+    const store = tx.objectStore(storeName);
+    store.clear();
+    records.forEach(record => store.put(record));
+  });
+
+/**
+ * Clear every store
+ */
+export const clearAll = () =>
+  withTransaction(Object.values(STORES), 'readwrite', tx => {
+    Object.values(STORES).forEach(name => tx.objectStore(name).clear());
+  });
+
+export default {
+  STORES,
+  isStoreAvailable,
+  getAll,
+  get,
+  put,
+  remove,
+  removeByIndex,
+  replaceAll,
+  clearAll
+};
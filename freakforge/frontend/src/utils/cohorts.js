@@ -0,0 +1,92 @@
+/**
+ * Cohort Utilities
+ * Normative baselines for athlete subgroups (position, grad year, state or any combination)
+ */
+
+import { describeSample } from './statistics';
+import { METRIC_KEYS } from './metricRegistry';
+
+export const COHORT_DIMENSIONS = [
+  { key: 'position', label: 'Position' },
+  { key: 'gradYear', label: 'Grad Year' },
+  { key: 'state', label: 'State' }
+];
+
+// Baseline modes: whole dataset, athlete's own cohort, or the current filtered population
+export const BASELINE_MODES = {
+  global: { id: 'global', label: 'All Athletes' },
+  cohort: { id: 'cohort', label: 'Cohort' },
+  filtered: { id: 'filtered', label: 'Filtered Pop' }
+};
+
+// Cohorts smaller than this fall back to the global baseline
+export const MIN_COHORT_SIZE = 5;
+
+export const DEFAULT_COHORT = { mode: 'global', dimensions: ['position'] };
+
+/**
+ * Key identifying an athlete's cohort for the given dimensions
+ * @param {Object} athlete - Athlete record
+ * @param {string[]} dimensions - e.g. ['position', 'gradYear']
+ * @returns {string} e.g. "position=WR|gradYear=2021"
+ */
+export const getCohortKey = (athlete, dimensions) =>
+  dimensions.map(dim => `${dim}=${athlete[dim] ?? ''}`).join('|');
+
+/**
+ * Human-readable cohort name for an athlete, e.g. "WR · 2021"
+ */
+export const describeCohort = (athlete, dimensions) =>
+  dimensions.map(dim => athlete[dim] ?? '?').join(' · ');
+
+/**
+ * Group athletes by cohort
+ * @returns {Map<string, Object[]>} cohort key -> member athletes
+ */
+export const groupByCohort = (athletes, dimensions) => {
+  const groups = new Map();
+  athletes.forEach(athlete => {
+    const key = getCohortKey(athlete, dimensions);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(athlete);
+  });
+  return groups;
+};
+
+/**
+ * Per-metric mean/std for a set of athletes, in the same shape as metricStatistics
+ */
+export const calculateBaseline = (athletes) => {
+  const baseline = {};
+  METRIC_KEYS.forEach(key => {
+    const values = athletes.map(a => a[key]).filter(v => v !== null && v !== undefined && !Number.isNaN(v));
+    if (values.length > 1) {
+      baseline[key] = describeSample(values);
+    }
+  });
+  return baseline;
+};
+
+/**
+ * Baselines for every cohort
+ * @returns {Map<string, {members: Object[], stats: Object}>}
+ */
+export const buildCohortBaselines = (athletes, dimensions) => {
+  const baselines = new Map();
+  groupByCohort(athletes, dimensions).forEach((members, key) => {
+    baselines.set(key, { members, stats: calculateBaseline(members) });
+  });
+  return baselines;
+};
+
+export default {
+  COHORT_DIMENSIONS,
+  BASELINE_MODES,
+  MIN_COHORT_SIZE,
+  DEFAULT_COHORT,
+  getCohortKey,
+  describeCohort,
+  groupByCohort,
+  calculateBaseline,
+  buildCohortBaselines
+};
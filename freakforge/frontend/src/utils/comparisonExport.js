@@ -0,0 +1,273 @@
+/**
+ * Comparison Export Utility
+ * Exports the Dashboard athlete comparison as PDF, CSV or a self-contained HTML page
+ */
+
+import { Chart } from 'chart.js';
+import { exportComparisonToPDF } from './pdfExport';
+
+const RADAR_SIZE = 520;
+
+/**
+ * Mark the best athlete per metric and each athlete's sigma gap to them.
+ * Sigma already points "up = better" for time metrics, so the highest sigma wins.
+ *
+ * Report shape:
+ *   athletes: [{ id, name, position, state, gradYear, color }]
+ *   sections: [{ title, rows: [{ key, label, unit, cells: [{ athleteId, value, display, sigma }] }] }]
+ *   radars:   [{ title, labels, datasets: [{ athleteId, data }] }]
+ *   baselineLabel: string
+ *
+ * @returns {Object} Report with row.bestAthleteId and cell.delta (sigma minus best sigma)
+ */
+export const annotateComparison = (report) => ({
+  ...report,
+  sections: report.sections.map(section => ({
+    ...section,
+    rows: section.rows.map(row => {
+      const scored = row.cells.filter(c => c.sigma !== null && c.sigma !== undefined);
+      const best = scored.length > 1 ? scored.reduce((a, b) => (b.sigma > a.sigma ? b : a)) : null;
+      return {
+        ...row,
+        bestAthleteId: best ? best.athleteId : null,
+        cells: row.cells.map(cell => ({
+          ...cell,
+          delta: best && cell.sigma !== null && cell.sigma !== undefined ? cell.sigma - best.sigma : null
+        }))
+      };
+    })
+  }))
+});
+
+/**
+ * Draw an overlaid radar off-screen and return it as a PNG data URL
+ */
+export const renderRadarImage = (radar, athletes) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = RADAR_SIZE;
+  canvas.height = RADAR_SIZE;
+
+  const colorFor = (athleteId) => (athletes.find(a => a.id === athleteId) || {}).color || {};
+
+  // Paint the panel background so the image reads on light pages too
+  const background = {
+    id: 'comparisonBackground',
+    beforeDraw: (chart) => {
+      const { ctx } = chart;
+      ctx.save();
+      ctx.fillStyle = '#1e293b';
+      ctx.fillRect(0, 0, chart.width, chart.height);
+      ctx.restore();
+    }
+  };
+
+  const chart = new Chart(canvas.getContext('2d'), {
+    type: 'radar',
+    data: {
+      labels: radar.labels,
+      datasets: radar.datasets.map(ds => ({
+        data: ds.data,
+        backgroundColor: colorFor(ds.athleteId).bg,
+        borderColor: colorFor(ds.athleteId).border,
+        pointBackgroundColor: colorFor(ds.athleteId).point,
+        pointBorderColor: '#fff',
+        borderWidth: 2,
+        pointRadius: 3
+      }))
+    },
+    options: {
+      responsive: false,
+      animation: false,
+      devicePixelRatio: 2,
+      layout: { padding: 16 },
+      scales: {
+        r: {
+          beginAtZero: true,
+          min: 0,
+          max: 100,
+          ticks: { stepSize: 25, color: '#a16207', backdropColor: 'transparent', font: { size: 10 } },
+          grid: { color: '#78350f' },
+          angleLines: { color: '#78350f' },
+          pointLabels: { color: '#fbbf24', font: { size: 11, weight: '500' } }
+        }
+      },
+      plugins: { legend: { display: false }, tooltip: { enabled: false } }
+    },
+    plugins: [background]
+  });
+
+  const image = chart.toBase64Image();
+  chart.destroy();
+  return { image, width: RADAR_SIZE, height: RADAR_SIZE };
+};
+
+const formatSigma = (sigma) =>
+  (sigma === null || sigma === undefined ? '' : `${sigma > 0 ? '+' : ''}${sigma.toFixed(2)}`);
+
+// Spreadsheets run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const csvEscape = (value) => {
+  let text = value === null || value === undefined ? '' : String(value);
+  // Names and notes like "=HYPERLINK(...)" are written as text; signed numbers stay numbers
+  if (FORMULA_PREFIX.test(text) && !Number.isFinite(Number(text))) text = `'${text}`;
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * CSV with one row per metric: value, sigma and gap to best for each athlete
+ */
+export const comparisonToCSV = (report) => {
+  const header = ['Section', 'Metric', 'Unit'];
+  report.athletes.forEach(a => {
+    header.push(`${a.name} Value`, `${a.name} Sigma`, `${a.name} Delta vs Best`);
+  });
+  header.push('Best in Group');
+
+  const lines = [header];
+  report.sections.forEach(section => {
+    section.rows.forEach(row => {
+      const line = [section.title, row.label, row.unit || ''];
+      report.athletes.forEach(a => {
+        const cell = row.cells.find(c => c.athleteId === a.id) || {};
+        line.push(
+          cell.value === null || cell.value === undefined ? '' : cell.value,
+          formatSigma(cell.sigma),
+          formatSigma(cell.delta)
+        );
+      });
+      const best = report.athletes.find(a => a.id === row.bestAthleteId);
+      line.push(best ? best.name : '');
+      lines.push(line);
+    });
+  });
+
+  return lines.map(line => line.map(csvEscape).join(',')).join('\r\n');
+};
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Standalone HTML page (inline styles, radar images embedded as data URLs)
+ */
+export const comparisonToHTML = (report, radarImages = []) => {
+  const athleteHeaders = report.athletes.map(a => `
+        <th style="color:${a.color.border}">${escapeHtml(a.name)}<div class="sub">${escapeHtml([a.position, a.state, a.gradYear].filter(Boolean).join(' · '))}</div></th>`).join('');
+
+  const body = report.sections.map(section => `
+      <tr><td class="section" colspan="${report.athletes.length + 1}">${escapeHtml(section.title)}</td></tr>${section.rows.map(row => `
+      <tr>
+        <td class="metric">${escapeHtml(row.label)}${row.unit ? ` <span class="sub">(${escapeHtml(row.unit)})</span>` : ''}</td>${report.athletes.map(a => {
+    const cell = row.cells.find(c => c.athleteId === a.id) || {};
+    const isBest = row.bestAthleteId === a.id;
+    const sigmaClass = cell.sigma > 0 ? 'pos' : 'neg';
+    return `
+        <td class="${isBest ? 'best' : ''}">
+          <span class="value">${escapeHtml(cell.display || 'N/A')}</span>${cell.sigma !== null && cell.sigma !== undefined ? ` <span class="${sigmaClass}">${formatSigma(cell.sigma)}σ</span>` : ''}${isBest ? ' <span class="star">★</span>' : ''}
+          ${cell.delta !== null && cell.delta !== undefined && !isBest ? `<div class="delta">Δ ${formatSigma(cell.delta)}σ vs best</div>` : ''}
+        </td>`;
+  }).join('')}
+      </tr>`).join('')}`).join('');
+
+  const radars = radarImages.map(r => `
+      <figure><figcaption>${escapeHtml(r.title)}</figcaption><img src="${r.image}" alt="${escapeHtml(r.title)}"></figure>`).join('');
+
+  const legend = report.athletes.map(a =>
+    `<span class="chip" style="border-color:${a.color.border};color:${a.color.border}">${escapeHtml(a.name)}</span>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>FreakForge Athlete Comparison</title>
+<style>
+  body { margin: 0; padding: 24px; background: #0f172a; color: #e2e8f0; font-family: -apple-system, Segoe UI, Roboto, Helvetica, Arial, sans-serif; }
+  h1 { color: #fbbf24; margin: 0 0 4px; font-size: 24px; }
+  .meta { color: #94a3b8; font-size: 13px; margin-bottom: 16px; }
+  .panel { background: #1e293b; border-left: 4px solid #fbbf24; border-radius: 8px; padding: 16px; margin-bottom: 16px; }
+  .chip { display: inline-block; border: 1px solid; border-radius: 4px; padding: 2px 8px; margin-right: 6px; font-size: 13px; }
+  .radars { display: flex; flex-wrap: wrap; gap: 16px; }
+  figure { margin: 0; flex: 1 1 300px; max-width: 420px; }
+  figcaption { color: #fb923c; font-weight: 600; margin-bottom: 6px; }
+  figure img { width: 100%; border-radius: 6px; }
+  table { width: 100%; border-collapse: collapse; font-size: 14px; }
+  th { padding: 8px; text-align: center; border-bottom: 2px solid #78350f; }
+  td { padding: 8px; text-align: center; border-bottom: 1px solid #374151; }
+  td.metric { text-align: left; color: #fbbf24; }
+  td.section { text-align: left; color: #fbbf24; font-weight: 700; padding-top: 14px; }
+  td.best { background: rgba(16, 185, 129, 0.15); outline: 1px solid #10b981; }
+  .value { color: #fbbf24; }
+  .pos { color: #10b981; font-family: monospace; }
+  .neg { color: #ef4444; font-family: monospace; }
+  .star { color: #fbbf24; }
+  .delta { color: #94a3b8; font-size: 11px; }
+  .sub { color: #64748b; font-size: 11px; font-weight: 400; }
+</style>
+</head>
+<body>
+  <h1>FreakForge Athlete Comparison</h1>
+  <div class="meta">Generated ${escapeHtml(new Date().toLocaleDateString())} · σ vs. ${escapeHtml(report.baselineLabel)} · ★ best in group</div>
+  <div class="panel">${legend}</div>${radars ? `
+  <div class="panel"><div class="radars">${radars}
+  </div></div>` : ''}
+  <div class="panel">
+    <table>
+      <thead><tr><th style="text-align:left;color:#a16207">Metric</th>${athleteHeaders}
+      </tr></thead>
+      <tbody>${body}
+      </tbody>
+    </table>
+  </div>
+</body>
+</html>
+`;
+};
+
+const downloadFile = (content, filename, type) => {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Export the comparison in the chosen format
+ * @param {Object} report - See annotateComparison for the shape
+ * @param {'pdf'|'csv'|'html'} format
+ */
+export const exportComparison = (report, format) => {
+  const annotated = annotateComparison(report);
+  const filename = `FreakForge-Comparison-${new Date().toISOString().split('T')[0]}`;
+
+  if (format === 'csv') {
+    downloadFile(comparisonToCSV(annotated), `${filename}.csv`, 'text/csv');
+    return;
+  }
+
+  const radarImages = annotated.radars
+    .filter(radar => radar.labels.length > 0)
+    .map(radar => ({ title: radar.title, ...renderRadarImage(radar, annotated.athletes) }));
+
+  if (format === 'html') {
+    downloadFile(comparisonToHTML(annotated, radarImages), `${filename}.html`, 'text/html');
+  } else {
+    exportComparisonToPDF(annotated, radarImages, `${filename}.pdf`);
+  }
+};
+
+export default {
+  annotateComparison,
+  renderRadarImage,
+  comparisonToCSV,
+  comparisonToHTML,
+  exportComparison
+};
@@ -0,0 +1,69 @@
+/**
+ * Custom Metric Utilities
+ * Saved forged formulas from the Metric Builder, kept in localStorage
+ */
+
+import { compileFormula } from './forgedFormula';
+
+const STORAGE_KEY = 'freakforgeCustomMetrics';
+
+/**
+ * All saved custom metrics, oldest first
+ * @returns {Array<{id: string, name: string, description: string, formula: string, lowerIsBetter: boolean, createdAt: string, updatedAt: string}>}
+ */
+export const getCustomMetrics = () => {
+  const saved = localStorage.getItem(STORAGE_KEY);
+  if (!saved) return [];
+  try {
+    const parsed = JSON.parse(saved);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (err) {
+    console.error('Error reading custom metrics:', err);
+    return [];
+  }
+};
+
+const writeCustomMetrics = (metrics) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(metrics));
+};
+
+/**
+ * Create or update a custom metric (matched by id)
+ * @returns {Object} The saved metric
+ */
+export const saveCustomMetric = (metric) => {
+  const metrics = getCustomMetrics();
+  const now = new Date().toISOString();
+  const existing = metric.id ? metrics.find(m => m.id === metric.id) : null;
+
+  const saved = existing
+    ? { ...existing, ...metric, updatedAt: now }
+    : { ...metric, id: `cm_${Date.now()}`, createdAt: now, updatedAt: now };
+
+  writeCustomMetrics(existing
+    ? metrics.map(m => (m.id === saved.id ? saved : m))
+    : [...metrics, saved]);
+
+  return saved;
+};
+
+export const deleteCustomMetric = (id) => {
+  writeCustomMetrics(getCustomMetrics().filter(m => m.id !== id));
+};
+
+/**
+ * True when a saved custom metric with this formula is marked lower-is-better.
+ * Formulas are matched on their normalized expression, so spacing doesn't matter.
+ */
+export const isCustomMetricLowerBetter = (formula) => {
+  const { valid, expression } = compileFormula(formula);
+  if (!valid) return false;
+  return getCustomMetrics().some(m => m.lowerIsBetter && compileFormula(m.formula).expression === expression);
+};
+
+export default {
+  getCustomMetrics,
+  saveCustomMetric,
+  deleteCustomMetric,
+  isCustomMetricLowerBetter
+};
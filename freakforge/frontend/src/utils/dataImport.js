@@ -0,0 +1,234 @@
+/**
+ * Data Import Utilities
+ * Parses CSV/XLSX combine files in the browser and maps them onto the athlete schema
+ * (mirrors backend/import_combine_data.py)
+ */
+
+import * as XLSX from 'xlsx';
+import { METRICS, getMetricLabel } from './metricRegistry';
+import { describeSample } from './statistics';
+
+// Athlete schema fields that can be mapped from a source column.
+// `aliases` are normalized source headers used to guess the mapping.
+const IDENTITY_FIELDS = [
+  { key: 'firstName', label: 'First Name', type: 'text', required: true, aliases: ['first_name', 'firstname', 'first'] },
+  { key: 'lastName', label: 'Last Name', type: 'text', required: true, aliases: ['last_name', 'lastname', 'last'] },
+  { key: 'position', label: 'Position', type: 'text', aliases: ['position', 'pos'] },
+  { key: 'state', label: 'State', type: 'text', aliases: ['state', 'st'] },
+  { key: 'gradYear', label: 'Grad Year', type: 'number', aliases: ['grad_year', 'gradyear', 'class', 'graduation_year'] }
+];
+
+// Every registry metric is importable
+const METRIC_FIELDS = METRICS.map(metric => ({
+  key: metric.key,
+  label: getMetricLabel(metric.key),
+  type: metric.parseAs || 'number',
+  isMetric: true,
+  aliases: [metric.key.toLowerCase(), ...metric.importAliases]
+}));
+
+export const ATHLETE_FIELDS = [
+  ...IDENTITY_FIELDS,
+  ...METRIC_FIELDS,
+  { key: 'conditions', label: 'Conditions', type: 'text', aliases: ['conditions', 'weather'] }
+];
+
+// Metrics that must have at least one value for a row to be kept (same rule as the Python importer)
+const REQUIRED_ANY_METRICS = ['dash40', 'verticalJump', 'broadJump', 'height', 'weight'];
+
+/**
+ * Normalize a header for alias matching ("Forty Yard Dash" -> "forty_yard_dash")
+ */
+const normalizeHeader = (header) =>
+  String(header).trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+
+/**
+ * Convert height from formats like "6' 0", "5' 11", 6'2" or plain inches to total inches
+ * @param {string|number} value - Raw height cell
+ * @returns {number|null} Inches, or null when the cell is empty
+ * @throws {Error} When the cell is not empty but cannot be parsed
+ */
+export const parseHeightToInches = (value) => {
+  if (value === null || value === undefined || String(value).trim() === '') return null;
+  if (typeof value === 'number') return value;
+
+  const str = String(value).trim();
+
+  // Handle format like "6' 0" or "5' 11" or 6'2"
+  let match = str.match(/^(\d+)\s*['’]\s*(\d+(?:\.\d+)?)\s*(?:"|”|'')?$/);
+  if (match) return parseInt(match[1], 10) * 12 + parseFloat(match[2]);
+
+  // Handle format like "6-2"
+  match = str.match(/^(\d+)\s*-\s*(\d+(?:\.\d+)?)$/);
+  if (match) return parseInt(match[1], 10) * 12 + parseFloat(match[2]);
+
+  // Handle format like "6'" (no inches specified)
+  match = str.match(/^(\d+)\s*['’]$/);
+  if (match) return parseInt(match[1], 10) * 12;
+
+  // Plain inches
+  if (/^\d+(\.\d+)?$/.test(str)) return parseFloat(str);
+
+  throw new Error(`Unrecognized height "${str}"`);
+};
+
+/**
+ * Convert a cell to a number
+ * @returns {number|null} Number, or null when the cell is empty
+ * @throws {Error} When the cell is not empty but is not numeric
+ */
+export const parseNumericValue = (value) => {
+  if (value === null || value === undefined || String(value).trim() === '') return null;
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+
+  const num = Number(String(value).trim());
+  if (Number.isNaN(num)) throw new Error(`Not a number: "${value}"`);
+  return num;
+};
+
+/**
+ * Read a CSV or Excel file into a header list and raw row objects
+ * @param {File} file - File from an <input type="file">
+ * @returns {Promise<{columns: string[], rows: Object[], sheetName: string}>}
+ */
+export const readImportFile = async (file) => {
+  const isCsv = /\.csv$/i.test(file.name) || file.type === 'text/csv';
+  const workbook = isCsv
+    ? XLSX.read(await file.text(), { type: 'string', raw: true })
+    : XLSX.read(await file.arrayBuffer(), { type: 'array' });
+
+  const sheetName = workbook.SheetNames[0];
+  if (!sheetName) throw new Error('File contains no sheets');
+
+  const sheet = workbook.Sheets[sheetName];
+  const matrix = XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '', raw: true, blankrows: false });
+  if (matrix.length === 0) throw new Error('File is empty');
+
+  // Unnamed columns (e.g. a pandas index) get a placeholder header
+  const columns = matrix[0].map((h, i) => (String(h).trim() === '' ? `Column ${i + 1}` : String(h).trim()));
+  const rows = matrix.slice(1).map(cells => {
+    const row = {};
+    columns.forEach((col, i) => { row[col] = cells[i] !== undefined ? cells[i] : ''; });
+    return row;
+  });
+
+  return { columns, rows, sheetName };
+};
+
+/**
+ * Guess a field -> column mapping from the source headers
+ * @param {string[]} columns - Source column headers
+ * @returns {Object} Map of athlete field key to source column ('' when unmapped)
+ */
+export const guessColumnMapping = (columns) => {
+  const normalized = columns.map(normalizeHeader);
+  const mapping = {};
+
+  ATHLETE_FIELDS.forEach(field => {
+    const candidates = [normalizeHeader(field.key), ...field.aliases];
+    const index = normalized.findIndex(h => candidates.includes(h));
+    mapping[field.key] = index >= 0 ? columns[index] : '';
+  });
+
+  return mapping;
+};
+
+/**
+ * Apply a column mapping to raw rows
+ * @param {Object[]} rows - Raw row objects from readImportFile
+ * @param {Object} mapping - Field key -> source column
+ * @returns {{athletes: Object[], rowResults: Array<{rowNumber, athlete, errors: string[], skipped: boolean}>}}
+ */
+export const transformRows = (rows, mapping) => {
+  const rowResults = rows.map((row, index) => {
+    const athlete = {};
+    const errors = [];
+
+    ATHLETE_FIELDS.forEach(field => {
+      const column = mapping[field.key];
+      if (!column) return;
+
+      const raw = row[column];
+      try {
+        if (field.type === 'height') {
+          athlete[field.key] = parseHeightToInches(raw);
+        } else if (field.type === 'number') {
+          athlete[field.key] = parseNumericValue(raw);
+        } else {
+          athlete[field.key] = raw === null || raw === undefined ? '' : String(raw).trim();
+        }
+      } catch (err) {
+        athlete[field.key] = null;
+        errors.push(`${field.label}: ${err.message}`);
+      }
+
+      if (field.required && !athlete[field.key]) {
+        errors.push(`${field.label}: missing`);
+      }
+    });
+
+    // Only include athletes with at least some data
+    const skipped = !REQUIRED_ANY_METRICS.some(key => athlete[key]);
+
+    // Spreadsheet row number (header is row 1)
+    return { rowNumber: index + 2, athlete, errors, skipped };
+  });
+
+  return {
+    athletes: rowResults.filter(r => !r.skipped).map(r => r.athlete),
+    rowResults
+  };
+};
+
+/**
+ * Calculate mean, std, min, max for each numeric metric
+ * @param {Object[]} athletes - Athlete records
+ * @returns {Object} metricStatistics keyed by metric
+ */
+export const calculateMetricStatistics = (athletes) => {
+  const round2 = (v) => Math.round(v * 100) / 100;
+  const stats = {};
+
+  METRIC_FIELDS.forEach(field => {
+    const values = athletes
+      .map(a => a[field.key])
+      .filter(v => v !== null && v !== undefined && !Number.isNaN(v));
+
+    // Skip metrics the dataset doesn't contain at all
+    if (values.length === 0) return;
+
+    if (values.length > 1) {
+      const { mean, std } = describeSample(values);
+      stats[field.key] = {
+        mean: round2(mean),
+        std: round2(std),
+        min: round2(Math.min(...values)),
+        max: round2(Math.max(...values)),
+        count: values.length
+      };
+    } else {
+      stats[field.key] = { mean: null, std: null, min: null, max: null, count: values.length };
+    }
+  });
+
+  return stats;
+};
+
+/**
+ * Build the final athlete list, assigning sequential ids
+ * @param {Object[]} athletes - Parsed athletes
+ * @param {number} startId - First id to assign
+ */
+export const assignAthleteIds = (athletes, startId = 1) =>
+  athletes.map((athlete, i) => ({ id: startId + i, ...athlete }));
+
+export default {
+  ATHLETE_FIELDS,
+  parseHeightToInches,
+  parseNumericValue,
+  readImportFile,
+  guessColumnMapping,
+  transformRows,
+  calculateMetricStatistics,
+  assignAthleteIds
+};
@@ -3,28 +3,58 @@
  * Loads and provides access to athlete combine data
  */
 
+import athleteStore, { STORES } from './athleteStore';
+import { calculatePercentile as calculatePercentileFor, describeSample } from './statistics';
+import { getPercentileMethod } from './settingsUtils';
+import { isLowerBetter } from './metricRegistry';
+import {
+  DEFAULT_COHORT,
+  MIN_COHORT_SIZE,
+  getCohortKey,
+  describeCohort,
+  calculateBaseline,
+  buildCohortBaselines
+} from './cohorts';
+import { compileFormula, evaluateFormula, getFormulaValues } from './forgedFormula';
+import { isCustomMetricLowerBetter } from './customMetrics';
+import { removeAthleteFromWorkspaces } from './workspaces';
+
+const SAMPLE_DATA_URL = '/athletes_sample_100.json';
+
 class DataService {
   constructor() {
     this.athletes = [];
     this.statistics = {};
+    this.performanceHistory = [];
     this.loaded = false;
+    this.source = null;
+    this.loadPromise = null;
+    this.listeners = new Set();
+    this.cohortCache = new Map();
+    this.baselineCache = new Map();
+    this.formulaCache = new WeakMap();
+    this.persistent = athleteStore.isStoreAvailable();
   }
 
   async loadData() {
-    try {
-      // In development, load from the sample JSON file
-      const response = await fetch('/athletes_sample_100.json');
-      const data = await response.json();
+    // Keep the current dataset instead of re-fetching on every mount
+    if (this.loaded) return this.getSnapshot();
 
-      this.athletes = data.athletes || [];
-      this.statistics = data.metricStatistics || {};
-      this.loaded = true;
+    // Components mount together, so share one in-flight load
+    if (!this.loadPromise) {
+      this.loadPromise = this.loadFromStoreOrSample().finally(() => {
+        this.loadPromise = null;
+      });
+    }
+    return this.loadPromise;
+  }
 
-      return {
-        athletes: this.athletes,
-        statistics: this.statistics,
-        totalRecords: data.totalRecords || this.athletes.length
-      };
+  async loadFromStoreOrSample() {
+    try {
+      if (this.persistent && await this.loadFromStore()) {
+        return this.getSnapshot();
+      }
+      return await this.loadSampleData();
     } catch (error) {
       console.error('Error loading athlete data:', error);
       return {
@@ -35,6 +65,241 @@ class DataService {
     }
   }
 
+  /**
+   * Hydrate from IndexedDB
+   * @returns {Promise<boolean>} true when the store already held a dataset
+   */
+  async loadFromStore() {
+    try {
+      const [athletes, history, meta] = await Promise.all([
+        athleteStore.getAll(STORES.athletes),
+        athleteStore.getAll(STORES.performanceHistory),
+        athleteStore.get(STORES.meta, 'dataset')
+      ]);
+
+      if (!meta) return false;
+
+      this.athletes = athletes.sort((a, b) => a.id - b.id);
+      this.performanceHistory = history;
+      this.statistics = meta.statistics || {};
+      this.source = meta.source || null;
+      this.loaded = true;
+      return true;
+    } catch (error) {
+      // Private browsing / blocked storage - fall back to in-memory only
+      console.warn('IndexedDB unavailable, changes will not persist:', error);
+      this.persistent = false;
+      return false;
+    }
+  }
+
+  async loadSampleData() {
+    // In development, load from the sample JSON file
+    const response = await fetch(SAMPLE_DATA_URL);
+    const data = await response.json();
+
+    await this.setData(data.athletes || [], data.metricStatistics || {}, {
+      name: 'athletes_sample_100.json',
+      importedAt: null
+    });
+
+    return {
+      ...this.getSnapshot(),
+      totalRecords: data.totalRecords || this.athletes.length
+    };
+  }
+
+  getSnapshot() {
+    return {
+      athletes: this.athletes,
+      statistics: this.statistics,
+      totalRecords: this.athletes.length
+    };
+  }
+
+  // ============ CHANGE EVENTS ============
+
+  /**
+   * Subscribe to data changes
+   * @param {Function} listener - Called with { type, athleteId } after every change; type is
+   *   'dataset', 'athletes', 'athleteDeleted', 'performanceHistory' or 'customMetrics'
+   * @returns {Function} Unsubscribe
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  emitChange(type, athleteId = null) {
+    // Any edit can move cohort and filtered baselines
+    this.cohortCache.clear();
+    this.baselineCache.clear();
+    this.formulaCache = new WeakMap();
+    this.listeners.forEach(listener => {
+      try {
+        listener({ type, athleteId });
+      } catch (error) {
+        console.error('Data change listener failed:', error);
+      }
+    });
+  }
+
+  async persist(action) {
+    if (!this.persistent) return;
+    try {
+      await action();
+    } catch (error) {
+      console.error('Error persisting athlete data:', error);
+    }
+  }
+
+  // ============ DATASET ============
+
+  /**
+   * Replace the loaded dataset (used by the Data Management import)
+   * @param {Object[]} athletes - Athlete records
+   * @param {Object} statistics - metricStatistics for the new dataset
+   * @param {Object} source - { name, importedAt } describing where the data came from
+   * @param {Object} options
+   * @param {boolean} options.append - The athletes extend the current dataset with the same
+   *   ids, so saved performance history is kept; otherwise it is deleted with the old athletes
+   */
+  async setData(athletes, statistics, source = null, { append = false } = {}) {
+    this.athletes = athletes;
+    this.statistics = statistics;
+    if (!append) this.performanceHistory = [];
+    this.loaded = true;
+    this.source = source;
+
+    await this.persist(async () => {
+      if (!append) await athleteStore.clearAll();
+      await athleteStore.replaceAll(STORES.athletes, athletes);
+      await athleteStore.put(STORES.meta, { key: 'dataset', statistics, source });
+    });
+
+    this.emitChange('dataset');
+  }
+
+  /**
+   * Drop the stored dataset and reload the bundled sample file
+   */
+  async resetData() {
+    await this.persist(() => athleteStore.clearAll());
+    this.loaded = false;
+    await this.loadSampleData();
+    return this.getSnapshot();
+  }
+
+  // ============ ATHLETES ============
+
+  /**
+   * Create an athlete, assigning the next free id
+   * @param {Object} athlete - Athlete fields (id is ignored)
+   * @returns {Promise<Object>} The stored athlete
+   */
+  async createAthlete(athlete) {
+    const { performanceHistory, ...fields } = athlete;
+    const id = this.athletes.reduce((max, a) => Math.max(max, a.id), 0) + 1;
+    const created = { ...fields, id };
+
+    this.athletes = [...this.athletes, created];
+    await this.persist(() => athleteStore.put(STORES.athletes, created));
+
+    this.emitChange('athletes', id);
+    return created;
+  }
+
+  /**
+   * Update an athlete by id. Any performanceHistory entries not yet stored are
+   * appended to the performanceHistory collection.
+   * @param {Object} athlete - Athlete with id and updated fields
+   * @returns {Promise<Object>} The stored athlete
+   */
+  async updateAthlete(athlete) {
+    const existing = this.getAthlete(athlete.id);
+    if (!existing) throw new Error(`Athlete ${athlete.id} not found`);
+
+    const { performanceHistory, ...fields } = athlete;
+    const updated = { ...existing, ...fields };
+
+    this.athletes = this.athletes.map(a => (a.id === updated.id ? updated : a));
+    await this.persist(() => athleteStore.put(STORES.athletes, updated));
+
+    const newEntries = (performanceHistory || []).filter(entry => entry.id === undefined);
+    for (const entry of newEntries) {
+      await this.addPerformanceEntry(updated.id, entry, { silent: true });
+    }
+
+    this.emitChange('athletes', updated.id);
+    return updated;
+  }
+
+  /**
+   * Delete an athlete and its performance history
+   */
+  async deleteAthlete(id) {
+    this.athletes = this.athletes.filter(a => a.id !== id);
+    this.performanceHistory = this.performanceHistory.filter(e => e.athleteId !== id);
+
+    await this.persist(async () => {
+      await athleteStore.remove(STORES.athletes, id);
+      await athleteStore.removeByIndex(STORES.performanceHistory, 'athleteId', id);
+    });
+    removeAthleteFromWorkspaces(id);
+
+    this.emitChange('athleteDeleted', id);
+  }
+
+  // ============ PERFORMANCE HISTORY ============
+
+  /**
+   * Record a performance (e.g. a video analysis) for an athlete
+   * @param {number} athleteId - Athlete id
+   * @param {Object} entry - { date, drill, ...results }
+   * @returns {Promise<Object>} The stored entry with its id
+   */
+  async addPerformanceEntry(athleteId, entry, { silent = false } = {}) {
+    const record = { ...entry, athleteId, createdAt: new Date().toISOString() };
+
+    if (this.persistent) {
+      try {
+        record.id = await athleteStore.put(STORES.performanceHistory, record);
+      } catch (error) {
+        console.error('Error persisting performance entry:', error);
+      }
+    }
+    if (record.id === undefined) {
+      record.id = this.performanceHistory.reduce((max, e) => Math.max(max, e.id), 0) + 1;
+    }
+
+    this.performanceHistory = [...this.performanceHistory, record];
+    if (!silent) this.emitChange('performanceHistory', athleteId);
+    return record;
+  }
+
+  async deletePerformanceEntry(entryId) {
+    const entry = this.performanceHistory.find(e => e.id === entryId);
+    if (!entry) return;
+
+    this.performanceHistory = this.performanceHistory.filter(e => e.id !== entryId);
+    await this.persist(() => athleteStore.remove(STORES.performanceHistory, entryId));
+
+    this.emitChange('performanceHistory', entry.athleteId);
+  }
+
+  /**
+   * Performance history for one athlete, oldest first
+   */
+  getPerformanceHistory(athleteId) {
+    return this.performanceHistory
+      .filter(e => e.athleteId === athleteId)
+      .sort((a, b) => (a.createdAt || '').localeCompare(b.createdAt || ''));
+  }
+
+  getSource() {
+    return this.source;
+  }
+
   getAthletes() {
     return this.athletes;
   }
@@ -60,33 +325,192 @@ class DataService {
     return this.athletes.filter(a => a.position === position);
   }
 
-  calculatePercentile(metricName, value) {
-    const stats = this.statistics[metricName];
-    if (!stats || !stats.mean || !stats.std) return 50;
+  /**
+   * Percentile (0-100) of a value, using the method chosen for the metric in Settings
+   * @param {string} metricName - Metric key
+   * @param {number} value - Raw value
+   * @param {Object[]} population - Athletes to rank against (empirical); defaults to all loaded athletes
+   * @param {Object} baselineStats - { mean, std } to score against (normal); defaults to global metricStatistics
+   * @returns {number} Percentile, 50 when it cannot be computed
+   */
+  calculatePercentile(metricName, value, population = this.athletes, baselineStats = this.statistics[metricName]) {
+    // For times (lower is better), faster = higher percentile
+    const isTimeBased = isLowerBetter(metricName);
+    const method = getPercentileMethod(metricName);
+    const stats = baselineStats || {};
 
-    // Calculate z-score
-    const z = (value - stats.mean) / stats.std;
-
-    // Convert to percentile (approximate using normal distribution)
-    // For times (lower is better), invert the z-score
-    const isTimeBased = ['dash40', 'proAgility', 'lDrill'].includes(metricName);
-    const adjustedZ = isTimeBased ? -z : z;
+    const percentile = calculatePercentileFor({
+      value,
+      method,
+      mean: stats.mean,
+      std: stats.std,
+      values: method === 'empirical'
+        ? population.map(a => a[metricName]).filter(v => v !== null && v !== undefined && !Number.isNaN(v))
+        : undefined,
+      lowerIsBetter: isTimeBased
+    });
 
-    // Approximate percentile from z-score
-    const percentile = Math.max(0, Math.min(100, 50 + adjustedZ * 34));
-    return Math.round(percentile);
+    return percentile === null ? 50 : percentile;
   }
 
-  calculateSigma(metricName, value) {
-    const stats = this.statistics[metricName];
+  /**
+   * Sigma of a value against a baseline
+   * @param {string} metricName - Metric key
+   * @param {number} value - Raw value
+   * @param {Object} stats - { mean, std }; defaults to global metricStatistics
+   */
+  calculateSigma(metricName, value, stats = this.statistics[metricName]) {
     if (!stats || !stats.mean || !stats.std) return 0;
 
     // For times, invert so that faster = positive sigma
-    const isTimeBased = ['dash40', 'proAgility', 'lDrill'].includes(metricName);
+    const isTimeBased = isLowerBetter(metricName);
     const z = (value - stats.mean) / stats.std;
 
     return isTimeBased ? -z : z;
   }
+
+  // ============ COHORT BASELINES ============
+
+  /**
+   * Cohort baselines for a set of dimensions, cached until the data changes
+   */
+  getCohortBaselines(dimensions) {
+    const cacheKey = dimensions.join('|');
+    if (!this.cohortCache.has(cacheKey)) {
+      this.cohortCache.set(cacheKey, buildCohortBaselines(this.athletes, dimensions));
+    }
+    return this.cohortCache.get(cacheKey);
+  }
+
+  /**
+   * Resolve the baseline an athlete is judged against
+   * @param {Object} athlete - Athlete being scored
+   * @param {Object} cohort - { mode: 'global' | 'cohort' | 'filtered', dimensions: string[] }
+   * @param {Object[]} filteredPopulation - Population for 'filtered' mode
+   * @returns {{population: Object[], stats: Object, label: string, isFallback: boolean}}
+   */
+  getBaseline(athlete, cohort = DEFAULT_COHORT, filteredPopulation = null) {
+    const global = {
+      population: this.athletes,
+      stats: this.statistics,
+      label: `All ${this.athletes.length} athletes`,
+      isFallback: false
+    };
+
+    if (cohort.mode === 'filtered' && filteredPopulation) {
+      if (filteredPopulation.length < MIN_COHORT_SIZE) return { ...global, isFallback: true };
+
+      // Callers rebuild the filtered array on every render, so cache on its members
+      const filterKey = filteredPopulation.map(a => a.id).join(',');
+      if (!this.baselineCache.has(filterKey)) {
+        this.baselineCache.set(filterKey, {
+          population: filteredPopulation,
+          stats: calculateBaseline(filteredPopulation),
+          label: `Filtered pop (${filteredPopulation.length})`,
+          isFallback: false
+        });
+      }
+      return this.baselineCache.get(filterKey);
+    }
+
+    if (cohort.mode === 'cohort' && cohort.dimensions.length > 0 && athlete) {
+      const entry = this.getCohortBaselines(cohort.dimensions).get(getCohortKey(athlete, cohort.dimensions));
+      if (entry && entry.members.length >= MIN_COHORT_SIZE) {
+        return {
+          population: entry.members,
+          stats: entry.stats,
+          label: `${describeCohort(athlete, cohort.dimensions)} (${entry.members.length})`,
+          isFallback: false
+        };
+      }
+      return { ...global, isFallback: true };
+    }
+
+    return global;
+  }
+
+  /**
+   * Sigma of an athlete's metric against their chosen baseline
+   */
+  calculateAthleteSigma(athlete, metricName, cohort, filteredPopulation = null) {
+    const baseline = this.getBaseline(athlete, cohort, filteredPopulation);
+    return this.calculateSigma(metricName, athlete[metricName], baseline.stats[metricName]);
+  }
+
+  /**
+   * Percentile of an athlete's metric against their chosen baseline
+   */
+  calculateAthletePercentile(athlete, metricName, cohort, filteredPopulation = null) {
+    const baseline = this.getBaseline(athlete, cohort, filteredPopulation);
+    return this.calculatePercentile(metricName, athlete[metricName], baseline.population, baseline.stats[metricName]);
+  }
+
+  // ============ FORGED FORMULAS ============
+
+  /**
+   * A formula's values across a baseline population with their mean and spread, cached
+   * per population (baseline populations are cached arrays) until the data or the saved
+   * custom metrics change
+   * @returns {{values: number[], mean: number|null, std: number|null, count: number, lowerIsBetter: boolean}}
+   */
+  getFormulaSample(formula, population) {
+    if (!this.formulaCache.has(population)) this.formulaCache.set(population, new Map());
+    const samples = this.formulaCache.get(population);
+    if (!samples.has(formula)) {
+      const values = getFormulaValues(formula, population);
+      samples.set(formula, {
+        values,
+        ...describeSample(values),
+        lowerIsBetter: isCustomMetricLowerBetter(formula)
+      });
+    }
+    return samples.get(formula);
+  }
+
+  /**
+   * Saved custom metrics were added, edited or deleted
+   */
+  notifyCustomMetricsChanged() {
+    this.emitChange('customMetrics');
+  }
+
+  /**
+   * Sigma of an athlete's forged formula value against their chosen baseline
+   * @param {string} formula - Forged formula (see forgedFormula.compileFormula)
+   * @returns {number|null} null when the athlete lacks data or the baseline has no spread
+   */
+  calculateFormulaSigma(athlete, formula, cohort, filteredPopulation = null) {
+    const value = evaluateFormula(formula, athlete);
+    if (value === null) return null;
+
+    const { population } = this.getBaseline(athlete, cohort, filteredPopulation);
+    const { mean, std, count, lowerIsBetter } = this.getFormulaSample(formula, population);
+    if (count < 2 || !std) return null;
+
+    // Saved "lower is better" metrics score above average for low values
+    const sigma = (value - mean) / std;
+    return lowerIsBetter ? -sigma : sigma;
+  }
+
+  /**
+   * Percentile of an athlete's forged formula value against their chosen baseline
+   * @returns {number|null} null when it cannot be computed
+   */
+  calculateFormulaPercentile(athlete, formula, cohort, filteredPopulation = null) {
+    const value = evaluateFormula(formula, athlete);
+    if (value === null) return null;
+
+    const { population } = this.getBaseline(athlete, cohort, filteredPopulation);
+    const { values, mean, std, lowerIsBetter } = this.getFormulaSample(formula, population);
+    return calculatePercentileFor({
+      value,
+      method: getPercentileMethod(compileFormula(formula).settingsKey),
+      mean,
+      std,
+      values,
+      lowerIsBetter
+    });
+  }
 }
 
 // Create singleton instance
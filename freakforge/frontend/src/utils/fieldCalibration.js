@@ -0,0 +1,345 @@
+/**
+ * Field Calibration
+ * Maps video pixels to field coordinates in yards: a single pixels-per-yard scale for
+ * line calibrations, an affine fit to a cone layout, or a planar homography from the
+ * 4-point grid for angled cameras
+ */
+
+// Field corners for the grid template, in click order. x runs along the
+// Top-Left -> Top-Right edge (the running direction), y across the field.
+const GRID_CORNERS = (width, depth) => [
+  { x: 0, y: 0 },
+  { x: width, y: 0 },
+  { x: width, y: depth },
+  { x: 0, y: depth }
+];
+
+// ============ LINEAR ALGEBRA ============
+
+/**
+ * Solve A·x = b by Gaussian elimination with partial pivoting
+ * @returns {number[]|null} Solution, or null if A is singular
+ */
+export function solveLinearSystem(A, b) {
+  const n = b.length;
+  const m = A.map((row, i) => [...row, b[i]]);
+
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(m[row][col]) > Math.abs(m[pivot][col])) pivot = row;
+    }
+    if (Math.abs(m[pivot][col]) < 1e-10) return null;
+    [m[col], m[pivot]] = [m[pivot], m[col]];
+
+    for (let row = col + 1; row < n; row++) {
+      const factor = m[row][col] / m[col][col];
+      for (let k = col; k <= n; k++) m[row][k] -= factor * m[col][k];
+    }
+  }
+
+  const x = new Array(n).fill(0);
+  for (let row = n - 1; row >= 0; row--) {
+    let sum = m[row][n];
+    for (let k = row + 1; k < n; k++) sum -= m[row][k] * x[k];
+    x[row] = sum / m[row][row];
+  }
+  return x;
+}
+
+/**
+ * Homography (3x3, h33 = 1) taking four source points onto four destination points
+ * @param {Array<{x, y}>} src - e.g. clicked pixels
+ * @param {Array<{x, y}>} dst - e.g. field coordinates in yards
+ * @returns {number[][]|null} Matrix, or null if the points are degenerate (three collinear)
+ */
+export function computeHomography(src, dst) {
+  if (src.length !== 4 || dst.length !== 4) return null;
+
+  const A = [];
+  const b = [];
+  for (let i = 0; i < 4; i++) {
+    const { x, y } = src[i];
+    const { x: u, y: v } = dst[i];
+    A.push([x, y, 1, 0, 0, 0, -u * x, -u * y]);
+    b.push(u);
+    A.push([0, 0, 0, x, y, 1, -v * x, -v * y]);
+    b.push(v);
+  }
+
+  const h = solveLinearSystem(A, b);
+  if (!h) return null;
+  return [
+    [h[0], h[1], h[2]],
+    [h[3], h[4], h[5]],
+    [h[6], h[7], 1]
+  ];
+}
+
+/**
+ * Map a point through a homography
+ * @returns {{x: number, y: number}|null} Null when the point maps to infinity (on the horizon)
+ */
+export function applyHomography(H, point) {
+  const w = H[2][0] * point.x + H[2][1] * point.y + H[2][2];
+  if (Math.abs(w) < 1e-12) return null;
+  return {
+    x: (H[0][0] * point.x + H[0][1] * point.y + H[0][2]) / w,
+    y: (H[1][0] * point.x + H[1][1] * point.y + H[1][2]) / w
+  };
+}
+
+/**
+ * Affine transform (as a 3x3 matrix with bottom row [0, 0, 1]) taking three source
+ * points onto three destination points
+ * @returns {number[][]|null} Matrix, or null if the source points are collinear
+ */
+export function computeAffine(src, dst) {
+  if (src.length !== 3 || dst.length !== 3) return null;
+
+  const A = src.map(p => [p.x, p.y, 1]);
+  const rowX = solveLinearSystem(A, dst.map(p => p.x));
+  const rowY = solveLinearSystem(A, dst.map(p => p.y));
+  if (!rowX || !rowY) return null;
+  return [rowX, rowY, [0, 0, 1]];
+}
+
+// True when the four points form a convex quadrilateral in the given order
+const isConvexQuad = (points) => {
+  let sign = 0;
+  for (let i = 0; i < 4; i++) {
+    const a = points[i];
+    const b = points[(i + 1) % 4];
+    const c = points[(i + 2) % 4];
+    const cross = (b.x - a.x) * (c.y - b.y) - (b.y - a.y) * (c.x - b.x);
+    if (Math.abs(cross) < 1e-9) return false;
+    if (sign === 0) sign = Math.sign(cross);
+    else if (Math.sign(cross) !== sign) return false;
+  }
+  return true;
+};
+
+// ============ CALIBRATIONS ============
+
+/**
+ * Two-point calibration: one scale for the whole frame
+ * @param {Array<{x, y}>} markers - First two markers are used
+ * @param {number} distance - Yards between them
+ * @returns {{type: 'line', pixelsPerYard: number}|null}
+ */
+export function createLineCalibration(markers, distance) {
+  if (markers.length < 2 || !(distance > 0)) return null;
+  const dx = markers[1].x - markers[0].x;
+  const dy = markers[1].y - markers[0].y;
+  const pixelDistance = Math.sqrt(dx * dx + dy * dy);
+  if (pixelDistance === 0) return null;
+  return { type: 'line', pixelsPerYard: pixelDistance / distance };
+}
+
+/**
+ * Four-point perspective calibration. The markers are the corners of a
+ * width x depth rectangle on the field, clicked Top-Left, Top-Right,
+ * Bottom-Right, Bottom-Left.
+ * @param {Array<{x, y}>} markers - Four clicked pixels
+ * @param {number} width - Yards from Top-Left to Top-Right (running direction)
+ * @param {number} depth - Yards from Top-Left to Bottom-Left
+ * @returns {Object|null} { type: 'homography', homography, inverse, width, depth, pixelsPerYard }
+ * @throws {Error} If the markers do not form a usable quadrilateral
+ */
+export function createGridCalibration(markers, width, depth) {
+  if (markers.length < 4 || !(width > 0) || !(depth > 0)) return null;
+
+  const pixels = markers.slice(0, 4).map(m => ({ x: m.x, y: m.y }));
+  if (!isConvexQuad(pixels)) {
+    throw new Error('Grid points must form a convex shape, clicked Top-Left, Top-Right, Bottom-Right, Bottom-Left');
+  }
+
+  const field = GRID_CORNERS(width, depth);
+  const homography = computeHomography(pixels, field);
+  const inverse = computeHomography(field, pixels);
+  if (!homography || !inverse) {
+    throw new Error('Grid points are degenerate - spread them across the field');
+  }
+
+  // Average scale along the two running-direction edges, for display and sanity checks
+  const edge = (a, b) => Math.hypot(b.x - a.x, b.y - a.y);
+  const pixelsPerYard = (edge(pixels[0], pixels[1]) + edge(pixels[3], pixels[2])) / 2 / width;
+
+  return { type: 'homography', homography, inverse, width, depth, pixelsPerYard };
+}
+
+/**
+ * Cone-layout calibration: an affine fit from three clicked cones to their known
+ * field positions. Corrects scale and shear along both axes (e.g. the L-drill's
+ * perpendicular leg), though not full perspective.
+ * @param {Array<{x, y, label}>} markers - Three clicked cones
+ * @param {Array<{x, y}>} layout - The same cones in field yards
+ * @returns {Object|null} { type: 'cones', homography, inverse, cones, pixelsPerYard }
+ */
+export function createConeCalibration(markers, layout) {
+  if (markers.length < 3 || layout.length < 3) return null;
+
+  const pixels = markers.slice(0, 3).map(m => ({ x: m.x, y: m.y }));
+  const field = layout.slice(0, 3);
+  const homography = computeAffine(pixels, field);
+  const inverse = computeAffine(field, pixels);
+  if (!homography || !inverse) return null;
+
+  const firstGap = Math.hypot(field[1].x - field[0].x, field[1].y - field[0].y);
+  return {
+    type: 'cones',
+    homography,
+    inverse,
+    cones: field.map((point, i) => ({ ...point, label: markers[i].label })),
+    pixelsPerYard: Math.hypot(pixels[1].x - pixels[0].x, pixels[1].y - pixels[0].y) / firstGap
+  };
+}
+
+/**
+ * Field position of a pixel, in yards
+ * @param {Object|number} calibration - Calibration object, or a plain pixels-per-yard number
+ * @param {{x: number, y: number}} pixel
+ * @returns {{x: number, y: number}|null}
+ */
+export function pixelToField(calibration, pixel) {
+  if (!pixel) return null;
+  if (calibration && calibration.homography) {
+    return applyHomography(calibration.homography, pixel);
+  }
+  const pixelsPerYard = typeof calibration === 'number' ? calibration : calibration?.pixelsPerYard;
+  if (!pixelsPerYard) return null;
+  return { x: pixel.x / pixelsPerYard, y: pixel.y / pixelsPerYard };
+}
+
+/**
+ * Pixel position of a field point (inverse of pixelToField)
+ */
+export function fieldToPixel(calibration, point) {
+  if (!point) return null;
+  if (calibration && calibration.inverse) {
+    return applyHomography(calibration.inverse, point);
+  }
+  const pixelsPerYard = typeof calibration === 'number' ? calibration : calibration?.pixelsPerYard;
+  if (!pixelsPerYard) return null;
+  return { x: point.x * pixelsPerYard, y: point.y * pixelsPerYard };
+}
+
+// ============ COURSE ============
+
+/**
+ * Straight sprint course. With a grid calibration the course runs along the field's
+ * running direction from its first edge (start) to `distance` yards on, or back the
+ * other way when reversed (see reverseCourse), and each timing
+ * line is the field line across the grid, mapped through the homography so it follows
+ * the perspective. Otherwise it runs between the Start Line and Finish Line markers of
+ * a line calibration, with each timing line at right angles to the course in the image;
+ * that only matches the field when the camera looks square-on to the course.
+ * @param {Array<{x, y}>} markers - Start and finish markers, in that order (line calibration)
+ * @param {number} distance - Yards from start to finish
+ * @param {Object} calibration - Grid calibration to build the course on, or null
+ * @returns {Object|null} { start, finish, direction, distance, pixelsPerYard } in pixels,
+ *   or { homography, inverse, depth, start, finish, distance, reversed } for a grid
+ */
+export function createCourse(markers, distance, calibration = null) {
+  if (!(distance > 0)) return null;
+  if (calibration?.type === 'homography') {
+    const { homography, inverse, depth } = calibration;
+    return {
+      homography,
+      inverse,
+      depth,
+      start: fieldToPixel(calibration, { x: 0, y: depth / 2 }),
+      finish: fieldToPixel(calibration, { x: distance, y: depth / 2 }),
+      distance,
+      reversed: false
+    };
+  }
+
+  if (markers.length < 2) return null;
+  const start = { x: markers[0].x, y: markers[0].y };
+  const finish = { x: markers[1].x, y: markers[1].y };
+  const length = Math.hypot(finish.x - start.x, finish.y - start.y);
+  if (length === 0) return null;
+  return {
+    start,
+    finish,
+    direction: { x: (finish.x - start.x) / length, y: (finish.y - start.y) / length },
+    distance,
+    pixelsPerYard: length / distance
+  };
+}
+
+/**
+ * The same course run the other way: start and finish swap, so a grid course measures
+ * from its far edge back toward the first
+ */
+export function reverseCourse(course) {
+  const reversed = { ...course, start: course.finish, finish: course.start };
+  if (course.homography) return { ...reversed, reversed: !course.reversed };
+  return { ...reversed, direction: { x: -course.direction.x, y: -course.direction.y } };
+}
+
+// Field x of a point `yards` past the start line of a grid course
+const courseFieldX = (course, yards) => (course.reversed ? course.distance - yards : yards);
+
+/**
+ * Yards past the start line along the course (negative behind it)
+ */
+export function distanceAlongCourse(course, pixel) {
+  if (!course || !pixel) return null;
+  if (course.homography) {
+    const field = pixelToField(course, pixel);
+    return field ? courseFieldX(course, field.x) : null;
+  }
+  const along = (pixel.x - course.start.x) * course.direction.x + (pixel.y - course.start.y) * course.direction.y;
+  return along / course.pixelsPerYard;
+}
+
+/**
+ * Pixel on the course a given number of yards past the start line
+ */
+export function coursePoint(course, yards) {
+  if (course.inverse) return fieldToPixel(course, { x: courseFieldX(course, yards), y: course.depth / 2 });
+  return {
+    x: course.start.x + course.direction.x * yards * course.pixelsPerYard,
+    y: course.start.y + course.direction.y * yards * course.pixelsPerYard
+  };
+}
+
+/**
+ * End points of the timing line a given number of yards past the start line: across
+ * the grid on a perspective course, otherwise `reach` pixels either side of the course
+ * @returns {Array<{x, y}>} [from, to] in pixels
+ */
+export function courseLine(course, yards, reach) {
+  if (course.inverse) {
+    const x = courseFieldX(course, yards);
+    return [
+      fieldToPixel(course, { x, y: 0 }),
+      fieldToPixel(course, { x, y: course.depth })
+    ];
+  }
+  const point = coursePoint(course, yards);
+  const normal = { x: -course.direction.y, y: course.direction.x };
+  return [
+    { x: point.x - normal.x * reach, y: point.y - normal.y * reach },
+    { x: point.x + normal.x * reach, y: point.y + normal.y * reach }
+  ];
+}
+
+export default {
+  solveLinearSystem,
+  computeHomography,
+  applyHomography,
+  computeAffine,
+  createLineCalibration,
+  createConeCalibration,
+  createGridCalibration,
+  pixelToField,
+  fieldToPixel,
+  createCourse,
+  reverseCourse,
+  distanceAlongCourse,
+  coursePoint,
+  courseLine
+};
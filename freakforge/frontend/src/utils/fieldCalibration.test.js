@@ -0,0 +1,119 @@
+import {
+  solveLinearSystem,
+  computeHomography,
+  applyHomography,
+  createLineCalibration,
+  createGridCalibration,
+  pixelToField,
+  fieldToPixel,
+  createCourse,
+  reverseCourse,
+  distanceAlongCourse,
+  courseLine
+} from './fieldCalibration';
+
+// A 40 x 10 yard grid seen from an angle: the far edge is shorter than the near one
+const ANGLED_GRID = [
+  { x: 300, y: 200 },
+  { x: 980, y: 210 },
+  { x: 1200, y: 620 },
+  { x: 60, y: 600 }
+];
+
+const expectPoint = (actual, expected, digits = 6) => {
+  expect(actual.x).toBeCloseTo(expected.x, digits);
+  expect(actual.y).toBeCloseTo(expected.y, digits);
+};
+
+describe('solveLinearSystem', () => {
+  it('solves a system that needs pivoting', () => {
+    const x = solveLinearSystem([[0, 2, 1], [1, 1, 1], [2, 0, 3]], [5, 6, 13]);
+    expect(x[0]).toBeCloseTo(2);
+    expect(x[1]).toBeCloseTo(1);
+    expect(x[2]).toBeCloseTo(3);
+  });
+
+  it('returns null for a singular system', () => {
+    expect(solveLinearSystem([[1, 2], [2, 4]], [3, 6])).toBeNull();
+  });
+});
+
+describe('computeHomography', () => {
+  it('maps each source corner onto its destination', () => {
+    const field = [{ x: 0, y: 0 }, { x: 40, y: 0 }, { x: 40, y: 10 }, { x: 0, y: 10 }];
+    const H = computeHomography(ANGLED_GRID, field);
+    ANGLED_GRID.forEach((pixel, i) => expectPoint(applyHomography(H, pixel), field[i]));
+  });
+
+  it('returns null when three points are collinear', () => {
+    const src = [{ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 2, y: 0 }, { x: 0, y: 1 }];
+    const dst = [{ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 1, y: 1 }, { x: 0, y: 1 }];
+    expect(computeHomography(src, dst)).toBeNull();
+  });
+});
+
+describe('createGridCalibration', () => {
+  it('round-trips field points through the perspective', () => {
+    const calibration = createGridCalibration(ANGLED_GRID, 40, 10);
+    expect(calibration.type).toBe('homography');
+
+    [{ x: 0, y: 0 }, { x: 20, y: 5 }, { x: 37.5, y: 2.5 }].forEach(point => {
+      expectPoint(pixelToField(calibration, fieldToPixel(calibration, point)), point);
+    });
+  });
+
+  it('gives equal field steps unequal pixel steps on an angled camera', () => {
+    const calibration = createGridCalibration(ANGLED_GRID, 40, 10);
+    const near = fieldToPixel(calibration, { x: 10, y: 10 }).x - fieldToPixel(calibration, { x: 0, y: 10 }).x;
+    const far = fieldToPixel(calibration, { x: 10, y: 0 }).x - fieldToPixel(calibration, { x: 0, y: 0 }).x;
+    expect(near).toBeGreaterThan(far);
+  });
+
+  it('rejects corners clicked out of order', () => {
+    const crossed = [ANGLED_GRID[0], ANGLED_GRID[2], ANGLED_GRID[1], ANGLED_GRID[3]];
+    expect(() => createGridCalibration(crossed, 40, 10)).toThrow('convex');
+  });
+});
+
+describe('createLineCalibration', () => {
+  it('uses one scale for the whole frame', () => {
+    const calibration = createLineCalibration([{ x: 100, y: 300 }, { x: 500, y: 300 }], 10);
+    expect(calibration.pixelsPerYard).toBe(40);
+    expectPoint(pixelToField(calibration, { x: 200, y: 80 }), { x: 5, y: 2 });
+    expectPoint(fieldToPixel(40, { x: 5, y: 2 }), { x: 200, y: 80 });
+  });
+
+  it('returns null for coincident markers', () => {
+    expect(createLineCalibration([{ x: 1, y: 1 }, { x: 1, y: 1 }], 10)).toBeNull();
+  });
+});
+
+describe('grid course', () => {
+  const calibration = createGridCalibration(ANGLED_GRID, 40, 10);
+  const course = createCourse([], 40, calibration);
+  const pixelAt = (x) => fieldToPixel(calibration, { x, y: 5 });
+
+  it('measures from the first edge for a run toward +x', () => {
+    expect(distanceAlongCourse(course, pixelAt(30))).toBeCloseTo(30);
+    expect(distanceAlongCourse(course, pixelAt(-2))).toBeCloseTo(-2);
+    expectPoint(pixelToField(calibration, courseLine(course, 10, 0)[0]), { x: 10, y: 0 });
+  });
+
+  it('measures from the far edge for a run toward -x', () => {
+    const reversed = reverseCourse(course);
+    expect(distanceAlongCourse(reversed, pixelAt(30))).toBeCloseTo(10);
+    expect(distanceAlongCourse(reversed, pixelAt(42))).toBeCloseTo(-2);
+    expectPoint(pixelToField(calibration, courseLine(reversed, 10, 0)[1]), { x: 30, y: 10 });
+    expectPoint(reversed.start, course.finish);
+    expect(reverseCourse(reversed).reversed).toBe(false);
+  });
+});
+
+describe('line course', () => {
+  it('runs from the start marker to the finish marker either way round', () => {
+    const course = createCourse([{ x: 900, y: 300 }, { x: 100, y: 300 }], 40);
+    expect(course.pixelsPerYard).toBe(20);
+    expect(distanceAlongCourse(course, { x: 700, y: 350 })).toBeCloseTo(10);
+    expect(distanceAlongCourse(reverseCourse(course), { x: 700, y: 350 })).toBeCloseTo(30);
+  });
+});
@@ -0,0 +1,505 @@
+/**
+ * Forged Formula Utilities
+ * Expression language for forged metrics: arithmetic, powers, constants and
+ * functions over metric keys, e.g. "weight * (verticalJump ^ 2) / dash40"
+ */
+
+import { METRIC_KEYS, METRIC_NAME_TO_KEY, getMetricUnit, parseRatioFormula } from './metricRegistry';
+
+export const FORMULA_CONSTANTS = {
+  pi: Math.PI,
+  e: Math.E
+};
+
+// arity: exact argument count, or minArgs for variadic functions
+export const FORMULA_FUNCTIONS = {
+  sqrt: { arity: 1, fn: Math.sqrt, description: 'Square root' },
+  cbrt: { arity: 1, fn: Math.cbrt, description: 'Cube root' },
+  log: { arity: 1, fn: Math.log, description: 'Natural log' },
+  log10: { arity: 1, fn: Math.log10, description: 'Base-10 log' },
+  exp: { arity: 1, fn: Math.exp, description: 'e to the power' },
+  abs: { arity: 1, fn: Math.abs, description: 'Absolute value' },
+  min: { minArgs: 2, fn: Math.min, description: 'Smallest argument' },
+  max: { minArgs: 2, fn: Math.max, description: 'Largest argument' }
+};
+
+const KEYS_BY_LOWER = METRIC_KEYS.reduce((map, key) => ({ ...map, [key.toLowerCase()]: key }), {});
+
+// Binding power for printing with minimal parentheses
+const PRECEDENCE = { '+': 1, '-': 1, '*': 2, '/': 2, unary: 3, '^': 4 };
+
+/**
+ * Syntax or reference error, with the character offset it was found at
+ */
+export class FormulaError extends Error {
+  constructor(message, position = null) {
+    super(message);
+    this.name = 'FormulaError';
+    this.position = position;
+  }
+}
+
+const tokenize = (text) => {
+  const tokens = [];
+  let i = 0;
+
+  while (i < text.length) {
+    const ch = text[i];
+
+    if (/\s/.test(ch)) {
+      i++;
+    } else if (/[0-9.]/.test(ch)) {
+      const match = text.slice(i).match(/^(\d+\.?\d*|\.\d+)(e[+-]?\d+)?/i);
+      if (!match) throw new FormulaError(`Invalid number at ${i + 1}`, i);
+      tokens.push({ type: 'number', value: parseFloat(match[0]), pos: i });
+      i += match[0].length;
+    } else if (/[A-Za-z_]/.test(ch)) {
+      const match = text.slice(i).match(/^[A-Za-z_][A-Za-z0-9_]*/);
+      tokens.push({ type: 'ident', value: match[0], pos: i });
+      i += match[0].length;
+    } else if (ch === '[') {
+      // [Display Name] references, e.g. [40-Yard Dash]
+      const end = text.indexOf(']', i);
+      if (end === -1) throw new FormulaError(`Unclosed "[" at ${i + 1}`, i);
+      tokens.push({ type: 'name', value: text.slice(i + 1, end).trim(), pos: i });
+      i = end + 1;
+    } else if ('+-*/^(),'.includes(ch)) {
+      tokens.push({ type: ch, pos: i });
+      i++;
+    } else {
+      throw new FormulaError(`Unexpected "${ch}" at ${i + 1}`, i);
+    }
+  }
+
+  tokens.push({ type: 'end', pos: text.length });
+  return tokens;
+};
+
+/**
+ * Parse an expression into an AST
+ * @param {string} text - Formula source
+ * @returns {Object} AST node ({type: 'number'|'metric'|'constant'|'unary'|'binary'|'call', ...})
+ * @throws {FormulaError} On syntax errors, unknown metrics or bad function calls
+ */
+export const parseFormula = (text) => {
+  if (!text || !String(text).trim()) throw new FormulaError('Formula is empty', 0);
+
+  const tokens = tokenize(String(text));
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const next = () => tokens[index++];
+  const expect = (type) => {
+    const token = next();
+    if (token.type !== type) {
+      const found = token.type === 'end' ? 'end of formula' : `"${token.value ?? token.type}"`;
+      throw new FormulaError(`Expected "${type}" but found ${found} at ${token.pos + 1}`, token.pos);
+    }
+    return token;
+  };
+
+  // expr := term (('+' | '-') term)*
+  const parseExpression = () => {
+    let node = parseTerm();
+    while (peek().type === '+' || peek().type === '-') {
+      const op = next().type;
+      node = { type: 'binary', op, left: node, right: parseTerm() };
+    }
+    return node;
+  };
+
+  // term := unary (('*' | '/') unary)*
+  const parseTerm = () => {
+    let node = parseUnary();
+    while (peek().type === '*' || peek().type === '/') {
+      const op = next().type;
+      node = { type: 'binary', op, left: node, right: parseUnary() };
+    }
+    return node;
+  };
+
+  // unary := ('-' | '+') unary | power
+  const parseUnary = () => {
+    if (peek().type === '-' || peek().type === '+') {
+      const op = next().type;
+      const arg = parseUnary();
+      return op === '-' ? { type: 'unary', op, arg } : arg;
+    }
+    return parsePower();
+  };
+
+  // power := primary ('^' unary)?  (right-associative, binds tighter than unary minus)
+  const parsePower = () => {
+    const base = parsePrimary();
+    if (peek().type === '^') {
+      next();
+      return { type: 'binary', op: '^', left: base, right: parseUnary() };
+    }
+    return base;
+  };
+
+  const parsePrimary = () => {
+    const token = next();
+
+    if (token.type === 'number') return { type: 'number', value: token.value };
+
+    if (token.type === '(') {
+      const node = parseExpression();
+      expect(')');
+      return node;
+    }
+
+    if (token.type === 'name') {
+      const key = METRIC_NAME_TO_KEY[token.value] || KEYS_BY_LOWER[token.value.toLowerCase()];
+      if (!key) throw new FormulaError(`Unknown metric "[${token.value}]"`, token.pos);
+      return { type: 'metric', key };
+    }
+
+    if (token.type === 'ident') {
+      const name = token.value;
+
+      if (peek().type === '(') {
+        const func = FORMULA_FUNCTIONS[name.toLowerCase()];
+        if (!func) throw new FormulaError(`Unknown function "${name}"`, token.pos);
+        next();
+        const args = [];
+        if (peek().type !== ')') {
+          args.push(parseExpression());
+          while (peek().type === ',') {
+            next();
+            args.push(parseExpression());
+          }
+        }
+        expect(')');
+        if (func.arity !== undefined && args.length !== func.arity) {
+          throw new FormulaError(`${name.toLowerCase()}() takes ${func.arity} argument${func.arity === 1 ? '' : 's'}`, token.pos);
+        }
+        if (func.minArgs !== undefined && args.length < func.minArgs) {
+          throw new FormulaError(`${name.toLowerCase()}() takes at least ${func.minArgs} arguments`, token.pos);
+        }
+        return { type: 'call', name: name.toLowerCase(), args };
+      }
+
+      const key = KEYS_BY_LOWER[name.toLowerCase()];
+      if (key) return { type: 'metric', key };
+      if (FORMULA_CONSTANTS[name.toLowerCase()] !== undefined) {
+        return { type: 'constant', name: name.toLowerCase(), value: FORMULA_CONSTANTS[name.toLowerCase()] };
+      }
+      throw new FormulaError(`Unknown metric "${name}"`, token.pos);
+    }
+
+    const found = token.type === 'end' ? 'end of formula' : `"${token.type}"`;
+    throw new FormulaError(`Unexpected ${found} at ${token.pos + 1}`, token.pos);
+  };
+
+  const ast = parseExpression();
+  if (peek().type !== 'end') {
+    const token = peek();
+    throw new FormulaError(`Unexpected "${token.value ?? token.type}" at ${token.pos + 1}`, token.pos);
+  }
+  return ast;
+};
+
+/**
+ * Evaluate an AST for an athlete
+ * Missing metrics (no value recorded) and non-finite results evaluate to null.
+ */
+export const evaluateAst = (node, athlete) => {
+  switch (node.type) {
+    case 'number':
+    case 'constant':
+      return node.value;
+    case 'metric': {
+      const value = athlete[node.key];
+      return value ? value : null;
+    }
+    case 'unary': {
+      const arg = evaluateAst(node.arg, athlete);
+      return arg === null ? null : -arg;
+    }
+    case 'binary': {
+      const left = evaluateAst(node.left, athlete);
+      const right = evaluateAst(node.right, athlete);
+      if (left === null || right === null) return null;
+      let result;
+      if (node.op === '+') result = left + right;
+      else if (node.op === '-') result = left - right;
+      else if (node.op === '*') result = left * right;
+      else if (node.op === '/') result = right === 0 ? null : left / right;
+      else result = Math.pow(left, right);
+      return result === null || !Number.isFinite(result) ? null : result;
+    }
+    case 'call': {
+      const args = node.args.map(arg => evaluateAst(arg, athlete));
+      if (args.some(arg => arg === null)) return null;
+      const result = FORMULA_FUNCTIONS[node.name].fn(...args);
+      return Number.isFinite(result) ? result : null;
+    }
+    default:
+      return null;
+  }
+};
+
+// Units are maps of base unit -> exponent, e.g. { lbs: 1, in: 2, sec: -1 }
+
+const DIMENSIONLESS = {};
+
+const isDimensionless = (unit) => Object.keys(unit).length === 0;
+
+const sameUnit = (a, b) => {
+  const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+  return [...keys].every(k => (a[k] || 0) === (b[k] || 0));
+};
+
+const combineUnits = (a, b, sign) => {
+  const result = { ...a };
+  Object.entries(b).forEach(([k, exp]) => {
+    const value = Math.round(((result[k] || 0) + sign * exp) * 1000) / 1000;
+    if (value === 0) delete result[k];
+    else result[k] = value;
+  });
+  return result;
+};
+
+const scaleUnit = (unit, factor) => {
+  const result = {};
+  Object.entries(unit).forEach(([k, exp]) => {
+    result[k] = Math.round(exp * factor * 1000) / 1000;
+  });
+  return result;
+};
+
+const isConstantNode = (node) =>
+  node.type === 'number' || node.type === 'constant' ||
+  (node.type === 'unary' && isConstantNode(node.arg)) ||
+  (node.type === 'binary' && isConstantNode(node.left) && isConstantNode(node.right)) ||
+  (node.type === 'call' && node.args.every(isConstantNode));
+
+/**
+ * Infer the unit of an AST
+ * @returns {{unit: Object|null, warnings: string[]}} unit is null when it can't be determined
+ */
+export const inferUnit = (node) => {
+  const warnings = [];
+
+  const walk = (n) => {
+    switch (n.type) {
+      case 'number':
+      case 'constant':
+        return DIMENSIONLESS;
+      case 'metric': {
+        const unit = getMetricUnit(n.key);
+        return unit ? { [unit]: 1 } : DIMENSIONLESS;
+      }
+      case 'unary':
+        return walk(n.arg);
+      case 'binary': {
+        const left = walk(n.left);
+        const right = walk(n.right);
+        if (n.op === '+' || n.op === '-') {
+          if (left && right && !sameUnit(left, right)) {
+            warnings.push(`Mixing units: ${formatUnit(left) || 'unitless'} ${n.op} ${formatUnit(right) || 'unitless'}`);
+            return null;
+          }
+          return left && right ? left : null;
+        }
+        if (n.op === '*' || n.op === '/') {
+          return left && right ? combineUnits(left, right, n.op === '*' ? 1 : -1) : null;
+        }
+        // '^': units need a constant exponent
+        if (!left) return null;
+        if (isDimensionless(left)) return DIMENSIONLESS;
+        if (!isConstantNode(n.right)) {
+          warnings.push('Exponent of a quantity with units should be a constant');
+          return null;
+        }
+        return scaleUnit(left, evaluateAst(n.right, {}));
+      }
+      case 'call': {
+        const args = n.args.map(walk);
+        if (args.some(a => a === null)) return null;
+        if (n.name === 'sqrt') return scaleUnit(args[0], 1 / 2);
+        if (n.name === 'cbrt') return scaleUnit(args[0], 1 / 3);
+        if (n.name === 'abs') return args[0];
+        if (n.name === 'min' || n.name === 'max') {
+          if (!args.every(a => sameUnit(a, args[0]))) {
+            warnings.push(`${n.name}() arguments have different units`);
+            return null;
+          }
+          return args[0];
+        }
+        // log / log10 / exp
+        if (!isDimensionless(args[0])) {
+          warnings.push(`${n.name}() of ${formatUnit(args[0])} - result treated as unitless`);
+        }
+        return DIMENSIONLESS;
+      }
+      default:
+        return null;
+    }
+  };
+
+  return { unit: walk(node), warnings };
+};
+
+/**
+ * Format a unit map, e.g. { lbs: 1, in: 2, sec: -1 } -> "lbs·in^2/sec"
+ */
+export const formatUnit = (unit) => {
+  if (!unit) return '';
+  const part = ([k, exp]) => (exp === 1 ? k : `${k}^${exp}`);
+  const entries = Object.entries(unit);
+  const num = entries.filter(([, exp]) => exp > 0).map(part).join('·');
+  const den = entries.filter(([, exp]) => exp < 0).map(([k, exp]) => part([k, -exp])).join('·');
+  if (!den) return num;
+  return `${num || '1'}/${den}`;
+};
+
+/**
+ * Print an AST back to canonical source using metric keys
+ */
+export const formatAst = (node, parentPrecedence = 0, isRight = false) => {
+  switch (node.type) {
+    case 'number':
+      return String(node.value);
+    case 'constant':
+      return node.name;
+    case 'metric':
+      return node.key;
+    case 'unary': {
+      const text = `-${formatAst(node.arg, PRECEDENCE.unary)}`;
+      return parentPrecedence > PRECEDENCE.unary ? `(${text})` : text;
+    }
+    case 'binary': {
+      const prec = PRECEDENCE[node.op];
+      // '^' is right-associative, the others are left-associative
+      const rightAssoc = node.op === '^';
+      const left = formatAst(node.left, rightAssoc ? prec + 1 : prec, false);
+      const right = formatAst(node.right, prec, !rightAssoc);
+      const text = `${left} ${node.op} ${right}`;
+      const needsParens = prec < parentPrecedence || (prec === parentPrecedence && isRight);
+      return needsParens ? `(${text})` : text;
+    }
+    case 'call':
+      return `${node.name}(${node.args.map(arg => formatAst(arg)).join(', ')})`;
+    default:
+      return '';
+  }
+};
+
+const collectKeys = (node, keys = new Set()) => {
+  if (node.type === 'metric') keys.add(node.key);
+  if (node.arg) collectKeys(node.arg, keys);
+  if (node.left) collectKeys(node.left, keys);
+  if (node.right) collectKeys(node.right, keys);
+  if (node.args) node.args.forEach(arg => collectKeys(arg, keys));
+  return keys;
+};
+
+const compiledCache = new Map();
+
+/**
+ * Compile a forged formula. Accepts expressions over metric keys as well as
+ * the legacy "40-Yard Dash / Weight" ratios and bare metric display names.
+ * @param {string} formula - Formula source
+ * @returns {{source: string, valid: boolean, error: string|null, errorPosition: number|null,
+ *   warnings: string[], ast: Object|null, keys: string[], unit: string, expression: string,
+ *   settingsKey: string, isRatio: boolean}}
+ */
+export const compileFormula = (formula) => {
+  const source = String(formula ?? '');
+  if (compiledCache.has(source)) return compiledCache.get(source);
+
+  const ratio = parseRatioFormula(source);
+  const text = ratio
+    ? `${ratio.numKey} / ${ratio.denKey}`
+    : METRIC_NAME_TO_KEY[source.trim()] || source;
+
+  let compiled;
+  try {
+    const ast = parseFormula(text);
+    const { unit, warnings } = inferUnit(ast);
+    const expression = formatAst(ast);
+    compiled = {
+      source,
+      valid: true,
+      error: null,
+      errorPosition: null,
+      warnings,
+      ast,
+      keys: [...collectKeys(ast)],
+      unit: formatUnit(unit),
+      expression,
+      // Settings keys stay "numKey/denKey" for plain ratios
+      settingsKey: ratio ? `${ratio.numKey}/${ratio.denKey}` : expression,
+      isRatio: !!ratio
+    };
+  } catch (err) {
+    if (!(err instanceof FormulaError)) throw err;
+    compiled = {
+      source,
+      valid: false,
+      error: err.message,
+      errorPosition: err.position,
+      warnings: [],
+      ast: null,
+      keys: [],
+      unit: '',
+      expression: '',
+      settingsKey: source,
+      isRatio: false
+    };
+  }
+
+  compiledCache.set(source, compiled);
+  return compiled;
+};
+
+/**
+ * Validate a formula for display in an editor
+ * @returns {{valid: boolean, error: string|null, warnings: string[], keys: string[], unit: string}}
+ */
+export const validateFormula = (formula) => {
+  const { valid, error, errorPosition, warnings, keys, unit, expression } = compileFormula(formula);
+  if (valid && keys.length === 0) {
+    return { valid: false, error: 'Formula must reference at least one metric', errorPosition: null, warnings, keys, unit, expression };
+  }
+  return { valid, error, errorPosition, warnings, keys, unit, expression };
+};
+
+/**
+ * Evaluate a formula for an athlete
+ * @returns {number|null} Value, or null when the formula is invalid or the athlete lacks data
+ */
+export const evaluateFormula = (formula, athlete) => {
+  const compiled = compileFormula(formula);
+  if (!compiled.valid || !athlete) return null;
+  return evaluateAst(compiled.ast, athlete);
+};
+
+/**
+ * Formula values across a population, skipping athletes without data
+ */
+export const getFormulaValues = (formula, athletes) =>
+  athletes.map(a => evaluateFormula(formula, a)).filter(v => v !== null);
+
+/**
+ * Unit string for a forged formula or metric display name ("in/lbs")
+ */
+export const getForgedUnit = (formula) => compileFormula(formula).unit;
+
+export default {
+  FORMULA_CONSTANTS,
+  FORMULA_FUNCTIONS,
+  FormulaError,
+  parseFormula,
+  evaluateAst,
+  inferUnit,
+  formatUnit,
+  formatAst,
+  compileFormula,
+  validateFormula,
+  evaluateFormula,
+  getFormulaValues,
+  getForgedUnit
+};
@@ -0,0 +1,235 @@
+/**
+ * Kinematics Filtering
+ * Low-pass filters for tracked positions, applied before differentiating to speed and
+ * acceleration so keypoint jitter isn't amplified: a zero-lag (forward-backward)
+ * Butterworth and a Savitzky-Golay polynomial smoother
+ */
+
+import { solveLinearSystem } from './fieldCalibration';
+
+export const FILTER_METHODS = {
+  none: 'None (raw)',
+  butterworth: 'Butterworth (zero-lag)',
+  savitzkyGolay: 'Savitzky-Golay'
+};
+
+// 6 Hz keeps sprint COM motion while removing most keypoint jitter at 30-60 fps
+export const DEFAULT_KINEMATICS_FILTER = {
+  method: 'butterworth',
+  cutoffHz: 6,
+  window: 9,
+  polyOrder: 2
+};
+
+// Running a 2nd-order filter forward and back lowers its -3 dB point; dividing the
+// requested cutoff by this restores it (Winter, Biomechanics and Motor Control of Human Movement)
+const TWO_PASS_CORRECTION = 0.802;
+
+// Cutoffs are kept below this fraction of the sample rate (Nyquist is 0.5)
+const MAX_CUTOFF_FRACTION = 0.45;
+
+// Series whose steps all fall within this fraction of the median are filtered as they are;
+// anything less regular is resampled to a uniform grid first
+const UNIFORM_STEP_TOLERANCE = 0.05;
+
+/**
+ * Sample rate of a series from the median time step
+ * @returns {number|null} Hz, or null when the times don't advance
+ */
+export function sampleRateFromTimes(times) {
+  const steps = [];
+  for (let i = 1; i < times.length; i++) {
+    const dt = times[i] - times[i - 1];
+    if (dt > 0) steps.push(dt);
+  }
+  if (steps.length === 0) return null;
+  steps.sort((a, b) => a - b);
+  return 1 / steps[Math.floor(steps.length / 2)];
+}
+
+// ============ BUTTERWORTH ============
+
+/**
+ * 2nd-order low-pass Butterworth run forward then backward, so the output has no
+ * phase lag. The ends are padded with an odd reflection of the signal to keep the
+ * filter from pulling the first and last samples toward zero.
+ * @param {number[]} values - Evenly sampled signal
+ * @param {number} sampleRate - Samples per second
+ * @param {number} cutoffHz - Cutoff frequency of the combined two-pass filter
+ * @returns {number[]} Filtered signal
+ */
+export function butterworthFiltfilt(values, sampleRate, cutoffHz) {
+  const n = values.length;
+  if (n < 3 || !(sampleRate > 0) || !(cutoffHz > 0)) return [...values];
+
+  const cutoff = Math.min(cutoffHz / TWO_PASS_CORRECTION, sampleRate * MAX_CUTOFF_FRACTION);
+  const k = Math.tan((Math.PI * cutoff) / sampleRate);
+  const norm = 1 / (1 + Math.SQRT2 * k + k * k);
+  const b0 = k * k * norm;
+  const b1 = 2 * b0;
+  const b2 = b0;
+  const a1 = 2 * (k * k - 1) * norm;
+  const a2 = (1 - Math.SQRT2 * k + k * k) * norm;
+
+  // Starting from the first sample's steady state avoids a start-up transient
+  const pass = (x) => {
+    const y = new Array(x.length);
+    let x1 = x[0], x2 = x[0], y1 = x[0], y2 = x[0];
+    for (let i = 0; i < x.length; i++) {
+      y[i] = b0 * x[i] + b1 * x1 + b2 * x2 - a1 * y1 - a2 * y2;
+      x2 = x1;
+      x1 = x[i];
+      y2 = y1;
+      y1 = y[i];
+    }
+    return y;
+  };
+
+  // Pad by about one cutoff period at each end
+  const pad = Math.min(n - 1, Math.ceil(sampleRate / cutoff));
+  const padded = [];
+  for (let i = pad; i > 0; i--) padded.push(2 * values[0] - values[i]);
+  padded.push(...values);
+  for (let i = 1; i <= pad; i++) padded.push(2 * values[n - 1] - values[n - 1 - i]);
+
+  const forward = pass(padded);
+  const backward = pass(forward.reverse()).reverse();
+  return backward.slice(pad, pad + n);
+}
+
+// ============ SAVITZKY-GOLAY ============
+
+/**
+ * Weights that evaluate a least-squares polynomial fit over a window at one position
+ * @param {number} window - Window length
+ * @param {number} polyOrder - Polynomial degree
+ * @param {number} at - Position in the window to evaluate (0 = first sample)
+ */
+function savitzkyGolayWeights(window, polyOrder, at) {
+  const half = (window - 1) / 2;
+  const rows = Array.from({ length: window }, (_, j) => {
+    const x = j - half;
+    return Array.from({ length: polyOrder + 1 }, (_, p) => x ** p);
+  });
+
+  // Normal equations: (AᵀA) z = [1, x0, x0², ...]; weights are A·z
+  const normal = Array.from({ length: polyOrder + 1 }, (_, p) =>
+    Array.from({ length: polyOrder + 1 }, (_, q) => rows.reduce((sum, row) => sum + row[p] * row[q], 0))
+  );
+  const x0 = at - half;
+  const z = solveLinearSystem(normal, Array.from({ length: polyOrder + 1 }, (_, p) => x0 ** p));
+  if (!z) return null;
+  return rows.map(row => row.reduce((sum, a, p) => sum + a * z[p], 0));
+}
+
+/**
+ * Savitzky-Golay smoothing: each sample is replaced by a polynomial fitted over the
+ * window around it, which keeps peaks sharper than a moving average. Near the ends
+ * the first/last full window is fitted and evaluated off-center.
+ * @param {number[]} values - Evenly sampled signal
+ * @param {number} window - Odd window length (rounded up to odd, trimmed to the signal)
+ * @param {number} polyOrder - Polynomial degree, less than the window length
+ * @returns {number[]} Smoothed signal
+ */
+export function savitzkyGolay(values, window, polyOrder = 2) {
+  const n = values.length;
+
+  // Odd window, no longer than the signal
+  let size = Math.round(window);
+  if (size % 2 === 0) size++;
+  if (size > n) size = n % 2 === 1 ? n : n - 1;
+  if (size < 3) return [...values];
+  const order = Math.min(Math.max(0, Math.round(polyOrder)), size - 1);
+
+  const half = (size - 1) / 2;
+  const weightCache = new Map();
+  const weightsAt = (at) => {
+    if (!weightCache.has(at)) weightCache.set(at, savitzkyGolayWeights(size, order, at));
+    return weightCache.get(at);
+  };
+
+  return values.map((_, i) => {
+    const start = Math.min(Math.max(0, i - half), n - size);
+    const weights = weightsAt(i - start);
+    if (!weights) return values[i];
+    return weights.reduce((sum, w, j) => sum + w * values[start + j], 0);
+  });
+}
+
+// ============ KINEMATICS ============
+
+/**
+ * Linearly interpolate a series at new times (clamped to the end values outside it)
+ * @param {number[]} times - Increasing sample times
+ * @param {number[]} values - Samples
+ * @param {number[]} at - Increasing times to evaluate
+ */
+export function interpolateSeries(times, values, at) {
+  let j = 0;
+  return at.map(t => {
+    if (t <= times[0]) return values[0];
+    if (t >= times[times.length - 1]) return values[values.length - 1];
+    while (j < times.length - 2 && times[j + 1] < t) j++;
+    const dt = times[j + 1] - times[j];
+    return dt > 0 ? values[j] + (values[j + 1] - values[j]) * ((t - times[j]) / dt) : values[j];
+  });
+}
+
+function isUniform(times, step) {
+  for (let i = 1; i < times.length; i++) {
+    if (Math.abs(times[i] - times[i - 1] - step) > UNIFORM_STEP_TOLERANCE * step) return false;
+  }
+  return true;
+}
+
+/**
+ * Filter a position series with the configured method. Both filters assume evenly
+ * spaced samples, so a variable frame rate series is resampled onto a uniform grid at
+ * its median step, filtered there and interpolated back to the frame times.
+ * @param {number[]} values - Positions
+ * @param {number[]} times - Frame times (seconds)
+ * @param {Object} filter - { method, cutoffHz, window, polyOrder }, see DEFAULT_KINEMATICS_FILTER
+ * @returns {number[]} Filtered positions (a copy when the method is 'none')
+ */
+export function filterKinematics(values, times, filter = DEFAULT_KINEMATICS_FILTER) {
+  const { method, cutoffHz, window, polyOrder } = { ...DEFAULT_KINEMATICS_FILTER, ...filter };
+  if (method !== 'butterworth' && method !== 'savitzkyGolay') return [...values];
+
+  const sampleRate = sampleRateFromTimes(times);
+  if (!sampleRate) return [...values];
+  const apply = (series) => (method === 'butterworth'
+    ? butterworthFiltfilt(series, sampleRate, cutoffHz)
+    : savitzkyGolay(series, window, polyOrder));
+
+  const step = 1 / sampleRate;
+  if (isUniform(times, step)) return apply(values);
+
+  const start = times[0];
+  const count = Math.floor((times[times.length - 1] - start) / step + 1e-9) + 1;
+  const grid = Array.from({ length: count }, (_, i) => start + i * step);
+  // Keep the last frame inside the grid so it isn't extrapolated
+  if (grid[grid.length - 1] < times[times.length - 1]) grid.push(grid[grid.length - 1] + step);
+
+  const filtered = apply(interpolateSeries(times, values, grid));
+  return interpolateSeries(grid, filtered, times);
+}
+
+/**
+ * Short label for a filter setting, e.g. "Butterworth 6 Hz"
+ */
+export function describeFilter(filter) {
+  if (!filter || filter.method === 'none') return 'Unfiltered';
+  if (filter.method === 'butterworth') return `Butterworth ${filter.cutoffHz} Hz`;
+  return `Savitzky-Golay ${filter.window} pt, order ${filter.polyOrder}`;
+}
+
+export default {
+  FILTER_METHODS,
+  DEFAULT_KINEMATICS_FILTER,
+  sampleRateFromTimes,
+  butterworthFiltfilt,
+  savitzkyGolay,
+  interpolateSeries,
+  filterKinematics,
+  describeFilter
+};
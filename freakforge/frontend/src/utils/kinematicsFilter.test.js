@@ -0,0 +1,78 @@
+import {
+  sampleRateFromTimes,
+  butterworthFiltfilt,
+  savitzkyGolay,
+  interpolateSeries,
+  filterKinematics
+} from './kinematicsFilter';
+
+const uniformTimes = (count, fps) => Array.from({ length: count }, (_, i) => i / fps);
+
+// Largest sample-by-sample difference between two series
+const maxError = (a, b) => Math.max(...a.map((v, i) => Math.abs(v - b[i])));
+
+describe('sampleRateFromTimes', () => {
+  it('uses the median step so a skipped frame does not change the rate', () => {
+    expect(sampleRateFromTimes([0, 0.1, 0.2, 0.4, 0.5])).toBeCloseTo(10);
+  });
+
+  it('returns null when the times never advance', () => {
+    expect(sampleRateFromTimes([1, 1, 1])).toBeNull();
+  });
+});
+
+describe('butterworthFiltfilt', () => {
+  it('passes a steady run through without lag', () => {
+    const times = uniformTimes(120, 60);
+    const positions = times.map(t => 8 * t);
+    // Only the start-up transient at the ends moves it, by about a millimetre
+    expect(maxError(butterworthFiltfilt(positions, 60, 6), positions)).toBeLessThan(0.005);
+  });
+
+  it('removes jitter well above the cutoff', () => {
+    const times = uniformTimes(240, 60);
+    const clean = times.map(t => Math.sin(2 * Math.PI * t));
+    const jittery = clean.map((v, i) => v + (i % 2 === 0 ? 0.2 : -0.2));
+    const filtered = butterworthFiltfilt(jittery, 60, 6);
+    expect(maxError(filtered.slice(20, -20), clean.slice(20, -20))).toBeLessThan(0.02);
+  });
+});
+
+describe('savitzkyGolay', () => {
+  it('reproduces a quadratic exactly, ends included', () => {
+    const values = Array.from({ length: 20 }, (_, i) => 0.5 * i * i - 3 * i + 2);
+    expect(maxError(savitzkyGolay(values, 7, 2), values)).toBeLessThan(1e-9);
+  });
+
+  it('leaves a series shorter than three samples alone', () => {
+    expect(savitzkyGolay([1, 5], 9, 2)).toEqual([1, 5]);
+  });
+});
+
+describe('interpolateSeries', () => {
+  it('interpolates between samples and clamps outside them', () => {
+    expect(interpolateSeries([0, 1, 3], [0, 10, 30], [-1, 0.5, 2, 4])).toEqual([0, 5, 20, 30]);
+  });
+});
+
+describe('filterKinematics', () => {
+  it('returns a copy for the none method', () => {
+    const values = [1, 2, 3];
+    const filtered = filterKinematics(values, [0, 1, 2], { method: 'none' });
+    expect(filtered).toEqual(values);
+    expect(filtered).not.toBe(values);
+  });
+
+  it('resamples variable frame rate footage and returns values at the frame times', () => {
+    // 60 fps with uneven gaps, as phone footage reports it
+    const times = [];
+    for (let t = 0; times.length < 150; t += times.length % 5 === 0 ? 1 / 40 : 1 / 60) times.push(t);
+    const positions = times.map(t => 2 * t * t + 5 * t);
+
+    ['butterworth', 'savitzkyGolay'].forEach(method => {
+      const filtered = filterKinematics(positions, times, { method });
+      expect(filtered).toHaveLength(times.length);
+      expect(maxError(filtered.slice(10, -10), positions.slice(10, -10))).toBeLessThan(0.01);
+    });
+  });
+});
@@ -0,0 +1,130 @@
+/**
+ * Metric Registry
+ * Single source of truth for metric keys, display names, units and direction
+ */
+
+const formatFeetInches = (v) => `${Math.floor(v / 12)}'${Math.round((v % 12) * 10) / 10}"`;
+
+// type: 'athletic' (tested performance) | 'personal' (physical attribute)
+// importAliases: normalized source headers recognised by the Data Management import
+export const METRICS = [
+  // Athletic
+  { key: 'dash40', name: '40-Yard Dash', unit: 'sec', type: 'athletic', lowerIsBetter: true, description: 'Linear speed and acceleration', importAliases: ['forty_yard_dash', '40_yard_dash', 'forty', '40yd'] },
+  { key: 'verticalJump', name: 'Vertical Jump', unit: 'in', type: 'athletic', lowerIsBetter: false, description: 'Explosive leg power', importAliases: ['vertical_jump', 'vertical'] },
+  { key: 'broadJump', name: 'Broad Jump', unit: 'in', type: 'athletic', lowerIsBetter: false, description: 'Horizontal power', importAliases: ['broad_jump', 'broad'] },
+  { key: 'proAgility', name: 'Pro Agility', unit: 'sec', type: 'athletic', lowerIsBetter: true, description: 'Lateral quickness', importAliases: ['shuttle_run', 'pro_agility', 'shuttle', '5_10_5'] },
+  { key: 'lDrill', name: 'L-Drill', unit: 'sec', type: 'athletic', lowerIsBetter: true, description: 'Change of direction', importAliases: ['three_cone', 'l_drill', '3_cone'] },
+  { key: 'bench225', name: 'Bench 225', unit: 'reps', type: 'athletic', lowerIsBetter: false, description: 'Upper-body strength endurance', importAliases: ['bench_225', 'bench_reps'] },
+  { key: 'maxBench', name: 'Max Bench', unit: 'lbs', type: 'athletic', lowerIsBetter: false, description: 'Upper-body max strength', importAliases: ['max_bench', 'bench_press'] },
+  { key: 'squat', name: 'Squat', unit: 'lbs', type: 'athletic', lowerIsBetter: false, description: 'Lower-body max strength', importAliases: ['max_squat'] },
+  { key: 'powerClean', name: 'Power Clean', unit: 'lbs', type: 'athletic', lowerIsBetter: false, description: 'Total-body explosive strength', importAliases: ['power_clean'] },
+
+  // Personal attributes
+  { key: 'height', name: 'Height', unit: 'in', type: 'personal', lowerIsBetter: false, description: 'Physical stature', importAliases: ['ht'], parseAs: 'height', format: formatFeetInches },
+  { key: 'weight', name: 'Weight', unit: 'lbs', type: 'personal', lowerIsBetter: false, description: 'Body mass', importAliases: ['wt'] },
+  { key: 'age', name: 'Age', unit: 'yrs', type: 'personal', lowerIsBetter: false, description: 'Age at testing', importAliases: [] },
+  { key: 'handWidth', name: 'Hand Width', unit: 'in', type: 'personal', lowerIsBetter: false, description: 'Hand span', importAliases: ['hand_width', 'hand_size'] },
+  { key: 'gpa', name: 'GPA', unit: '', type: 'personal', lowerIsBetter: false, description: 'Grade point average', importAliases: [] },
+  { key: 'armLength', name: 'Arm Length', unit: 'in', type: 'personal', lowerIsBetter: false, description: 'Arm reach', importAliases: ['arm_length'] },
+  { key: 'wingspan', name: 'Wingspan', unit: 'in', type: 'personal', lowerIsBetter: false, description: 'Fingertip-to-fingertip reach', importAliases: ['wing_span'], parseAs: 'height' }
+];
+
+const METRICS_BY_KEY = METRICS.reduce((map, metric) => ({ ...map, [metric.key]: metric }), {});
+
+export const METRIC_KEYS = METRICS.map(m => m.key);
+export const ATHLETIC_METRICS = METRICS.filter(m => m.type === 'athletic').map(m => m.key);
+export const PERSONAL_METRICS = METRICS.filter(m => m.type === 'personal').map(m => m.key);
+
+// Mapping from display names to athlete object keys
+export const METRIC_NAME_TO_KEY = METRICS.reduce((map, metric) => ({ ...map, [metric.name]: metric.key }), {});
+
+export const getMetric = (key) => METRICS_BY_KEY[key] || null;
+
+export const getMetricName = (key) => (METRICS_BY_KEY[key] ? METRICS_BY_KEY[key].name : key);
+
+export const getMetricUnit = (key) => (METRICS_BY_KEY[key] ? METRICS_BY_KEY[key].unit : '');
+
+export const isLowerBetter = (key) => !!(METRICS_BY_KEY[key] && METRICS_BY_KEY[key].lowerIsBetter);
+
+/**
+ * Axis/label text with units, e.g. "40-Yard Dash (sec)"
+ */
+export const getMetricLabel = (key) => {
+  const unit = getMetricUnit(key);
+  return unit ? `${getMetricName(key)} (${unit})` : getMetricName(key);
+};
+
+/**
+ * Format a raw metric value for display
+ */
+export const formatMetricValue = (key, value) => {
+  const metric = METRICS_BY_KEY[key];
+  if (value === null || value === undefined) return 'N/A';
+  if (metric && metric.format) return metric.format(value);
+  return Number.isInteger(value) ? String(value) : value.toFixed(2);
+};
+
+/**
+ * Metrics of a type ('athletic' | 'personal'), or all metrics
+ */
+export const getMetricsByType = (type) => (type ? METRICS.filter(m => m.type === type) : METRICS);
+
+/**
+ * Metrics that at least one athlete has a value for, so empty registry
+ * entries don't add blank axes to radars and bell curves
+ * @param {Object[]} athletes - Loaded athletes
+ * @param {string} [type] - Optional 'athletic' | 'personal' filter
+ */
+export const getAvailableMetrics = (athletes, type) =>
+  getMetricsByType(type).filter(metric => athletes.some(a => a[metric.key]));
+
+/**
+ * Split a "Numerator / Denominator" display formula into metric keys
+ * @returns {{numKey: string, denKey: string}|null}
+ */
+export const parseRatioFormula = (formula) => {
+  if (!formula) return null;
+  const parts = formula.split(' / ');
+  if (parts.length !== 2) return null;
+  const numKey = METRIC_NAME_TO_KEY[parts[0].trim()];
+  const denKey = METRIC_NAME_TO_KEY[parts[1].trim()];
+  if (!numKey || !denKey) return null;
+  return { numKey, denKey };
+};
+
+/**
+ * Units for a metric display name or a ratio formula ("in/lbs")
+ */
+export const getFormulaUnit = (formula) => {
+  if (METRIC_NAME_TO_KEY[formula]) return getMetricUnit(METRIC_NAME_TO_KEY[formula]);
+  const ratio = parseRatioFormula(formula);
+  if (!ratio) return '';
+  const num = getMetricUnit(ratio.numKey);
+  const den = getMetricUnit(ratio.denKey);
+  return num && den ? `${num}/${den}` : '';
+};
+
+/**
+ * Default Settings flips: lower-is-better metrics show favorable results as +σ
+ */
+export const getDefaultMetricFlips = () =>
+  METRICS.reduce((flips, metric) => ({ ...flips, [metric.key]: metric.lowerIsBetter }), {});
+
+export default {
+  METRICS,
+  METRIC_KEYS,
+  ATHLETIC_METRICS,
+  PERSONAL_METRICS,
+  METRIC_NAME_TO_KEY,
+  getMetric,
+  getMetricName,
+  getMetricUnit,
+  isLowerBetter,
+  getMetricLabel,
+  formatMetricValue,
+  getMetricsByType,
+  getAvailableMetrics,
+  parseRatioFormula,
+  getFormulaUnit,
+  getDefaultMetricFlips
+};
@@ -1,119 +1,543 @@
 /**
  * PDF Export Utility
- * Generates PDF reports for athlete analysis
- * 
- * Note: Requires jsPDF library
- * Install with: npm install jspdf
+ * Generates PDF scouting reports for athlete analysis with jsPDF
  */
 
-export const exportAthleteToPDF = (athlete, metrics, statistics) => {
-  // This is a placeholder - actual implementation requires jsPDF
-  // For now, create a simple text-based export
-  
-  const content = generateTextReport(athlete, metrics, statistics);
-  
-  // Create a downloadable text file for now
-  const blob = new Blob([content], { type: 'text/plain' });
-  const url = URL.createObjectURL(blob);
-  const link = document.createElement('a');
-  link.href = url;
-  link.download = `FreakForge-${athlete.firstName}-${athlete.lastName}.txt`;
-  document.body.appendChild(link);
-  link.click();
-  document.body.removeChild(link);
-  URL.revokeObjectURL(url);
+import { jsPDF } from 'jspdf';
+import dataService from './dataService';
+import { zToPercentile, formatPercentile } from './statistics';
+import { METRICS, formatMetricValue } from './metricRegistry';
+
+// Page layout (mm, A4 portrait)
+const MARGIN = 15;
+const PAGE_WIDTH = 210;
+const PAGE_HEIGHT = 297;
+const CONTENT_WIDTH = PAGE_WIDTH - MARGIN * 2;
+
+const COLORS = {
+  dark: [15, 23, 42],
+  panel: [30, 41, 59],
+  accent: [234, 88, 12],
+  gold: [161, 98, 7],
+  text: [30, 41, 59],
+  muted: [100, 116, 139],
+  rule: [226, 232, 240],
+  green: [16, 185, 129],
+  red: [239, 68, 68]
 };
 
-const generateTextReport = (athlete, metrics, statistics) => {
-  const exceptionalMetrics = metrics.filter(m => Math.abs(m.sigma) >= 1.5);
-  
-  let report = `
-╔═══════════════════════════════════════════════════════════════╗
-║                     FREAKFORGE ANALYSIS                       ║
-║                  Athlete Performance Report                   ║
-╚═══════════════════════════════════════════════════════════════╝
-
-ATHLETE INFORMATION
-━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-Name:         ${athlete.firstName} ${athlete.lastName}
-Position:     ${athlete.position}
-State:        ${athlete.state}
-Class:        ${athlete.gradYear}
-
-STANDARD METRICS
-━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-40-Yard Dash:     ${athlete.dash40 ? athlete.dash40.toFixed(2) + ' sec' : 'N/A'}
-Vertical Jump:    ${athlete.verticalJump ? athlete.verticalJump.toFixed(1) + ' in' : 'N/A'}
-Broad Jump:       ${athlete.broadJump ? athlete.broadJump.toFixed(1) + ' in' : 'N/A'}
-Pro Agility:      ${athlete.proAgility ? athlete.proAgility.toFixed(2) + ' sec' : 'N/A'}
-L-Drill:          ${athlete.lDrill ? athlete.lDrill.toFixed(2) + ' sec' : 'N/A'}
-Height:           ${athlete.height ? Math.floor(athlete.height / 12) + "'" + (athlete.height % 12) + '"' : 'N/A'}
-Weight:           ${athlete.weight ? athlete.weight.toFixed(0) + ' lbs' : 'N/A'}
-
-EXCEPTIONAL METRICS (|σ| ≥ 1.5)
-━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-Total Exceptional: ${exceptionalMetrics.length}
-`;
-
-  if (exceptionalMetrics.length > 0) {
-    exceptionalMetrics.forEach((metric, index) => {
-      const sigmaStr = metric.sigma > 0 ? `+${metric.sigma.toFixed(2)}` : metric.sigma.toFixed(2);
-      report += `
-${index + 1}. ${metric.formula}
-   Value: ${typeof metric.value === 'number' ? metric.value.toFixed(3) : metric.value}
-   Sigma: ${sigmaStr}σ
-   Status: ${metric.sigma > 0 ? 'Above Average' : 'Below Average'}
-`;
+const EXCEPTIONAL_SIGMA = 1.5;
+
+// ============ CHART CAPTURE ============
+
+// Latest Dashboard radar charts by report id ('standard', 'attribute', 'forged' or '<type>_<athleteId>')
+const reportCharts = new Map();
+
+/**
+ * Chart.js plugin that keeps Dashboard radars available to the report.
+ * Charts opt in with options.plugins.reportChart = { id, athleteIds }; the
+ * image is snapshotted before the chart is destroyed (e.g. on tab switch).
+ */
+export const reportChartPlugin = {
+  id: 'reportChart',
+  afterInit(chart, args, options) {
+    if (!options || !options.id) return;
+    reportCharts.set(options.id, { chart, image: null, width: chart.width, height: chart.height, athleteIds: options.athleteIds || [] });
+  },
+  afterRender(chart, args, options) {
+    const entry = options && options.id ? reportCharts.get(options.id) : null;
+    if (entry && entry.chart === chart) {
+      entry.width = chart.width;
+      entry.height = chart.height;
+    }
+  },
+  beforeDestroy(chart, args, options) {
+    const entry = options && options.id ? reportCharts.get(options.id) : null;
+    if (entry && entry.chart === chart) {
+      entry.image = chart.toBase64Image();
+      entry.chart = null;
+    }
+  }
+};
+
+/**
+ * Radar image for an athlete: their iso chart if one was drawn, else the stacked chart containing them
+ * @returns {{image: string, width: number, height: number}|null}
+ */
+const getRadarImage = (type, athleteId) => {
+  const entry = [reportCharts.get(`${type}_${athleteId}`), reportCharts.get(type)]
+    .find(e => e && e.athleteIds.includes(athleteId));
+  if (!entry) return null;
+  const image = entry.chart ? entry.chart.toBase64Image() : entry.image;
+  if (!image || !entry.width || !entry.height) return null;
+  return { image, width: entry.width, height: entry.height };
+};
+
+// ============ DRAWING HELPERS ============
+
+const createWriter = (doc) => {
+  let y = MARGIN;
+
+  const ensureSpace = (height) => {
+    if (y + height > PAGE_HEIGHT - MARGIN - 8) {
+      doc.addPage();
+      y = MARGIN;
+    }
+  };
+
+  const sectionTitle = (title) => {
+    ensureSpace(14);
+    y += 4;
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(12);
+    doc.setTextColor(...COLORS.accent);
+    doc.text(title.toUpperCase(), MARGIN, y);
+    y += 2;
+    doc.setDrawColor(...COLORS.accent);
+    doc.setLineWidth(0.5);
+    doc.line(MARGIN, y, MARGIN + CONTENT_WIDTH, y);
+    y += 6;
+  };
+
+  const paragraph = (text, { size = 9, color = COLORS.muted } = {}) => {
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(size);
+    doc.setTextColor(...color);
+    const lines = doc.splitTextToSize(text, CONTENT_WIDTH);
+    ensureSpace(lines.length * 4.5);
+    doc.text(lines, MARGIN, y);
+    y += lines.length * 4.5 + 1;
+  };
+
+  /**
+   * Simple table: columns = [{ header, width, align }], rows = [[cell, ...]]
+   * A cell may be { text, color, fill, sub } to tint it, shade it or add a second line.
+   */
+  const table = (columns, rows) => {
+    const hasSubLines = rows.some(row => row.some(cell => cell && typeof cell === 'object' && cell.sub));
+    const rowHeight = hasSubLines ? 9 : 6;
+    const drawHeader = () => {
+      doc.setFillColor(...COLORS.panel);
+      doc.rect(MARGIN, y - 4.2, CONTENT_WIDTH, 6, 'F');
+      doc.setFont('helvetica', 'bold');
+      doc.setFontSize(8.5);
+      doc.setTextColor(251, 191, 36);
+      let x = MARGIN;
+      columns.forEach(col => {
+        const align = col.align === 'right' || col.align === 'center' ? col.align : 'left';
+        const textX = align === 'right' ? x + col.width - 2 : align === 'center' ? x + col.width / 2 : x + 2;
+        doc.text(col.header, textX, y, { align });
+        x += col.width;
+      });
+      y += 6;
+    };
+
+    ensureSpace(rowHeight * 2);
+    drawHeader();
+
+    rows.forEach((row, rowIndex) => {
+      if (y + rowHeight > PAGE_HEIGHT - MARGIN - 8) {
+        doc.addPage();
+        y = MARGIN + 4;
+        drawHeader();
+      }
+      if (rowIndex % 2 === 1) {
+        doc.setFillColor(248, 250, 252);
+        doc.rect(MARGIN, y - 4.2, CONTENT_WIDTH, rowHeight, 'F');
+      }
+      let x = MARGIN;
+      row.forEach((cell, i) => {
+        const col = columns[i];
+        const isObject = cell && typeof cell === 'object';
+        const text = isObject ? cell.text : String(cell ?? '');
+        const align = col.align === 'right' || col.align === 'center' ? col.align : 'left';
+        const textX = align === 'right' ? x + col.width - 2 : align === 'center' ? x + col.width / 2 : x + 2;
+        if (isObject && cell.fill) {
+          doc.setFillColor(...cell.fill);
+          doc.rect(x, y - 4.2, col.width, rowHeight, 'F');
+        }
+        doc.setFont('helvetica', 'normal');
+        doc.setFontSize(8.5);
+        doc.setTextColor(...(isObject && cell.color ? cell.color : COLORS.text));
+        doc.text(doc.splitTextToSize(String(text), col.width - 3)[0] || '', textX, y, { align });
+        if (isObject && cell.sub) {
+          doc.setFontSize(7);
+          doc.setTextColor(...COLORS.muted);
+          doc.text(cell.sub, textX, y + 3.5, { align });
+        }
+        x += col.width;
+      });
+      y += rowHeight;
     });
+    y += 2;
+  };
+
+  /**
+   * Images laid out in a row on a dark panel, scaled to a shared height
+   */
+  const imageRow = (images, maxHeight) => {
+    const gap = 4;
+    const slotWidth = (CONTENT_WIDTH - gap * (images.length - 1)) / images.length;
+    const drawHeight = Math.min(maxHeight, Math.max(...images.map(img => (slotWidth - 4) * (img.height / img.width))));
+    const height = drawHeight + 8;
+    ensureSpace(height + 4);
+
+    images.forEach((img, i) => {
+      const x = MARGIN + i * (slotWidth + gap);
+      doc.setFillColor(...COLORS.panel);
+      doc.roundedRect(x, y, slotWidth, height, 2, 2, 'F');
+
+      // Fit inside the slot, keeping the aspect ratio
+      const scale = Math.min((slotWidth - 4) / img.width, drawHeight / img.height);
+      const w = img.width * scale;
+      const h = img.height * scale;
+      doc.addImage(img.image, 'PNG', x + (slotWidth - w) / 2, y + 6 + (drawHeight - h) / 2, w, h);
+
+      if (img.caption) {
+        doc.setFont('helvetica', 'bold');
+        doc.setFontSize(8);
+        doc.setTextColor(251, 191, 36);
+        doc.text(img.caption, x + 3, y + 4);
+      }
+    });
+    y += height + 4;
+  };
+
+  return {
+    get y() { return y; },
+    set y(value) { y = value; },
+    ensureSpace,
+    sectionTitle,
+    paragraph,
+    table,
+    imageRow
+  };
+};
+
+// "rgba(239, 68, 68, 1)" -> [239, 68, 68]
+const parseRgb = (color) => {
+  const match = String(color || '').match(/(\d+)\s*,\s*(\d+)\s*,\s*(\d+)/);
+  return match ? match.slice(1, 4).map(Number) : COLORS.text;
+};
+
+const formatSigma = (sigma) => `${sigma > 0 ? '+' : ''}${sigma.toFixed(2)}`;
+
+const formatNumber = (value, digits = 2) =>
+  (typeof value === 'number' && Number.isFinite(value) ? value.toFixed(digits) : '-');
+
+// ============ REPORT SECTIONS ============
+
+const drawHeader = (doc, athlete) => {
+  doc.setFillColor(...COLORS.dark);
+  doc.rect(0, 0, PAGE_WIDTH, 32, 'F');
+  doc.setFillColor(...COLORS.accent);
+  doc.rect(0, 32, PAGE_WIDTH, 1.2, 'F');
+
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(20);
+  doc.setTextColor(251, 191, 36);
+  doc.text('FreakForge Analysis', MARGIN, 14);
+
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(10);
+  doc.setTextColor(254, 243, 199);
+  doc.text('Athlete Performance Report', MARGIN, 21);
+
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(14);
+  doc.text(`${athlete.firstName} ${athlete.lastName}`, PAGE_WIDTH - MARGIN, 14, { align: 'right' });
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(9);
+  doc.setTextColor(148, 163, 184);
+  doc.text(new Date().toLocaleDateString(), PAGE_WIDTH - MARGIN, 21, { align: 'right' });
+};
+
+const drawAthleteInfo = (writer, doc, athlete) => {
+  writer.sectionTitle('Athlete Information');
+
+  const identity = [
+    ['Position', athlete.position],
+    ['State', athlete.state],
+    ['Class', athlete.gradYear]
+  ];
+  const measured = METRICS.filter(m => athlete[m.key]).map(m => [
+    m.name,
+    m.format ? m.format(athlete[m.key]) : `${formatMetricValue(m.key, athlete[m.key])} ${m.unit}`.trim()
+  ]);
+  const fields = [...identity, ...measured];
+
+  // Three label/value columns
+  const columns = 3;
+  const colWidth = CONTENT_WIDTH / columns;
+  const rows = Math.ceil(fields.length / columns);
+  writer.ensureSpace(rows * 6);
+
+  fields.forEach(([label, value], i) => {
+    const x = MARGIN + (i % columns) * colWidth;
+    const y = writer.y + Math.floor(i / columns) * 6;
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(8.5);
+    doc.setTextColor(...COLORS.muted);
+    doc.text(`${label}:`, x, y);
+    doc.setFont('helvetica', 'bold');
+    doc.setTextColor(...COLORS.text);
+    doc.text(String(value ?? '-'), x + 28, y);
+  });
+  writer.y += rows * 6 + 2;
+};
+
+const drawCharts = (writer, athlete, bellCurveCanvas) => {
+  const radars = [
+    { type: 'standard', caption: 'Standard Radar' },
+    { type: 'attribute', caption: 'Attribute Radar' },
+    { type: 'forged', caption: 'Forged Radar' }
+  ]
+    .map(r => {
+      const img = getRadarImage(r.type, athlete.id);
+      return img ? { ...img, caption: r.caption } : null;
+    })
+    .filter(Boolean);
+
+  writer.sectionTitle('Charts');
+
+  if (radars.length > 0) {
+    writer.imageRow(radars, 70);
   } else {
-    report += `
-No exceptional metrics found. All metrics within ±1.5σ of average.
-`;
+    writer.paragraph('Radar charts are captured from the Charts tab. Open it with this athlete selected to include them.');
   }
 
-  report += `
-━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+  if (bellCurveCanvas && bellCurveCanvas.width && bellCurveCanvas.height) {
+    writer.imageRow([{
+      image: bellCurveCanvas.toDataURL('image/png'),
+      width: bellCurveCanvas.width,
+      height: bellCurveCanvas.height,
+      caption: 'Metric Explorer Bell Curve'
+    }], 80);
+  }
+};
 
-INTERPRETATION GUIDE
-━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-±1.0σ - Above/Below Average (~84th percentile)
-±1.5σ - Exceptional (~93rd percentile)
-±2.0σ - Elite (~98th percentile)
-±2.5σ - Freak (~99.4th percentile)
-±3.0σ - Once in a Generation (~99.9th percentile)
+const drawExceptionalMetrics = (writer, metrics) => {
+  const exceptional = metrics
+    .filter(m => Math.abs(m.sigma) >= EXCEPTIONAL_SIGMA)
+    .sort((a, b) => Math.abs(b.sigma) - Math.abs(a.sigma));
 
-━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-Generated by FreakForge - Athletic Performance Analysis
-Report Date: ${new Date().toLocaleDateString()}
-━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-`;
+  writer.sectionTitle(`Exceptional Metrics (|sigma| >= ${EXCEPTIONAL_SIGMA})`);
 
-  return report;
+  if (exceptional.length === 0) {
+    writer.paragraph(`No exceptional metrics found. All metrics within ±${EXCEPTIONAL_SIGMA} sigma of average.`);
+    return;
+  }
+
+  writer.table(
+    [
+      { header: '#', width: 8 },
+      { header: 'Metric', width: 72 },
+      { header: 'Value', width: 26, align: 'right' },
+      { header: 'Sigma', width: 22, align: 'right' },
+      { header: 'Percentile', width: 24, align: 'right' },
+      { header: 'Status', width: 28 }
+    ],
+    exceptional.map((metric, index) => {
+      const color = metric.sigma > 0 ? COLORS.green : COLORS.red;
+      return [
+        index + 1,
+        metric.isStandard ? metric.formula : `f: ${metric.formula}`,
+        typeof metric.value === 'number' ? formatNumber(metric.value, 3) : metric.value,
+        { text: formatSigma(metric.sigma), color },
+        formatPercentile(metric.percentile),
+        { text: metric.sigma > 0 ? 'Above Average' : 'Below Average', color }
+      ];
+    })
+  );
 };
 
-// Future: Add actual PDF generation with jsPDF
-/*
-import jsPDF from 'jspdf';
+const drawVideoAnalysis = (writer, doc, history) => {
+  if (!history || history.length === 0) return;
 
-export const exportAthleteToPDFWithGraphics = (athlete, metrics, canvasElement) => {
-  const doc = new jsPDF();
-  
-  // Add title
-  doc.setFontSize(20);
-  doc.text('FreakForge Analysis', 20, 20);
-  
-  // Add athlete info
-  doc.setFontSize(12);
-  doc.text(`${athlete.firstName} ${athlete.lastName}`, 20, 35);
-  doc.text(`Position: ${athlete.position} | State: ${athlete.state}`, 20, 42);
-  
-  // Add canvas image if provided
-  if (canvasElement) {
-    const imgData = canvasElement.toDataURL('image/png');
-    doc.addImage(imgData, 'PNG', 20, 50, 170, 80);
+  writer.sectionTitle('Video Analysis');
+
+  writer.table(
+    [
+      { header: 'Date', width: 24 },
+      { header: 'Drill', width: 62 },
+      { header: 'Max Speed (mph)', width: 32, align: 'right' },
+      { header: 'Max Accel (g)', width: 30, align: 'right' },
+      { header: 'Max Power', width: 32, align: 'right' }
+    ],
+    history.map(entry => [
+      entry.date || '-',
+      entry.drill || 'Custom Analysis',
+      formatNumber(entry.maxSpeedMph),
+      formatNumber(entry.maxAccelerationG),
+      formatNumber(entry.maxPower, 0)
+    ])
+  );
+
+  // Split times per run
+  const withSplits = history.filter(entry =>
+    entry.splits && Object.values(entry.splits).some(v => typeof v === 'number'));
+  if (withSplits.length === 0) return;
+
+  const distances = [...new Set(withSplits.flatMap(entry => Object.keys(entry.splits)))]
+    .sort((a, b) => Number(a) - Number(b));
+  const splitWidth = Math.min(24, (CONTENT_WIDTH - 86) / distances.length);
+
+  writer.y += 2;
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(9);
+  doc.setTextColor(...COLORS.gold);
+  writer.ensureSpace(8);
+  doc.text('Splits (sec)', MARGIN, writer.y);
+  writer.y += 5;
+
+  writer.table(
+    [
+      { header: 'Date', width: 24 },
+      { header: 'Drill', width: 62 },
+      ...distances.map(d => ({ header: `${d} yd`, width: splitWidth, align: 'right' }))
+    ],
+    withSplits.map(entry => [
+      entry.date || '-',
+      `${entry.drill || 'Custom Analysis'}${entry.hasTimeOverrides ? ' *' : ''}`,
+      ...distances.map(d => formatNumber(entry.splits[d]))
+    ])
+  );
+
+  if (withSplits.some(entry => entry.hasTimeOverrides)) {
+    writer.paragraph('* Includes manually entered times');
   }
-  
-  // Save
+};
+
+const drawInterpretationGuide = (writer) => {
+  writer.sectionTitle('Interpretation Guide');
+  writer.table(
+    [
+      { header: 'Sigma', width: 30 },
+      { header: 'Label', width: 70 },
+      { header: 'Percentile', width: 30, align: 'right' }
+    ],
+    [
+      [1.0, 'Above/Below Average'],
+      [1.5, 'Exceptional'],
+      [2.0, 'Elite'],
+      [2.5, 'Freak'],
+      [3.0, 'Once in a Generation']
+    ].map(([z, label]) => [`±${z.toFixed(1)}`, label, formatPercentile(zToPercentile(z))])
+  );
+};
+
+const drawFooters = (doc) => {
+  const pageCount = doc.getNumberOfPages();
+  for (let page = 1; page <= pageCount; page++) {
+    doc.setPage(page);
+    doc.setDrawColor(...COLORS.rule);
+    doc.setLineWidth(0.3);
+    doc.line(MARGIN, PAGE_HEIGHT - 12, PAGE_WIDTH - MARGIN, PAGE_HEIGHT - 12);
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(8);
+    doc.setTextColor(...COLORS.muted);
+    doc.text('Generated by FreakForge - Athletic Performance Analysis', MARGIN, PAGE_HEIGHT - 8);
+    doc.text(`Page ${page} of ${pageCount}`, PAGE_WIDTH - MARGIN, PAGE_HEIGHT - 8, { align: 'right' });
+  }
+};
+
+/**
+ * Build and download a PDF scouting report
+ * @param {Object} athlete - Athlete record
+ * @param {Object[]} metrics - FreakFinder metrics ({formula, value, sigma, percentile, isStandard})
+ * @param {Object} statistics - metricStatistics (kept for callers; scores come pre-computed in metrics)
+ * @param {Object} [options]
+ * @param {HTMLCanvasElement} [options.bellCurveCanvas] - FreakFinder bell curve to embed
+ */
+export const exportAthleteToPDF = (athlete, metrics, statistics, { bellCurveCanvas = null } = {}) => {
+  const doc = new jsPDF({ unit: 'mm', format: 'a4' });
+  const writer = createWriter(doc);
+
+  drawHeader(doc, athlete);
+  writer.y = 42;
+
+  drawAthleteInfo(writer, doc, athlete);
+  drawCharts(writer, athlete, bellCurveCanvas);
+  drawExceptionalMetrics(writer, metrics);
+  drawVideoAnalysis(writer, doc, dataService.getPerformanceHistory(athlete.id));
+  drawInterpretationGuide(writer);
+  drawFooters(doc);
+
   doc.save(`FreakForge-${athlete.firstName}-${athlete.lastName}.pdf`);
 };
-*/
+
+/**
+ * Build and download the multi-athlete comparison PDF
+ * @param {Object} report - Annotated comparison (see comparisonExport.annotateComparison)
+ * @param {Array<{title: string, image: string, width: number, height: number}>} radarImages - Overlaid radars
+ * @param {string} filename
+ */
+export const exportComparisonToPDF = (report, radarImages, filename) => {
+  const doc = new jsPDF({ unit: 'mm', format: 'a4' });
+  const writer = createWriter(doc);
+
+  doc.setFillColor(...COLORS.dark);
+  doc.rect(0, 0, PAGE_WIDTH, 32, 'F');
+  doc.setFillColor(...COLORS.accent);
+  doc.rect(0, 32, PAGE_WIDTH, 1.2, 'F');
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(20);
+  doc.setTextColor(251, 191, 36);
+  doc.text('FreakForge Comparison', MARGIN, 14);
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(10);
+  doc.setTextColor(254, 243, 199);
+  doc.text(`${report.athletes.length} athletes - sigma vs. ${report.baselineLabel}`, MARGIN, 21);
+  doc.setFontSize(9);
+  doc.setTextColor(148, 163, 184);
+  doc.text(new Date().toLocaleDateString(), PAGE_WIDTH - MARGIN, 14, { align: 'right' });
+  writer.y = 42;
+
+  writer.sectionTitle('Athletes');
+  writer.table(
+    [
+      { header: 'Athlete', width: 70 },
+      { header: 'Position', width: 30 },
+      { header: 'State', width: 30 },
+      { header: 'Class', width: 50 }
+    ],
+    report.athletes.map(a => [{ text: a.name, color: parseRgb(a.color.border) }, a.position || '-', a.state || '-', a.gradYear || '-'])
+  );
+
+  if (radarImages.length > 0) {
+    writer.sectionTitle('Overlaid Radars');
+    writer.imageRow(radarImages.map(r => ({ ...r, caption: r.title })), 70);
+  }
+
+  const metricWidth = 40;
+  const athleteWidth = (CONTENT_WIDTH - metricWidth) / report.athletes.length;
+  report.sections.forEach(section => {
+    if (section.rows.length === 0) return;
+    writer.sectionTitle(section.title);
+    writer.table(
+      [
+        { header: 'Metric', width: metricWidth },
+        ...report.athletes.map(a => ({ header: doc.splitTextToSize(a.name, athleteWidth - 3)[0], width: athleteWidth, align: 'center' }))
+      ],
+      section.rows.map(row => [
+        row.unit ? `${row.label} (${row.unit})` : row.label,
+        ...report.athletes.map(a => {
+          const cell = row.cells.find(c => c.athleteId === a.id) || {};
+          const isBest = row.bestAthleteId === a.id;
+          const hasSigma = cell.sigma !== null && cell.sigma !== undefined;
+          return {
+            text: `${cell.display || 'N/A'}${hasSigma ? `  ${formatSigma(cell.sigma)}` : ''}`,
+            color: hasSigma ? (cell.sigma > 0 ? COLORS.green : COLORS.red) : COLORS.muted,
+            fill: isBest ? [209, 250, 229] : null,
+            sub: isBest ? 'Best in group' : (cell.delta !== null && cell.delta !== undefined ? `${formatSigma(cell.delta)} vs best` : '')
+          };
+        })
+      ])
+    );
+  });
+
+  writer.paragraph('Sigma values are against the selected baseline; for time metrics faster is positive. Shaded cells mark the best in group; the second line shows each athlete\'s sigma gap to that best.');
+
+  drawFooters(doc);
+  doc.save(filename);
+};
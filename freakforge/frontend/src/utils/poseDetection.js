@@ -1,26 +1,73 @@
 /**
  * Pose Detection Utility
  * TensorFlow.js + BlazePose for human pose estimation
- * BlazePose provides 33 keypoints with better accuracy for athletic analysis
+ * BlazePose provides 33 keypoints with better accuracy for athletic analysis.
+ * Inference runs in a Web Worker where the browser supports it (see poseWorker.js),
+ * otherwise on the main thread. Frames are always decoded on the page by seeking the
+ * video element; only the model runs in the worker.
  */
 
-import * as tf from '@tensorflow/tfjs';
 import * as poseDetection from '@tensorflow-models/pose-detection';
-import { TRACKING_PROFILES, calculateCenterOfMass, calculateHeadPosition, calculateBiomechanics } from './trackingProfiles';
+import { TRACKING_PROFILES, KEYPOINTS, calculateCenterOfMass, calculateHeadPosition, calculateBiomechanics } from './trackingProfiles';
+import { createPoseTracker } from './poseTracking';
+import { selectBackend } from './tfBackend';
+import { buildFrameSchedule } from './videoTiming';
 
 // Detector instance (singleton)
 let detector = null;
+let detectorBackend = null;
 let isInitializing = false;
 let initPromise = null;
 let currentModel = null;
 
+// Worker pipeline: BlazePose in a Web Worker, fed frames by the page
+let poseWorker = null;
+let workerBackend = null;
+let workerRunId = 0;
+
+// Frames posted to the worker but not yet returned; bounds the decoded frames held in memory
+const MAX_FRAMES_IN_FLIGHT = 4;
+
+// Multi-person detector (MoveNet MultiPose), created on first use, in the pose worker
+// when it is running (multiInWorker) and on the main thread otherwise
+let multiDetector = null;
+let multiInWorker = false;
+let multiInitPromise = null;
+
+// MoveNet returns the 17 COCO keypoints; map them onto BlazePose indices so the
+// rest of the pipeline (center of mass, biomechanics, skeleton) works unchanged.
+// COCO has no heels or toes, so foot-based jump detection needs the single-athlete model.
+const COCO_TO_BLAZEPOSE = [
+  KEYPOINTS.NOSE,
+  KEYPOINTS.LEFT_EYE,
+  KEYPOINTS.RIGHT_EYE,
+  KEYPOINTS.LEFT_EAR,
+  KEYPOINTS.RIGHT_EAR,
+  KEYPOINTS.LEFT_SHOULDER,
+  KEYPOINTS.RIGHT_SHOULDER,
+  KEYPOINTS.LEFT_ELBOW,
+  KEYPOINTS.RIGHT_ELBOW,
+  KEYPOINTS.LEFT_WRIST,
+  KEYPOINTS.RIGHT_WRIST,
+  KEYPOINTS.LEFT_HIP,
+  KEYPOINTS.RIGHT_HIP,
+  KEYPOINTS.LEFT_KNEE,
+  KEYPOINTS.RIGHT_KNEE,
+  KEYPOINTS.LEFT_ANKLE,
+  KEYPOINTS.RIGHT_ANKLE
+];
+
+// A track needs detections in at least this fraction of frames to be kept
+const MIN_TRACK_COVERAGE = 0.2;
+
 /**
- * Initialize the BlazePose detector
+ * Initialize the BlazePose detector, in a worker when the browser supports the
+ * worker pipeline and on the main thread otherwise
  * @param {string} modelType - 'lite', 'full', or 'heavy' (default: 'full')
  * @returns {Promise<boolean>} Success status
  */
 export async function initializePoseDetector(modelType = 'full') {
-  if (detector && currentModel === modelType) {
+  if ((detector || poseWorker) && currentModel === modelType) {
     return true;
   }
 
@@ -32,28 +79,19 @@ export async function initializePoseDetector(modelType = 'full') {
 
   initPromise = (async () => {
     try {
-      // Set up TensorFlow.js backend
-      await tf.ready();
-
-      // Prefer WebGL for GPU acceleration
-      if (tf.getBackend() !== 'webgl') {
-        await tf.setBackend('webgl');
+      if (supportsWorkerPipeline()) {
+        try {
+          workerBackend = await initializePoseWorker(modelType);
+          currentModel = modelType;
+          console.log(`BlazePose worker initialized (${modelType} model, ${workerBackend} backend)`);
+          isInitializing = false;
+          return true;
+        } catch (error) {
+          console.warn('Pose worker unavailable, running pose detection on the main thread:', error);
+        }
       }
 
-      console.log('TensorFlow.js backend:', tf.getBackend());
-
-      // Create BlazePose detector
-      // lite = fastest, full = balanced, heavy = most accurate
-      const model = poseDetection.SupportedModels.BlazePose;
-      const detectorConfig = {
-        runtime: 'tfjs',
-        enableSmoothing: true,
-        modelType: modelType // 'lite', 'full', or 'heavy'
-      };
-
-      detector = await poseDetection.createDetector(model, detectorConfig);
-      currentModel = modelType;
-      console.log(`BlazePose detector initialized (${modelType} model)`);
+      await createMainThreadDetector(modelType);
 
       isInitializing = false;
       return true;
@@ -67,11 +105,33 @@ export async function initializePoseDetector(modelType = 'full') {
   return initPromise;
 }
 
+/**
+ * Create the main-thread BlazePose detector on the best available backend
+ */
+async function createMainThreadDetector(modelType) {
+  // WebGL for GPU acceleration, falling back to WASM/CPU on machines without it
+  detectorBackend = await selectBackend();
+  console.log('TensorFlow.js backend:', detectorBackend);
+
+  // Create BlazePose detector
+  // lite = fastest, full = balanced, heavy = most accurate
+  const model = poseDetection.SupportedModels.BlazePose;
+  const detectorConfig = {
+    runtime: 'tfjs',
+    enableSmoothing: true,
+    modelType: modelType // 'lite', 'full', or 'heavy'
+  };
+
+  detector = await poseDetection.createDetector(model, detectorConfig);
+  currentModel = modelType;
+  console.log(`BlazePose detector initialized (${modelType} model)`);
+}
+
 /**
  * Check if detector is ready
  */
 export function isDetectorReady() {
-  return detector !== null;
+  return detector !== null || poseWorker !== null;
 }
 
 /**
@@ -81,6 +141,18 @@ export function getCurrentModel() {
   return currentModel;
 }
 
+/**
+ * Where pose detection runs
+ * @returns {{model: string|null, backend: string|null, inWorker: boolean}}
+ */
+export function getDetectorInfo() {
+  return {
+    model: currentModel,
+    backend: poseWorker ? workerBackend : detectorBackend,
+    inWorker: poseWorker !== null
+  };
+}
+
 /**
  * Detect pose in a single frame
  * @param {HTMLVideoElement|HTMLCanvasElement|ImageData} input - Image source
@@ -125,52 +197,113 @@ export async function detectPose(input) {
 }
 
 /**
- * Calculate average confidence score from keypoints
+ * Initialize the multi-person detector (MoveNet MultiPose Lightning)
+ * @returns {Promise<boolean>} Success status
  */
-function calculateAverageScore(keypoints) {
-  const scores = Object.values(keypoints).map(kp => kp.score);
-  return scores.reduce((a, b) => a + b, 0) / scores.length;
+export async function initializeMultiPoseDetector() {
+  if (multiDetector || (multiInWorker && poseWorker)) {
+    return true;
+  }
+
+  if (!multiInitPromise) {
+    multiInitPromise = (async () => {
+      try {
+        if (poseWorker) {
+          try {
+            const ready = waitForWorkerMessage(poseWorker, 'ready');
+            poseWorker.postMessage({ type: 'initMulti' });
+            await ready;
+            multiInWorker = true;
+            console.log('MoveNet MultiPose detector initialized in the pose worker');
+            return true;
+          } catch (error) {
+            console.warn('MoveNet unavailable in the pose worker, running it on the main thread:', error);
+          }
+        }
+        await createMainThreadMultiDetector();
+        return true;
+      } catch (error) {
+        console.error('Failed to initialize multi-pose detector:', error);
+        multiInitPromise = null;
+        throw error;
+      }
+    })();
+  }
+
+  return multiInitPromise;
 }
 
 /**
- * Process entire video and extract pose data for all frames
- * @param {HTMLVideoElement} video - Video element
- * @param {Object} options - Processing options
- * @param {Function} onProgress - Progress callback (0-100)
- * @param {Function} onCancel - Returns true if processing should stop
- * @returns {Promise<Array>} Frame data array
+ * Create the main-thread MoveNet MultiPose detector
  */
-export async function processVideo(video, options = {}, onProgress = null, onCancel = null) {
-  if (!detector) {
-    throw new Error('Pose detector not initialized');
+async function createMainThreadMultiDetector() {
+  await selectBackend();
+  multiDetector = await poseDetection.createDetector(poseDetection.SupportedModels.MoveNet, {
+    modelType: poseDetection.movenet.modelType.MULTIPOSE_LIGHTNING,
+    // Identity is handled by poseTracking, seeded from the selected athlete
+    enableTracking: false
+  });
+  console.log('MoveNet MultiPose detector initialized');
+}
+
+/**
+ * A MoveNet pose with its COCO keypoints moved onto BlazePose indices
+ * @param {{keypoints: Array|Object, score: number}} pose - Keypoints by COCO index
+ */
+function toBlazePosePose(pose) {
+  const keypointsMap = {};
+  Object.entries(pose.keypoints).forEach(([index, kp]) => {
+    keypointsMap[COCO_TO_BLAZEPOSE[index]] = {
+      x: kp.x,
+      y: kp.y,
+      score: kp.score,
+      name: kp.name
+    };
+  });
+  return {
+    keypoints: keypointsMap,
+    score: pose.score || calculateAverageScore(keypointsMap)
+  };
+}
+
+/**
+ * Detect every person in a single frame
+ * @param {HTMLVideoElement|HTMLCanvasElement|ImageData} input - Image source
+ * @param {number} maxPoses - Most people to return
+ * @returns {Promise<Array<{keypoints: Object, score: number}>>} Poses with BlazePose-indexed keypoints
+ */
+export async function detectPoses(input, maxPoses = 6) {
+  if (!multiDetector) {
+    throw new Error('Multi-pose detector not initialized. Call initializeMultiPoseDetector() first.');
   }
 
-  const {
-    fps = 30,
-    profileId = 'linearSprint',
-    enableBiomechanics = false,
-    movementDirection = 'right',
-    startTime = 0,
-    endTime = null,
-    confidenceThreshold = 0.3,
-    athleteRegion = null,
-    cropRegion = null // { cropX, cropY, cropWidth, cropHeight }
-  } = options;
+  try {
+    const poses = await multiDetector.estimatePoses(input, {
+      maxPoses,
+      flipHorizontal: false
+    });
 
-  const profile = TRACKING_PROFILES[profileId];
-  if (!profile) {
-    throw new Error(`Unknown tracking profile: ${profileId}`);
+    return poses.map(toBlazePosePose);
+  } catch (error) {
+    console.error('Multi-pose detection error:', error);
+    return [];
   }
+}
 
-  const actualEndTime = endTime || video.duration;
-  const frameDuration = 1 / fps;
-  const totalFrames = Math.floor((actualEndTime - startTime) * fps);
+/**
+ * Calculate average confidence score from keypoints
+ */
+function calculateAverageScore(keypoints) {
+  const scores = Object.values(keypoints).map(kp => kp.score);
+  return scores.reduce((a, b) => a + b, 0) / scores.length;
+}
 
-  const frameData = [];
-  let prevKeypoints = null;
+// ============ FRAME EXTRACTION ============
 
-  // Create offscreen canvas for frame extraction
-  // If crop is applied, canvas size is the cropped region size
+/**
+ * Canvas sized to the (optionally cropped) video frame
+ */
+function createFrameCanvas(video, cropRegion) {
   const canvas = document.createElement('canvas');
   if (cropRegion) {
     canvas.width = cropRegion.cropWidth;
@@ -179,19 +312,39 @@ export async function processVideo(video, options = {}, onProgress = null, onCan
     canvas.width = video.videoWidth;
     canvas.height = video.videoHeight;
   }
+  return canvas;
+}
+
+/**
+ * Frames to process: the real presentation timestamps when known, else a 1/fps grid
+ */
+function getFrameSchedule(video, { fps, startTime, endTime, frameTimes }) {
+  return buildFrameSchedule({ fps, startTime, endTime: endTime || video.duration, frameTimes });
+}
+
+/**
+ * Seek to each scheduled frame, draw it to a canvas and hand it to `onFrame`
+ * @returns {Promise<boolean>} False if cancelled
+ */
+async function forEachVideoFrame(video, schedule, cropRegion, onFrame, onProgress, onCancel) {
+  const totalFrames = schedule.length;
+
+  // Create offscreen canvas for frame extraction
+  // If crop is applied, canvas size is the cropped region size
+  const canvas = createFrameCanvas(video, cropRegion);
   const ctx = canvas.getContext('2d');
 
   for (let i = 0; i < totalFrames; i++) {
     // Check for cancellation
     if (onCancel && onCancel()) {
       console.log('Processing cancelled');
-      break;
+      return false;
     }
 
-    const time = startTime + (i * frameDuration);
+    const { time, seekTime } = schedule[i];
 
     // Seek to frame
-    video.currentTime = time;
+    video.currentTime = seekTime;
     await waitForSeek(video);
 
     // Draw frame to canvas (with crop if specified)
@@ -206,12 +359,303 @@ export async function processVideo(video, options = {}, onProgress = null, onCan
       ctx.drawImage(video, 0, 0);
     }
 
-    // Detect pose
-    const poseResult = await detectPose(canvas);
+    await onFrame(canvas, i, time);
+
+    // Report progress
+    if (onProgress) {
+      onProgress(Math.round(((i + 1) / totalFrames) * 100));
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Offset keypoints detected on a cropped canvas back to full video coordinates,
+ * so calibration (in full video coords) matches keypoints
+ */
+function uncropKeypoints(keypoints, cropRegion) {
+  if (!cropRegion) return keypoints;
+  const offsetKeypoints = {};
+  Object.entries(keypoints).forEach(([k, v]) => {
+    if (v) {
+      offsetKeypoints[k] = {
+        ...v,
+        x: v.x + cropRegion.cropX,
+        y: v.y + cropRegion.cropY
+      };
+    }
+  });
+  return offsetKeypoints;
+}
+
+/**
+ * Frame record for a detected pose: profile keypoints, derived positions and confidence
+ */
+function buildFrame(keypoints, i, time, profile, { enableBiomechanics, movementDirection, confidenceThreshold }, prevKeypoints) {
+  // Filter to profile keypoints only, applying confidence threshold
+  const filteredKeypoints = {};
+  profile.keypoints.forEach(idx => {
+    if (keypoints[idx] && keypoints[idx].score >= confidenceThreshold) {
+      filteredKeypoints[idx] = keypoints[idx];
+    }
+  });
+
+  // Calculate derived positions
+  const centerOfMass = calculateCenterOfMass(keypoints);
+  const headPosition = calculateHeadPosition(keypoints);
+
+  // Calculate biomechanics if enabled
+  let biomechanics = null;
+  if (enableBiomechanics) {
+    biomechanics = calculateBiomechanics(keypoints, movementDirection, prevKeypoints);
+  }
+
+  // Calculate overall frame confidence
+  const keypointScores = Object.values(filteredKeypoints).map(kp => kp.score);
+  const frameConfidence = keypointScores.length > 0
+    ? keypointScores.reduce((a, b) => a + b, 0) / keypointScores.length
+    : 0;
+
+  return {
+    frame: i,
+    time,
+    keypoints: filteredKeypoints,
+    centerOfMass,
+    headPosition,
+    biomechanics,
+    confidence: frameConfidence,
+    isManuallyAdjusted: false
+  };
+}
+
+/**
+ * Placeholder for a frame with no pose, filled in by interpolateMissingFrames
+ */
+function missingFrame(i, time) {
+  return {
+    frame: i,
+    time,
+    keypoints: null,
+    centerOfMass: null,
+    headPosition: null,
+    biomechanics: null,
+    confidence: 0,
+    isManuallyAdjusted: false,
+    isMissing: true
+  };
+}
+
+// ============ WORKER PIPELINE ============
+
+/**
+ * True when the browser can run BlazePose in a worker: Web Workers, OffscreenCanvas
+ * and a transferable frame type (VideoFrame or ImageBitmap)
+ */
+export function supportsWorkerPipeline() {
+  return typeof Worker !== 'undefined' &&
+    typeof OffscreenCanvas !== 'undefined' &&
+    (typeof window.VideoFrame !== 'undefined' || typeof createImageBitmap !== 'undefined');
+}
+
+/**
+ * Resolve with the worker's next message of the given type; reject on an error message
+ */
+function waitForWorkerMessage(worker, type) {
+  return new Promise((resolve, reject) => {
+    const cleanup = () => {
+      worker.removeEventListener('message', onMessage);
+      worker.removeEventListener('error', onError);
+    };
+    const onMessage = ({ data }) => {
+      if (data.type === type) {
+        cleanup();
+        resolve(data);
+      } else if (data.type === 'error') {
+        cleanup();
+        reject(new Error(data.message));
+      }
+    };
+    const onError = (event) => {
+      cleanup();
+      reject(new Error(event.message || 'Pose worker failed to start'));
+    };
+    worker.addEventListener('message', onMessage);
+    worker.addEventListener('error', onError);
+  });
+}
+
+/**
+ * Start the pose worker and load BlazePose inside it
+ * @returns {Promise<string>} TensorFlow.js backend the worker is using
+ */
+async function initializePoseWorker(modelType) {
+  const worker = poseWorker || new Worker(new URL('./poseWorker.js', import.meta.url));
+  try {
+    const ready = waitForWorkerMessage(worker, 'ready');
+    worker.postMessage({ type: 'init', modelType });
+    const { backend } = await ready;
+    poseWorker = worker;
+    return backend;
+  } catch (error) {
+    worker.terminate();
+    poseWorker = null;
+    throw error;
+  }
+}
+
+/**
+ * Stop the pose worker; the models it held are recreated on the main thread when next needed
+ */
+function terminatePoseWorker() {
+  if (!poseWorker) return;
+  poseWorker.terminate();
+  poseWorker = null;
+  if (multiInWorker) {
+    multiInWorker = false;
+    multiInitPromise = null;
+  }
+}
+
+/**
+ * Grab the video's current frame in a form that can be transferred to the worker
+ */
+async function captureFrame(video, time) {
+  if (typeof window.VideoFrame !== 'undefined') {
+    return new window.VideoFrame(video, { timestamp: Math.round(time * 1e6) });
+  }
+  return createImageBitmap(video);
+}
+
+/**
+ * Seek through the scheduled frames on the page and have the worker estimate the pose
+ * for each. Seeking continues while earlier frames are still being estimated, up to
+ * MAX_FRAMES_IN_FLIGHT ahead; progress follows the worker's result batches.
+ * @param {number} maxPoses - Set to run the multi-person model for up to this many people
+ * @returns {Promise<Array<{index, time, keypoints}|{index, time, poses}>|null>} Per-frame results, or null if cancelled
+ * @throws {Error} If the worker fails, so the caller can fall back to the main thread
+ */
+async function detectFramesInWorker(video, schedule, cropRegion, onProgress, onCancel, maxPoses = null) {
+  const worker = poseWorker;
+  const runId = ++workerRunId;
+  const totalFrames = schedule.length;
+
+  const results = new Array(totalFrames).fill(null);
+  let sent = 0;
+  let completed = 0;
+  let failure = null;
+  let wake = null;
+
+  // Any worker message can unblock the seek loop
+  const notify = () => {
+    if (wake) {
+      wake();
+      wake = null;
+    }
+  };
+  const waitForWorker = () => new Promise(resolve => { wake = resolve; });
+
+  const onMessage = ({ data }) => {
+    if (data.runId !== runId) return;
+    if (data.type === 'results') {
+      data.results.forEach(result => { results[result.index] = result; });
+      completed += data.results.length;
+      if (onProgress) {
+        onProgress(Math.round((completed / totalFrames) * 100));
+      }
+    } else if (data.type === 'error') {
+      failure = new Error(data.message);
+    }
+    notify();
+  };
+  const onError = (event) => {
+    failure = new Error(event.message || 'Pose worker crashed');
+    notify();
+  };
+
+  const cancel = () => {
+    console.log('Processing cancelled');
+    worker.postMessage({ type: 'cancel' });
+    return null;
+  };
+
+  worker.addEventListener('message', onMessage);
+  worker.addEventListener('error', onError);
 
-    if (poseResult) {
-      const { keypoints, score } = poseResult;
+  try {
+    for (let i = 0; i < totalFrames; i++) {
+      if (onCancel && onCancel()) return cancel();
+      if (failure) throw failure;
+
+      const { time, seekTime } = schedule[i];
+      video.currentTime = seekTime;
+      await waitForSeek(video);
+      const frame = await captureFrame(video, time);
+
+      while (sent - completed >= MAX_FRAMES_IN_FLIGHT && !failure) {
+        await waitForWorker();
+      }
+      if (failure) {
+        frame.close();
+        throw failure;
+      }
+
+      // Transfer, not copy: the frame belongs to the worker from here on
+      worker.postMessage({ type: 'frame', runId, index: i, time, frame, cropRegion, maxPoses }, [frame]);
+      sent++;
+    }
+
+    while (completed < sent) {
+      if (onCancel && onCancel()) return cancel();
+      if (failure) throw failure;
+      await waitForWorker();
+    }
+    return results;
+  } finally {
+    worker.removeEventListener('message', onMessage);
+    worker.removeEventListener('error', onError);
+  }
+}
+
+// ============ VIDEO PROCESSING ============
+
+/**
+ * Process entire video and extract pose data for all frames
+ * @param {HTMLVideoElement} video - Video element
+ * @param {Object} options - Processing options
+ * @param {Function} onProgress - Progress callback (0-100)
+ * @param {Function} onCancel - Returns true if processing should stop
+ * @returns {Promise<Array>} Frame data array
+ */
+export async function processVideo(video, options = {}, onProgress = null, onCancel = null) {
+  if (!detector && !poseWorker) {
+    throw new Error('Pose detector not initialized');
+  }
+
+  const {
+    fps = 30,
+    profileId = 'linearSprint',
+    enableBiomechanics = false,
+    movementDirection = 'right',
+    startTime = 0,
+    endTime = null,
+    confidenceThreshold = 0.3,
+    athleteRegion = null,
+    cropRegion = null, // { cropX, cropY, cropWidth, cropHeight }
+    frameTimes = null, // Presentation timestamps from videoTiming; null samples a 1/fps grid
+    useWorker = true // false forces the main-thread seek loop
+  } = options;
 
+  const profile = TRACKING_PROFILES[profileId];
+  if (!profile) {
+    throw new Error(`Unknown tracking profile: ${profileId}`);
+  }
+
+  const frameData = [];
+  let prevKeypoints = null;
+
+  const addPose = (keypoints, i, time) => {
+    if (keypoints) {
       // If athlete region is specified, filter keypoints outside it
       let filteredByRegion = keypoints;
       if (athleteRegion) {
@@ -236,85 +680,164 @@ export async function processVideo(video, options = {}, onProgress = null, onCan
         }
       }
 
-      // If crop is applied, offset keypoints back to full video coordinates
-      // This ensures calibration (in full video coords) matches keypoints
-      if (cropRegion) {
-        const offsetKeypoints = {};
-        Object.entries(filteredByRegion).forEach(([k, v]) => {
-          if (v) {
-            offsetKeypoints[k] = {
-              ...v,
-              x: v.x + cropRegion.cropX,
-              y: v.y + cropRegion.cropY
-            };
-          }
-        });
-        filteredByRegion = offsetKeypoints;
-      }
-
-      // Filter to profile keypoints only, applying confidence threshold
-      const filteredKeypoints = {};
-      profile.keypoints.forEach(idx => {
-        if (filteredByRegion[idx] && filteredByRegion[idx].score >= confidenceThreshold) {
-          filteredKeypoints[idx] = filteredByRegion[idx];
-        }
-      });
-
-      // Calculate derived positions
-      const centerOfMass = calculateCenterOfMass(filteredByRegion);
-      const headPosition = calculateHeadPosition(filteredByRegion);
-
-      // Calculate biomechanics if enabled
-      let biomechanics = null;
-      if (enableBiomechanics) {
-        biomechanics = calculateBiomechanics(filteredByRegion, movementDirection, prevKeypoints);
-      }
-
-      // Calculate overall frame confidence
-      const keypointScores = Object.values(filteredKeypoints).map(kp => kp.score);
-      const frameConfidence = keypointScores.length > 0
-        ? keypointScores.reduce((a, b) => a + b, 0) / keypointScores.length
-        : 0;
-
-      frameData.push({
-        frame: i,
-        time,
-        keypoints: filteredKeypoints,
-        centerOfMass,
-        headPosition,
-        biomechanics,
-        confidence: frameConfidence,
-        isManuallyAdjusted: false
-      });
+      filteredByRegion = uncropKeypoints(filteredByRegion, cropRegion);
 
+      frameData.push(buildFrame(filteredByRegion, i, time, profile, { enableBiomechanics, movementDirection, confidenceThreshold }, prevKeypoints));
       prevKeypoints = filteredByRegion;
     } else {
       // No pose detected - interpolate or mark as missing
-      frameData.push({
-        frame: i,
-        time,
-        keypoints: null,
-        centerOfMass: null,
-        headPosition: null,
-        biomechanics: null,
-        confidence: 0,
-        isManuallyAdjusted: false,
-        isMissing: true
-      });
+      frameData.push(missingFrame(i, time));
     }
+  };
 
-    // Report progress
-    if (onProgress) {
-      onProgress(Math.round(((i + 1) / totalFrames) * 100));
+  const schedule = getFrameSchedule(video, { fps, startTime, endTime, frameTimes });
+  let workerResults = null;
+  if (useWorker && poseWorker) {
+    try {
+      workerResults = await detectFramesInWorker(video, schedule, cropRegion, onProgress, onCancel);
+    } catch (error) {
+      // A worker that fails mid-clip is dropped; this and later clips use the seek loop
+      console.warn('Pose worker failed, falling back to the main thread:', error);
+      terminatePoseWorker();
     }
   }
 
+  if (workerResults) {
+    workerResults.forEach((result, i) => addPose(result?.keypoints, i, schedule[i].time));
+  } else if (!(onCancel && onCancel())) {
+    if (!detector) {
+      await createMainThreadDetector(currentModel || 'full');
+    }
+    await forEachVideoFrame(video, schedule, cropRegion, async (canvas, i, time) => {
+      const poseResult = await detectPose(canvas);
+      addPose(poseResult?.keypoints, i, time);
+    }, onProgress, onCancel);
+  }
+
   // Interpolate missing frames
   interpolateMissingFrames(frameData);
 
   return frameData;
 }
 
+/**
+ * Process a video with several athletes in frame (heats, side-by-side starts).
+ * Every frame is run through the multi-person detector and poses are associated
+ * with persistent tracks, so each athlete gets their own frame data.
+ * @param {HTMLVideoElement} video - Video element
+ * @param {Object} options - processVideo options, plus `maxAthletes` (default 3). `athleteRegion` seeds track 1.
+ * @param {Function} onProgress - Progress callback (0-100)
+ * @param {Function} onCancel - Returns true if processing should stop
+ * @returns {Promise<Array<{id: number, seeded: boolean, coverage: number, frameData: Array}>>}
+ *   Tracks ordered left to right by starting position, with the seeded track first
+ */
+export async function processVideoMultiPerson(video, options = {}, onProgress = null, onCancel = null) {
+  if (!multiDetector && !multiInWorker) {
+    throw new Error('Multi-pose detector not initialized');
+  }
+
+  const {
+    fps = 30,
+    profileId = 'linearSprint',
+    enableBiomechanics = false,
+    movementDirection = 'right',
+    startTime = 0,
+    endTime = null,
+    confidenceThreshold = 0.3,
+    athleteRegion = null,
+    cropRegion = null,
+    frameTimes = null,
+    maxAthletes = 3,
+    useWorker = true
+  } = options;
+
+  const profile = TRACKING_PROFILES[profileId];
+  if (!profile) {
+    throw new Error(`Unknown tracking profile: ${profileId}`);
+  }
+
+  const trackFrames = new Map(); // track id -> frameData
+  const prevKeypoints = new Map();
+
+  // The selected athlete's track takes over the track they reappeared as after an occlusion
+  const mergeTrack = (fromId, intoId) => {
+    const from = trackFrames.get(fromId) || [];
+    const into = trackFrames.get(intoId);
+    if (into) from.forEach((frame, k) => { if (!frame.isMissing) into[k] = frame; });
+    trackFrames.delete(fromId);
+    if (prevKeypoints.has(fromId)) prevKeypoints.set(intoId, prevKeypoints.get(fromId));
+    prevKeypoints.delete(fromId);
+  };
+  const tracker = createPoseTracker({ maxTracks: maxAthletes, seedBox: athleteRegion, onMerge: mergeTrack });
+  let frameCount = 0;
+
+  const schedule = getFrameSchedule(video, { fps, startTime, endTime, frameTimes });
+  // A couple of spare detections give bystanders somewhere to go other than an athlete's track
+  const maxPoses = maxAthletes + 2;
+
+  const addPoses = (poses, i, time) => {
+    const detections = poses.map(pose => ({ ...pose, keypoints: uncropKeypoints(pose.keypoints, cropRegion) }));
+    const assignments = tracker.update(detections, time);
+
+    assignments.forEach((detection, trackId) => {
+      if (!trackFrames.has(trackId)) {
+        // Tracks that appear mid-clip are padded with missing frames from the start
+        trackFrames.set(trackId, Array.from({ length: i }, (_, k) => missingFrame(k, schedule[k].time)));
+      }
+    });
+
+    trackFrames.forEach((frames, trackId) => {
+      const detection = assignments.get(trackId);
+      if (detection) {
+        frames.push(buildFrame(detection.keypoints, i, time, profile, { enableBiomechanics, movementDirection, confidenceThreshold }, prevKeypoints.get(trackId)));
+        prevKeypoints.set(trackId, detection.keypoints);
+      } else {
+        frames.push(missingFrame(i, time));
+      }
+    });
+    frameCount = i + 1;
+  };
+
+  let workerResults = null;
+  if (useWorker && multiInWorker && poseWorker) {
+    try {
+      workerResults = await detectFramesInWorker(video, schedule, cropRegion, onProgress, onCancel, maxPoses);
+    } catch (error) {
+      console.warn('Pose worker failed, falling back to the main thread:', error);
+      terminatePoseWorker();
+    }
+  }
+
+  if (workerResults) {
+    workerResults.forEach((result, i) => addPoses((result?.poses || []).map(toBlazePosePose), i, schedule[i].time));
+  } else if (!(onCancel && onCancel())) {
+    if (!multiDetector) {
+      await createMainThreadMultiDetector();
+    }
+    await forEachVideoFrame(video, schedule, cropRegion, async (canvas, i, time) => {
+      addPoses(await detectPoses(canvas, maxPoses), i, time);
+    }, onProgress, onCancel);
+  }
+
+  const seededIds = new Set(tracker.getTracks().filter(track => track.seeded).map(track => track.id));
+
+  return [...trackFrames.entries()]
+    .map(([id, frameData]) => ({
+      id,
+      seeded: seededIds.has(id),
+      coverage: frameCount > 0 ? frameData.filter(f => !f.isMissing).length / frameCount : 0,
+      frameData
+    }))
+    .filter(track => track.seeded || track.coverage >= MIN_TRACK_COVERAGE)
+    .map(track => {
+      const startX = track.frameData.find(f => f.centerOfMass)?.centerOfMass.x ?? 0;
+      interpolateMissingFrames(track.frameData);
+      return { ...track, startX };
+    })
+    .sort((a, b) => (b.seeded - a.seeded) || (a.startX - b.startX))
+    .map(({ startX, ...track }) => track);
+}
+
 /**
  * Wait for video to finish seeking
  */
@@ -513,13 +1036,19 @@ export async function disposeDetector() {
     detector.dispose();
     detector = null;
   }
+  terminatePoseWorker();
 }
 
 export default {
   initializePoseDetector,
+  initializeMultiPoseDetector,
   isDetectorReady,
+  getDetectorInfo,
+  supportsWorkerPipeline,
   detectPose,
+  detectPoses,
   processVideo,
+  processVideoMultiPerson,
   applyManualAdjustment,
   detectMovementDirection,
   disposeDetector
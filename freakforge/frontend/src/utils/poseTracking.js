@@ -0,0 +1,273 @@
+/**
+ * Pose Tracking
+ * Keeps athlete identity across frames when several people are detected: each frame's
+ * poses are matched to existing tracks by bounding-box overlap (IoU) and keypoint distance
+ */
+
+// Keypoints below this score are ignored when building boxes and comparing poses
+const MIN_KEYPOINT_SCORE = 0.2;
+
+// ============ GEOMETRY ============
+
+/**
+ * Bounding box of a pose, in the same center-based shape as the athlete selection box
+ * @param {Object} keypoints - Indexed keypoints { idx: { x, y, score } }
+ * @returns {{x: number, y: number, width: number, height: number}|null}
+ */
+export function poseBoundingBox(keypoints) {
+  const points = Object.values(keypoints || {}).filter(kp => kp && (kp.score ?? 1) >= MIN_KEYPOINT_SCORE);
+  if (points.length < 2) return null;
+
+  const xs = points.map(kp => kp.x);
+  const ys = points.map(kp => kp.y);
+  const left = Math.min(...xs);
+  const right = Math.max(...xs);
+  const top = Math.min(...ys);
+  const bottom = Math.max(...ys);
+
+  return {
+    x: (left + right) / 2,
+    y: (top + bottom) / 2,
+    width: Math.max(right - left, 1),
+    height: Math.max(bottom - top, 1)
+  };
+}
+
+/**
+ * Intersection over union of two center-based boxes (0 = disjoint, 1 = identical)
+ */
+export function boxIoU(a, b) {
+  if (!a || !b) return 0;
+  const left = Math.max(a.x - a.width / 2, b.x - b.width / 2);
+  const right = Math.min(a.x + a.width / 2, b.x + b.width / 2);
+  const top = Math.max(a.y - a.height / 2, b.y - b.height / 2);
+  const bottom = Math.min(a.y + a.height / 2, b.y + b.height / 2);
+  if (right <= left || bottom <= top) return 0;
+
+  const intersection = (right - left) * (bottom - top);
+  return intersection / (a.width * a.height + b.width * b.height - intersection);
+}
+
+/**
+ * Mean distance between the keypoints two poses share, relative to body height
+ * so near and far athletes are judged alike
+ * @returns {number} Infinity when the poses share no confident keypoints
+ */
+export function keypointDistance(a, b, bodyHeight) {
+  let total = 0;
+  let count = 0;
+  Object.keys(a || {}).forEach(idx => {
+    const p = a[idx];
+    const q = b?.[idx];
+    if (!p || !q || (p.score ?? 1) < MIN_KEYPOINT_SCORE || (q.score ?? 1) < MIN_KEYPOINT_SCORE) return;
+    total += Math.hypot(p.x - q.x, p.y - q.y);
+    count++;
+  });
+  if (count === 0 || !(bodyHeight > 0)) return Infinity;
+  return total / count / bodyHeight;
+}
+
+// ============ TRACKER ============
+
+/**
+ * Frame-by-frame identity tracker. Call update() once per frame with that frame's
+ * detections and time; it returns which track each detection belongs to.
+ *
+ * Tracks are predicted forward at constant velocity, then matched greedily by a
+ * similarity that blends IoU with keypoint distance. When a seed box is given (the
+ * athlete selection box), the detection closest to it becomes track 1 and is flagged
+ * as seeded, so the selected athlete keeps the first slot.
+ *
+ * Other tracks retire after going undetected for `maxMissedTime` seconds, whatever the
+ * frame rate. The seeded track is never retired: once it has been lost that long it
+ * takes over the nearest track started since it was last seen (reported through
+ * `onMerge` so the caller can move that track's frames across), or else the nearest
+ * detection that would have started a new track.
+ *
+ * @param {Object} options
+ * @param {number} options.maxTracks - Most athletes tracked at once
+ * @param {Object} options.seedBox - Optional { x, y, width, height } around the selected athlete
+ * @param {number} options.maxMissedTime - Seconds a track may go undetected before it is retired
+ * @param {number} options.minIoU - Below this overlap a pair can still match on keypoint distance
+ * @param {number} options.maxKeypointDistance - Largest body-height-relative keypoint distance that can match
+ * @param {Function} options.onMerge - (fromId, intoId) when the seeded track takes over another track
+ * @returns {{update: Function, getTracks: Function}}
+ */
+export function createPoseTracker({
+  maxTracks = 3,
+  seedBox = null,
+  maxMissedTime = 0.5,
+  minIoU = 0.1,
+  maxKeypointDistance = 0.5,
+  onMerge = null
+} = {}) {
+  const tracks = [];
+  let nextId = 1;
+  let seeded = !seedBox;
+
+  const predictBox = (track) => ({
+    ...track.box,
+    x: track.box.x + track.velocity.x * (track.missed + 1),
+    y: track.box.y + track.velocity.y * (track.missed + 1)
+  });
+
+  const startTrack = (detection, time, isSeed = false) => {
+    const track = {
+      id: nextId++,
+      seeded: isSeed,
+      box: detection.box,
+      keypoints: detection.keypoints,
+      velocity: { x: 0, y: 0 },
+      missed: 0,
+      hits: 1,
+      firstSeen: time,
+      lastSeen: time,
+      retired: false
+    };
+    tracks.push(track);
+    return track;
+  };
+
+  // Distance between box centers in body heights
+  const boxDistance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y) / Math.max(a.height, b.height);
+
+  const similarity = (track, detection) => {
+    const predicted = predictBox(track);
+    const iou = boxIoU(predicted, detection.box);
+
+    // Shift the track's last pose by its motion before comparing keypoints
+    const dx = predicted.x - track.box.x;
+    const dy = predicted.y - track.box.y;
+    const shifted = Object.fromEntries(
+      Object.entries(track.keypoints).map(([idx, kp]) => [idx, { ...kp, x: kp.x + dx, y: kp.y + dy }])
+    );
+    const distance = keypointDistance(shifted, detection.keypoints, Math.max(track.box.height, detection.box.height));
+
+    if (iou < minIoU && distance > maxKeypointDistance) return null;
+    const closeness = Number.isFinite(distance) ? Math.max(0, 1 - distance / maxKeypointDistance) : 0;
+    return 0.5 * iou + 0.5 * closeness;
+  };
+
+  /**
+   * Associate one frame's detections with tracks
+   * @param {Array<{keypoints: Object}>} detections - Poses detected in the frame
+   * @param {number} time - Frame time (seconds)
+   * @returns {Map<number, Object>} Track id -> detection, for every track matched this frame
+   */
+  const update = (detections, time) => {
+    const candidates = detections
+      .map(detection => ({ ...detection, box: detection.box || poseBoundingBox(detection.keypoints) }))
+      .filter(detection => detection.box);
+    const assignments = new Map();
+    const used = new Set();
+
+    // The selected athlete claims the detection nearest the seed box the first time one is seen
+    if (!seeded && candidates.length > 0) {
+      let best = null;
+      let bestScore = -Infinity;
+      candidates.forEach((detection, k) => {
+        const iou = boxIoU(seedBox, detection.box);
+        const score = iou > 0 ? iou : -Math.hypot(detection.box.x - seedBox.x, detection.box.y - seedBox.y) / seedBox.height;
+        if (score > bestScore) {
+          bestScore = score;
+          best = k;
+        }
+      });
+      const track = startTrack(candidates[best], time, true);
+      assignments.set(track.id, candidates[best]);
+      used.add(best);
+      seeded = true;
+    }
+
+    // Greedy matching, most similar pairs first
+    const active = tracks.filter(track => !track.retired && !assignments.has(track.id));
+    const pairs = [];
+    active.forEach(track => {
+      candidates.forEach((detection, k) => {
+        if (used.has(k)) return;
+        const score = similarity(track, detection);
+        if (score !== null) pairs.push({ track, k, score });
+      });
+    });
+    pairs.sort((a, b) => b.score - a.score);
+
+    pairs.forEach(({ track, k }) => {
+      if (assignments.has(track.id) || used.has(k)) return;
+      const detection = candidates[k];
+      const smoothing = 0.5;
+      track.velocity = {
+        x: track.velocity.x * (1 - smoothing) + ((detection.box.x - track.box.x) / (track.missed + 1)) * smoothing,
+        y: track.velocity.y * (1 - smoothing) + ((detection.box.y - track.box.y) / (track.missed + 1)) * smoothing
+      };
+      track.box = detection.box;
+      track.keypoints = detection.keypoints;
+      track.missed = 0;
+      track.hits++;
+      track.lastSeen = time;
+      assignments.set(track.id, detection);
+      used.add(k);
+    });
+
+    // Unmatched tracks coast, and retire once they have been missing too long
+    tracks.forEach(track => {
+      if (track.retired || assignments.has(track.id)) return;
+      track.missed++;
+      if (!track.seeded && time - track.lastSeen > maxMissedTime) track.retired = true;
+    });
+
+    // A lost selected athlete usually comes back as a new track: take the nearest one over
+    const seed = tracks.find(track => track.seeded);
+    const seedLost = () => seed && !assignments.has(seed.id) && time - seed.lastSeen > maxMissedTime;
+    if (seedLost()) {
+      const successor = tracks
+        .filter(track => !track.retired && !track.seeded && track.firstSeen > seed.lastSeen)
+        .sort((a, b) => boxDistance(a.box, seed.box) - boxDistance(b.box, seed.box))[0];
+      if (successor) {
+        const { box, keypoints, velocity, missed, hits, lastSeen } = successor;
+        Object.assign(seed, { box, keypoints, velocity, missed, lastSeen, hits: seed.hits + hits });
+        successor.retired = true;
+        if (assignments.has(successor.id)) {
+          assignments.set(seed.id, assignments.get(successor.id));
+          assignments.delete(successor.id);
+        }
+        if (onMerge) onMerge(successor.id, seed.id);
+      }
+    }
+
+    // Otherwise the nearest detection that would start a new track re-attaches it
+    if (seedLost()) {
+      let nearest = null;
+      candidates.forEach((detection, k) => {
+        if (used.has(k)) return;
+        if (nearest === null || boxDistance(detection.box, seed.box) < boxDistance(candidates[nearest].box, seed.box)) nearest = k;
+      });
+      if (nearest !== null) {
+        const detection = candidates[nearest];
+        Object.assign(seed, { box: detection.box, keypoints: detection.keypoints, velocity: { x: 0, y: 0 }, missed: 0, hits: seed.hits + 1, lastSeen: time });
+        assignments.set(seed.id, detection);
+        used.add(nearest);
+      }
+    }
+
+    // Remaining detections start new tracks while there is room
+    candidates.forEach((detection, k) => {
+      if (used.has(k) || !seeded) return;
+      if (tracks.filter(track => !track.retired).length >= maxTracks) return;
+      const track = startTrack(detection, time);
+      assignments.set(track.id, detection);
+    });
+
+    return assignments;
+  };
+
+  const getTracks = () => tracks.map(({ id, seeded: isSeed, hits, retired }) => ({ id, seeded: isSeed, hits, retired }));
+
+  return { update, getTracks };
+}
+
+export default {
+  poseBoundingBox,
+  boxIoU,
+  keypointDistance,
+  createPoseTracker
+};
@@ -0,0 +1,73 @@
+import { boxIoU, createPoseTracker } from './poseTracking';
+
+// A stick figure 100px tall centered on (x, y)
+const pose = (x, y) => ({
+  keypoints: {
+    0: { x, y: y - 50, score: 0.9 },
+    11: { x: x - 10, y: y - 30, score: 0.9 },
+    12: { x: x + 10, y: y - 30, score: 0.9 },
+    23: { x: x - 8, y, score: 0.9 },
+    24: { x: x + 8, y, score: 0.9 },
+    29: { x: x - 8, y: y + 50, score: 0.9 },
+    30: { x: x + 8, y: y + 50, score: 0.9 }
+  }
+});
+
+const FPS = 240;
+
+// Athlete runs right at 5 px per frame; a bystander stands still at x = 100
+const runClip = (tracker, { frames, hidden = () => false }) => {
+  const seen = [];
+  for (let i = 0; i < frames; i++) {
+    const athlete = pose(300 + i * 5, 400);
+    const detections = [pose(100, 400), ...(hidden(i) ? [] : [athlete])];
+    const assignments = tracker.update(detections, i / FPS);
+    const athleteTrack = [...assignments.entries()].find(([, detection]) => detection.keypoints === athlete.keypoints);
+    seen.push(athleteTrack ? athleteTrack[0] : null);
+  }
+  return seen;
+};
+
+describe('boxIoU', () => {
+  it('is 1 for identical boxes and 0 for disjoint ones', () => {
+    const box = { x: 10, y: 10, width: 10, height: 10 };
+    expect(boxIoU(box, box)).toBe(1);
+    expect(boxIoU(box, { ...box, x: 30 })).toBe(0);
+  });
+});
+
+describe('createPoseTracker', () => {
+  it('keeps the seeded athlete through a short occlusion at a high frame rate', () => {
+    const tracker = createPoseTracker({ seedBox: { x: 300, y: 400, width: 30, height: 100 } });
+    // Hidden for 30 frames: 125 ms at 240 fps
+    const seen = runClip(tracker, { frames: 120, hidden: i => i >= 40 && i < 70 });
+
+    const ids = new Set(seen.filter(id => id !== null));
+    expect(ids).toEqual(new Set([1]));
+    expect(tracker.getTracks().find(track => track.id === 1)).toMatchObject({ seeded: true, retired: false });
+  });
+
+  it('re-attaches the seeded athlete after a long occlusion', () => {
+    const merges = [];
+    const tracker = createPoseTracker({
+      seedBox: { x: 300, y: 400, width: 30, height: 100 },
+      onMerge: (fromId, intoId) => merges.push([fromId, intoId])
+    });
+    // Hidden for a full second, long enough to lose the track
+    const seen = runClip(tracker, { frames: 480, hidden: i => i >= 40 && i < 280 });
+
+    expect(seen[300]).toBe(1);
+    expect(seen[479]).toBe(1);
+    merges.forEach(([, intoId]) => expect(intoId).toBe(1));
+  });
+
+  it('retires other tracks after the missing time, not a frame count', () => {
+    const tracker = createPoseTracker({ maxMissedTime: 0.5 });
+    tracker.update([pose(100, 400)], 0);
+    for (let i = 1; i <= 100; i++) tracker.update([], i / FPS);
+    expect(tracker.getTracks()[0].retired).toBe(false);
+
+    tracker.update([], 0.6);
+    expect(tracker.getTracks()[0].retired).toBe(true);
+  });
+});
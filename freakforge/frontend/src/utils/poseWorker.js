@@ -0,0 +1,180 @@
+/**
+ * Pose Worker
+ * Runs pose inference (BlazePose, or MoveNet MultiPose for heats) off the main thread.
+ * Only inference lives here: decoding stays on the page, which seeks the <video> and
+ * transfers each frame (a VideoFrame, or an ImageBitmap where VideoFrame is unavailable).
+ * Decoding in the worker with WebCodecs would need a demuxer for the uploaded MP4/WebM.
+ * The worker crops each frame on an OffscreenCanvas, estimates the pose(s) and posts the
+ * results back in batches.
+ *
+ * Messages in:  init { modelType }, initMulti, frame { runId, index, time, frame, cropRegion, maxPoses }, cancel
+ * Messages out: ready { backend }, results { runId, results: [{ index, time, keypoints } or { index, time, poses }] },
+ *               cancelled, error { runId, message }
+ *               Multi-person poses keep MoveNet's COCO keypoint indices; the page maps them.
+ */
+
+/* global globalThis */
+
+import * as poseDetection from '@tensorflow-models/pose-detection';
+import { selectBackend } from './tfBackend';
+
+// Results are posted once this many frames are done, or sooner when the queue runs dry
+const RESULT_BATCH_SIZE = 8;
+
+let detector = null;
+let multiDetector = null;
+let canvas = null;
+let ctx = null;
+const queue = [];
+let batch = [];
+let batchRunId = null;
+let isDraining = false;
+
+/**
+ * Load BlazePose on the best backend available inside the worker
+ * @returns {Promise<string>} Backend name
+ */
+async function initialize(modelType) {
+  const backend = await selectBackend();
+  if (detector) {
+    detector.dispose();
+    detector = null;
+  }
+  detector = await poseDetection.createDetector(poseDetection.SupportedModels.BlazePose, {
+    runtime: 'tfjs',
+    enableSmoothing: true,
+    modelType
+  });
+  return backend;
+}
+
+/**
+ * Load MoveNet MultiPose for multi-athlete clips
+ * @returns {Promise<string>} Backend name
+ */
+async function initializeMulti() {
+  const backend = await selectBackend();
+  if (!multiDetector) {
+    multiDetector = await poseDetection.createDetector(poseDetection.SupportedModels.MoveNet, {
+      modelType: poseDetection.movenet.modelType.MULTIPOSE_LIGHTNING,
+      enableTracking: false
+    });
+  }
+  return backend;
+}
+
+/**
+ * Keypoints of one pose keyed by index, as plain objects that survive postMessage
+ */
+function toKeypointMap(pose) {
+  const keypoints = {};
+  pose.keypoints.forEach((kp, idx) => {
+    keypoints[idx] = { x: kp.x, y: kp.y, score: kp.score, name: kp.name };
+  });
+  return keypoints;
+}
+
+/**
+ * Draw a transferred frame (cropped if requested) onto the worker's canvas and release it
+ */
+function drawFrame(frame, cropRegion) {
+  const width = cropRegion ? cropRegion.cropWidth : (frame.displayWidth || frame.width);
+  const height = cropRegion ? cropRegion.cropHeight : (frame.displayHeight || frame.height);
+
+  if (!canvas) {
+    canvas = new OffscreenCanvas(width, height);
+    ctx = canvas.getContext('2d');
+  } else if (canvas.width !== width || canvas.height !== height) {
+    canvas.width = width;
+    canvas.height = height;
+  }
+
+  if (cropRegion) {
+    ctx.drawImage(
+      frame,
+      cropRegion.cropX, cropRegion.cropY, cropRegion.cropWidth, cropRegion.cropHeight,
+      0, 0, cropRegion.cropWidth, cropRegion.cropHeight
+    );
+  } else {
+    ctx.drawImage(frame, 0, 0, width, height);
+  }
+  frame.close();
+}
+
+function flush() {
+  if (batch.length === 0) return;
+  globalThis.postMessage({ type: 'results', runId: batchRunId, results: batch });
+  batch = [];
+}
+
+/**
+ * Work through queued frames in order. Only one drain loop runs at a time; frames that
+ * arrive while it is busy are picked up by the same loop.
+ */
+async function drain() {
+  if (isDraining) return;
+  isDraining = true;
+
+  while (queue.length > 0) {
+    const { runId, index, time, frame, cropRegion, maxPoses } = queue.shift();
+    if (runId !== batchRunId) {
+      flush();
+      batchRunId = runId;
+    }
+
+    const result = maxPoses ? { index, time, poses: [] } : { index, time, keypoints: null };
+    try {
+      drawFrame(frame, cropRegion);
+      if (maxPoses) {
+        const poses = await multiDetector.estimatePoses(canvas, { maxPoses, flipHorizontal: false });
+        result.poses = poses.map(pose => ({ keypoints: toKeypointMap(pose), score: pose.score }));
+      } else {
+        const poses = await detector.estimatePoses(canvas, { flipHorizontal: false });
+        if (poses.length > 0) result.keypoints = toKeypointMap(poses[0]);
+      }
+    } catch (error) {
+      console.error('Pose detection error:', error);
+    }
+
+    batch.push(result);
+    if (batch.length >= RESULT_BATCH_SIZE || queue.length === 0) {
+      flush();
+    }
+  }
+
+  isDraining = false;
+}
+
+globalThis.addEventListener('message', async ({ data }) => {
+  switch (data.type) {
+    case 'init':
+    case 'initMulti':
+      try {
+        const backend = data.type === 'init' ? await initialize(data.modelType) : await initializeMulti();
+        globalThis.postMessage({ type: 'ready', backend });
+      } catch (error) {
+        globalThis.postMessage({ type: 'error', message: error.message });
+      }
+      break;
+
+    case 'frame':
+      if (!(data.maxPoses ? multiDetector : detector)) {
+        data.frame.close();
+        globalThis.postMessage({ type: 'error', runId: data.runId, message: 'Pose worker not initialized' });
+        return;
+      }
+      queue.push(data);
+      drain();
+      break;
+
+    case 'cancel':
+      // Drop queued frames; a frame already being estimated finishes under its old run id
+      queue.splice(0).forEach(({ frame }) => frame.close());
+      batch = [];
+      globalThis.postMessage({ type: 'cancelled' });
+      break;
+
+    default:
+      break;
+  }
+});
@@ -3,25 +3,35 @@
  * Helper functions for managing app settings and sigma calculations
  */
 
+import { getDefaultMetricFlips } from './metricRegistry';
+
 export const getSettings = () => {
   const saved = localStorage.getItem('freakforgeSettings');
   if (saved) {
-    return JSON.parse(saved);
+    const parsed = JSON.parse(saved);
+    return {
+      ...parsed,
+      metricFlips: { ...getDefaultMetricFlips(), ...parsed.metricFlips }
+    };
   }
   return {
     greenIsGood: false,
-    metricFlips: {
-      dash40: false,
-      proAgility: false,
-      lDrill: false,
-      verticalJump: false,
-      broadJump: false,
-      height: false,
-      weight: false
-    }
+    metricFlips: getDefaultMetricFlips()
   };
 };
 
+/**
+ * Percentile method for a metric ('normal' or 'empirical').
+ * Forged ratio keys look like 'dash40/weight' and default to empirical rank,
+ * since ratios are rarely normally distributed.
+ */
+export const getPercentileMethod = (metricKey) => {
+  const settings = getSettings();
+  const saved = settings.percentileMethods && settings.percentileMethods[metricKey];
+  if (saved) return saved;
+  return metricKey.includes('/') ? 'empirical' : 'normal';
+};
+
 export const applySigmaFlip = (metricKey, sigma) => {
   const settings = getSettings();
   
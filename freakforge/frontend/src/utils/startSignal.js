@@ -0,0 +1,218 @@
+/**
+ * Start Signal Detection
+ * Finds the starter's signal (a clap, whistle or beep) in the video's audio track with
+ * the Web Audio API, so sprints can be timed from the signal like a gun start and the
+ * athlete's reaction time measured
+ */
+
+// Audio is decoded at this rate; plenty for onsets and whistle pitch
+const DECODE_SAMPLE_RATE = 22050;
+
+// Loudness envelope window and hop (seconds)
+const ENVELOPE_WINDOW = 0.01;
+const ENVELOPE_HOP = 0.005;
+
+// The background level is the median envelope over this much audio before each point (seconds)
+const BACKGROUND_WINDOW = 0.5;
+
+// An onset must jump this far above the background (dB)...
+const MIN_ONSET_RISE_DB = 15;
+
+// ...and reach this level (dB full scale), so a jump out of near-silence doesn't count
+const MIN_ONSET_LEVEL_DB = -45;
+
+// Onsets closer together than this (seconds) are the same sound
+const MIN_ONSET_SEPARATION = 0.25;
+
+// Sound staying within 6 dB of its peak for longer than this (seconds) is a whistle or
+// beep rather than a clap
+const SUSTAINED_SIGNAL = 0.08;
+
+// Sustained signals pitched above this (Hz) are whistles, below it electronic beeps
+const WHISTLE_MIN_FREQUENCY = 1800;
+
+// The signal is looked for this long before the athlete's detected movement (seconds):
+// quicker than a human reaction plus the speed threshold's lag can't be the cue, and a
+// starter doesn't hold the athlete much longer than this after the signal
+const MIN_REACTION_LEAD = 0.1;
+const MAX_REACTION_LEAD = 1.0;
+
+// Number of candidate signals returned, the chosen one first and the rest strongest first
+const MAX_CANDIDATES = 5;
+
+const toDb = (amplitude) => 20 * Math.log10(amplitude + 1e-10);
+
+/**
+ * Decode the audio track of a video. The whole file is fetched (object URLs from an
+ * upload or a recording work) and decoded offline, so nothing plays through the speakers.
+ * @param {string} source - Video URL
+ * @returns {Promise<AudioBuffer>}
+ * @throws {Error} If Web Audio is unavailable or the video has no decodable audio
+ */
+export async function decodeAudioTrack(source) {
+  const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+  if (!OfflineContext) {
+    throw new Error('Web Audio is not supported in this browser');
+  }
+
+  const response = await fetch(source);
+  if (!response.ok) {
+    throw new Error(`Could not read the video for audio (${response.status})`);
+  }
+  const data = await response.arrayBuffer();
+
+  const context = new OfflineContext(1, 1, DECODE_SAMPLE_RATE);
+  try {
+    return await context.decodeAudioData(data);
+  } catch (error) {
+    throw new Error('The video has no audio track this browser can decode');
+  }
+}
+
+/**
+ * Mono mix of an audio buffer between two times
+ */
+function mixToMono(audioBuffer, startTime, endTime) {
+  const { sampleRate, numberOfChannels } = audioBuffer;
+  const from = Math.max(0, Math.floor(startTime * sampleRate));
+  const to = Math.min(audioBuffer.length, Math.ceil(endTime * sampleRate));
+  const mono = new Float32Array(Math.max(0, to - from));
+  for (let channel = 0; channel < numberOfChannels; channel++) {
+    const data = audioBuffer.getChannelData(channel).subarray(from, to);
+    for (let i = 0; i < mono.length; i++) mono[i] += data[i] / numberOfChannels;
+  }
+  return { samples: mono, offset: from };
+}
+
+/**
+ * RMS loudness (dB) in overlapping windows
+ */
+function loudnessEnvelope(samples, sampleRate) {
+  const window = Math.round(ENVELOPE_WINDOW * sampleRate);
+  const hop = Math.round(ENVELOPE_HOP * sampleRate);
+  const envelope = [];
+  for (let start = 0; start + window <= samples.length; start += hop) {
+    let sum = 0;
+    for (let i = start; i < start + window; i++) sum += samples[i] * samples[i];
+    envelope.push(toDb(Math.sqrt(sum / window)));
+  }
+  return { envelope, hop, window };
+}
+
+/**
+ * Classify a signal by how long it holds near its peak and, if sustained, its pitch
+ * (from the zero-crossing rate, which is reliable for tonal sounds)
+ */
+function classifySignal(samples, sampleRate, envelope, hop, startIdx) {
+  let peakIdx = startIdx;
+  const searchEnd = Math.min(envelope.length, startIdx + Math.round(0.05 / ENVELOPE_HOP));
+  for (let k = startIdx; k < searchEnd; k++) {
+    if (envelope[k] > envelope[peakIdx]) peakIdx = k;
+  }
+
+  let endIdx = peakIdx;
+  while (endIdx + 1 < envelope.length && envelope[endIdx + 1] >= envelope[peakIdx] - 6) endIdx++;
+  const duration = (endIdx - startIdx + 1) * ENVELOPE_HOP;
+  if (duration < SUSTAINED_SIGNAL) {
+    return { kind: 'clap', duration, frequency: null, peakDb: envelope[peakIdx] };
+  }
+
+  const from = peakIdx * hop;
+  const to = Math.min(samples.length, endIdx * hop);
+  let crossings = 0;
+  for (let i = from + 1; i < to; i++) {
+    if ((samples[i - 1] < 0) !== (samples[i] < 0)) crossings++;
+  }
+  const frequency = to > from ? crossings / (2 * ((to - from) / sampleRate)) : null;
+  return {
+    kind: frequency !== null && frequency >= WHISTLE_MIN_FREQUENCY ? 'whistle' : 'beep',
+    duration,
+    frequency,
+    peakDb: envelope[peakIdx]
+  };
+}
+
+/**
+ * Onset that cued a movement: the strongest within the reaction window before it, else
+ * the last one before it
+ * @param {Array} onsets - Onsets in time order
+ * @param {Array} byStrength - The same onsets, strongest first
+ * @returns {Object|null}
+ */
+function chooseByMovement(onsets, byStrength, movementTime) {
+  const inWindow = byStrength.find(onset => {
+    const lead = movementTime - onset.time;
+    return lead >= MIN_REACTION_LEAD && lead <= MAX_REACTION_LEAD;
+  });
+  if (inWindow) return inWindow;
+  const before = onsets.filter(onset => onset.time < movementTime);
+  return before.length > 0 ? before[before.length - 1] : null;
+}
+
+/**
+ * Find the start signal. When the athlete's first movement is known, the signal is the
+ * strongest onset in the reaction window before it (or failing that the last onset
+ * before it), since "set" calls before and footsteps after are often louder than the
+ * clap; otherwise it is the sharpest jump in loudness above the recent background.
+ * Each onset is placed on the first sample that rises halfway (in dB) from the
+ * background to the onset level, which is well inside a video frame.
+ * @param {AudioBuffer} audioBuffer - Decoded audio (see decodeAudioTrack)
+ * @param {Object} options
+ * @param {number} options.startTime - Search from (seconds of video)
+ * @param {number} options.endTime - Search until (seconds), defaults to the end
+ * @param {number} options.movementTime - Video time the athlete starts moving, or null
+ * @returns {Object|null} { time, kind, strength, frequency, candidates } - strength is the
+ *   rise above the background in dB; null when no onset stands out
+ */
+export function detectStartSignal(audioBuffer, { startTime = 0, endTime = null, movementTime = null } = {}) {
+  if (!audioBuffer) return null;
+  const { sampleRate } = audioBuffer;
+  const { samples, offset } = mixToMono(audioBuffer, startTime, endTime ?? audioBuffer.duration);
+  const { envelope, hop, window } = loudnessEnvelope(samples, sampleRate);
+  const backgroundLength = Math.round(BACKGROUND_WINDOW / ENVELOPE_HOP);
+  if (envelope.length < 2) return null;
+
+  const onsets = [];
+  let lastOnset = -Infinity;
+  for (let k = 1; k < envelope.length; k++) {
+    if (envelope[k] < MIN_ONSET_LEVEL_DB || (k - lastOnset) * ENVELOPE_HOP < MIN_ONSET_SEPARATION) continue;
+    const history = envelope.slice(Math.max(0, k - backgroundLength), k).sort((a, b) => a - b);
+    const background = history[Math.floor(history.length / 2)];
+    const rise = envelope[k] - background;
+    if (rise < MIN_ONSET_RISE_DB) continue;
+
+    // Strongest rise over the following 50 ms, as the envelope is still climbing at k
+    let strength = rise;
+    for (let j = k + 1; j < Math.min(envelope.length, k + Math.round(0.05 / ENVELOPE_HOP)); j++) {
+      strength = Math.max(strength, envelope[j] - background);
+    }
+
+    // Sample-accurate onset: first sample halfway (in dB) from the background to the onset level
+    const threshold = 10 ** ((background + rise / 2) / 20);
+    let onsetSample = k * hop + window - 1;
+    for (let i = Math.max(0, (k - 1) * hop); i < k * hop + window; i++) {
+      if (Math.abs(samples[i]) >= threshold) {
+        onsetSample = i;
+        break;
+      }
+    }
+
+    onsets.push({
+      time: (offset + onsetSample) / sampleRate,
+      strength,
+      ...classifySignal(samples, sampleRate, envelope, hop, k)
+    });
+    lastOnset = k;
+  }
+
+  if (onsets.length === 0) return null;
+  const byStrength = [...onsets].sort((a, b) => b.strength - a.strength);
+  const signal = (movementTime !== null && chooseByMovement(onsets, byStrength, movementTime)) || byStrength[0];
+  const candidates = [signal, ...byStrength.filter(onset => onset !== signal)].slice(0, MAX_CANDIDATES);
+  return { ...signal, candidates };
+}
+
+export default {
+  decodeAudioTrack,
+  detectStartSignal
+};
@@ -0,0 +1,67 @@
+import { detectStartSignal } from './startSignal';
+
+const SAMPLE_RATE = 22050;
+
+// Mono AudioBuffer stand-in: quiet hiss with tone bursts at the given times
+const fakeAudio = (duration, bursts) => {
+  const samples = new Float32Array(Math.round(duration * SAMPLE_RATE));
+  for (let i = 0; i < samples.length; i++) samples[i] = 1e-4 * Math.sin(i * 0.7);
+  bursts.forEach(({ time, length = 0.02, amplitude, frequency = 1000 }) => {
+    const from = Math.round(time * SAMPLE_RATE);
+    const to = Math.min(samples.length, from + Math.round(length * SAMPLE_RATE));
+    for (let i = from; i < to; i++) {
+      samples[i] = amplitude * Math.sin((2 * Math.PI * frequency * (i - from)) / SAMPLE_RATE);
+    }
+  });
+  return {
+    sampleRate: SAMPLE_RATE,
+    numberOfChannels: 1,
+    length: samples.length,
+    duration,
+    getChannelData: () => samples
+  };
+};
+
+// A loud "set" call, the starter's clap, then the athlete's louder footsteps
+const START = fakeAudio(3.5, [
+  { time: 0.6, amplitude: 0.9 },
+  { time: 2.0, amplitude: 0.3 },
+  { time: 2.6, amplitude: 0.9 },
+  { time: 2.95, amplitude: 0.9 }
+]);
+
+describe('detectStartSignal', () => {
+  it('takes the onset in the reaction window before movement, not the first or loudest', () => {
+    const signal = detectStartSignal(START, { movementTime: 2.4 });
+    expect(signal.time).toBeCloseTo(2.0, 2);
+    expect(signal.kind).toBe('clap');
+    expect(signal.candidates[0].time).toBe(signal.time);
+    expect(signal.candidates).toHaveLength(4);
+  });
+
+  it('falls back to the last onset before movement when none is in the window', () => {
+    const signal = detectStartSignal(START, { movementTime: 2.05 });
+    expect(signal.time).toBeCloseTo(2.0, 2);
+  });
+
+  it('takes the strongest onset when the movement is unknown', () => {
+    const signal = detectStartSignal(START);
+    expect(signal.strength).toBeGreaterThan(detectStartSignal(START, { movementTime: 2.4 }).strength);
+  });
+
+  it('reports times on the video clock when searching part of the track', () => {
+    const signal = detectStartSignal(START, { startTime: 1.5, endTime: 2.5 });
+    expect(signal.time).toBeCloseTo(2.0, 2);
+  });
+
+  it('tells a whistle from a clap', () => {
+    const audio = fakeAudio(2, [{ time: 1, length: 0.4, amplitude: 0.5, frequency: 3000 }]);
+    const signal = detectStartSignal(audio);
+    expect(signal.kind).toBe('whistle');
+    expect(signal.frequency).toBeGreaterThan(2500);
+  });
+
+  it('returns null for a silent track', () => {
+    expect(detectStartSignal(fakeAudio(2, []))).toBeNull();
+  });
+});
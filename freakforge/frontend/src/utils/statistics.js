@@ -0,0 +1,128 @@
+/**
+ * Statistics Utilities
+ * Normal-CDF and empirical rank percentiles for sigma-based metrics
+ */
+
+export const PERCENTILE_METHODS = {
+  normal: { id: 'normal', label: 'Normal CDF', description: 'Percentile from the z-score, assuming a normal distribution' },
+  empirical: { id: 'empirical', label: 'Empirical Rank', description: 'Share of the loaded population this value beats' }
+};
+
+/**
+ * Complementary error function (Numerical Recipes erfcc, fractional error < 1.2e-7)
+ * @param {number} x
+ * @returns {number} erfc(x)
+ */
+export const erfc = (x) => {
+  const z = Math.abs(x);
+  const t = 1 / (1 + 0.5 * z);
+  const r = t * Math.exp(
+    -z * z - 1.26551223 +
+    t * (1.00002368 +
+    t * (0.37409196 +
+    t * (0.09678418 +
+    t * (-0.18628806 +
+    t * (0.27886807 +
+    t * (-1.13520398 +
+    t * (1.48851587 +
+    t * (-0.82215223 +
+    t * 0.17087277)))))))));
+  return x >= 0 ? r : 2 - r;
+};
+
+/**
+ * Standard normal cumulative distribution function
+ * @param {number} z - z-score
+ * @returns {number} P(Z <= z) in [0, 1]
+ */
+export const normalCdf = (z) => 0.5 * erfc(-z / Math.SQRT2);
+
+/**
+ * Percentile (0-100) for a z-score
+ */
+export const zToPercentile = (z) => normalCdf(z) * 100;
+
+/**
+ * Empirical (mid-rank) percentile of a value within a population
+ * Ties count as half below, so the median of a symmetric sample sits at 50.
+ * @param {number} value - Value to rank
+ * @param {number[]} values - Population values
+ * @param {boolean} lowerIsBetter - Rank smaller values higher (times)
+ * @returns {number|null} Percentile 0-100, or null for an empty population
+ */
+export const empiricalPercentile = (value, values, lowerIsBetter = false) => {
+  if (!values || values.length === 0) return null;
+
+  let beaten = 0;
+  let ties = 0;
+  values.forEach(v => {
+    if (v === value) ties++;
+    else if (lowerIsBetter ? v > value : v < value) beaten++;
+  });
+
+  return ((beaten + ties / 2) / values.length) * 100;
+};
+
+/**
+ * Mean and sample standard deviation (n - 1), the convention used for every baseline
+ * including the imported metricStatistics. std is null with fewer than two values.
+ */
+export const describeSample = (values) => {
+  if (!values || values.length === 0) return { mean: null, std: null, count: 0 };
+  const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+  if (values.length < 2) return { mean, std: null, count: values.length };
+  const variance = values.reduce((sum, v) => sum + Math.pow(v - mean, 2), 0) / (values.length - 1);
+  return { mean, std: Math.sqrt(variance), count: values.length };
+};
+
+/**
+ * Percentile of a value using the chosen method
+ * @param {Object} params
+ * @param {number} params.value - Value to score
+ * @param {string} params.method - 'normal' | 'empirical'
+ * @param {number} [params.mean] - Population mean (normal; derived from values if omitted)
+ * @param {number} [params.std] - Population std (normal; derived from values if omitted)
+ * @param {number[]} [params.values] - Population values (empirical, or normal without mean/std)
+ * @param {boolean} [params.lowerIsBetter] - Invert so faster times score higher
+ * @returns {number|null} Percentile 0-100, or null when it cannot be computed
+ */
+export const calculatePercentile = ({ value, method = 'normal', mean, std, values, lowerIsBetter = false }) => {
+  if (value === null || value === undefined || Number.isNaN(value)) return null;
+
+  if (method === 'empirical') {
+    return empiricalPercentile(value, values, lowerIsBetter);
+  }
+
+  let mu = mean;
+  let sd = std;
+  if ((mu === null || mu === undefined || !sd) && values) {
+    ({ mean: mu, std: sd } = describeSample(values));
+  }
+  if (mu === null || mu === undefined || !sd) return null;
+
+  const z = (value - mu) / sd;
+  return zToPercentile(lowerIsBetter ? -z : z);
+};
+
+/**
+ * Format a percentile for display, keeping a decimal in the tails where
+ * rounding would otherwise turn 99.6 into 100
+ */
+export const formatPercentile = (percentile) => {
+  if (percentile === null || percentile === undefined) return 'N/A';
+  if (percentile > 99.9) return '>99.9';
+  if (percentile < 0.1) return '<0.1';
+  if (percentile >= 99 || percentile <= 1) return percentile.toFixed(1);
+  return Math.round(percentile).toString();
+};
+
+export default {
+  PERCENTILE_METHODS,
+  erfc,
+  normalCdf,
+  zToPercentile,
+  empiricalPercentile,
+  describeSample,
+  calculatePercentile,
+  formatPercentile
+};
@@ -0,0 +1,48 @@
+/**
+ * TensorFlow.js Backend
+ * Picks the fastest backend the machine supports: WebGL on the GPU, then WASM, then
+ * the plain JavaScript CPU backend for machines (and workers) without WebGL
+ */
+
+import * as tf from '@tensorflow/tfjs';
+import { setWasmPaths } from '@tensorflow/tfjs-backend-wasm';
+import wasmPath from '@tensorflow/tfjs-backend-wasm/dist/tfjs-backend-wasm.wasm';
+import wasmSimdPath from '@tensorflow/tfjs-backend-wasm/dist/tfjs-backend-wasm-simd.wasm';
+import wasmThreadedSimdPath from '@tensorflow/tfjs-backend-wasm/dist/tfjs-backend-wasm-threaded-simd.wasm';
+
+// The WASM binaries are emitted as build assets and served with the app, so they always
+// match the installed backend version and load without a third-party CDN
+setWasmPaths({
+  'tfjs-backend-wasm.wasm': wasmPath,
+  'tfjs-backend-wasm-simd.wasm': wasmSimdPath,
+  'tfjs-backend-wasm-threaded-simd.wasm': wasmThreadedSimdPath
+});
+
+// Fastest first
+export const BACKEND_PREFERENCE = ['webgl', 'wasm', 'cpu'];
+
+/**
+ * Switch TensorFlow.js to the first backend in the list that initializes
+ * @param {string[]} preference - Backend names, fastest first
+ * @returns {Promise<string>} Name of the active backend
+ * @throws {Error} If none of the backends can be used
+ */
+export async function selectBackend(preference = BACKEND_PREFERENCE) {
+  for (const name of preference) {
+    try {
+      // setBackend resolves false when the backend fails to initialize (e.g. no WebGL context)
+      if (await tf.setBackend(name)) {
+        await tf.ready();
+        return name;
+      }
+    } catch (error) {
+      console.warn(`TensorFlow.js ${name} backend unavailable:`, error);
+    }
+  }
+  throw new Error('No TensorFlow.js backend available on this device');
+}
+
+export default {
+  BACKEND_PREFERENCE,
+  selectBackend
+};
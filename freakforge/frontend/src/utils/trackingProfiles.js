@@ -65,39 +65,91 @@ export const MOVENET_KEYPOINTS = {
 // Use BlazePose as the primary keypoint system
 export const KEYPOINTS = BLAZEPOSE_KEYPOINTS;
 
-// Skeleton connections for visualization (BlazePose)
+// Full-body skeleton (BlazePose), shared by every profile
+const FULL_BODY_CONNECTIONS = [
+  // Head
+  [KEYPOINTS.LEFT_EAR, KEYPOINTS.RIGHT_EAR],
+  [KEYPOINTS.NOSE, KEYPOINTS.LEFT_EYE],
+  [KEYPOINTS.NOSE, KEYPOINTS.RIGHT_EYE],
+  // Shoulders
+  [KEYPOINTS.LEFT_SHOULDER, KEYPOINTS.RIGHT_SHOULDER],
+  // Left arm
+  [KEYPOINTS.LEFT_SHOULDER, KEYPOINTS.LEFT_ELBOW],
+  [KEYPOINTS.LEFT_ELBOW, KEYPOINTS.LEFT_WRIST],
+  // Right arm
+  [KEYPOINTS.RIGHT_SHOULDER, KEYPOINTS.RIGHT_ELBOW],
+  [KEYPOINTS.RIGHT_ELBOW, KEYPOINTS.RIGHT_WRIST],
+  // Torso
+  [KEYPOINTS.LEFT_SHOULDER, KEYPOINTS.LEFT_HIP],
+  [KEYPOINTS.RIGHT_SHOULDER, KEYPOINTS.RIGHT_HIP],
+  // Hips
+  [KEYPOINTS.LEFT_HIP, KEYPOINTS.RIGHT_HIP],
+  // Left leg
+  [KEYPOINTS.LEFT_HIP, KEYPOINTS.LEFT_KNEE],
+  [KEYPOINTS.LEFT_KNEE, KEYPOINTS.LEFT_ANKLE],
+  [KEYPOINTS.LEFT_ANKLE, KEYPOINTS.LEFT_HEEL],
+  [KEYPOINTS.LEFT_HEEL, KEYPOINTS.LEFT_FOOT_INDEX],
+  [KEYPOINTS.LEFT_ANKLE, KEYPOINTS.LEFT_FOOT_INDEX],
+  // Right leg
+  [KEYPOINTS.RIGHT_HIP, KEYPOINTS.RIGHT_KNEE],
+  [KEYPOINTS.RIGHT_KNEE, KEYPOINTS.RIGHT_ANKLE],
+  [KEYPOINTS.RIGHT_ANKLE, KEYPOINTS.RIGHT_HEEL],
+  [KEYPOINTS.RIGHT_HEEL, KEYPOINTS.RIGHT_FOOT_INDEX],
+  [KEYPOINTS.RIGHT_ANKLE, KEYPOINTS.RIGHT_FOOT_INDEX]
+];
+
+// Skeleton connections for visualization, per profile
 export const SKELETON_CONNECTIONS = {
-  linearSprint: [
-    // Head
-    [KEYPOINTS.LEFT_EAR, KEYPOINTS.RIGHT_EAR],
-    [KEYPOINTS.NOSE, KEYPOINTS.LEFT_EYE],
-    [KEYPOINTS.NOSE, KEYPOINTS.RIGHT_EYE],
-    // Shoulders
-    [KEYPOINTS.LEFT_SHOULDER, KEYPOINTS.RIGHT_SHOULDER],
-    // Left arm
-    [KEYPOINTS.LEFT_SHOULDER, KEYPOINTS.LEFT_ELBOW],
-    [KEYPOINTS.LEFT_ELBOW, KEYPOINTS.LEFT_WRIST],
-    // Right arm
-    [KEYPOINTS.RIGHT_SHOULDER, KEYPOINTS.RIGHT_ELBOW],
-    [KEYPOINTS.RIGHT_ELBOW, KEYPOINTS.RIGHT_WRIST],
-    // Torso
-    [KEYPOINTS.LEFT_SHOULDER, KEYPOINTS.LEFT_HIP],
-    [KEYPOINTS.RIGHT_SHOULDER, KEYPOINTS.RIGHT_HIP],
-    // Hips
-    [KEYPOINTS.LEFT_HIP, KEYPOINTS.RIGHT_HIP],
-    // Left leg
-    [KEYPOINTS.LEFT_HIP, KEYPOINTS.LEFT_KNEE],
-    [KEYPOINTS.LEFT_KNEE, KEYPOINTS.LEFT_ANKLE],
-    [KEYPOINTS.LEFT_ANKLE, KEYPOINTS.LEFT_HEEL],
-    [KEYPOINTS.LEFT_HEEL, KEYPOINTS.LEFT_FOOT_INDEX],
-    [KEYPOINTS.LEFT_ANKLE, KEYPOINTS.LEFT_FOOT_INDEX],
-    // Right leg
-    [KEYPOINTS.RIGHT_HIP, KEYPOINTS.RIGHT_KNEE],
-    [KEYPOINTS.RIGHT_KNEE, KEYPOINTS.RIGHT_ANKLE],
-    [KEYPOINTS.RIGHT_ANKLE, KEYPOINTS.RIGHT_HEEL],
-    [KEYPOINTS.RIGHT_HEEL, KEYPOINTS.RIGHT_FOOT_INDEX],
-    [KEYPOINTS.RIGHT_ANKLE, KEYPOINTS.RIGHT_FOOT_INDEX]
-  ]
+  linearSprint: FULL_BODY_CONNECTIONS,
+  proAgility: FULL_BODY_CONNECTIONS,
+  lDrill: FULL_BODY_CONNECTIONS,
+  verticalJump: FULL_BODY_CONNECTIONS,
+  broadJump: FULL_BODY_CONNECTIONS
+};
+
+// Body keypoints tracked by the full-body profiles (face detail and hands are skipped)
+const FULL_BODY_KEYPOINTS = [
+    KEYPOINTS.NOSE,
+    KEYPOINTS.LEFT_EAR,
+    KEYPOINTS.RIGHT_EAR,
+    KEYPOINTS.LEFT_SHOULDER,
+    KEYPOINTS.RIGHT_SHOULDER,
+    KEYPOINTS.LEFT_ELBOW,
+    KEYPOINTS.RIGHT_ELBOW,
+    KEYPOINTS.LEFT_WRIST,
+    KEYPOINTS.RIGHT_WRIST,
+    KEYPOINTS.LEFT_HIP,
+    KEYPOINTS.RIGHT_HIP,
+    KEYPOINTS.LEFT_KNEE,
+    KEYPOINTS.RIGHT_KNEE,
+    KEYPOINTS.LEFT_ANKLE,
+    KEYPOINTS.RIGHT_ANKLE,
+    KEYPOINTS.LEFT_HEEL,
+    KEYPOINTS.RIGHT_HEEL,
+    KEYPOINTS.LEFT_FOOT_INDEX,
+    KEYPOINTS.RIGHT_FOOT_INDEX
+];
+
+const FULL_BODY_KEYPOINT_NAMES = {
+    [KEYPOINTS.NOSE]: 'Nose',
+    [KEYPOINTS.LEFT_EAR]: 'Left Ear',
+    [KEYPOINTS.RIGHT_EAR]: 'Right Ear',
+    [KEYPOINTS.LEFT_SHOULDER]: 'Left Shoulder',
+    [KEYPOINTS.RIGHT_SHOULDER]: 'Right Shoulder',
+    [KEYPOINTS.LEFT_ELBOW]: 'Left Elbow',
+    [KEYPOINTS.RIGHT_ELBOW]: 'Right Elbow',
+    [KEYPOINTS.LEFT_WRIST]: 'Left Wrist',
+    [KEYPOINTS.RIGHT_WRIST]: 'Right Wrist',
+    [KEYPOINTS.LEFT_HIP]: 'Left Hip',
+    [KEYPOINTS.RIGHT_HIP]: 'Right Hip',
+    [KEYPOINTS.LEFT_KNEE]: 'Left Knee',
+    [KEYPOINTS.RIGHT_KNEE]: 'Right Knee',
+    [KEYPOINTS.LEFT_ANKLE]: 'Left Ankle',
+    [KEYPOINTS.RIGHT_ANKLE]: 'Right Ankle',
+    [KEYPOINTS.LEFT_HEEL]: 'Left Heel',
+    [KEYPOINTS.RIGHT_HEEL]: 'Right Heel',
+    [KEYPOINTS.LEFT_FOOT_INDEX]: 'Left Toe',
+    [KEYPOINTS.RIGHT_FOOT_INDEX]: 'Right Toe'
 };
 
 // Tracking profiles for different event types
@@ -108,50 +160,10 @@ export const TRACKING_PROFILES = {
     description: '40-yard, 10-yard fly, 10m, 60-yard, 100m, etc.',
 
     // Keypoints to track (BlazePose indices)
-    keypoints: [
-      KEYPOINTS.NOSE,
-      KEYPOINTS.LEFT_EAR,
-      KEYPOINTS.RIGHT_EAR,
-      KEYPOINTS.LEFT_SHOULDER,
-      KEYPOINTS.RIGHT_SHOULDER,
-      KEYPOINTS.LEFT_ELBOW,
-      KEYPOINTS.RIGHT_ELBOW,
-      KEYPOINTS.LEFT_WRIST,
-      KEYPOINTS.RIGHT_WRIST,
-      KEYPOINTS.LEFT_HIP,
-      KEYPOINTS.RIGHT_HIP,
-      KEYPOINTS.LEFT_KNEE,
-      KEYPOINTS.RIGHT_KNEE,
-      KEYPOINTS.LEFT_ANKLE,
-      KEYPOINTS.RIGHT_ANKLE,
-      KEYPOINTS.LEFT_HEEL,
-      KEYPOINTS.RIGHT_HEEL,
-      KEYPOINTS.LEFT_FOOT_INDEX,
-      KEYPOINTS.RIGHT_FOOT_INDEX
-    ],
+    keypoints: FULL_BODY_KEYPOINTS,
 
     // Keypoint display names
-    keypointNames: {
-      [KEYPOINTS.NOSE]: 'Nose',
-      [KEYPOINTS.LEFT_EAR]: 'Left Ear',
-      [KEYPOINTS.RIGHT_EAR]: 'Right Ear',
-      [KEYPOINTS.LEFT_SHOULDER]: 'Left Shoulder',
-      [KEYPOINTS.RIGHT_SHOULDER]: 'Right Shoulder',
-      [KEYPOINTS.LEFT_ELBOW]: 'Left Elbow',
-      [KEYPOINTS.RIGHT_ELBOW]: 'Right Elbow',
-      [KEYPOINTS.LEFT_WRIST]: 'Left Wrist',
-      [KEYPOINTS.RIGHT_WRIST]: 'Right Wrist',
-      [KEYPOINTS.LEFT_HIP]: 'Left Hip',
-      [KEYPOINTS.RIGHT_HIP]: 'Right Hip',
-      [KEYPOINTS.LEFT_KNEE]: 'Left Knee',
-      [KEYPOINTS.RIGHT_KNEE]: 'Right Knee',
-      [KEYPOINTS.LEFT_ANKLE]: 'Left Ankle',
-      [KEYPOINTS.RIGHT_ANKLE]: 'Right Ankle',
-      [KEYPOINTS.LEFT_HEEL]: 'Left Heel',
-      [KEYPOINTS.RIGHT_HEEL]: 'Right Heel',
-      [KEYPOINTS.LEFT_FOOT_INDEX]: 'Left Toe',
-      [KEYPOINTS.RIGHT_FOOT_INDEX]: 'Right Toe'
-    },
+    keypointNames: FULL_BODY_KEYPOINT_NAMES,
 
     // Core metrics (always calculated)
     coreMetrics: ['velocity', 'acceleration', 'centerOfMass'],
@@ -164,13 +176,107 @@ export const TRACKING_PROFILES = {
     defaultSplits: [10, 20, 30, 40],
 
     // Direction of movement (for lead leg detection)
-    movementAxis: 'horizontal' // 'horizontal' or 'vertical'
+    movementAxis: 'horizontal', // 'horizontal' or 'vertical'
+
+    // Manual start, end and split times re-time the results; the drill and jump
+    // profiles time themselves from the tracking and ignore them
+    manualTiming: true
+  },
+
+  proAgility: {
+    id: 'proAgility',
+    name: 'Pro Agility (5-10-5)',
+    description: '5-10-5 shuttle with two direction changes',
+
+    keypoints: FULL_BODY_KEYPOINTS,
+    keypointNames: FULL_BODY_KEYPOINT_NAMES,
+
+    coreMetrics: ['velocity', 'acceleration', 'centerOfMass', 'turns'],
+
+    // Lead leg flips at every turn, so sprint biomechanics are off by default
+    biomechanicsMetrics: ['spineAngle'],
+    enableBiomechanics: false,
+
+    // Legs of the shuttle (yards) instead of cumulative splits
+    segments: [5, 10, 5],
+    defaultSplits: [],
+
+    movementAxis: 'horizontal',
+
+    // Calibration template and athlete record field the result maps to
+    drillTemplate: '5-10-5',
+    athleteField: 'proAgility'
+  },
+
+  lDrill: {
+    id: 'lDrill',
+    name: 'L-Drill (3-Cone)',
+    description: '3-cone L-drill, timed over the full 2D path',
+
+    keypoints: FULL_BODY_KEYPOINTS,
+    keypointNames: FULL_BODY_KEYPOINT_NAMES,
+
+    coreMetrics: ['velocity', 'acceleration', 'centerOfMass', 'path', 'corners'],
+
+    biomechanicsMetrics: ['spineAngle'],
+    enableBiomechanics: false,
+
+    defaultSplits: [],
+
+    movementAxis: 'horizontal',
+
+    // Needs the 3-cone calibration so the path can be placed against the cones
+    drillTemplate: 'l-drill',
+    requiresCones: true,
+    athleteField: 'lDrill'
+  },
+
+  verticalJump: {
+    id: 'verticalJump',
+    name: 'Vertical Jump',
+    description: 'Countermovement jump filmed side-on',
+
+    keypoints: FULL_BODY_KEYPOINTS,
+    keypointNames: FULL_BODY_KEYPOINT_NAMES,
+
+    coreMetrics: ['centerOfMass', 'flightTime', 'jumpHeight', 'countermovement'],
+
+    // Knee and hip angles are reported at the bottom of the dip and at takeoff instead
+    biomechanicsMetrics: [],
+    enableBiomechanics: false,
+
+    defaultSplits: [],
+
+    // Jump height is measured up the frame, so the scale must come from a vertical reference
+    movementAxis: 'vertical',
+
+    drillTemplate: 'vertical-jump',
+    athleteField: 'verticalJump'
+  },
+
+  broadJump: {
+    id: 'broadJump',
+    name: 'Broad Jump',
+    description: 'Standing long jump filmed side-on',
+
+    keypoints: FULL_BODY_KEYPOINTS,
+    keypointNames: FULL_BODY_KEYPOINT_NAMES,
+
+    coreMetrics: ['centerOfMass', 'flightTime', 'jumpDistance', 'takeoffAngle'],
+
+    biomechanicsMetrics: [],
+    enableBiomechanics: false,
+
+    defaultSplits: [],
+
+    movementAxis: 'horizontal',
+
+    // Distance is measured takeoff toe to rearmost landing heel
+    drillTemplate: 'broad-jump',
+    athleteField: 'broadJump'
   }
 
   // Future profiles can be added here:
-  // proAgility: { ... },
-  // lDrill: { ... },
-  // verticalJump: { ... },
   // lateralMovement: { ... }
 };
 
@@ -392,6 +498,44 @@ export function calculateFootAngle(keypoints, leadLeg = 'left', prevKeypoints =
   return angleRad * (180 / Math.PI);
 }
 
+/**
+ * Interior angle at joint b formed by a-b-c, in degrees (180° = fully extended)
+ */
+export function calculateJointAngle(a, b, c) {
+  if (!a || !b || !c) {
+    return null;
+  }
+
+  const minConfidence = 0.3;
+  if ([a, b, c].some(kp => kp.score !== undefined && kp.score < minConfidence)) {
+    return null;
+  }
+
+  const angle1 = Math.atan2(a.y - b.y, a.x - b.x);
+  const angle2 = Math.atan2(c.y - b.y, c.x - b.x);
+  let degrees = Math.abs(angle1 - angle2) * (180 / Math.PI);
+  if (degrees > 180) degrees = 360 - degrees;
+  return degrees;
+}
+
+/**
+ * Knee angle (hip-knee-ankle) for one side
+ */
+export function calculateKneeAngle(keypoints, side = 'left') {
+  return side === 'left'
+    ? calculateJointAngle(keypoints[KEYPOINTS.LEFT_HIP], keypoints[KEYPOINTS.LEFT_KNEE], keypoints[KEYPOINTS.LEFT_ANKLE])
+    : calculateJointAngle(keypoints[KEYPOINTS.RIGHT_HIP], keypoints[KEYPOINTS.RIGHT_KNEE], keypoints[KEYPOINTS.RIGHT_ANKLE]);
+}
+
+/**
+ * Hip angle (shoulder-hip-knee) for one side
+ */
+export function calculateHipAngle(keypoints, side = 'left') {
+  return side === 'left'
+    ? calculateJointAngle(keypoints[KEYPOINTS.LEFT_SHOULDER], keypoints[KEYPOINTS.LEFT_HIP], keypoints[KEYPOINTS.LEFT_KNEE])
+    : calculateJointAngle(keypoints[KEYPOINTS.RIGHT_SHOULDER], keypoints[KEYPOINTS.RIGHT_HIP], keypoints[KEYPOINTS.RIGHT_KNEE]);
+}
+
 /**
  * Get all biomechanics data for a frame
  */
@@ -0,0 +1,145 @@
+/**
+ * URL State Utilities
+ * Serializes the shared analysis state (selection, filters, forged axes, sliders, baseline)
+ * into query parameters so a link reproduces the exact view
+ */
+
+import { BASELINE_MODES, COHORT_DIMENSIONS, DEFAULT_COHORT } from './cohorts';
+
+// ============ DEFAULTS ============
+
+export const DEFAULT_FILTERS = {
+  positions: [],
+  states: [],
+  gradYears: [],
+  heightRange: { min: null, max: null },
+  weightRange: { min: null, max: null }
+};
+
+export const DEFAULT_STATISTIC_FILTER = {
+  enabled: false,
+  low: -3,
+  high: 1.5,
+  keepOutside: true
+};
+
+// ============ HELPERS ============
+
+const splitList = (value) => (value ? value.split(',').filter(Boolean) : []);
+
+const toNumber = (value) => {
+  if (value === '' || value === undefined || value === null) return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+// "70~76", "70~" or "~76"; null bounds are left empty
+const formatRange = (range) =>
+  (range.min === null && range.max === null ? null : `${range.min ?? ''}~${range.max ?? ''}`);
+
+const parseRange = (value) => {
+  if (!value) return { min: null, max: null };
+  const [min, max] = value.split('~');
+  return { min: toNumber(min), max: toNumber(max) };
+};
+
+// Grad years come back as numbers when they look like numbers, matching the dataset
+const parseListValue = (value) => (/^\d+$/.test(value) ? Number(value) : value);
+
+// ============ SERIALIZE / PARSE ============
+
+/**
+ * Build the query string for the given state. Defaults are omitted so
+ * a fresh session has a clean URL.
+ * @returns {string} e.g. "?athletes=3,12&pos=WR&sigma=-1~1.5" (or "" when everything is default)
+ */
+export const serializeAppState = (state) => {
+  const params = new URLSearchParams();
+  const { selectedAthletes, forgedAxes, filters, statisticFilter, cohort, meZScoreFilterLow, meZScoreFilterHigh } = state;
+
+  if (selectedAthletes.length > 0) params.set('athletes', selectedAthletes.join(','));
+  if (forgedAxes.length > 0) params.set('axes', JSON.stringify(forgedAxes.map(axis => [axis.formula, axis.label])));
+
+  if (filters.positions.length > 0) params.set('pos', filters.positions.join(','));
+  if (filters.states.length > 0) params.set('state', filters.states.join(','));
+  if (filters.gradYears.length > 0) params.set('grad', filters.gradYears.join(','));
+  const height = formatRange(filters.heightRange);
+  if (height) params.set('height', height);
+  const weight = formatRange(filters.weightRange);
+  if (weight) params.set('weight', weight);
+
+  if (statisticFilter.enabled) {
+    params.set('stat', `${statisticFilter.low}~${statisticFilter.high}~${statisticFilter.keepOutside ? 'outside' : 'inside'}`);
+  }
+
+  if (meZScoreFilterLow !== 0 || meZScoreFilterHigh !== 0) {
+    params.set('sigma', `${meZScoreFilterLow}~${meZScoreFilterHigh}`);
+  }
+
+  if (cohort.mode !== DEFAULT_COHORT.mode) params.set('baseline', cohort.mode);
+  if (cohort.dimensions.join(',') !== DEFAULT_COHORT.dimensions.join(',')) {
+    params.set('cohort', cohort.dimensions.join(','));
+  }
+
+  // Commas and tildes are legal in a query string; keep them readable
+  const query = params.toString().replace(/%2C/gi, ',').replace(/%7E/gi, '~');
+  return query ? `?${query}` : '';
+};
+
+/**
+ * Read the state back from a query string. Missing or malformed
+ * parameters fall back to their defaults.
+ */
+export const parseAppState = (search) => {
+  const params = new URLSearchParams(search);
+
+  let forgedAxes = [];
+  try {
+    const parsed = JSON.parse(params.get('axes') || '[]');
+    if (Array.isArray(parsed)) {
+      forgedAxes = parsed
+        .filter(entry => Array.isArray(entry) && typeof entry[0] === 'string')
+        .map(([formula, label]) => ({ formula, label: typeof label === 'string' ? label : formula }));
+    }
+  } catch (err) {
+    console.warn('Ignoring malformed forged axes in URL:', err);
+  }
+
+  const statisticFilter = { ...DEFAULT_STATISTIC_FILTER };
+  if (params.has('stat')) {
+    const [low, high, side] = params.get('stat').split('~');
+    statisticFilter.enabled = true;
+    statisticFilter.low = toNumber(low) ?? DEFAULT_STATISTIC_FILTER.low;
+    statisticFilter.high = toNumber(high) ?? DEFAULT_STATISTIC_FILTER.high;
+    statisticFilter.keepOutside = side !== 'inside';
+  }
+
+  const [sigmaLow, sigmaHigh] = (params.get('sigma') || '').split('~');
+  const dimensions = splitList(params.get('cohort')).filter(dim => COHORT_DIMENSIONS.some(d => d.key === dim));
+
+  return {
+    selectedAthletes: splitList(params.get('athletes')).map(toNumber).filter(id => id !== null),
+    forgedAxes,
+    filters: {
+      positions: splitList(params.get('pos')),
+      states: splitList(params.get('state')),
+      gradYears: splitList(params.get('grad')).map(parseListValue),
+      heightRange: parseRange(params.get('height')),
+      weightRange: parseRange(params.get('weight'))
+    },
+    statisticFilter,
+    meZScoreFilterLow: toNumber(sigmaLow) ?? 0,
+    meZScoreFilterHigh: toNumber(sigmaHigh) ?? 0,
+    cohort: {
+      mode: BASELINE_MODES[params.get('baseline')] ? params.get('baseline') : DEFAULT_COHORT.mode,
+      dimensions: dimensions.length > 0 ? dimensions : DEFAULT_COHORT.dimensions
+    }
+  };
+};
+
+export default {
+  DEFAULT_FILTERS,
+  DEFAULT_STATISTIC_FILTER,
+  serializeAppState,
+  parseAppState
+};
@@ -0,0 +1,280 @@
+/**
+ * Annotated Video Export
+ * Renders every tracked frame with the analysis overlay and a speed/distance/time HUD
+ * to a canvas, and records it to a WebM file with canvas.captureStream and MediaRecorder
+ */
+
+import { waitForSeeked } from './videoTiming';
+
+// WebM codecs in order of preference; the first the browser can record is used
+const EXPORT_MIME_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+// High enough that the skeleton lines and HUD text stay crisp
+const EXPORT_BITRATE = 8000000;
+
+// Longest a frame is held in the recording, so a stalled seek doesn't freeze the output (seconds)
+const MAX_FRAME_HOLD = 0.2;
+
+const YARDS_PER_SEC_TO_MPH = 2.045454545;
+
+/**
+ * True when the browser can record a canvas to a file
+ */
+export function supportsVideoExport() {
+  return typeof window.MediaRecorder === 'function' &&
+    typeof window.HTMLCanvasElement?.prototype.captureStream === 'function';
+}
+
+/**
+ * First WebM type this browser's MediaRecorder supports
+ * @returns {string|null}
+ */
+export function pickExportMimeType() {
+  if (!supportsVideoExport()) return null;
+  return EXPORT_MIME_TYPES.find(type => window.MediaRecorder.isTypeSupported(type)) || null;
+}
+
+// ============ HUD ============
+
+/**
+ * HUD readings at a tracked frame: the latest physics sample at or before it
+ * @param {Array} frames - Physics frames (calculatePhysics().frames), each with the tracked frame index
+ * @param {number} frameIndex - Tracked frame being drawn
+ * @param {Object} options
+ * @param {Object} options.splits - Split times by distance (summary.splits)
+ * @param {number} options.signalTime - Start signal on the frames' clock (calculatePhysics().clockOrigin);
+ *   elapsed time counts from the first frame otherwise
+ * @returns {{speedMph: number, distance: number, elapsed: number, splits: Array<{distance: number, time: number}>}|null}
+ */
+export function hudStateAt(frames, frameIndex, { splits = {}, signalTime = null } = {}) {
+  if (!frames || frames.length === 0) return null;
+
+  let sample = null;
+  for (const frame of frames) {
+    if (frame.frame > frameIndex) break;
+    sample = frame;
+  }
+  if (!sample) sample = frames[0];
+  if (typeof sample.position !== 'number') return null;
+
+  const origin = signalTime ?? frames[0].time;
+  const reached = Object.entries(splits)
+    .map(([distance, time]) => ({ distance: Number(distance), time }))
+    .filter(split => split.time !== null && split.time !== undefined && sample.position >= split.distance)
+    .sort((a, b) => a.distance - b.distance);
+
+  return {
+    speedMph: sample.velocityMph ?? (sample.velocity || 0) * YARDS_PER_SEC_TO_MPH,
+    distance: sample.position,
+    elapsed: Math.max(0, sample.time - origin),
+    splits: reached
+  };
+}
+
+/**
+ * Draw the HUD panel in the bottom-left corner, scaled to the frame size
+ * @param {CanvasRenderingContext2D} ctx - Context in canvas coordinates (no transform)
+ * @param {Object} hud - hudStateAt result
+ */
+export function drawHud(ctx, hud) {
+  if (!hud) return;
+  const { width, height } = ctx.canvas;
+  const fontSize = Math.max(14, Math.round(Math.min(width, height) / 24));
+  const padding = Math.round(fontSize * 0.6);
+  const lineHeight = Math.round(fontSize * 1.35);
+
+  const readings = [
+    { label: 'SPEED', value: hud.speedMph.toFixed(1), unit: 'mph' },
+    { label: 'DIST', value: hud.distance.toFixed(1), unit: 'yd' },
+    { label: 'TIME', value: hud.elapsed.toFixed(2), unit: 's' }
+  ];
+  const splitLine = hud.splits.map(split => `${split.distance}: ${split.time.toFixed(2)}`).join('   ');
+
+  ctx.save();
+  ctx.font = `bold ${fontSize}px sans-serif`;
+  const labelWidth = ctx.measureText('SPEED ').width;
+  const valueWidth = ctx.measureText('000.00 ').width;
+  const panelWidth = Math.max(
+    labelWidth + valueWidth + ctx.measureText('mph').width,
+    splitLine ? ctx.measureText(splitLine).width : 0
+  ) + padding * 2;
+  const panelHeight = lineHeight * (readings.length + (splitLine ? 1 : 0)) + padding;
+  const left = padding;
+  const top = height - panelHeight - padding;
+
+  ctx.fillStyle = 'rgba(15, 23, 42, 0.75)';
+  ctx.fillRect(left, top, panelWidth, panelHeight);
+  ctx.fillStyle = '#ea580c';
+  ctx.fillRect(left, top, Math.max(3, Math.round(fontSize / 5)), panelHeight);
+
+  ctx.textBaseline = 'top';
+  readings.forEach((reading, i) => {
+    const y = top + padding / 2 + i * lineHeight;
+    ctx.fillStyle = '#10b981';
+    ctx.fillText(reading.label, left + padding, y);
+    ctx.fillStyle = '#fbbf24';
+    ctx.fillText(reading.value, left + padding + labelWidth, y);
+    ctx.fillStyle = '#fef3c7';
+    ctx.fillText(reading.unit, left + padding + labelWidth + valueWidth, y);
+  });
+
+  if (splitLine) {
+    ctx.fillStyle = '#fbbf24';
+    ctx.fillText(splitLine, left + padding, top + padding / 2 + readings.length * lineHeight);
+  }
+  ctx.restore();
+}
+
+// ============ RECORDING ============
+
+/**
+ * Resolves once the page is visible (at once if it already is)
+ */
+function waitUntilVisible() {
+  if (!document.hidden) return Promise.resolve();
+  return new Promise(resolve => {
+    const onChange = () => {
+      if (document.hidden) return;
+      document.removeEventListener('visibilitychange', onChange);
+      resolve();
+    };
+    document.addEventListener('visibilitychange', onChange);
+  });
+}
+
+/**
+ * Wait up to `seconds`, stopping early if the page is hidden
+ * @returns {Promise<boolean>} True if the wait was cut short by the page being hidden
+ */
+function waitWhileVisible(seconds) {
+  return new Promise(resolve => {
+    let timer = null;
+    const finish = (hidden) => {
+      clearTimeout(timer);
+      document.removeEventListener('visibilitychange', onChange);
+      resolve(hidden);
+    };
+    const onChange = () => {
+      if (document.hidden) finish(true);
+    };
+    timer = setTimeout(() => finish(false), seconds * 1000);
+    document.addEventListener('visibilitychange', onChange);
+  });
+}
+
+/**
+ * Seek to each frame, draw it with `drawFrame` and record the canvas to WebM.
+ * Seeking takes longer than a frame lasts, so the recorder is paused while each frame
+ * is prepared and resumed for the frame's real duration; the file then plays back at
+ * the original speed however slowly the frames were rendered. Background tabs throttle
+ * timers to a second or more, which would stretch frames, so the export pauses while
+ * the page is hidden and picks up the rest of the current frame once it is back.
+ * @param {HTMLVideoElement} video - Source video
+ * @param {Object} options
+ * @param {Array<{time: number, seekTime: number}>} options.schedule - Frames to render (see buildFrameSchedule)
+ * @param {Object} options.cropRegion - { cropX, cropY, cropWidth, cropHeight }, or null for the full frame
+ * @param {Function} options.drawFrame - (ctx, index) draws the annotations over the video frame
+ * @param {Function} options.onProgress - Progress callback (0-100)
+ * @param {Function} options.onCancel - Returns true if the export should stop
+ * @returns {Promise<Blob|null>} WebM file, or null if cancelled
+ * @throws {Error} If the browser can't record a canvas
+ */
+export async function renderAnnotatedVideo(video, { schedule, cropRegion = null, drawFrame, onProgress = null, onCancel = null }) {
+  const mimeType = pickExportMimeType();
+  if (!mimeType) {
+    throw new Error('This browser cannot record video from a canvas');
+  }
+  if (!schedule || schedule.length === 0) return null;
+
+  const canvas = document.createElement('canvas');
+  canvas.width = cropRegion ? cropRegion.cropWidth : video.videoWidth;
+  canvas.height = cropRegion ? cropRegion.cropHeight : video.videoHeight;
+  const ctx = canvas.getContext('2d');
+
+  // Frames are pushed explicitly with requestFrame rather than sampled on a timer
+  const stream = canvas.captureStream(0);
+  const [track] = stream.getVideoTracks();
+  const recorder = new window.MediaRecorder(stream, { mimeType, videoBitsPerSecond: EXPORT_BITRATE });
+  const chunks = [];
+  recorder.ondataavailable = (e) => {
+    if (e.data.size > 0) chunks.push(e.data);
+  };
+  const stopped = new Promise(resolve => { recorder.onstop = resolve; });
+
+  const saved = { time: video.currentTime, muted: video.muted };
+  let cancelled = false;
+  let started = false;
+
+  try {
+    video.pause();
+    video.muted = true;
+
+    for (let i = 0; i < schedule.length; i++) {
+      if (onCancel && onCancel()) {
+        cancelled = true;
+        break;
+      }
+
+      await waitUntilVisible();
+      const { time, seekTime } = schedule[i];
+      video.currentTime = seekTime;
+      await waitForSeeked(video);
+
+      if (cropRegion) {
+        ctx.drawImage(
+          video,
+          cropRegion.cropX, cropRegion.cropY, cropRegion.cropWidth, cropRegion.cropHeight,
+          0, 0, cropRegion.cropWidth, cropRegion.cropHeight
+        );
+      } else {
+        ctx.drawImage(video, 0, 0);
+      }
+      drawFrame(ctx, i);
+
+      if (started) {
+        recorder.resume();
+      } else {
+        recorder.start();
+        started = true;
+      }
+      track.requestFrame();
+
+      const next = schedule[i + 1]?.time;
+      const hold = next > time ? Math.min(next - time, MAX_FRAME_HOLD) : 1 / 30;
+      // Hold the frame for its duration, pausing the recording while the page is hidden
+      let remaining = hold;
+      let holdStart = performance.now();
+      while (await waitWhileVisible(remaining)) {
+        recorder.pause();
+        remaining -= (performance.now() - holdStart) / 1000;
+        await waitUntilVisible();
+        if (remaining <= 0) break;
+        recorder.resume();
+        holdStart = performance.now();
+      }
+      if (recorder.state === 'recording') recorder.pause();
+
+      if (onProgress) {
+        onProgress(Math.round(((i + 1) / schedule.length) * 100));
+      }
+    }
+  } finally {
+    if (recorder.state !== 'inactive') recorder.stop();
+    track.stop();
+    video.muted = saved.muted;
+    video.currentTime = saved.time;
+  }
+
+  if (!started) return null;
+  await stopped;
+  if (cancelled || chunks.length === 0) return null;
+  return new Blob(chunks, { type: 'video/webm' });
+}
+
+export default {
+  supportsVideoExport,
+  pickExportMimeType,
+  hudStateAt,
+  drawHud,
+  renderAnnotatedVideo
+};
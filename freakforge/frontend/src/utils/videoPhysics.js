@@ -3,62 +3,99 @@
  * Velocity, acceleration, and power calculations with time override support
  */
 
+import { pixelToField, distanceAlongCourse, reverseCourse } from './fieldCalibration';
+import { KEYPOINTS, calculateKneeAngle, calculateHipAngle } from './trackingProfiles';
+import { DEFAULT_KINEMATICS_FILTER, filterKinematics } from './kinematicsFilter';
+
+// yards/s² to g (1 yd = 3 ft, g = 32.174 ft/s²)
+const YARDS_PER_S2_TO_G = 3 / 32.174;
+
 /**
  * Calculate physics data from tracking data
  * @param {Array} frameData - Array of frame tracking data
- * @param {number} pixelsPerUnit - Calibration: pixels per yard/meter
+ * @param {Object|number} calibration - Field calibration (see fieldCalibration), or pixels per yard
  * @param {number} fps - Video frames per second
  * @param {Object} timeOverrides - Optional time overrides from field measurements
  * @param {number} athleteWeight - Athlete weight in lbs (for power calc)
+ * @param {Object} filter - Position filter applied before differentiating (see kinematicsFilter);
+ *   unfiltered speed and acceleration are kept alongside as rawVelocity/rawAcceleration
  * @returns {Object} Physics analysis results
  */
-export function calculatePhysics(frameData, pixelsPerUnit, fps, timeOverrides = null, athleteWeight = null) {
+export function calculatePhysics(frameData, calibration, fps, timeOverrides = null, athleteWeight = null, filter = DEFAULT_KINEMATICS_FILTER) {
   if (!frameData || frameData.length < 2) {
     return null;
   }
 
-  // Extract position data (using center of mass x-coordinate)
+  // Map every center of mass pixel onto the field (perspective-corrected with a grid calibration)
   const rawPositions = frameData.map((frame, i) => {
     const com = frame.centerOfMass;
+    const field = com ? pixelToField(calibration, com) : null;
     return {
       frame: i,
       time: frame.time,
       pixelX: com ? com.x : null,
-      pixelY: com ? com.y : null
+      pixelY: com ? com.y : null,
+      fieldX: field ? field.x : null,
+      fieldY: field ? field.y : null
     };
-  }).filter(p => p.pixelX !== null);
+  }).filter(p => p.fieldX !== null);
 
   if (rawPositions.length < 2) {
     return null;
   }
 
-  // Convert pixel positions to real-world units (yards)
-  const startPixelX = rawPositions[0].pixelX;
+  // Distance covered along the running direction (yards)
+  const startFieldX = rawPositions[0].fieldX;
   const positions = rawPositions.map(p => ({
     ...p,
-    position: Math.abs(p.pixelX - startPixelX) / pixelsPerUnit
+    position: Math.abs(p.fieldX - startFieldX)
   }));
 
+  // Low-pass the positions before differentiating; frame-to-frame differences of raw
+  // keypoints are mostly jitter by the time they reach acceleration
+  const filteredPosition = filterKinematics(positions.map(p => p.position), positions.map(p => p.time), filter);
+  const filteredPositions = positions.map((p, i) => ({ ...p, position: filteredPosition[i] }));
+
   // If time overrides exist, rescale the time axis
-  let processedData;
-  if (timeOverrides && hasValidOverrides(timeOverrides)) {
-    processedData = rescaleWithOverrides(positions, timeOverrides, fps);
-  } else {
-    processedData = calculateRawPhysics(positions, fps);
-  }
+  const rescaled = hasValidOverrides(timeOverrides);
+  const differentiate = (series) => (rescaled
+    ? rescaleWithOverrides(series, timeOverrides, fps)
+    : calculateRawPhysics(series, fps));
+  const raw = differentiate(positions);
+  let processedData = differentiate(filteredPositions).map((p, i) => ({
+    ...p,
+    rawPosition: positions[i].position,
+    rawVelocity: raw[i].velocity,
+    rawVelocityMph: raw[i].velocityMph,
+    rawAcceleration: raw[i].acceleration,
+    rawAccelerationG: raw[i].accelerationG
+  }));
 
   // Add power calculations if weight is provided
   if (athleteWeight) {
     processedData = addPowerCalculations(processedData, athleteWeight);
   }
 
+  // Electronic-style splits from the torso crossing each course line, when the
+  // calibration markers are the start and finish lines
+  const signalTime = timeOverrides?.signalTime ?? null;
+  const crossings = calibration?.course ? detectLineCrossings(frameData, calibration.course, fps, signalTime) : null;
+
+  // Where elapsed time starts on the frames' clock: rescaled frames are already on the
+  // measured clock, which runs from the signal when one is set
+  const clockOrigin = signalTime === null ? null : (rescaled ? 0 : signalTime);
+
   // Calculate summary statistics
-  const summary = calculateSummary(processedData, timeOverrides);
+  const summary = calculateSummary(processedData, timeOverrides, crossings, clockOrigin);
 
   return {
     frames: processedData,
     summary,
-    hasTimeOverrides: hasValidOverrides(timeOverrides)
+    hasTimeOverrides: rescaled,
+    clockOrigin,
+    filter: { ...DEFAULT_KINEMATICS_FILTER, ...filter },
+    gait: analyzeGait(frameData, calibration, fps),
+    crossings
   };
 }
 
@@ -73,10 +110,15 @@ function hasValidOverrides(overrides) {
 }
 
 /**
- * Calculate raw physics without time overrides
+ * Calculate raw physics without time overrides. Steps use each frame's own timestamp,
+ * so variable frame rate footage and skipped frames get their real time deltas;
+ * frames without a timestamp fall back to 1/fps.
  */
 function calculateRawPhysics(positions, fps) {
-  const dt = 1 / fps;
+  const stepTime = (i) => {
+    const dt = positions[i].time - positions[i - 1].time;
+    return dt > 0 ? dt : 1 / fps;
+  };
 
   return positions.map((p, i) => {
     let velocity = 0;
@@ -84,12 +126,12 @@ function calculateRawPhysics(positions, fps) {
 
     if (i > 0) {
       const dx = p.position - positions[i - 1].position;
-      velocity = dx / dt; // yards per second
+      velocity = dx / stepTime(i); // yards per second
     }
 
     if (i > 1) {
-      const prevVelocity = (positions[i - 1].position - positions[i - 2].position) / dt;
-      acceleration = (velocity - prevVelocity) / dt; // yards per second squared
+      const prevVelocity = (positions[i - 1].position - positions[i - 2].position) / stepTime(i - 1);
+      acceleration = (velocity - prevVelocity) / stepTime(i); // yards per second squared
     }
 
     return {
@@ -99,7 +141,7 @@ function calculateRawPhysics(positions, fps) {
       velocity,
       velocityMph: velocity * 2.045454545, // yards/s to mph
       acceleration,
-      accelerationG: acceleration / 32.174 // ft/s² to g (converting yards to feet)
+      accelerationG: acceleration * YARDS_PER_S2_TO_G
     };
   });
 }
@@ -109,16 +151,17 @@ function calculateRawPhysics(positions, fps) {
  * This adjusts the time axis to match real-world measurements
  */
 function rescaleWithOverrides(positions, overrides, fps) {
-  const { startTime, endTime, splits } = overrides;
+  const { startTime, endTime, splits, signalTime = null } = overrides;
 
   // Build time mapping points from overrides
   const timeMapping = [];
 
-  // Start point
+  // Start point; an unmeasured start takes the first frame's video time, moved onto the
+  // signal clock the measured times run on when a start signal is set
   if (startTime !== null) {
     timeMapping.push({ position: 0, measuredTime: startTime });
   } else {
-    timeMapping.push({ position: 0, measuredTime: positions[0].time });
+    timeMapping.push({ position: 0, measuredTime: positions[0].time - (signalTime ?? 0) });
   }
 
   // Split points
@@ -200,7 +243,7 @@ function rescaleWithOverrides(positions, overrides, fps) {
       velocity,
       velocityMph: velocity * 2.045454545,
       acceleration,
-      accelerationG: acceleration / 32.174
+      accelerationG: acceleration * YARDS_PER_S2_TO_G
     };
   });
 }
@@ -230,7 +273,7 @@ function addPowerCalculations(data, weightLbs) {
 /**
  * Calculate summary statistics
  */
-function calculateSummary(data, timeOverrides) {
+function calculateSummary(data, timeOverrides, crossings = null, clockOrigin = null) {
   if (!data || data.length === 0) {
     return null;
   }
@@ -245,14 +288,14 @@ function calculateSummary(data, timeOverrides) {
   const avgVelocityMph = avgVelocity * 2.045454545;
 
   const maxAcceleration = Math.max(...smoothedAccelerations.map(Math.abs));
-  const maxAccelerationG = maxAcceleration / 32.174;
+  const maxAccelerationG = maxAcceleration * YARDS_PER_S2_TO_G;
 
   // Peak acceleration (positive only, for explosive power)
   const peakAcceleration = Math.max(...smoothedAccelerations);
-  const peakAccelerationG = peakAcceleration / 32.174;
+  const peakAccelerationG = peakAcceleration * YARDS_PER_S2_TO_G;
 
   // Calculate splits
-  const splits = calculateSplits(data, [10, 20, 30, 40], timeOverrides);
+  const splits = calculateSplits(data, [10, 20, 30, 40], timeOverrides, crossings, clockOrigin);
 
   // Total time and distance
   const totalTime = data[data.length - 1].time - data[0].time;
@@ -286,10 +329,13 @@ function calculateSummary(data, timeOverrides) {
 }
 
 /**
- * Calculate split times at specified distances
+ * Calculate split times at specified distances. Field-measured overrides win, then
+ * detected line crossings, then the time the tracked position reaches the distance
+ * (counted from clockOrigin, the start signal on the frames' clock, when one is set).
  */
-function calculateSplits(data, distances, timeOverrides) {
+function calculateSplits(data, distances, timeOverrides, crossings = null, clockOrigin = null) {
   const splits = {};
+  const origin = clockOrigin ?? 0;
 
   for (const distance of distances) {
     // Check if we have an override for this split
@@ -298,6 +344,11 @@ function calculateSplits(data, distances, timeOverrides) {
       continue;
     }
 
+    if (crossings?.splits[distance] !== undefined) {
+      splits[distance] = crossings.splits[distance];
+      continue;
+    }
+
     // Find frame where position crosses this distance
     const frame = data.find(d => d.position >= distance);
     if (frame) {
@@ -305,9 +356,9 @@ function calculateSplits(data, distances, timeOverrides) {
       const prevFrame = data.find(d => d.position < distance && data.indexOf(d) === data.indexOf(frame) - 1);
       if (prevFrame) {
         const t = (distance - prevFrame.position) / (frame.position - prevFrame.position);
-        splits[distance] = prevFrame.time + t * (frame.time - prevFrame.time);
+        splits[distance] = prevFrame.time + t * (frame.time - prevFrame.time) - origin;
       } else {
-        splits[distance] = frame.time;
+        splits[distance] = frame.time - origin;
       }
     } else {
       splits[distance] = null;
@@ -334,6 +385,1437 @@ function smoothData(data, windowSize) {
   return result;
 }
 
+// ============ LINE CROSSINGS ============
+
+// Split lines every this many yards between the start and finish
+const SPLIT_INTERVAL = 10;
+
+// Timing beams sit at chest height, so crossings follow the torso rather than the feet
+const TORSO_KEYPOINTS = [KEYPOINTS.LEFT_SHOULDER, KEYPOINTS.RIGHT_SHOULDER, KEYPOINTS.LEFT_HIP, KEYPOINTS.RIGHT_HIP];
+
+// Crossing confidence at or above these rates high / medium; below is low
+const HIGH_CROSSING_CONFIDENCE = 0.75;
+const MEDIUM_CROSSING_CONFIDENCE = 0.5;
+
+/**
+ * Torso center (mean of the tracked shoulders and hips) with their mean keypoint score.
+ * Falls back to the center of mass, scored 0.5, when fewer than two are tracked.
+ */
+function getTorsoPoint(frame) {
+  const points = TORSO_KEYPOINTS.map(idx => frame.keypoints?.[idx]).filter(Boolean);
+  if (points.length >= 2) {
+    return {
+      x: points.reduce((sum, p) => sum + p.x, 0) / points.length,
+      y: points.reduce((sum, p) => sum + p.y, 0) / points.length,
+      score: points.reduce((sum, p) => sum + (p.score ?? 1), 0) / points.length,
+      isTorso: true
+    };
+  }
+  return frame.centerOfMass ? { x: frame.centerOfMass.x, y: frame.centerOfMass.y, score: 0.5, isTorso: false } : null;
+}
+
+/**
+ * Electronic-style timing from the course lines: when the torso crosses the start line,
+ * every 10-yard split line and the finish line, interpolated between the frames either
+ * side of each line. Split times run from the start signal when one is given (a gun
+ * start), otherwise from the start-line crossing (a beam start). Each crossing's
+ * confidence combines the torso keypoint scores, any gap in the tracking around it and
+ * whether the torso went back and forth over the line (jitter as it crossed).
+ * A grid course has no clicked start or finish, so it is run in whichever direction
+ * the athlete's net displacement along it goes.
+ * @param {Array} frameData - Frame tracking data
+ * @param {Object} course - Start and finish lines (see createCourse)
+ * @param {number} fps - Video frames per second, for frames without a timestamp
+ * @param {number} signalTime - Video time of the start signal, or null
+ * @returns {Object} { lines: [{ label, distance, time, elapsed, frame, confidence, rating }], splits, finishTime, warnings, course }
+ *   where course is the course as run (reversed for a grid run toward its first edge)
+ */
+export function detectLineCrossings(frameData, course, fps, signalTime = null) {
+  const sampleCourse = (along) => (frameData || []).map((frame, i) => {
+    const torso = frame.isMissing ? null : getTorsoPoint(frame);
+    const distance = torso ? distanceAlongCourse(along, torso) : null;
+    return distance !== null ? {
+      frame: frame.frame ?? i,
+      time: frame.time ?? i / fps,
+      distance,
+      score: torso.score,
+      isTorso: torso.isTorso
+    } : null;
+  }).filter(Boolean);
+
+  let samples = sampleCourse(course);
+  if (course.homography && samples.length > 1 && samples[samples.length - 1].distance < samples[0].distance) {
+    course = reverseCourse(course);
+    samples = sampleCourse(course);
+  }
+
+  const intervals = samples.slice(1).map((s, i) => s.time - samples[i].time).filter(dt => dt > 0);
+  const frameInterval = median(intervals) || 1 / fps;
+
+  const targets = [{ label: 'Start', distance: 0 }];
+  for (let yard = SPLIT_INTERVAL; yard < course.distance - 1e-6; yard += SPLIT_INTERVAL) {
+    targets.push({ label: `${yard}yd`, distance: yard });
+  }
+  targets.push({ label: 'Finish', distance: course.distance });
+
+  const crossed = targets.map(target => {
+    const offset = samples.map(s => s.distance - target.distance);
+    let index = null;
+    let passes = 0;
+    for (let i = 1; i < offset.length; i++) {
+      if ((offset[i - 1] < 0) !== (offset[i] < 0)) {
+        passes++;
+        if (index === null && offset[i] >= 0) index = i;
+      }
+    }
+    if (index === null) {
+      return { ...target, time: null, frame: null, confidence: 0, isTorso: false };
+    }
+
+    const before = samples[index - 1];
+    const after = samples[index];
+    const t = -offset[index - 1] / (offset[index] - offset[index - 1]);
+    const gap = after.time - before.time;
+    const confidence = ((before.score + after.score) / 2)
+      * Math.min(1, frameInterval / gap)
+      * (passes > 1 ? 0.6 : 1);
+    return {
+      ...target,
+      time: before.time + t * gap,
+      frame: t < 0.5 ? before.frame : after.frame,
+      confidence,
+      isTorso: before.isTorso && after.isTorso
+    };
+  });
+
+  const start = crossed[0];
+  const finish = crossed[crossed.length - 1];
+  const clockStart = signalTime ?? start.time;
+  const lines = crossed.map(({ isTorso, ...line }) => ({
+    ...line,
+    elapsed: line.time !== null && clockStart !== null ? line.time - clockStart : null,
+    rating: line.time === null ? null
+      : line.confidence >= HIGH_CROSSING_CONFIDENCE ? 'high'
+        : line.confidence >= MEDIUM_CROSSING_CONFIDENCE ? 'medium' : 'low'
+  }));
+
+  const warnings = [];
+  if (start.time === null && signalTime === null) {
+    warnings.push('Start line crossing not seen - trim the clip to begin with the athlete behind the start line');
+  }
+  if (finish.time === null) {
+    warnings.push('Finish line crossing not seen - extend the clip past the finish');
+  }
+  if (crossed.some(line => line.time !== null && !line.isTorso)) {
+    warnings.push('Shoulders and hips not tracked at some lines - those crossings use the center of mass');
+  }
+  if (!course.homography) {
+    warnings.push('Lines are square to the course in the image, so they only match the field with a square-on camera - use the 4-Point Grid for an angled view');
+  }
+
+  const splits = {};
+  lines.slice(1).forEach(line => {
+    if (line.elapsed !== null) splits[line.distance] = line.elapsed;
+  });
+
+  return { lines, splits, finishTime: lines[lines.length - 1].elapsed, warnings, course };
+}
+
+// ============ DRILL PROFILES ============
+
+// Speed (yards/s) that marks the start of movement
+const MOVEMENT_THRESHOLD = 0.5;
+
+// A reversal only counts as a turn once the athlete has come back this far (yards)
+const MIN_TURN_SEPARATION = 1.5;
+
+// The turn phase is where speed stays below this fraction of the neighbouring legs' peak
+const TURN_SPEED_FRACTION = 0.5;
+
+/**
+ * Central-difference derivative of a series sampled at the given times
+ */
+function derivative(values, times, i) {
+  const lo = Math.max(0, i - 1);
+  const hi = Math.min(values.length - 1, i + 1);
+  const dt = times[hi] - times[lo];
+  return dt > 0 ? (values[hi] - values[lo]) / dt : 0;
+}
+
+/**
+ * Field samples along the running axis, one per frame with a center of mass
+ */
+function getAxisSamples(frameData, calibration, fps) {
+  return frameData.map((frame, i) => {
+    const field = frame.centerOfMass ? pixelToField(calibration, frame.centerOfMass) : null;
+    return field ? { frame: i, time: frame.time ?? i / fps, x: field.x, y: field.y } : null;
+  }).filter(Boolean);
+}
+
+/**
+ * Indices where the signed displacement reverses direction (zig-zag extrema)
+ */
+function findReversals(displacement, startIdx) {
+  const reversals = [];
+  let direction = 0;
+  let extremeIdx = startIdx;
+
+  for (let i = startIdx + 1; i < displacement.length; i++) {
+    const d = displacement[i];
+    if (direction === 0) {
+      if (Math.abs(d - displacement[startIdx]) >= MOVEMENT_THRESHOLD) {
+        direction = Math.sign(d - displacement[startIdx]);
+        extremeIdx = i;
+      }
+    } else if ((d - displacement[extremeIdx]) * direction > 0) {
+      extremeIdx = i;
+    } else if ((displacement[extremeIdx] - d) * direction >= MIN_TURN_SEPARATION) {
+      reversals.push(extremeIdx);
+      direction = -direction;
+      extremeIdx = i;
+    }
+  }
+
+  return reversals;
+}
+
+/**
+ * Pro agility (5-10-5) physics. Unlike calculatePhysics, which folds the path with
+ * Math.abs, position stays signed along the running axis so each plant and turn
+ * shows up as a reversal.
+ * @param {Array} frameData - Frame tracking data
+ * @param {Object|number} calibration - Field calibration, or pixels per yard
+ * @param {number} fps - Video frames per second
+ * @param {Object} timeOverrides - Unused; the shuttle is timed from the detected start and finish
+ * @param {number} athleteWeight - Athlete weight in lbs (for power calc)
+ * @returns {Object} calculatePhysics-shaped results plus `agility` (turns, segments, total time)
+ */
+export function calculateProAgilityPhysics(frameData, calibration, fps, timeOverrides = null, athleteWeight = null) {
+  const samples = getAxisSamples(frameData || [], calibration, fps);
+  if (samples.length < 3) {
+    return null;
+  }
+
+  const times = samples.map(s => s.time);
+  const displacement = smoothData(samples.map(s => s.x - samples[0].x), 5);
+  const velocity = smoothData(displacement.map((_, i) => derivative(displacement, times, i)), 5);
+  const acceleration = velocity.map((_, i) => derivative(velocity, times, i));
+  const speed = velocity.map(Math.abs);
+
+  // Movement start: the frame before speed first clears the threshold
+  const firstMoving = speed.findIndex(v => v > MOVEMENT_THRESHOLD);
+  const startIdx = Math.max(0, firstMoving - 1);
+  const warnings = [];
+
+  const reversals = findReversals(displacement, startIdx);
+  if (reversals.length < 2) {
+    warnings.push(`Only ${reversals.length} turn${reversals.length === 1 ? '' : 's'} detected - expected 2`);
+  } else if (reversals.length > 2) {
+    warnings.push(`${reversals.length} direction changes detected - using the first 2`);
+  }
+  const turnIdx = reversals.slice(0, 2);
+
+  // Finish: crossing back through the start line after the last turn (interpolated)
+  const origin = displacement[startIdx];
+  let finishTime = times[times.length - 1];
+  let finishIdx = times.length - 1;
+  let finishDetected = false;
+  if (turnIdx.length === 2) {
+    const finalDirection = -Math.sign(displacement[turnIdx[1]] - displacement[turnIdx[0]]);
+    for (let i = turnIdx[1] + 1; i < displacement.length; i++) {
+      if ((displacement[i] - origin) * finalDirection >= 0) {
+        const prev = displacement[i - 1];
+        const t = prev === displacement[i] ? 0 : (origin - prev) / (displacement[i] - prev);
+        finishTime = times[i - 1] + t * (times[i] - times[i - 1]);
+        finishIdx = i;
+        finishDetected = true;
+        break;
+      }
+    }
+  }
+  if (!finishDetected) {
+    warnings.push('Athlete never crossed back through the start line - total time runs to the last tracked frame');
+  }
+
+  const startTime = times[startIdx];
+  const boundaries = [startIdx, ...turnIdx, finishIdx];
+  const boundaryTimes = [startTime, ...turnIdx.map(i => times[i]), finishTime];
+  const expected = [5, 10, 5];
+
+  const segments = boundaries.slice(0, -1).map((from, k) => {
+    const to = boundaries[k + 1];
+    const time = boundaryTimes[k + 1] - boundaryTimes[k];
+    const distance = Math.abs((k + 1 === boundaries.length - 1 && finishDetected ? origin : displacement[to]) - displacement[from]);
+    const peakSpeed = Math.max(...speed.slice(from, to + 1));
+    return {
+      label: expected[k] ? `${expected[k]} yd` : `Leg ${k + 1}`,
+      expectedDistance: expected[k] || null,
+      distance,
+      time,
+      peakSpeedMph: peakSpeed * 2.045454545,
+      avgSpeedMph: time > 0 ? (distance / time) * 2.045454545 : 0
+    };
+  });
+
+  segments.forEach(segment => {
+    if (segment.expectedDistance && Math.abs(segment.distance - segment.expectedDistance) > segment.expectedDistance * 0.25) {
+      warnings.push(`${segment.label} leg measured ${segment.distance.toFixed(1)} yd - check calibration`);
+    }
+  });
+
+  // Turns: slow-down/speed-up window, braking peak on the way in, drive peak on the way out
+  const turns = turnIdx.map((idx, k) => {
+    const approachFrom = boundaries[k];
+    const departTo = boundaries[k + 2];
+    const approachDirection = Math.sign(displacement[idx] - displacement[approachFrom]) || 1;
+    const approachPeak = Math.max(...speed.slice(approachFrom, idx + 1));
+    const departPeak = Math.max(...speed.slice(idx, departTo + 1));
+
+    let entryIdx = idx;
+    while (entryIdx > approachFrom && speed[entryIdx] < approachPeak * TURN_SPEED_FRACTION) entryIdx--;
+    let exitIdx = idx;
+    while (exitIdx < departTo && speed[exitIdx] < departPeak * TURN_SPEED_FRACTION) exitIdx++;
+
+    const braking = acceleration.slice(approachFrom, idx + 1).map(a => -a * approachDirection);
+    const drive = acceleration.slice(idx, departTo + 1).map(a => -a * approachDirection);
+
+    return {
+      number: k + 1,
+      frame: frameData[samples[idx].frame].frame ?? samples[idx].frame,
+      time: times[idx],
+      position: displacement[idx] - origin,
+      entryTime: times[entryIdx],
+      exitTime: times[exitIdx],
+      duration: times[exitIdx] - times[entryIdx],
+      decelPeakG: Math.max(0, ...braking) * YARDS_PER_S2_TO_G,
+      reaccelPeakG: Math.max(0, ...drive) * YARDS_PER_S2_TO_G
+    };
+  });
+
+  // Per-frame series in the calculatePhysics shape: path distance, speed and change of speed
+  let pathDistance = 0;
+  let frames = samples.map((sample, i) => {
+    if (i > startIdx) pathDistance += Math.abs(displacement[i] - displacement[i - 1]);
+    const tangential = acceleration[i] * Math.sign(velocity[i] || 1);
+    return {
+      frame: sample.frame,
+      time: sample.time,
+      position: pathDistance,
+      displacement: displacement[i] - origin,
+      velocity: speed[i],
+      velocityMph: speed[i] * 2.045454545,
+      acceleration: tangential,
+      accelerationG: tangential * YARDS_PER_S2_TO_G
+    };
+  });
+
+  if (athleteWeight) {
+    frames = addPowerCalculations(frames, athleteWeight);
+  }
+
+  const summary = {
+    ...calculateSummary(frames, null),
+    totalTime: finishTime - startTime,
+    totalDistance: segments.reduce((sum, seg) => sum + seg.distance, 0),
+    splits: {}
+  };
+
+  return {
+    frames,
+    summary,
+    hasTimeOverrides: false,
+    agility: {
+      startTime,
+      finishTime,
+      finishDetected,
+      totalTime: finishTime - startTime,
+      turns,
+      segments,
+      warnings
+    }
+  };
+}
+
+// ============ L-DRILL (3-CONE) ============
+
+// Route through the cones (0 = Start, 1 = Middle, 2 = End): touch the middle cone line,
+// touch back at the start, then round the middle cone, loop the end cone and come home
+const L_DRILL_ROUTE = [
+  { cone: 1, type: 'touch' },
+  { cone: 0, type: 'touch' },
+  { cone: 1, type: 'round' },
+  { cone: 2, type: 'round' },
+  { cone: 1, type: 'round' }
+];
+
+// Default cone layout in yards when the calibration has none
+const L_DRILL_LAYOUT = [
+  { x: 0, y: 0, label: 'Start Cone' },
+  { x: 5, y: 0, label: 'Middle Cone' },
+  { x: 5, y: 5, label: 'End Cone' }
+];
+
+// The athlete must pass within this distance (yards) of a cone for it to count
+const CONE_APPROACH_RADIUS = 2;
+
+// Frames within this distance (yards) of a cone form its cornering window
+const CORNER_RADIUS = 1.5;
+
+/**
+ * Closest approach to a cone after `fromIdx`: the minimum once the athlete has come
+ * within CONE_APPROACH_RADIUS and then moved a yard further away again
+ */
+function findClosestApproach(points, fromIdx, cone) {
+  let bestIdx = null;
+  let bestDistance = Infinity;
+
+  for (let i = fromIdx; i < points.length; i++) {
+    const distance = Math.hypot(points[i].x - cone.x, points[i].y - cone.y);
+    if (distance < bestDistance && distance <= CONE_APPROACH_RADIUS) {
+      bestDistance = distance;
+      bestIdx = i;
+    } else if (bestIdx !== null && distance > bestDistance + 1) {
+      break;
+    }
+  }
+
+  return bestIdx;
+}
+
+/**
+ * L-drill (3-cone) physics. Tracks the 2D center-of-mass path against the cone
+ * layout, splits it into legs at each cone and measures cornering.
+ * @param {Array} frameData - Frame tracking data
+ * @param {Object} calibration - Cone calibration (createConeCalibration) so cones have field positions
+ * @param {number} fps - Video frames per second
+ * @param {Object} timeOverrides - Unused; the drill is timed from the detected start and finish
+ * @param {number} athleteWeight - Athlete weight in lbs (for power calc)
+ * @returns {Object|null} calculatePhysics-shaped results plus `lDrill` (legs, corners, efficiency)
+ */
+export function calculateLDrillPhysics(frameData, calibration, fps, timeOverrides = null, athleteWeight = null) {
+  const samples = getAxisSamples(frameData || [], calibration, fps);
+  if (samples.length < 3) {
+    return null;
+  }
+
+  const warnings = [];
+  const cones = calibration?.cones || L_DRILL_LAYOUT;
+  if (!calibration?.cones) {
+    warnings.push('No cone calibration - assuming the default 5 x 5 yard layout from the first marker');
+  }
+
+  const times = samples.map(s => s.time);
+  const xs = smoothData(samples.map(s => s.x), 5);
+  const ys = smoothData(samples.map(s => s.y), 5);
+  const points = xs.map((x, i) => ({ x, y: ys[i] }));
+  const speed = smoothData(points.map((_, i) => Math.hypot(derivative(xs, times, i), derivative(ys, times, i))), 5);
+  const acceleration = speed.map((_, i) => derivative(speed, times, i));
+
+  const firstMoving = speed.findIndex(v => v > MOVEMENT_THRESHOLD);
+  const startIdx = Math.max(0, firstMoving - 1);
+
+  // Walk the route cone by cone
+  const events = [];
+  let searchFrom = startIdx;
+  for (const step of L_DRILL_ROUTE) {
+    const idx = findClosestApproach(points, searchFrom, cones[step.cone]);
+    if (idx === null) {
+      warnings.push(`Never reached the ${cones[step.cone].label.toLowerCase()} on step ${events.length + 1} - check tracking and calibration`);
+      break;
+    }
+    events.push({ ...step, idx });
+    searchFrom = idx + 1;
+  }
+
+  // Finish: crossing back over the start line (perpendicular to Start -> Middle at the start cone)
+  const axis = { x: cones[1].x - cones[0].x, y: cones[1].y - cones[0].y };
+  const axisLength = Math.hypot(axis.x, axis.y) || 1;
+  const along = (p) => ((p.x - cones[0].x) * axis.x + (p.y - cones[0].y) * axis.y) / axisLength;
+
+  let finishIdx = points.length - 1;
+  let finishTime = times[finishIdx];
+  let finishDetected = false;
+  if (events.length === L_DRILL_ROUTE.length) {
+    for (let i = events[events.length - 1].idx + 1; i < points.length; i++) {
+      if (along(points[i]) <= 0) {
+        const prev = along(points[i - 1]);
+        const curr = along(points[i]);
+        const t = prev === curr ? 0 : prev / (prev - curr);
+        finishTime = times[i - 1] + t * (times[i] - times[i - 1]);
+        finishIdx = i;
+        finishDetected = true;
+        break;
+      }
+    }
+  }
+  if (!finishDetected) {
+    warnings.push('Athlete never crossed back over the start line - total time runs to the last tracked frame');
+  }
+
+  const startTime = times[startIdx];
+  const pathBetween = (from, to) => {
+    let length = 0;
+    for (let i = from + 1; i <= to; i++) {
+      length += Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y);
+    }
+    return length;
+  };
+
+  // Legs between consecutive route events; the ideal leg is the straight line between cone centers
+  const stops = [{ cone: 0, idx: startIdx, time: startTime }, ...events.map(e => ({ cone: e.cone, idx: e.idx, time: times[e.idx] }))];
+  if (finishDetected) stops.push({ cone: 0, idx: finishIdx, time: finishTime });
+
+  const legs = stops.slice(0, -1).map((from, k) => {
+    const to = stops[k + 1];
+    const pathLength = pathBetween(from.idx, to.idx);
+    const idealLength = Math.hypot(cones[to.cone].x - cones[from.cone].x, cones[to.cone].y - cones[from.cone].y);
+    return {
+      label: `${cones[from.cone].label.replace(' Cone', '')} → ${cones[to.cone].label.replace(' Cone', '')}`,
+      time: to.time - from.time,
+      pathLength,
+      idealLength,
+      // The center of mass can cut inside the cone centers, so cap at 100%
+      efficiency: pathLength > 0 ? Math.min(1, idealLength / pathLength) : null
+    };
+  });
+
+  // Cornering: the stretch of path within CORNER_RADIUS of each cone
+  const corners = events.map((event, k) => {
+    const cone = cones[event.cone];
+    const near = (i) => Math.hypot(points[i].x - cone.x, points[i].y - cone.y) <= CORNER_RADIUS;
+    let entryIdx = event.idx;
+    while (entryIdx > stops[k].idx && near(entryIdx - 1)) entryIdx--;
+    let exitIdx = event.idx;
+    const limit = k + 2 < stops.length ? stops[k + 2].idx : points.length - 1;
+    while (exitIdx < limit && near(exitIdx + 1)) exitIdx++;
+
+    const duration = times[exitIdx] - times[entryIdx];
+    const windowSpeeds = speed.slice(entryIdx, exitIdx + 1);
+    return {
+      number: k + 1,
+      cone: cone.label,
+      type: event.type,
+      frame: frameData[samples[event.idx].frame].frame ?? samples[event.idx].frame,
+      time: times[event.idx],
+      duration,
+      entrySpeedMph: speed[entryIdx] * 2.045454545,
+      apexSpeedMph: speed[event.idx] * 2.045454545,
+      minSpeedMph: Math.min(...windowSpeeds) * 2.045454545,
+      avgSpeedMph: duration > 0 ? (pathBetween(entryIdx, exitIdx) / duration) * 2.045454545 : speed[event.idx] * 2.045454545
+    };
+  });
+
+  const pathLength = legs.reduce((sum, leg) => sum + leg.pathLength, 0);
+  const idealLength = legs.reduce((sum, leg) => sum + leg.idealLength, 0);
+
+  let pathDistance = 0;
+  let frames = samples.map((sample, i) => {
+    if (i > startIdx) pathDistance += Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y);
+    return {
+      frame: sample.frame,
+      time: sample.time,
+      position: pathDistance,
+      velocity: speed[i],
+      velocityMph: speed[i] * 2.045454545,
+      acceleration: acceleration[i],
+      accelerationG: acceleration[i] * YARDS_PER_S2_TO_G
+    };
+  });
+
+  if (athleteWeight) {
+    frames = addPowerCalculations(frames, athleteWeight);
+  }
+
+  const summary = {
+    ...calculateSummary(frames, null),
+    totalTime: finishTime - startTime,
+    totalDistance: pathLength,
+    splits: {}
+  };
+
+  return {
+    frames,
+    summary,
+    hasTimeOverrides: false,
+    lDrill: {
+      startTime,
+      finishTime,
+      finishDetected,
+      totalTime: finishTime - startTime,
+      legs,
+      corners,
+      pathLength,
+      idealLength,
+      efficiency: pathLength > 0 ? Math.min(1, idealLength / pathLength) : null,
+      path: points.slice(startIdx, finishIdx + 1),
+      cones,
+      warnings
+    }
+  };
+}
+
+// ============ JUMPS ============
+
+const INCHES_PER_YARD = 36;
+const METERS_TO_INCHES = 39.3701;
+const GRAVITY = 9.81; // m/s²
+
+// The lowest foot point must rise this far (inches) off the floor to count as airborne
+const AIRBORNE_THRESHOLD_IN = 2;
+
+// Takeoff and landing are placed where the foot crosses this fraction of the threshold,
+// close to the floor without picking up keypoint jitter
+const CONTACT_LEVEL = 0.25;
+
+// Shorter airborne runs are treated as tracking noise
+const MIN_FLIGHT_FRAMES = 2;
+
+// Lowest foot landmarks first: toes leave the floor last and land first
+const FOOT_KEYPOINTS = [
+  [KEYPOINTS.LEFT_FOOT_INDEX, KEYPOINTS.RIGHT_FOOT_INDEX],
+  [KEYPOINTS.LEFT_HEEL, KEYPOINTS.RIGHT_HEEL],
+  [KEYPOINTS.LEFT_ANKLE, KEYPOINTS.RIGHT_ANKLE]
+];
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Pixel y of the lowest tracked foot point (largest y), preferring toes over heels over ankles
+ */
+function getLowestFootY(keypoints) {
+  if (!keypoints) return null;
+  for (const group of FOOT_KEYPOINTS) {
+    const ys = group.map(idx => keypoints[idx]?.y).filter(y => y !== undefined);
+    if (ys.length > 0) return Math.max(...ys);
+  }
+  return null;
+}
+
+/**
+ * Mean of the left and right readings of a joint angle, ignoring sides that are not tracked
+ */
+function bilateralAngle(keypoints, calculateAngle) {
+  if (!keypoints) return null;
+  const angles = ['left', 'right'].map(side => calculateAngle(keypoints, side)).filter(a => a !== null);
+  return angles.length > 0 ? angles.reduce((a, b) => a + b, 0) / angles.length : null;
+}
+
+/**
+ * Find the flight phase: the longest run of frames where the lowest foot point is more
+ * than `thresholdPx` above the floor (the median foot height). Takeoff and landing times
+ * are then walked out and interpolated to where the foot is at CONTACT_LEVEL of the threshold.
+ * @param {Array<number|null>} footY - Lowest foot point per sample, in pixels
+ * @returns {Object|null} { takeoffIdx, landingIdx, takeoffTime, landingTime, groundY } - landingIdx is null if the clip ends in the air
+ */
+function detectFlight(footY, times, thresholdPx) {
+  const known = footY.filter(y => y !== null);
+  if (known.length < 3) return null;
+
+  const groundY = median(known);
+  const lift = footY.map(y => (y === null ? null : groundY - y));
+
+  // Missing feet keep whatever state the previous frame was in
+  let best = null;
+  let runStart = null;
+  for (let i = 0; i <= lift.length; i++) {
+    const airborne = i < lift.length && (lift[i] === null ? runStart !== null : lift[i] > thresholdPx);
+    if (airborne && runStart === null) {
+      runStart = i;
+    } else if (!airborne && runStart !== null) {
+      if (!best || i - runStart > best.end - best.start) best = { start: runStart, end: i };
+      runStart = null;
+    }
+  }
+  if (!best || best.end - best.start < MIN_FLIGHT_FRAMES || best.start === 0) return null;
+
+  const contactPx = thresholdPx * CONTACT_LEVEL;
+  const above = (i) => lift[i] !== null && lift[i] > contactPx;
+  let takeoffIdx = best.start;
+  while (takeoffIdx > 1 && above(takeoffIdx - 1)) takeoffIdx--;
+  let landingIdx = best.end;
+  while (landingIdx < lift.length && above(landingIdx)) landingIdx++;
+
+  // Time at which the foot passes contactPx between samples i - 1 and i
+  const crossing = (i) => {
+    const before = lift[i - 1] ?? 0;
+    const after = lift[i] ?? 0;
+    const t = after === before ? 0 : (contactPx - before) / (after - before);
+    return times[i - 1] + Math.min(1, Math.max(0, t)) * (times[i] - times[i - 1]);
+  };
+
+  const landed = landingIdx < lift.length;
+  return {
+    takeoffIdx,
+    landingIdx: landed ? landingIdx : null,
+    takeoffTime: crossing(takeoffIdx),
+    landingTime: landed ? crossing(landingIdx) : null,
+    groundY
+  };
+}
+
+/**
+ * Per-frame jump samples: center of mass and lowest foot point in pixels
+ */
+function getJumpSamples(frameData, fps) {
+  return frameData.map((frame, i) => (frame.centerOfMass ? {
+    frame: i,
+    time: frame.time ?? i / fps,
+    com: frame.centerOfMass,
+    footY: getLowestFootY(frame.keypoints),
+    keypoints: frame.keypoints
+  } : null)).filter(Boolean);
+}
+
+/**
+ * Jump height (inches) from flight time, h = g·t²/8
+ */
+function heightFromFlightTime(flightTime) {
+  return (GRAVITY * flightTime * flightTime / 8) * METERS_TO_INCHES;
+}
+
+/**
+ * Vertical jump physics. Works up the frame rather than along the field, so the
+ * calibration should be a line drawn against a vertical reference (pixels per yard).
+ * Height is reported two ways: from flight time (takeoff/landing of the feet) and from
+ * the peak rise of the center of mass above standing height. The COM figure includes
+ * the rise onto the toes before takeoff, so it usually reads a little higher.
+ * @param {Array} frameData - Frame tracking data (foot keypoints needed for flight time)
+ * @param {Object|number} calibration - Calibration or pixels per yard
+ * @param {number} fps - Video frames per second
+ * @param {Object} timeOverrides - Unused
+ * @param {number} athleteWeight - Athlete weight in lbs (power and Sayers peak power)
+ * @returns {Object|null} calculatePhysics-shaped results (position = COM height, yards) plus `verticalJump`
+ */
+export function calculateVerticalJumpPhysics(frameData, calibration, fps, timeOverrides = null, athleteWeight = null) {
+  const pixelsPerYard = typeof calibration === 'number' ? calibration : calibration?.pixelsPerYard;
+  const samples = getJumpSamples(frameData || [], fps);
+  if (samples.length < 3 || !pixelsPerYard) {
+    return null;
+  }
+
+  const warnings = [];
+  if (calibration?.type && calibration.type !== 'line') {
+    warnings.push('Scale comes from a ground-plane calibration - calibrate against a vertical reference for accurate heights');
+  }
+
+  const times = samples.map(s => s.time);
+  const frameAt = (idx) => frameData[samples[idx].frame].frame ?? samples[idx].frame;
+
+  // COM height above standing (image y grows downward), in yards
+  const comY = smoothData(samples.map(s => s.com.y), 3);
+  const standingY = median(comY.slice(0, Math.max(5, Math.round(samples.length * 0.1))));
+  const height = comY.map(y => (standingY - y) / pixelsPerYard);
+  const velocity = smoothData(height.map((_, i) => derivative(height, times, i)), 3);
+  const acceleration = velocity.map((_, i) => derivative(velocity, times, i));
+
+  const flight = detectFlight(
+    samples.map(s => s.footY),
+    times,
+    (AIRBORNE_THRESHOLD_IN / INCHES_PER_YARD) * pixelsPerYard
+  );
+  if (!flight) {
+    warnings.push('No flight phase found - foot keypoints never left the floor (manual tracking has no feet)');
+  } else if (flight.landingIdx === null) {
+    warnings.push('Clip ends before landing - extend the trim to include the landing');
+  }
+
+  const flightTime = flight?.landingTime ? flight.landingTime - flight.takeoffTime : null;
+  const takeoffIdx = flight ? flight.takeoffIdx : height.indexOf(Math.max(...height));
+  const flightEndIdx = flight?.landingIdx ?? height.length - 1;
+
+  // Peak of the center of mass during flight
+  let peakIdx = takeoffIdx;
+  for (let i = takeoffIdx; i <= flightEndIdx; i++) {
+    if (height[i] > height[peakIdx]) peakIdx = i;
+  }
+
+  // Countermovement: deepest COM dip before takeoff
+  let bottomIdx = 0;
+  for (let i = 0; i < takeoffIdx; i++) {
+    if (height[i] < height[bottomIdx]) bottomIdx = i;
+  }
+  const countermovementDepth = Math.max(0, -height[bottomIdx] * INCHES_PER_YARD);
+  let dipStartIdx = bottomIdx;
+  while (dipStartIdx > 0 && height[dipStartIdx - 1] * INCHES_PER_YARD < -0.5) dipStartIdx--;
+
+  const heightFromCom = height[peakIdx] * INCHES_PER_YARD;
+  const jumpHeight = flightTime !== null ? heightFromFlightTime(flightTime) : heightFromCom;
+
+  // Sayers equation: peak power (W) from jump height (cm) and body mass (kg)
+  const peakPower = athleteWeight
+    ? 60.7 * (jumpHeight * 2.54) + 45.3 * (athleteWeight * 0.453592) - 2055
+    : null;
+
+  const lastGroundKeypoints = samples[Math.max(0, takeoffIdx - 1)].keypoints;
+
+  let frames = samples.map((sample, i) => ({
+    frame: sample.frame,
+    time: sample.time,
+    position: height[i],
+    velocity: velocity[i],
+    velocityMph: velocity[i] * 2.045454545,
+    acceleration: acceleration[i],
+    accelerationG: acceleration[i] * YARDS_PER_S2_TO_G
+  }));
+
+  if (athleteWeight) {
+    frames = addPowerCalculations(frames, athleteWeight);
+  }
+
+  const summary = {
+    ...calculateSummary(frames, null),
+    totalTime: flightTime ?? (times[times.length - 1] - times[0]),
+    totalDistance: height[peakIdx],
+    splits: {}
+  };
+
+  return {
+    frames,
+    summary,
+    hasTimeOverrides: false,
+    verticalJump: {
+      jumpHeight,
+      heightFromFlight: flightTime !== null ? heightFromFlightTime(flightTime) : null,
+      heightFromCom,
+      flightTime,
+      takeoffTime: flight?.takeoffTime ?? null,
+      takeoffFrame: flight ? frameAt(takeoffIdx) : null,
+      landingTime: flight?.landingTime ?? null,
+      landingFrame: flight?.landingIdx ? frameAt(flight.landingIdx) : null,
+      peakTime: times[peakIdx],
+      peakFrame: frameAt(peakIdx),
+      takeoffVelocityMph: Math.max(...velocity.slice(0, takeoffIdx + 1)) * 2.045454545,
+      countermovement: {
+        depth: countermovementDepth,
+        duration: flight ? flight.takeoffTime - times[dipStartIdx] : null,
+        bottomTime: times[bottomIdx],
+        bottomFrame: frameAt(bottomIdx),
+        kneeAngle: bilateralAngle(samples[bottomIdx].keypoints, calculateKneeAngle),
+        hipAngle: bilateralAngle(samples[bottomIdx].keypoints, calculateHipAngle)
+      },
+      takeoff: {
+        kneeAngle: bilateralAngle(lastGroundKeypoints, calculateKneeAngle),
+        hipAngle: bilateralAngle(lastGroundKeypoints, calculateHipAngle)
+      },
+      peakPower: peakPower !== null && peakPower > 0 ? peakPower : null,
+      warnings
+    }
+  };
+}
+
+// Heels count as planted within this window (seconds) after the feet first touch down
+const LANDING_SETTLE_TIME = 0.3;
+
+const HEEL_KEYPOINTS = [
+  { idx: KEYPOINTS.LEFT_HEEL, side: 'left' },
+  { idx: KEYPOINTS.RIGHT_HEEL, side: 'right' }
+];
+
+const TOE_KEYPOINTS = [
+  { idx: KEYPOINTS.LEFT_FOOT_INDEX, side: 'left' },
+  { idx: KEYPOINTS.RIGHT_FOOT_INDEX, side: 'right' }
+];
+
+/**
+ * Broad jump physics. Distance follows the measuring rule: from the takeoff toes to the
+ * rearmost heel once the athlete has landed. Horizontal positions come from the field
+ * calibration; heights use its pixels-per-yard scale, as for the vertical jump.
+ * @param {Array} frameData - Frame tracking data (heel and toe keypoints needed)
+ * @param {Object|number} calibration - Calibration or pixels per yard
+ * @param {number} fps - Video frames per second
+ * @param {Object} timeOverrides - Unused
+ * @param {number} athleteWeight - Athlete weight in lbs (for power calc)
+ * @returns {Object|null} calculatePhysics-shaped results plus `broadJump` (distance, takeoff angle, peak height, flight time)
+ */
+export function calculateBroadJumpPhysics(frameData, calibration, fps, timeOverrides = null, athleteWeight = null) {
+  const pixelsPerYard = typeof calibration === 'number' ? calibration : calibration?.pixelsPerYard;
+  const samples = getJumpSamples(frameData || [], fps);
+  if (samples.length < 3 || !pixelsPerYard) {
+    return null;
+  }
+
+  const warnings = [];
+  const times = samples.map(s => s.time);
+  const frameAt = (idx) => frameData[samples[idx].frame].frame ?? samples[idx].frame;
+  const fieldX = (pixel) => pixelToField(calibration, pixel)?.x ?? null;
+
+  // Jump direction from the net horizontal travel of the center of mass
+  const comX = smoothData(samples.map(s => fieldX(s.com) ?? 0), 3);
+  const direction = comX[comX.length - 1] >= comX[0] ? 1 : -1;
+  const forward = comX.map(x => (x - comX[0]) * direction);
+
+  const comY = smoothData(samples.map(s => s.com.y), 3);
+  const standingY = median(comY.slice(0, Math.max(5, Math.round(samples.length * 0.1))));
+  const rise = comY.map(y => (standingY - y) / pixelsPerYard);
+
+  const horizontalVelocity = smoothData(forward.map((_, i) => derivative(forward, times, i)), 3);
+  const verticalVelocity = smoothData(rise.map((_, i) => derivative(rise, times, i)), 3);
+  const acceleration = horizontalVelocity.map((_, i) => derivative(horizontalVelocity, times, i));
+
+  const flight = detectFlight(
+    samples.map(s => s.footY),
+    times,
+    (AIRBORNE_THRESHOLD_IN / INCHES_PER_YARD) * pixelsPerYard
+  );
+
+  let result = null;
+  if (!flight) {
+    warnings.push('No flight phase found - foot keypoints never left the floor (manual tracking has no feet)');
+  } else if (flight.landingIdx === null) {
+    warnings.push('Clip ends before landing - extend the trim to include the landing');
+  } else {
+    const { takeoffIdx, landingIdx, groundY } = flight;
+    const plantedPx = (AIRBORNE_THRESHOLD_IN / INCHES_PER_YARD) * pixelsPerYard;
+
+    // Takeoff: the front toe on the last frame in contact with the floor
+    const takeoffKeypoints = samples[takeoffIdx - 1].keypoints || {};
+    const toes = TOE_KEYPOINTS
+      .filter(({ idx }) => takeoffKeypoints[idx])
+      .map(({ idx, side }) => ({ side, x: fieldX(takeoffKeypoints[idx]), pixel: { x: takeoffKeypoints[idx].x, y: takeoffKeypoints[idx].y } }))
+      .filter(toe => toe.x !== null);
+    const takeoffToe = toes.length > 0
+      ? toes.reduce((front, toe) => (toe.x * direction > front.x * direction ? toe : front))
+      : null;
+
+    // Landing: the rearmost planted heel while the athlete settles
+    let landingHeel = null;
+    for (let i = landingIdx; i < samples.length && times[i] - times[landingIdx] <= LANDING_SETTLE_TIME; i++) {
+      const keypoints = samples[i].keypoints || {};
+      for (const { idx, side } of HEEL_KEYPOINTS) {
+        const heel = keypoints[idx];
+        if (!heel || groundY - heel.y > plantedPx) continue;
+        const x = fieldX(heel);
+        if (x !== null && (!landingHeel || x * direction < landingHeel.x * direction)) {
+          landingHeel = { side, x, pixel: { x: heel.x, y: heel.y }, frame: frameAt(i), time: times[i] };
+        }
+      }
+    }
+
+    if (!takeoffToe) warnings.push('Toes not tracked at takeoff - distance unavailable');
+    if (!landingHeel) warnings.push('No heel tracked on the floor after landing - distance unavailable');
+
+    // Takeoff angle from the center-of-mass velocity over the first frames of flight
+    const launch = samples.slice(takeoffIdx, Math.min(landingIdx, takeoffIdx + 3)).map((_, k) => takeoffIdx + k);
+    const launchVx = launch.reduce((sum, i) => sum + horizontalVelocity[i], 0) / launch.length;
+    const launchVy = launch.reduce((sum, i) => sum + verticalVelocity[i], 0) / launch.length;
+
+    let peakIdx = takeoffIdx;
+    for (let i = takeoffIdx; i <= landingIdx; i++) {
+      if (rise[i] > rise[peakIdx]) peakIdx = i;
+    }
+
+    result = {
+      distance: takeoffToe && landingHeel ? (landingHeel.x - takeoffToe.x) * direction * INCHES_PER_YARD : null,
+      takeoffToe,
+      landingHeel,
+      direction: direction > 0 ? 'right' : 'left',
+      flightTime: flight.landingTime - flight.takeoffTime,
+      takeoffTime: flight.takeoffTime,
+      takeoffFrame: frameAt(takeoffIdx),
+      landingTime: flight.landingTime,
+      landingFrame: frameAt(landingIdx),
+      takeoffAngle: Math.atan2(launchVy, launchVx) * (180 / Math.PI),
+      takeoffVelocityMph: Math.hypot(launchVx, launchVy) * 2.045454545,
+      peakHeight: rise[peakIdx] * INCHES_PER_YARD,
+      peakTime: times[peakIdx],
+      peakFrame: frameAt(peakIdx)
+    };
+  }
+
+  let frames = samples.map((sample, i) => ({
+    frame: sample.frame,
+    time: sample.time,
+    position: forward[i],
+    velocity: horizontalVelocity[i],
+    velocityMph: horizontalVelocity[i] * 2.045454545,
+    acceleration: acceleration[i],
+    accelerationG: acceleration[i] * YARDS_PER_S2_TO_G
+  }));
+
+  if (athleteWeight) {
+    frames = addPowerCalculations(frames, athleteWeight);
+  }
+
+  const summary = {
+    ...calculateSummary(frames, null),
+    totalTime: result ? result.flightTime : times[times.length - 1] - times[0],
+    totalDistance: result?.distance !== null && result?.distance !== undefined ? result.distance / INCHES_PER_YARD : forward[forward.length - 1],
+    splits: {}
+  };
+
+  return {
+    frames,
+    summary,
+    hasTimeOverrides: false,
+    broadJump: {
+      distance: null,
+      takeoffToe: null,
+      landingHeel: null,
+      flightTime: null,
+      takeoffAngle: null,
+      takeoffVelocityMph: null,
+      peakHeight: null,
+      ...result,
+      warnings
+    }
+  };
+}
+
+// ============ FORCE-VELOCITY PROFILE ============
+
+const YARDS_TO_METERS = 0.9144;
+const LBS_TO_KG = 0.453592;
+const INCHES_TO_METERS = 0.0254;
+
+// Stand-ins for the air resistance estimate when the athlete's size isn't known
+const DEFAULT_BODY_MASS_KG = 75;
+const DEFAULT_HEIGHT_M = 1.78;
+
+// Air density at 20 °C, sea level (kg/m³) and sprinter drag coefficient
+const AIR_DENSITY = 1.204;
+const DRAG_COEFFICIENT = 0.9;
+
+// Ratio of force is only meaningful once the first push-off is over (seconds)
+const RF_START_TIME = 0.3;
+
+// Model time step for the force, power and RF series (seconds)
+const FV_MODEL_STEP = 0.01;
+
+/**
+ * Least-squares line through (x, y) pairs
+ * @returns {{slope: number, intercept: number}|null}
+ */
+function linearFit(xs, ys) {
+  const n = xs.length;
+  if (n < 2) return null;
+  const meanX = xs.reduce((a, b) => a + b, 0) / n;
+  const meanY = ys.reduce((a, b) => a + b, 0) / n;
+  let sxy = 0;
+  let sxx = 0;
+  for (let i = 0; i < n; i++) {
+    sxy += (xs[i] - meanX) * (ys[i] - meanY);
+    sxx += (xs[i] - meanX) ** 2;
+  }
+  if (sxx === 0) return null;
+  const slope = sxy / sxx;
+  return { slope, intercept: meanY - slope * meanX };
+}
+
+// Start times are searched back to this long before speed passes 20% of peak (seconds)
+const MAX_ONSET_LEAD = 1.0;
+
+// Coarse then fine grid steps for the τ and t0 search (seconds)
+const FIT_COARSE_STEP = 0.05;
+const FIT_FINE_STEP = 0.005;
+
+/**
+ * Closed-form vmax and the residual sum of squares for one (t0, τ) pair
+ */
+function speedModelError(t, v, from, to, t0, tau) {
+  let sgv = 0;
+  let sgg = 0;
+  for (let i = from; i <= to; i++) {
+    const g = t[i] > t0 ? 1 - Math.exp(-(t[i] - t0) / tau) : 0;
+    sgv += g * v[i];
+    sgg += g * g;
+  }
+  if (sgg === 0) return null;
+  const vmax = sgv / sgg;
+  let sse = 0;
+  for (let i = from; i <= to; i++) {
+    const g = t[i] > t0 ? 1 - Math.exp(-(t[i] - t0) / tau) : 0;
+    sse += (v[i] - vmax * g) ** 2;
+  }
+  return { vmax, sse };
+}
+
+/**
+ * Fit the mono-exponential sprint model v(t) = vmax·(1 − e^(−(t − t0)/τ)) to a speed curve.
+ * τ and the start time t0 are grid-searched, coarse then fine around the best pair; for
+ * each pair vmax has a closed-form least-squares solution. t0 is only searched in the
+ * second before speed passes 20% of peak, and the fit covers that window up to where
+ * the athlete slows below 90% of peak speed (past the finish), so a long lead-in
+ * before the start costs nothing.
+ * @param {number[]} times - Seconds
+ * @param {number[]} speeds - m/s
+ * @returns {{vmax: number, tau: number, t0: number, r2: number, startIndex: number, endIndex: number}|null}
+ */
+export function fitSpeedTimeModel(times, speeds) {
+  if (times.length < 10) return null;
+
+  const peak = Math.max(...speeds);
+  if (!(peak > 0)) return null;
+  let endIndex = speeds.indexOf(peak);
+  while (endIndex < speeds.length - 1 && speeds[endIndex + 1] >= peak * 0.9) endIndex++;
+
+  const launchIdx = Math.max(0, speeds.findIndex(s => s >= peak * 0.2));
+  const t0Max = times[launchIdx];
+  const t0Min = Math.max(times[0] - 0.5, t0Max - MAX_ONSET_LEAD);
+  let startIndex = 0;
+  while (startIndex < launchIdx && times[startIndex] < t0Min) startIndex++;
+  if (endIndex - startIndex < 4) return null;
+
+  const search = (tauFrom, tauTo, t0From, t0To, step, best) => {
+    for (let tau = tauFrom; tau <= tauTo + 1e-9; tau += step) {
+      for (let t0 = t0From; t0 <= t0To + 1e-9; t0 += step) {
+        const fit = speedModelError(times, speeds, startIndex, endIndex, t0, tau);
+        if (fit && (!best || fit.sse < best.sse)) best = { ...fit, tau, t0 };
+      }
+    }
+    return best;
+  };
+
+  let best = search(0.2, 3, t0Min, t0Max, FIT_COARSE_STEP, null);
+  if (!best) return null;
+  best = search(
+    Math.max(0.2, best.tau - FIT_COARSE_STEP), Math.min(3, best.tau + FIT_COARSE_STEP),
+    Math.max(t0Min, best.t0 - FIT_COARSE_STEP), Math.min(t0Max, best.t0 + FIT_COARSE_STEP),
+    FIT_FINE_STEP, best
+  );
+
+  const v = speeds.slice(startIndex, endIndex + 1);
+  const meanV = v.reduce((a, b) => a + b, 0) / v.length;
+  const sst = v.reduce((sum, s) => sum + (s - meanV) ** 2, 0);
+  return {
+    vmax: best.vmax,
+    tau: best.tau,
+    t0: best.t0,
+    r2: sst > 0 ? 1 - best.sse / sst : 0,
+    startIndex,
+    endIndex
+  };
+}
+
+/**
+ * Horizontal force-velocity profile from a sprint's speed curve (Samozino et al., 2016).
+ * The fitted speed model gives acceleration at every instant; net horizontal force is
+ * mass × acceleration plus air resistance. A line through force against speed gives F0
+ * (intercept) and V0 (speed at zero force); Pmax = F0·V0/4. Ratio of force RF is the
+ * horizontal share of the total ground force, and DRF its fall per m/s of speed.
+ * Force and power are also given per kg, which needs no body mass.
+ * @param {Array} frames - calculatePhysics frames (time, velocity in yd/s)
+ * @param {Object} athlete
+ * @param {number} athlete.weightLbs - Body weight, for absolute force and power
+ * @param {number} athlete.heightIn - Height, for the frontal area in the drag term
+ * @returns {Object|null} Profile, or null if the speed curve can't be fitted
+ */
+export function calculateForceVelocityProfile(frames, { weightLbs = null, heightIn = null } = {}) {
+  const samples = (frames || []).filter(f => Number.isFinite(f.time) && Number.isFinite(f.velocity));
+  const times = samples.map(f => f.time);
+  const speeds = samples.map(f => Math.abs(f.velocity) * YARDS_TO_METERS);
+
+  const fit = fitSpeedTimeModel(times, speeds);
+  if (!fit || !(fit.vmax > 0)) return null;
+  const { vmax, tau, t0, r2, startIndex, endIndex } = fit;
+
+  const massKg = weightLbs ? weightLbs * LBS_TO_KG : null;
+  const heightM = heightIn ? heightIn * INCHES_TO_METERS : DEFAULT_HEIGHT_M;
+  const dragMass = massKg || DEFAULT_BODY_MASS_KG;
+  const frontalArea = 0.2025 * heightM ** 0.725 * dragMass ** 0.425 * 0.266;
+  const drag = 0.5 * AIR_DENSITY * frontalArea * DRAG_COEFFICIENT; // N per (m/s)²
+
+  // Model series per kg, from the start to the end of the fitted range
+  const duration = times[endIndex] - t0;
+  const model = [];
+  for (let t = 0; t <= duration; t += FV_MODEL_STEP) {
+    const speed = vmax * (1 - Math.exp(-t / tau));
+    const acceleration = (vmax / tau) * Math.exp(-t / tau);
+    const force = acceleration + (drag * speed * speed) / dragMass;
+    model.push({ t, speed, force, rf: force / Math.hypot(force, GRAVITY) });
+  }
+
+  const warnings = [];
+  const fv = linearFit(model.map(m => m.speed), model.map(m => m.force));
+  if (!fv || fv.slope >= 0) return null;
+  const f0 = fv.intercept;
+  const v0 = -fv.intercept / fv.slope;
+  const pmax = (f0 * v0) / 4;
+
+  const rfPhase = model.filter(m => m.t >= RF_START_TIME);
+  const rfFit = linearFit(rfPhase.map(m => m.speed), rfPhase.map(m => m.rf * 100));
+  const rfMax = rfPhase.length > 0 ? rfPhase[0].rf * 100 : null;
+
+  if (r2 < 0.9) {
+    warnings.push(`Speed curve fits the sprint model loosely (R² ${r2.toFixed(2)}) - check that tracking covers the start`);
+  }
+  if (duration < 2) {
+    warnings.push('Less than 2 s of acceleration tracked - V0 and Pmax are extrapolated');
+  }
+  if (!massKg) {
+    warnings.push('No body weight - showing force and power per kg only');
+  }
+
+  return {
+    vmax,
+    tau,
+    startTime: t0,
+    r2,
+    f0,
+    v0,
+    pmax,
+    slope: fv.slope,
+    f0Absolute: massKg ? f0 * massKg : null,
+    pmaxAbsolute: massKg ? pmax * massKg : null,
+    rfMax,
+    drf: rfFit ? rfFit.slope : null,
+    massKg,
+    // Measured and fitted speed (m/s) at each tracked frame, for charting
+    curve: samples.map((f, i) => ({
+      time: f.time,
+      measured: speeds[i],
+      fitted: f.time > t0 ? vmax * (1 - Math.exp(-(f.time - t0) / tau)) : 0,
+      inFit: i >= startIndex && i <= endIndex
+    })),
+    warnings
+  };
+}
+
+// ============ GAIT ============
+
+// A foot counts as planted while its ground speed is below this fraction of the body's...
+const STANCE_SPEED_FRACTION = 0.35;
+
+// ...or below this speed (yards/s), so the set position and slow early steps still register
+const STANCE_SPEED_FLOOR = 0.75;
+
+// Shorter ground contacts (seconds) are keypoint jitter on a swinging foot
+const MIN_CONTACT_TIME = 0.04;
+
+const GAIT_FEET = [
+  { side: 'left', heel: KEYPOINTS.LEFT_HEEL, toe: KEYPOINTS.LEFT_FOOT_INDEX },
+  { side: 'right', heel: KEYPOINTS.RIGHT_HEEL, toe: KEYPOINTS.RIGHT_FOOT_INDEX }
+];
+
+/**
+ * Field x of a foot's ground point (between heel and toe), or null if neither is tracked
+ */
+function footFieldX(calibration, keypoints, foot) {
+  const points = [keypoints?.[foot.heel], keypoints?.[foot.toe]].filter(Boolean);
+  if (points.length === 0) return null;
+  const pixel = {
+    x: points.reduce((sum, p) => sum + p.x, 0) / points.length,
+    y: points.reduce((sum, p) => sum + p.y, 0) / points.length
+  };
+  return pixelToField(calibration, pixel)?.x ?? null;
+}
+
+/**
+ * Fill untracked samples with the nearest tracked value on either side
+ */
+function fillGaps(values) {
+  const filled = [...values];
+  let last = null;
+  for (let i = 0; i < filled.length; i++) {
+    if (filled[i] === null) filled[i] = last;
+    else last = filled[i];
+  }
+  last = null;
+  for (let i = filled.length - 1; i >= 0; i--) {
+    if (filled[i] === null) filled[i] = last;
+    else last = filled[i];
+  }
+  return filled;
+}
+
+/**
+ * Ground contacts of one foot: runs of samples where the foot is (nearly) still on the
+ * field while the body moves. Foot-strike and toe-off are interpolated to where the foot
+ * speed crosses the stance threshold. A contact already under way when the clip starts
+ * has no strike time; one still going when it ends has no toe-off.
+ */
+function findFootContacts(footX, times, bodySpeed, side) {
+  if (footX.every(x => x === null)) return [];
+
+  const x = smoothData(fillGaps(footX), 3);
+  const footSpeed = x.map((_, i) => Math.abs(derivative(x, times, i)));
+  const margin = footSpeed.map((speed, i) => Math.max(STANCE_SPEED_FLOOR, STANCE_SPEED_FRACTION * bodySpeed[i]) - speed);
+
+  // Untracked samples keep the previous state; single-sample dropouts mid-stance are closed
+  const stance = [];
+  for (let i = 0; i < margin.length; i++) {
+    stance.push(footX[i] === null && i > 0 ? stance[i - 1] : margin[i] > 0);
+  }
+  for (let i = 1; i < stance.length - 1; i++) {
+    if (!stance[i] && stance[i - 1] && stance[i + 1]) stance[i] = true;
+  }
+
+  // Time at which the stance margin changes sign between samples i - 1 and i
+  const crossing = (i) => {
+    const before = margin[i - 1];
+    const after = margin[i];
+    const t = after === before ? 0.5 : before / (before - after);
+    return times[i - 1] + Math.min(1, Math.max(0, t)) * (times[i] - times[i - 1]);
+  };
+
+  const contacts = [];
+  let runStart = null;
+  for (let i = 0; i <= stance.length; i++) {
+    const planted = i < stance.length && stance[i];
+    if (planted && runStart === null) {
+      runStart = i;
+    } else if (!planted && runStart !== null) {
+      const strikeTime = runStart > 0 ? crossing(runStart) : null;
+      const toeOffTime = i < stance.length ? crossing(i) : null;
+      const duration = (toeOffTime ?? times[i - 1]) - (strikeTime ?? times[runStart]);
+      if (duration >= MIN_CONTACT_TIME || strikeTime === null || toeOffTime === null) {
+        const footprint = footX.slice(runStart, i).filter(v => v !== null);
+        contacts.push({
+          side,
+          startIdx: runStart,
+          endIdx: i,
+          strikeTime,
+          toeOffTime,
+          x: footprint.length > 0 ? median(footprint) : x[runStart]
+        });
+      }
+      runStart = null;
+    }
+  }
+  return contacts;
+}
+
+/**
+ * Percentage difference between the left and right values, relative to their mean
+ * (positive when the left is larger)
+ */
+function symmetryIndex(left, right) {
+  if (left === null || right === null || left + right === 0) return null;
+  return ((left - right) / ((left + right) / 2)) * 100;
+}
+
+function average(values) {
+  const known = values.filter(v => v !== null && v !== undefined);
+  return known.length > 0 ? known.reduce((a, b) => a + b, 0) / known.length : null;
+}
+
+/**
+ * Stride-by-stride gait analysis from the heel and toe keypoints of a sprint. Each foot's
+ * ground contacts are found from its speed along the field (a planted foot is still while
+ * the body moves past it), then both feet's contacts are merged in order into steps.
+ * Step length is the distance from the other foot's last footprint; step time runs from
+ * its foot-strike to this one, flight time from its toe-off to this foot-strike.
+ * Each step's asymmetry compares it with the previous step, taken off the other foot.
+ * @param {Array} frameData - Frame tracking data (heel and toe keypoints needed)
+ * @param {Object|number} calibration - Field calibration
+ * @param {number} fps - Video frames per second, for frames without a timestamp
+ * @returns {Object} { steps, summary, warnings } - summary is null when fewer than two steps are found
+ */
+export function analyzeGait(frameData, calibration, fps) {
+  const warnings = [];
+  const samples = (frameData || []).map((frame, i) => {
+    const com = frame.centerOfMass ? pixelToField(calibration, frame.centerOfMass) : null;
+    return com ? { frame: i, time: frame.time ?? i / fps, comX: com.x, keypoints: frame.keypoints } : null;
+  }).filter(Boolean);
+
+  if (samples.length < 5) {
+    return { steps: [], summary: null, warnings: ['Too few tracked frames for gait analysis'] };
+  }
+
+  const times = samples.map(s => s.time);
+  const comX = smoothData(samples.map(s => s.comX), 3);
+  const bodySpeed = comX.map((_, i) => Math.abs(derivative(comX, times, i)));
+  const frameAt = (idx) => frameData[samples[idx].frame].frame ?? samples[idx].frame;
+
+  const contacts = GAIT_FEET
+    .flatMap(foot => findFootContacts(samples.map(s => footFieldX(calibration, s.keypoints, foot)), times, bodySpeed, foot.side))
+    .sort((a, b) => (a.strikeTime ?? times[a.startIdx]) - (b.strikeTime ?? times[b.startIdx]));
+
+  const steps = [];
+  for (let i = 1; i < contacts.length; i++) {
+    const contact = contacts[i];
+    if (contact.strikeTime === null) continue;
+
+    // A step is measured from the last contact of the other foot; in the set position
+    // both feet are down, so that is the front foot rather than whichever lifts first
+    let prev = null;
+    for (let j = i - 1; j >= 0 && !prev; j--) {
+      if (contacts[j].side !== contact.side) prev = contacts[j];
+    }
+    if (!prev) continue;
+
+    const stepTime = prev.strikeTime !== null ? contact.strikeTime - prev.strikeTime : null;
+    const step = {
+      number: steps.length + 1,
+      side: contact.side,
+      strikeTime: contact.strikeTime,
+      strikeFrame: frameAt(contact.startIdx),
+      toeOffTime: contact.toeOffTime,
+      stepLength: Math.abs(contact.x - prev.x),
+      stepTime,
+      stepFrequency: stepTime > 0 ? 1 / stepTime : null,
+      contactTime: contact.toeOffTime !== null ? contact.toeOffTime - contact.strikeTime : null,
+      // Both feet down at once (the first steps out of a start) is no flight at all
+      flightTime: prev.toeOffTime !== null ? Math.max(0, contact.strikeTime - prev.toeOffTime) : null,
+      alternates: contacts[i - 1].side !== contact.side || contacts[i - 1].strikeTime === null,
+      stepLengthAsymmetry: null,
+      contactTimeAsymmetry: null
+    };
+
+    const prevStep = steps[steps.length - 1];
+    if (prevStep && prevStep.side !== step.side) {
+      const compare = (a, b) => (a === null || b === null ? null : symmetryIndex(a, b));
+      step.stepLengthAsymmetry = compare(step.stepLength, prevStep.stepLength);
+      step.contactTimeAsymmetry = compare(step.contactTime, prevStep.contactTime);
+    }
+    steps.push(step);
+  }
+
+  if (steps.length < 2) {
+    warnings.push('Fewer than two steps found - heel and toe keypoints are needed (manual tracking has no feet)');
+    return { steps, summary: null, warnings };
+  }
+
+  const repeats = steps.filter(step => !step.alternates).length;
+  if (repeats > 0) {
+    warnings.push(`${repeats} step${repeats > 1 ? 's' : ''} landed on the same foot as the one before - left and right may be swapped in tracking`);
+  }
+
+  const bySide = (side, key) => average(steps.filter(step => step.side === side).map(step => step[key]));
+  const metric = (key) => {
+    const left = bySide('left', key);
+    const right = bySide('right', key);
+    return { mean: average(steps.map(step => step[key])), left, right, asymmetry: symmetryIndex(left, right) };
+  };
+
+  return {
+    steps,
+    summary: {
+      stepCount: steps.length,
+      stepLength: metric('stepLength'),
+      stepFrequency: metric('stepFrequency'),
+      contactTime: metric('contactTime'),
+      flightTime: metric('flightTime')
+    },
+    warnings
+  };
+}
+
+// Profile-specific physics; anything not listed uses the linear sprint model
+const PROFILE_PHYSICS = {
+  proAgility: calculateProAgilityPhysics,
+  lDrill: calculateLDrillPhysics,
+  verticalJump: calculateVerticalJumpPhysics,
+  broadJump: calculateBroadJumpPhysics
+};
+
+/**
+ * Physics for the given tracking profile (same arguments as calculatePhysics). The
+ * position filter applies to the linear profiles; drill and jump profiles smooth their
+ * own series around turns and flight phases.
+ */
+export function calculateProfilePhysics(profileId, frameData, calibration, fps, timeOverrides = null, athleteWeight = null, filter = DEFAULT_KINEMATICS_FILTER) {
+  const calculate = PROFILE_PHYSICS[profileId];
+  if (calculate) {
+    return calculate(frameData, calibration, fps, timeOverrides, athleteWeight);
+  }
+  return calculatePhysics(frameData, calibration, fps, timeOverrides, athleteWeight, filter);
+}
+
 /**
  * Calculate biomechanics time series from frame data
  */
@@ -350,25 +1832,39 @@ export function calculateBiomechanicsTimeSeries(frameData) {
     }));
 }
 
+// Yards between two pixels along the running direction
+function fieldDistanceX(calibration, a, b) {
+  const fieldA = pixelToField(calibration, a);
+  const fieldB = pixelToField(calibration, b);
+  return fieldA && fieldB ? Math.abs(fieldA.x - fieldB.x) : 0;
+}
+
+// Yards between two pixels along the profile's movement axis. Vertical movement is off the
+// field plane, so it is measured in the image with the calibration's pixels-per-yard scale.
+function axisDistance(calibration, a, b, axis) {
+  if (axis !== 'vertical') return fieldDistanceX(calibration, a, b);
+  const pixelsPerYard = typeof calibration === 'number' ? calibration : calibration?.pixelsPerYard;
+  return pixelsPerYard ? Math.abs(a.y - b.y) / pixelsPerYard : 0;
+}
+
 /**
  * Detect start of movement (first significant acceleration)
  * @param {Array} frameData - Frame tracking data
- * @param {number} pixelsPerUnit - Calibration
+ * @param {Object|number} calibration - Field calibration, or pixels per yard
  * @param {number} threshold - Velocity threshold in yards/s
+ * @param {string} axis - Profile movementAxis: 'horizontal' or 'vertical'
  * @returns {number} Frame index of movement start
  */
-export function detectMovementStart(frameData, pixelsPerUnit, threshold = 0.5) {
+export function detectMovementStart(frameData, calibration, threshold = 0.5, axis = 'horizontal') {
   if (!frameData || frameData.length < 2) return 0;
 
-  const startPixelX = frameData[0].centerOfMass?.x || 0;
-
   for (let i = 1; i < frameData.length; i++) {
     const com = frameData[i].centerOfMass;
     const prevCom = frameData[i - 1].centerOfMass;
 
     if (!com || !prevCom) continue;
 
-    const dx = Math.abs(com.x - prevCom.x) / pixelsPerUnit;
+    const dx = axisDistance(calibration, com, prevCom, axis);
     const dt = frameData[i].time - frameData[i - 1].time;
     const velocity = dt > 0 ? dx / dt : 0;
 
@@ -381,10 +1877,39 @@ export function detectMovementStart(frameData, pixelsPerUnit, threshold = 0.5) {
   return 0;
 }
 
+// Reactions quicker than this (seconds) after the signal count as a false start
+const FALSE_START_REACTION = 0.1;
+
+/**
+ * Reaction time from the start signal to the first movement detectMovementStart finds
+ * @param {Array} frameData - Frame tracking data
+ * @param {Object|number} calibration - Field calibration, or pixels per yard
+ * @param {number} signalTime - Video time of the start signal (seconds)
+ * @param {string} axis - Profile movementAxis: 'horizontal' or 'vertical'
+ * @returns {Object|null} { reactionTime, movementTime, movementFrame, falseStart }, or null
+ *   when no movement is found after the first frame
+ */
+export function calculateReactionTime(frameData, calibration, signalTime, axis = 'horizontal') {
+  if (!frameData || frameData.length < 2 || signalTime === null || signalTime === undefined) return null;
+
+  // Index 0 is also what detectMovementStart returns when nothing moves
+  const index = detectMovementStart(frameData, calibration, MOVEMENT_THRESHOLD, axis);
+  if (index === 0) return null;
+
+  const movementTime = frameData[index].time;
+  const reactionTime = movementTime - signalTime;
+  return {
+    reactionTime,
+    movementTime,
+    movementFrame: frameData[index].frame ?? index,
+    falseStart: reactionTime < FALSE_START_REACTION
+  };
+}
+
 /**
  * Detect end of movement (velocity drops below threshold)
  */
-export function detectMovementEnd(frameData, pixelsPerUnit, threshold = 0.5) {
+export function detectMovementEnd(frameData, calibration, threshold = 0.5, axis = 'horizontal') {
   if (!frameData || frameData.length < 2) return frameData.length - 1;
 
   // Start from the end and look backwards
@@ -394,7 +1919,7 @@ export function detectMovementEnd(frameData, pixelsPerUnit, threshold = 0.5) {
 
     if (!com || !prevCom) continue;
 
-    const dx = Math.abs(com.x - prevCom.x) / pixelsPerUnit;
+    const dx = axisDistance(calibration, com, prevCom, axis);
     const dt = frameData[i].time - frameData[i - 1].time;
     const velocity = dt > 0 ? dx / dt : 0;
 
@@ -408,7 +1933,17 @@ export function detectMovementEnd(frameData, pixelsPerUnit, threshold = 0.5) {
 
 export default {
   calculatePhysics,
+  detectLineCrossings,
+  calculateProAgilityPhysics,
+  calculateLDrillPhysics,
+  calculateVerticalJumpPhysics,
+  calculateBroadJumpPhysics,
+  calculateProfilePhysics,
+  fitSpeedTimeModel,
+  calculateForceVelocityProfile,
+  analyzeGait,
   calculateBiomechanicsTimeSeries,
   detectMovementStart,
+  calculateReactionTime,
   detectMovementEnd
 };
\ No newline at end of file
@@ -0,0 +1,72 @@
+import { calculatePhysics, detectLineCrossings } from './videoPhysics';
+import { createGridCalibration, createLineCalibration, createCourse, fieldToPixel } from './fieldCalibration';
+
+// A 40 x 10 yard grid seen from an angle
+const calibration = createGridCalibration([
+  { x: 300, y: 200 },
+  { x: 980, y: 210 },
+  { x: 1200, y: 620 },
+  { x: 60, y: 600 }
+], 40, 10);
+const course = createCourse([], 40, calibration);
+
+// Athlete down the middle of the grid at a steady 8 yd/s, filmed at 60 fps
+const runFrames = (fromX, toX) => {
+  const speed = 8 * Math.sign(toX - fromX);
+  const count = Math.round(Math.abs(toX - fromX) / 8 * 60) + 1;
+  return Array.from({ length: count }, (_, i) => ({
+    frame: i,
+    time: i / 60,
+    centerOfMass: fieldToPixel(calibration, { x: fromX + speed * (i / 60), y: 5 })
+  }));
+};
+
+describe('detectLineCrossings', () => {
+  it('times a grid run toward +x', () => {
+    const result = detectLineCrossings(runFrames(-2, 42), course, 60);
+    expect(result.course.reversed).toBe(false);
+    expect(result.lines[0].time).toBeCloseTo(0.25);
+    expect(result.splits[10]).toBeCloseTo(1.25);
+    expect(result.finishTime).toBeCloseTo(5);
+  });
+
+  it('times a grid run toward -x from the far edge', () => {
+    const result = detectLineCrossings(runFrames(42, -2), course, 60);
+    expect(result.course.reversed).toBe(true);
+    expect(result.lines[0].time).toBeCloseTo(0.25);
+    expect(result.splits[10]).toBeCloseTo(1.25);
+    expect(result.splits[30]).toBeCloseTo(3.75);
+    expect(result.finishTime).toBeCloseTo(5);
+  });
+
+  it('times splits from the start signal when one is given', () => {
+    const result = detectLineCrossings(runFrames(42, -2), course, 60, 0.05);
+    expect(result.splits[10]).toBeCloseTo(1.45);
+  });
+});
+
+describe('calculatePhysics signal timing', () => {
+  // 40 yards at 8 yd/s on a 20 px/yd line calibration, filmed from 1 s into the video
+  const lineCalibration = createLineCalibration([{ x: 100, y: 300 }, { x: 900, y: 300 }], 40);
+  const frames = Array.from({ length: 301 }, (_, i) => ({
+    frame: i,
+    time: 1 + i / 60,
+    centerOfMass: { x: 100 + 20 * 8 * (i / 60), y: 300 }
+  }));
+  const overrides = (fields) => ({ startTime: null, endTime: null, splits: {}, signalTime: 0.8, ...fields });
+  const unfiltered = { method: 'none' };
+
+  it('counts tracked splits from the signal', () => {
+    const { summary, clockOrigin } = calculatePhysics(frames, lineCalibration, 60, overrides({}), null, unfiltered);
+    expect(clockOrigin).toBe(0.8);
+    expect(summary.splits[20]).toBeCloseTo(2.7);
+  });
+
+  it('moves the video times onto the signal clock before rescaling to field times', () => {
+    const { summary, clockOrigin } = calculatePhysics(frames, lineCalibration, 60, overrides({ endTime: 5 }), null, unfiltered);
+    expect(clockOrigin).toBe(0);
+    // Start at 0.2 s after the signal, finish at the measured 5 s
+    expect(summary.splits[20]).toBeCloseTo(2.6);
+    expect(summary.splits[40]).toBeCloseTo(5);
+  });
+});
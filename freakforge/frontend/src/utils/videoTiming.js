@@ -0,0 +1,324 @@
+/**
+ * Video Timing
+ * Reads the real frame rate and per-frame presentation timestamps from the video via
+ * requestVideoFrameCallback, so phone footage (often variable frame rate) is sampled
+ * frame-accurately instead of on an assumed 30 fps grid.
+ * The callback fires at most once per display refresh, so clips with more frames per
+ * second than the screen (120/240 fps slow motion) are probed at a slower playback rate.
+ */
+
+// Length of footage played to estimate the frame rate and pick a playback rate (seconds);
+// short because the slowest rate plays it at 1/16 speed
+const FRAME_RATE_PROBE_SECONDS = 0.5;
+
+// An interval this far from the median (as a fraction) counts as irregular...
+const VFR_INTERVAL_TOLERANCE = 0.15;
+
+// ...and the clip is flagged variable frame rate when more than this fraction of intervals are
+const VFR_IRREGULAR_FRACTION = 0.1;
+
+// Playback rates tried in turn on the short probe until the frames shown per second fit the display
+const PROBE_PLAYBACK_RATES = [1, 0.25, 0.0625];
+
+// A probe showing frames at this fraction of the display refresh rate or faster may
+// have had frames skipped by the compositor without being counted
+const DISPLAY_LIMIT_FRACTION = 0.9;
+
+// Assumed when the refresh rate can't be measured (e.g. a hidden tab)
+const DEFAULT_REFRESH_RATE = 60;
+
+let displayRefreshRate = null;
+
+/**
+ * True when the browser reports presented frames (Chrome, Edge, Safari)
+ */
+export function supportsFrameCallbacks(video) {
+  return Boolean(video && typeof video.requestVideoFrameCallback === 'function');
+}
+
+/**
+ * Resolves once the video has finished seeking
+ */
+export function waitForSeeked(video) {
+  return new Promise((resolve) => {
+    if (video.seeking) {
+      video.addEventListener('seeked', resolve, { once: true });
+    } else {
+      resolve();
+    }
+  });
+}
+
+/**
+ * Display refresh rate from the median requestAnimationFrame interval, measured once
+ * @returns {Promise<number>} Hz
+ */
+export async function measureDisplayRefreshRate() {
+  if (displayRefreshRate) return displayRefreshRate;
+  const stamps = await new Promise((resolve) => {
+    const times = [];
+    const tick = (now) => {
+      times.push(now);
+      if (times.length < 30) window.requestAnimationFrame(tick);
+      else resolve(times);
+    };
+    window.requestAnimationFrame(tick);
+    // rAF is paused in background tabs
+    setTimeout(() => resolve(times), 1000);
+  });
+  const intervals = stamps.slice(1).map((t, i) => t - stamps[i]).sort((a, b) => a - b);
+  const median = intervals[Math.floor(intervals.length / 2)];
+  displayRefreshRate = intervals.length >= 10 && median > 0 ? 1000 / median : DEFAULT_REFRESH_RATE;
+  return displayRefreshRate;
+}
+
+// ============ TIMESTAMP COLLECTION ============
+
+/**
+ * Play the time range once (muted) and record the presentation timestamp of every
+ * frame shown. Frames the browser reports as presented but skipped the callback for
+ * are given timestamps evenly between their neighbours and counted as droppedFrames.
+ * Frames the compositor never presented (more frames per second than the display
+ * refresh) are invisible here; see probeFrameTimestamps.
+ * @param {HTMLVideoElement} video - Video element
+ * @param {Object} options
+ * @param {number} options.startTime - Range start (seconds)
+ * @param {number} options.endTime - Range end (seconds), defaults to the video's duration
+ * @param {number} options.playbackRate - Playback speed while collecting
+ * @param {Function} options.onProgress - Progress callback (0-100)
+ * @param {Function} options.onCancel - Returns true if collection should stop
+ * @returns {Promise<{timestamps: number[], droppedFrames: number}|null>} Null when unsupported or cancelled
+ */
+export async function collectFrameTimestamps(video, { startTime = 0, endTime = null, playbackRate = 1, onProgress = null, onCancel = null } = {}) {
+  if (!supportsFrameCallbacks(video)) return null;
+
+  const end = Math.min(endTime ?? video.duration, video.duration);
+  if (!(end > startTime)) return null;
+
+  const saved = { time: video.currentTime, muted: video.muted, playbackRate: video.playbackRate };
+  const frames = [];
+  let cancelled = false;
+
+  try {
+    video.pause();
+    video.muted = true;
+    video.playbackRate = playbackRate;
+
+    await new Promise((resolve, reject) => {
+      let handle = null;
+
+      const finish = () => {
+        video.cancelVideoFrameCallback(handle);
+        video.removeEventListener('ended', finish);
+        video.pause();
+        resolve();
+      };
+
+      const onFrame = (now, metadata) => {
+        if (onCancel && onCancel()) {
+          cancelled = true;
+          finish();
+          return;
+        }
+        if (metadata.mediaTime >= end) {
+          finish();
+          return;
+        }
+
+        // The first callback is the frame the seek landed on, which covers startTime
+        const last = frames[frames.length - 1];
+        if (!last || metadata.mediaTime > last.mediaTime) {
+          frames.push({ mediaTime: metadata.mediaTime, presentedFrames: metadata.presentedFrames });
+        }
+        if (onProgress) {
+          onProgress(Math.round(((metadata.mediaTime - startTime) / (end - startTime)) * 100));
+        }
+        handle = video.requestVideoFrameCallback(onFrame);
+      };
+
+      // Registered before seeking so the frame at startTime is reported too
+      handle = video.requestVideoFrameCallback(onFrame);
+      video.addEventListener('ended', finish);
+      video.currentTime = startTime;
+      waitForSeeked(video)
+        .then(() => video.play())
+        .catch(error => {
+          video.cancelVideoFrameCallback(handle);
+          video.removeEventListener('ended', finish);
+          reject(error);
+        });
+    });
+  } finally {
+    video.pause();
+    video.muted = saved.muted;
+    video.playbackRate = saved.playbackRate;
+    video.currentTime = saved.time;
+  }
+
+  if (cancelled || frames.length < 2) return null;
+
+  // presentedFrames counts every frame the compositor showed, so a jump of more than
+  // one between callbacks means frames went by unreported
+  const timestamps = [frames[0].mediaTime];
+  let droppedFrames = 0;
+  for (let i = 1; i < frames.length; i++) {
+    const gap = frames[i].presentedFrames - frames[i - 1].presentedFrames;
+    for (let k = 1; k < gap; k++) {
+      timestamps.push(frames[i - 1].mediaTime + (frames[i].mediaTime - frames[i - 1].mediaTime) * (k / gap));
+      droppedFrames++;
+    }
+    timestamps.push(frames[i].mediaTime);
+  }
+
+  return { timestamps, droppedFrames };
+}
+
+/**
+ * Frame rate and regularity of a run of presentation timestamps
+ * @param {number[]} timestamps - Increasing presentation times (seconds)
+ * @returns {{fps: number, isVariable: boolean, minInterval: number, maxInterval: number, irregularFraction: number}|null}
+ */
+export function analyzeFrameTiming(timestamps) {
+  if (!timestamps || timestamps.length < 3) return null;
+
+  const intervals = [];
+  for (let i = 1; i < timestamps.length; i++) {
+    intervals.push(timestamps[i] - timestamps[i - 1]);
+  }
+  const sorted = [...intervals].sort((a, b) => a - b);
+  const median = sorted[Math.floor(sorted.length / 2)];
+  if (!(median > 0)) return null;
+
+  const irregular = intervals.filter(dt => Math.abs(dt - median) > VFR_INTERVAL_TOLERANCE * median).length;
+  const irregularFraction = irregular / intervals.length;
+
+  return {
+    fps: Math.round((1 / median) * 100) / 100,
+    isVariable: irregularFraction > VFR_IRREGULAR_FRACTION,
+    minInterval: sorted[0],
+    maxInterval: sorted[sorted.length - 1],
+    irregularFraction
+  };
+}
+
+/**
+ * Collect frame timestamps at a playback rate slow enough that every frame reaches the
+ * screen: a probe whose frames arrive near the display refresh rate may have lost
+ * frames uncounted. The rate is picked on a short window at the start of the range,
+ * then the whole range is played once at that rate. Clips too fast for the slowest
+ * rate get no timestamps, leaving the caller on its 1/fps grid rather than a lowered
+ * frame rate, and a displayLimited reason to show the user.
+ * @param {HTMLVideoElement} video - Video element
+ * @param {Object} options - collectFrameTimestamps options (playbackRate is chosen here)
+ * @returns {Promise<{timestamps: number[]|null, droppedFrames: number, timing: Object|null, playbackRate: number|null, displayLimited: string|null}|null>}
+ *   timing is the analyzeFrameTiming result; null when unsupported or cancelled
+ */
+export async function probeFrameTimestamps(video, options = {}) {
+  const { startTime = 0, endTime = null, onProgress = null, ...rest } = options;
+  const end = Math.min(endTime ?? video.duration, video.duration);
+  const windowEnd = Math.min(end, startTime + FRAME_RATE_PROBE_SECONDS);
+  const refreshRate = await measureDisplayRefreshRate();
+
+  for (const playbackRate of PROBE_PLAYBACK_RATES) {
+    const probe = await collectFrameTimestamps(video, { ...rest, startTime, endTime: windowEnd, playbackRate });
+    const timing = probe ? analyzeFrameTiming(probe.timestamps) : null;
+    if (!timing) return null;
+    if (timing.fps * playbackRate >= DISPLAY_LIMIT_FRACTION * refreshRate) continue;
+
+    // The window already covered the whole range
+    if (windowEnd >= end) {
+      if (onProgress) onProgress(100);
+      return { ...probe, timing, playbackRate, displayLimited: null };
+    }
+
+    const full = await collectFrameTimestamps(video, { ...rest, startTime, endTime: end, playbackRate, onProgress });
+    const fullTiming = full ? analyzeFrameTiming(full.timestamps) : null;
+    if (!fullTiming) return null;
+    return { ...full, timing: fullTiming, playbackRate, displayLimited: null };
+  }
+
+  return {
+    timestamps: null,
+    droppedFrames: 0,
+    timing: null,
+    playbackRate: null,
+    displayLimited: `This clip has more frames per second than a ${Math.round(refreshRate)} Hz display can report, even at 1/16 speed - frames are sampled on the frame rate grid instead`
+  };
+}
+
+/**
+ * Quick frame rate estimate from the start of the video
+ * @param {HTMLVideoElement} video - Video element
+ * @param {Object} options
+ * @param {Function} options.onCancel - Returns true if the estimate should stop
+ * @returns {Promise<{timing: Object|null, displayLimited: string|null}|null>} timing is the
+ *   analyzeFrameTiming result; null when unsupported or cancelled
+ */
+export async function estimateFrameRate(video, { onCancel = null } = {}) {
+  const probe = await probeFrameTimestamps(video, {
+    startTime: 0,
+    endTime: Math.min(video.duration, FRAME_RATE_PROBE_SECONDS),
+    onCancel
+  });
+  return probe ? { timing: probe.timing, displayLimited: probe.displayLimited } : null;
+}
+
+// ============ FRAME SCHEDULE ============
+
+/**
+ * Frames to sample in a time range: each frame's presentation time and the time to
+ * seek to so the video actually lands on it. With known timestamps the seek target is
+ * the middle of the frame's display interval (seeking to the exact timestamp can land
+ * on the previous frame); otherwise frames fall on a fixed 1/fps grid.
+ * @param {Object} options
+ * @param {number} options.fps - Fallback frame rate
+ * @param {number} options.startTime - Range start (seconds)
+ * @param {number} options.endTime - Range end (seconds)
+ * @param {number[]} options.frameTimes - Presentation timestamps, if known
+ * @returns {Array<{time: number, seekTime: number}>}
+ */
+export function buildFrameSchedule({ fps, startTime, endTime, frameTimes = null }) {
+  if (frameTimes && frameTimes.length > 0) {
+    const inRange = frameTimes.filter((t, i) => t < endTime && (frameTimes[i + 1] ?? Infinity) > startTime);
+    return inRange.map((time, i) => {
+      const next = inRange[i + 1] ?? time + 1 / fps;
+      return { time, seekTime: time + (next - time) / 2 };
+    });
+  }
+
+  const frameDuration = 1 / fps;
+  const totalFrames = Math.floor((endTime - startTime) * fps);
+  return Array.from({ length: totalFrames }, (_, i) => {
+    const time = startTime + (i * frameDuration);
+    return { time, seekTime: time };
+  });
+}
+
+/**
+ * Index of the frame on screen at a given time (the last frame starting at or before it)
+ * @param {number[]} frameTimes - Increasing frame times
+ * @returns {number} 0 when the time is before the first frame
+ */
+export function frameIndexAtTime(frameTimes, time) {
+  let lo = 0;
+  let hi = frameTimes.length - 1;
+  if (hi < 0 || time <= frameTimes[0]) return 0;
+  while (lo < hi) {
+    const mid = Math.ceil((lo + hi) / 2);
+    if (frameTimes[mid] <= time) lo = mid;
+    else hi = mid - 1;
+  }
+  return lo;
+}
+
+export default {
+  supportsFrameCallbacks,
+  waitForSeeked,
+  measureDisplayRefreshRate,
+  collectFrameTimestamps,
+  probeFrameTimestamps,
+  analyzeFrameTiming,
+  estimateFrameRate,
+  buildFrameSchedule,
+  frameIndexAtTime
+};
@@ -0,0 +1,58 @@
+import { analyzeFrameTiming, buildFrameSchedule, frameIndexAtTime } from './videoTiming';
+
+describe('buildFrameSchedule', () => {
+  it('lays frames on a 1/fps grid when no timestamps are known', () => {
+    const schedule = buildFrameSchedule({ fps: 10, startTime: 1, endTime: 1.5 });
+    expect(schedule).toHaveLength(5);
+    schedule.forEach((frame, i) => {
+      expect(frame.time).toBeCloseTo(1 + i * 0.1);
+      expect(frame.seekTime).toBe(frame.time);
+    });
+  });
+
+  it('seeks to the middle of each frame interval with timestamps', () => {
+    const frameTimes = [0, 0.033, 0.07, 0.1, 0.135];
+    const schedule = buildFrameSchedule({ fps: 30, startTime: 0, endTime: 1, frameTimes });
+
+    expect(schedule.map(frame => frame.time)).toEqual(frameTimes);
+    expect(schedule[0].seekTime).toBeCloseTo(0.0165);
+    expect(schedule[1].seekTime).toBeCloseTo(0.0515);
+    // The last frame has no successor, so its interval comes from the fallback rate
+    expect(schedule[4].seekTime).toBeCloseTo(0.135 + 1 / 60);
+  });
+
+  it('includes the frame already on screen at the range start', () => {
+    const frameTimes = [0, 0.1, 0.2, 0.3, 0.4];
+    const schedule = buildFrameSchedule({ fps: 10, startTime: 0.15, endTime: 0.35, frameTimes });
+    expect(schedule.map(frame => frame.time)).toEqual([0.1, 0.2, 0.3]);
+  });
+});
+
+describe('frameIndexAtTime', () => {
+  const frameTimes = [0, 0.04, 0.07, 0.12, 0.16];
+
+  it('finds the last frame starting at or before the time', () => {
+    expect(frameIndexAtTime(frameTimes, 0.04)).toBe(1);
+    expect(frameIndexAtTime(frameTimes, 0.1)).toBe(2);
+    expect(frameIndexAtTime(frameTimes, 1)).toBe(4);
+  });
+
+  it('returns 0 before the first frame or for no frames', () => {
+    expect(frameIndexAtTime(frameTimes, -1)).toBe(0);
+    expect(frameIndexAtTime([], 0.5)).toBe(0);
+  });
+});
+
+describe('analyzeFrameTiming', () => {
+  it('reads a constant frame rate', () => {
+    const timing = analyzeFrameTiming(Array.from({ length: 31 }, (_, i) => i / 30));
+    expect(timing.fps).toBe(30);
+    expect(timing.isVariable).toBe(false);
+  });
+
+  it('flags footage whose intervals wander', () => {
+    const timestamps = [0];
+    for (let i = 1; i < 30; i++) timestamps.push(timestamps[i - 1] + (i % 3 === 0 ? 0.05 : 1 / 30));
+    expect(analyzeFrameTiming(timestamps).isVariable).toBe(true);
+  });
+});
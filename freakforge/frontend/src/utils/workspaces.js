@@ -0,0 +1,224 @@
+/**
+ * Workspace Utilities
+ * Named analysis sessions (selection, forged axes, filters, sliders, baseline) kept in localStorage
+ */
+
+import { DEFAULT_FILTERS, DEFAULT_STATISTIC_FILTER, parseAppState, serializeAppState } from './urlState';
+import { DEFAULT_COHORT } from './cohorts';
+
+const STORAGE_KEY = 'freakforgeWorkspaces';
+const FILE_FORMAT = 'freakforge-workspaces';
+const FILE_VERSION = 1;
+
+const isObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+const arrayOr = (value, fallback) => (Array.isArray(value) ? value : fallback);
+const objectOr = (value) => (isObject(value) ? value : {});
+
+/**
+ * Fill in missing fields and drop anything malformed. Round-tripping through the
+ * URL serializer keeps workspaces and shared links in exactly the same shape.
+ */
+export const normalizeWorkspaceState = (state) => {
+  const source = objectOr(state);
+  const filters = objectOr(source.filters);
+  const cohort = objectOr(source.cohort);
+  return parseAppState(serializeAppState({
+    selectedAthletes: arrayOr(source.selectedAthletes, []),
+    forgedAxes: arrayOr(source.forgedAxes, []).filter(axis => isObject(axis) && typeof axis.formula === 'string'),
+    filters: {
+      positions: arrayOr(filters.positions, DEFAULT_FILTERS.positions),
+      states: arrayOr(filters.states, DEFAULT_FILTERS.states),
+      gradYears: arrayOr(filters.gradYears, DEFAULT_FILTERS.gradYears),
+      heightRange: { ...DEFAULT_FILTERS.heightRange, ...objectOr(filters.heightRange) },
+      weightRange: { ...DEFAULT_FILTERS.weightRange, ...objectOr(filters.weightRange) }
+    },
+    statisticFilter: { ...DEFAULT_STATISTIC_FILTER, ...objectOr(source.statisticFilter) },
+    cohort: {
+      mode: typeof cohort.mode === 'string' ? cohort.mode : DEFAULT_COHORT.mode,
+      dimensions: arrayOr(cohort.dimensions, DEFAULT_COHORT.dimensions)
+    },
+    meZScoreFilterLow: Number(source.meZScoreFilterLow) || 0,
+    meZScoreFilterHigh: Number(source.meZScoreFilterHigh) || 0
+  }));
+};
+
+/**
+ * All saved workspaces, most recently updated first
+ * @returns {Array<{id: string, name: string, state: Object, createdAt: string, updatedAt: string}>}
+ */
+export const getWorkspaces = () => {
+  const saved = localStorage.getItem(STORAGE_KEY);
+  if (!saved) return [];
+  try {
+    const parsed = JSON.parse(saved);
+    return Array.isArray(parsed)
+      ? [...parsed].sort((a, b) => (b.updatedAt || '').localeCompare(a.updatedAt || ''))
+      : [];
+  } catch (err) {
+    console.error('Error reading workspaces:', err);
+    return [];
+  }
+};
+
+const writeWorkspaces = (workspaces) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(workspaces));
+};
+
+let idCounter = 0;
+const nextWorkspaceId = () => `ws_${Date.now()}_${idCounter++}`;
+
+/**
+ * Create or update a workspace. A new workspace whose name matches an existing
+ * one overwrites it, so "Save" on a loaded workspace updates it in place.
+ * @param {string} name
+ * @param {Object} state - Analysis state from AppContext
+ * @returns {Object} The saved workspace
+ */
+export const saveWorkspace = (name, state) => {
+  const workspaces = getWorkspaces();
+  const now = new Date().toISOString();
+  const trimmed = name.trim();
+  const existing = workspaces.find(w => w.name.toLowerCase() === trimmed.toLowerCase());
+
+  const saved = existing
+    ? { ...existing, name: trimmed, state: normalizeWorkspaceState(state), updatedAt: now }
+    : { id: nextWorkspaceId(), name: trimmed, state: normalizeWorkspaceState(state), createdAt: now, updatedAt: now };
+
+  writeWorkspaces(existing
+    ? workspaces.map(w => (w.id === saved.id ? saved : w))
+    : [...workspaces, saved]);
+
+  return saved;
+};
+
+// "Name", "Name (copy)", "Name (copy 2)", ...
+const uniqueName = (name, workspaces) => {
+  const taken = new Set(workspaces.map(w => w.name.toLowerCase()));
+  if (!taken.has(name.toLowerCase())) return name;
+  let candidate = `${name} (copy)`;
+  for (let n = 2; taken.has(candidate.toLowerCase()); n++) {
+    candidate = `${name} (copy ${n})`;
+  }
+  return candidate;
+};
+
+/**
+ * Copy a workspace under a new unique name
+ * @returns {Object|null} The copy, or null if the id was not found
+ */
+export const duplicateWorkspace = (id) => {
+  const workspaces = getWorkspaces();
+  const source = workspaces.find(w => w.id === id);
+  if (!source) return null;
+
+  const now = new Date().toISOString();
+  const copy = { ...source, id: nextWorkspaceId(), name: uniqueName(source.name, workspaces), createdAt: now, updatedAt: now };
+  writeWorkspaces([...workspaces, copy]);
+  return copy;
+};
+
+export const deleteWorkspace = (id) => {
+  writeWorkspaces(getWorkspaces().filter(w => w.id !== id));
+};
+
+/**
+ * Drop a deleted athlete from every workspace's saved selection
+ */
+export const removeAthleteFromWorkspaces = (athleteId) => {
+  const workspaces = getWorkspaces();
+  if (!workspaces.some(w => w.state?.selectedAthletes?.includes(athleteId))) return;
+  writeWorkspaces(workspaces.map(w => (w.state?.selectedAthletes?.includes(athleteId)
+    ? { ...w, state: { ...w.state, selectedAthletes: w.state.selectedAthletes.filter(id => id !== athleteId) } }
+    : w)));
+};
+
+// ============ IMPORT / EXPORT ============
+
+/**
+ * Download workspaces as a JSON file
+ * @param {Object[]} workspaces - Defaults to every saved workspace
+ */
+export const exportWorkspaces = (workspaces = getWorkspaces()) => {
+  const payload = {
+    format: FILE_FORMAT,
+    version: FILE_VERSION,
+    exportedAt: new Date().toISOString(),
+    workspaces: workspaces.map(({ name, state, createdAt, updatedAt }) => ({ name, state, createdAt, updatedAt }))
+  };
+
+  const blob = new Blob([JSON.stringify(payload, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = workspaces.length === 1
+    ? `${workspaces[0].name.replace(/[^a-z0-9]+/gi, '-')}.workspace.json`
+    : `FreakForge-Workspaces-${new Date().toISOString().split('T')[0]}.json`;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Read workspaces from an exported JSON file. Imported workspaces get new ids,
+ * and names that clash with existing workspaces get a "(copy)" suffix. Malformed
+ * entries are skipped rather than failing the whole file.
+ * @param {File} file
+ * @returns {Promise<{imported: Object[], skipped: Array<{name: string, reason: string}>}>}
+ * @throws {Error} If the file is not a FreakForge workspace export
+ */
+export const importWorkspaces = async (file) => {
+  let payload;
+  try {
+    payload = JSON.parse(await file.text());
+  } catch (err) {
+    throw new Error(`${file.name} is not valid JSON`);
+  }
+
+  const entries = payload && payload.format === FILE_FORMAT ? payload.workspaces : null;
+  if (!Array.isArray(entries)) {
+    throw new Error(`${file.name} is not a FreakForge workspace export`);
+  }
+
+  const workspaces = getWorkspaces();
+  const now = new Date().toISOString();
+  const imported = [];
+  const skipped = [];
+  entries.forEach((entry, i) => {
+    const name = isObject(entry) && typeof entry.name === 'string' ? entry.name.trim() : '';
+    if (!name) {
+      skipped.push({ name: `Entry ${i + 1}`, reason: 'missing a name' });
+      return;
+    }
+    // A missing state loads as the defaults; anything else that isn't an object is corrupt
+    if (entry.state !== undefined && entry.state !== null && !isObject(entry.state)) {
+      skipped.push({ name, reason: 'state is not an object' });
+      return;
+    }
+    try {
+      imported.push({
+        id: nextWorkspaceId(),
+        name: uniqueName(name, [...workspaces, ...imported]),
+        state: normalizeWorkspaceState(entry.state),
+        createdAt: typeof entry.createdAt === 'string' ? entry.createdAt : now,
+        updatedAt: now
+      });
+    } catch (err) {
+      skipped.push({ name, reason: err.message });
+    }
+  });
+
+  writeWorkspaces([...workspaces, ...imported]);
+  return { imported, skipped };
+};
+
+export default {
+  normalizeWorkspaceState,
+  getWorkspaces,
+  saveWorkspace,
+  duplicateWorkspace,
+  deleteWorkspace,
+  removeAthleteFromWorkspaces,
+  exportWorkspaces,
+  importWorkspaces
+};
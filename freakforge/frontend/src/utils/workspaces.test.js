@@ -0,0 +1,109 @@
+import {
+  normalizeWorkspaceState,
+  getWorkspaces,
+  saveWorkspace,
+  removeAthleteFromWorkspaces,
+  importWorkspaces
+} from './workspaces';
+import { DEFAULT_FILTERS, DEFAULT_STATISTIC_FILTER } from './urlState';
+import { DEFAULT_COHORT } from './cohorts';
+
+const exportFile = (workspaces, name = 'workspaces.json') => ({
+  name,
+  text: async () => JSON.stringify({ format: 'freakforge-workspaces', version: 1, workspaces })
+});
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+describe('normalizeWorkspaceState', () => {
+  it('returns the defaults for a null or missing state', () => {
+    [null, undefined, {}].forEach(state => {
+      expect(normalizeWorkspaceState(state)).toEqual({
+        selectedAthletes: [],
+        forgedAxes: [],
+        filters: DEFAULT_FILTERS,
+        statisticFilter: DEFAULT_STATISTIC_FILTER,
+        meZScoreFilterLow: 0,
+        meZScoreFilterHigh: 0,
+        cohort: DEFAULT_COHORT
+      });
+    });
+  });
+
+  it('replaces malformed fields with their defaults', () => {
+    const state = normalizeWorkspaceState({
+      selectedAthletes: 'x',
+      forgedAxes: [null, { formula: 'fortyYardDash / weight', label: 'Speed/Weight' }],
+      filters: { positions: 'WR', heightRange: 'tall' },
+      cohort: { mode: 'cohort', dimensions: 'x' }
+    });
+
+    expect(state.selectedAthletes).toEqual([]);
+    expect(state.forgedAxes).toEqual([{ formula: 'fortyYardDash / weight', label: 'Speed/Weight' }]);
+    expect(state.filters.positions).toEqual([]);
+    expect(state.filters.heightRange).toEqual({ min: null, max: null });
+    expect(state.cohort).toEqual({ mode: 'cohort', dimensions: DEFAULT_COHORT.dimensions });
+  });
+
+  it('keeps a well-formed state', () => {
+    const state = normalizeWorkspaceState({
+      selectedAthletes: [3, 12],
+      filters: { ...DEFAULT_FILTERS, positions: ['WR'], gradYears: [2025] },
+      meZScoreFilterLow: -1,
+      meZScoreFilterHigh: 1.5
+    });
+
+    expect(state.selectedAthletes).toEqual([3, 12]);
+    expect(state.filters.positions).toEqual(['WR']);
+    expect(state.filters.gradYears).toEqual([2025]);
+    expect(state.meZScoreFilterLow).toBe(-1);
+    expect(state.meZScoreFilterHigh).toBe(1.5);
+  });
+});
+
+describe('importWorkspaces', () => {
+  it('imports null states as defaults and skips malformed entries', async () => {
+    const { imported, skipped } = await importWorkspaces(exportFile([
+      { name: 'Empty', state: null },
+      { name: 'Bad cohort', state: { cohort: { dimensions: 'x' } } },
+      { name: 'Corrupt', state: 'x' },
+      { state: {} },
+      null
+    ]));
+
+    expect(imported.map(w => w.name)).toEqual(['Empty', 'Bad cohort']);
+    expect(imported[0].state.selectedAthletes).toEqual([]);
+    expect(imported[1].state.cohort.dimensions).toEqual(DEFAULT_COHORT.dimensions);
+    expect(skipped).toEqual([
+      { name: 'Corrupt', reason: 'state is not an object' },
+      { name: 'Entry 4', reason: 'missing a name' },
+      { name: 'Entry 5', reason: 'missing a name' }
+    ]);
+    expect(getWorkspaces()).toHaveLength(2);
+  });
+
+  it('renames workspaces that clash with saved ones', async () => {
+    saveWorkspace('Receivers', {});
+    const { imported } = await importWorkspaces(exportFile([{ name: 'Receivers', state: {} }]));
+    expect(imported[0].name).toBe('Receivers (copy)');
+  });
+
+  it('rejects files that are not workspace exports', async () => {
+    const file = { name: 'athletes.json', text: async () => '{"athletes": []}' };
+    await expect(importWorkspaces(file)).rejects.toThrow('athletes.json is not a FreakForge workspace export');
+  });
+});
+
+describe('removeAthleteFromWorkspaces', () => {
+  it('drops the athlete from every saved selection', () => {
+    saveWorkspace('A', { selectedAthletes: [1, 2] });
+    saveWorkspace('B', { selectedAthletes: [2, 3] });
+
+    removeAthleteFromWorkspaces(2);
+
+    const selections = Object.fromEntries(getWorkspaces().map(w => [w.name, w.state.selectedAthletes]));
+    expect(selections).toEqual({ A: [1], B: [3] });
+  });
+});